@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "game_rounds" ADD COLUMN     "clientSeed" TEXT,
+ADD COLUMN     "nonce" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "seedRevealedAt" TIMESTAMP(3),
+ADD COLUMN     "serverSeed" TEXT,
+ADD COLUMN     "serverSeedHash" TEXT;
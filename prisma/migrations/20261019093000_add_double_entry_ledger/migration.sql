@@ -0,0 +1,112 @@
+-- CreateEnum
+CREATE TYPE "LedgerAccountType" AS ENUM ('USER_WALLET', 'HOUSE', 'PENDING_WITHDRAWAL', 'BONUS_POOL', 'EXTERNAL', 'OPENING_BALANCE');
+
+-- CreateTable
+CREATE TABLE "ledger_accounts" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "type" "LedgerAccountType" NOT NULL,
+    "userId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ledger_accounts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "journal_entries" (
+    "id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "referenceId" TEXT,
+    "description" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "journal_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ledger_postings" (
+    "id" TEXT NOT NULL,
+    "entryId" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL,
+    "amount" DECIMAL(15,2) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ledger_postings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ledger_accounts_code_key" ON "ledger_accounts"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ledger_accounts_userId_key" ON "ledger_accounts"("userId");
+
+-- CreateIndex
+CREATE INDEX "journal_entries_referenceId_idx" ON "journal_entries"("referenceId");
+
+-- CreateIndex
+CREATE INDEX "ledger_postings_entryId_idx" ON "ledger_postings"("entryId");
+
+-- CreateIndex
+CREATE INDEX "ledger_postings_accountId_idx" ON "ledger_postings"("accountId");
+
+-- AddForeignKey
+ALTER TABLE "ledger_accounts" ADD CONSTRAINT "ledger_accounts_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ledger_postings" ADD CONSTRAINT "ledger_postings_entryId_fkey" FOREIGN KEY ("entryId") REFERENCES "journal_entries"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ledger_postings" ADD CONSTRAINT "ledger_postings_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "ledger_accounts"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Seed system accounts
+INSERT INTO "ledger_accounts" ("id", "code", "type") VALUES
+    (gen_random_uuid()::text, 'HOUSE', 'HOUSE'),
+    (gen_random_uuid()::text, 'PENDING_WITHDRAWAL', 'PENDING_WITHDRAWAL'),
+    (gen_random_uuid()::text, 'BONUS_POOL', 'BONUS_POOL'),
+    (gen_random_uuid()::text, 'EXTERNAL', 'EXTERNAL'),
+    (gen_random_uuid()::text, 'OPENING_BALANCE', 'OPENING_BALANCE');
+
+-- Open a ledger account for every existing wallet
+INSERT INTO "ledger_accounts" ("id", "code", "type", "userId")
+SELECT gen_random_uuid()::text, 'USER_WALLET:' || w."userId", 'USER_WALLET', w."userId"
+FROM "wallets" w;
+
+-- Carry existing wallet balances over as opening balance entries
+INSERT INTO "journal_entries" ("id", "type", "referenceId", "description")
+SELECT gen_random_uuid()::text, 'OPENING_BALANCE', w."id", 'Opening balance carried over from wallet'
+FROM "wallets" w
+WHERE w."balance" <> 0;
+
+INSERT INTO "ledger_postings" ("id", "entryId", "accountId", "amount")
+SELECT gen_random_uuid()::text, je."id", la."id", w."balance"
+FROM "journal_entries" je
+JOIN "wallets" w ON w."id" = je."referenceId"
+JOIN "ledger_accounts" la ON la."userId" = w."userId"
+WHERE je."type" = 'OPENING_BALANCE';
+
+INSERT INTO "ledger_postings" ("id", "entryId", "accountId", "amount")
+SELECT gen_random_uuid()::text, je."id", ob."id", -w."balance"
+FROM "journal_entries" je
+JOIN "wallets" w ON w."id" = je."referenceId"
+CROSS JOIN (SELECT "id" FROM "ledger_accounts" WHERE "code" = 'OPENING_BALANCE') ob
+WHERE je."type" = 'OPENING_BALANCE';
+
+-- Withdrawals still awaiting processing were already deducted from wallets, so open them as held funds
+INSERT INTO "journal_entries" ("id", "type", "referenceId", "description")
+SELECT gen_random_uuid()::text, 'OPENING_BALANCE', wd."id", 'Opening balance for pending withdrawal'
+FROM "withdrawals" wd
+WHERE wd."status" IN ('PENDING', 'PROCESSING');
+
+INSERT INTO "ledger_postings" ("id", "entryId", "accountId", "amount")
+SELECT gen_random_uuid()::text, je."id", pw."id", wd."amount"
+FROM "journal_entries" je
+JOIN "withdrawals" wd ON wd."id" = je."referenceId"
+CROSS JOIN (SELECT "id" FROM "ledger_accounts" WHERE "code" = 'PENDING_WITHDRAWAL') pw
+WHERE je."type" = 'OPENING_BALANCE';
+
+INSERT INTO "ledger_postings" ("id", "entryId", "accountId", "amount")
+SELECT gen_random_uuid()::text, je."id", ob."id", -wd."amount"
+FROM "journal_entries" je
+JOIN "withdrawals" wd ON wd."id" = je."referenceId"
+CROSS JOIN (SELECT "id" FROM "ledger_accounts" WHERE "code" = 'OPENING_BALANCE') ob
+WHERE je."type" = 'OPENING_BALANCE';
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "bets" ADD COLUMN     "idempotencyKey" TEXT;
+
+-- No unique index on ("userId", "gameRoundId"): the race this closes has already left
+-- duplicate bets behind, which would fail the index, and bet slips lift the one-bet-per-round rule.
+
+-- CreateIndex
+CREATE UNIQUE INDEX "bets_userId_idempotencyKey_key" ON "bets"("userId", "idempotencyKey");
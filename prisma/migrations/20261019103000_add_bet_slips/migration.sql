@@ -0,0 +1,39 @@
+-- DropIndex (only databases migrated before it was dropped from the previous migration have it)
+DROP INDEX IF EXISTS "bets_userId_gameRoundId_key";
+
+-- DropIndex
+DROP INDEX "bets_userId_idempotencyKey_key";
+
+-- AlterTable
+ALTER TABLE "bets" DROP COLUMN "idempotencyKey",
+ADD COLUMN     "slipId" TEXT;
+
+-- CreateTable
+CREATE TABLE "bet_slips" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "gameRoundId" TEXT NOT NULL,
+    "totalAmount" DECIMAL(15,2) NOT NULL,
+    "idempotencyKey" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "bet_slips_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "bets_userId_gameRoundId_idx" ON "bets"("userId", "gameRoundId");
+
+-- CreateIndex
+CREATE INDEX "bet_slips_userId_gameRoundId_idx" ON "bet_slips"("userId", "gameRoundId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "bet_slips_userId_idempotencyKey_key" ON "bet_slips"("userId", "idempotencyKey");
+
+-- AddForeignKey
+ALTER TABLE "bets" ADD CONSTRAINT "bets_slipId_fkey" FOREIGN KEY ("slipId") REFERENCES "bet_slips"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bet_slips" ADD CONSTRAINT "bet_slips_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bet_slips" ADD CONSTRAINT "bet_slips_gameRoundId_fkey" FOREIGN KEY ("gameRoundId") REFERENCES "game_rounds"("id") ON DELETE CASCADE ON UPDATE CASCADE;
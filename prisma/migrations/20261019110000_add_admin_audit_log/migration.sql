@@ -0,0 +1,47 @@
+-- CreateTable
+CREATE TABLE "admin_audit_logs" (
+    "id" TEXT NOT NULL,
+    "adminId" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "targetType" TEXT NOT NULL,
+    "targetId" TEXT,
+    "before" JSONB,
+    "after" JSONB,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "admin_audit_logs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "admin_audit_logs_adminId_idx" ON "admin_audit_logs"("adminId");
+
+-- CreateIndex
+CREATE INDEX "admin_audit_logs_action_idx" ON "admin_audit_logs"("action");
+
+-- CreateIndex
+CREATE INDEX "admin_audit_logs_targetType_targetId_idx" ON "admin_audit_logs"("targetType", "targetId");
+
+-- CreateIndex
+CREATE INDEX "admin_audit_logs_createdAt_idx" ON "admin_audit_logs"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "admin_audit_logs" ADD CONSTRAINT "admin_audit_logs_adminId_fkey" FOREIGN KEY ("adminId") REFERENCES "admins"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Append-only: reject every modification, whichever database role issues it
+CREATE FUNCTION "admin_audit_logs_append_only"() RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'admin_audit_logs is append-only (% rejected)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- CreateTrigger
+CREATE TRIGGER "admin_audit_logs_no_update_delete"
+    BEFORE UPDATE OR DELETE ON "admin_audit_logs"
+    FOR EACH ROW EXECUTE FUNCTION "admin_audit_logs_append_only"();
+
+-- CreateTrigger
+CREATE TRIGGER "admin_audit_logs_no_truncate"
+    BEFORE TRUNCATE ON "admin_audit_logs"
+    FOR EACH STATEMENT EXECUTE FUNCTION "admin_audit_logs_append_only"();
@@ -0,0 +1,27 @@
+-- CreateEnum
+CREATE TYPE "LimitType" AS ENUM ('DEPOSIT', 'WAGER', 'LOSS');
+
+-- CreateEnum
+CREATE TYPE "LimitPeriod" AS ENUM ('DAILY', 'WEEKLY', 'MONTHLY');
+
+-- CreateTable
+CREATE TABLE "user_limits" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "limitType" "LimitType" NOT NULL,
+    "period" "LimitPeriod" NOT NULL,
+    "amount" DECIMAL(15,2),
+    "pendingAmount" DECIMAL(15,2),
+    "pendingEffectiveAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "user_limits_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "user_limits_userId_limitType_period_key" ON "user_limits"("userId", "limitType", "period");
+
+-- AddForeignKey
+ALTER TABLE "user_limits" ADD CONSTRAINT "user_limits_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
@@ -0,0 +1,32 @@
+-- CreateEnum
+CREATE TYPE "SelfExclusionPeriod" AS ENUM ('HOURS_24', 'DAYS_7', 'DAYS_30', 'MONTHS_6', 'PERMANENT');
+
+-- CreateTable
+CREATE TABLE "self_exclusions" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "period" "SelfExclusionPeriod" NOT NULL,
+    "startsAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "endsAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "self_exclusions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "self_exclusions_userId_idx" ON "self_exclusions"("userId");
+
+-- AddForeignKey
+ALTER TABLE "self_exclusions" ADD CONSTRAINT "self_exclusions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Append-only: an exclusion cannot be shortened or removed, not even by an admin
+CREATE FUNCTION "self_exclusions_append_only"() RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'self_exclusions is append-only (% rejected)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- CreateTrigger
+CREATE TRIGGER "self_exclusions_no_update_delete"
+    BEFORE UPDATE OR DELETE ON "self_exclusions"
+    FOR EACH ROW EXECUTE FUNCTION "self_exclusions_append_only"();
@@ -0,0 +1,45 @@
+-- CreateTable
+CREATE TABLE "game_tables" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "duration" INTEGER NOT NULL,
+    "payouts" JSONB,
+    "minBet" DECIMAL(15,2),
+    "maxBet" DECIMAL(15,2),
+    "maxRoundStake" DECIMAL(15,2),
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "game_tables_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "game_tables_code_key" ON "game_tables"("code");
+
+-- Seed the standard tables
+INSERT INTO "game_tables" ("id", "code", "name", "duration", "sortOrder", "updatedAt") VALUES
+    (gen_random_uuid()::text, '1M', '1 Minute', 60, 1, CURRENT_TIMESTAMP),
+    (gen_random_uuid()::text, '3M', '3 Minutes', 180, 2, CURRENT_TIMESTAMP),
+    (gen_random_uuid()::text, '5M', '5 Minutes', 300, 3, CURRENT_TIMESTAMP),
+    (gen_random_uuid()::text, '10M', '10 Minutes', 600, 4, CURRENT_TIMESTAMP);
+
+-- AlterTable
+ALTER TABLE "game_rounds" ADD COLUMN "tableId" TEXT,
+ADD COLUMN "duration" INTEGER,
+ADD COLUMN "payouts" JSONB;
+
+-- Existing rounds belong to the 1-minute table
+UPDATE "game_rounds" SET "tableId" = (SELECT "id" FROM "game_tables" WHERE "code" = '1M'), "duration" = 60;
+
+-- AlterTable
+ALTER TABLE "game_rounds" ALTER COLUMN "tableId" SET NOT NULL,
+ALTER COLUMN "duration" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "game_rounds_tableId_status_idx" ON "game_rounds"("tableId", "status");
+
+-- AddForeignKey
+ALTER TABLE "game_rounds" ADD CONSTRAINT "game_rounds_tableId_fkey" FOREIGN KEY ("tableId") REFERENCES "game_tables"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
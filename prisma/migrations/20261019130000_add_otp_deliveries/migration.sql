@@ -0,0 +1,32 @@
+-- CreateEnum
+CREATE TYPE "OtpDeliveryStatus" AS ENUM ('QUEUED', 'SENT', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "otp_deliveries" (
+    "id" TEXT NOT NULL,
+    "otpId" TEXT,
+    "mobileNumber" TEXT NOT NULL,
+    "purpose" "OtpPurpose" NOT NULL,
+    "provider" TEXT NOT NULL,
+    "status" "OtpDeliveryStatus" NOT NULL DEFAULT 'QUEUED',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lastError" TEXT,
+    "providerMessageId" TEXT,
+    "sentAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "otp_deliveries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "otp_deliveries_otpId_idx" ON "otp_deliveries"("otpId");
+
+-- CreateIndex
+CREATE INDEX "otp_deliveries_mobileNumber_createdAt_idx" ON "otp_deliveries"("mobileNumber", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "otp_deliveries_status_idx" ON "otp_deliveries"("status");
+
+-- AddForeignKey
+ALTER TABLE "otp_deliveries" ADD CONSTRAINT "otp_deliveries_otpId_fkey" FOREIGN KEY ("otpId") REFERENCES "otps"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,28 @@
+-- CreateEnum
+CREATE TYPE "OtpLockoutReason" AS ENUM ('MAX_ATTEMPTS', 'DAILY_LIMIT');
+
+-- Outstanding codes were stored in plaintext; they expire within minutes, so drop them and let users request new ones
+DELETE FROM "otps";
+
+-- AlterTable
+ALTER TABLE "otps" DROP COLUMN "otp",
+ADD COLUMN "otpHash" TEXT NOT NULL,
+ADD COLUMN "attempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "lockedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "otp_lockouts" (
+    "id" TEXT NOT NULL,
+    "mobileNumber" TEXT NOT NULL,
+    "purpose" "OtpPurpose" NOT NULL,
+    "reason" "OtpLockoutReason" NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "otp_lockouts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "otp_lockouts_mobileNumber_idx" ON "otp_lockouts"("mobileNumber");
+
+-- CreateIndex
+CREATE INDEX "otp_lockouts_createdAt_idx" ON "otp_lockouts"("createdAt");
@@ -0,0 +1,5 @@
+-- Registration OTPs used to carry the raw password in tempData; remove it everywhere.
+-- Registrations caught mid-flow fail verification and simply have to be started again.
+UPDATE "otps"
+SET "tempData" = "tempData" - 'password'
+WHERE "tempData" ? 'password';
@@ -0,0 +1,34 @@
+-- CreateEnum
+CREATE TYPE "SessionRevokeReason" AS ENUM ('LOGOUT', 'USER_REVOKED', 'REPLACED', 'REUSE_DETECTED', 'ADMIN_FORCED', 'PASSWORD_RESET');
+
+-- CreateTable
+CREATE TABLE "sessions" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT,
+    "adminId" TEXT,
+    "deviceId" TEXT NOT NULL,
+    "deviceName" TEXT,
+    "ipAddress" TEXT,
+    "refreshTokenHash" TEXT,
+    "rotations" INTEGER NOT NULL DEFAULT 0,
+    "lastUsedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "revokedAt" TIMESTAMP(3),
+    "revokedReason" "SessionRevokeReason",
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "sessions_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "sessions_single_owner_check" CHECK (("userId" IS NULL) <> ("adminId" IS NULL))
+);
+
+-- CreateIndex
+CREATE INDEX "sessions_userId_deviceId_idx" ON "sessions"("userId", "deviceId");
+
+-- CreateIndex
+CREATE INDEX "sessions_adminId_deviceId_idx" ON "sessions"("adminId", "deviceId");
+
+-- AddForeignKey
+ALTER TABLE "sessions" ADD CONSTRAINT "sessions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "sessions" ADD CONSTRAINT "sessions_adminId_fkey" FOREIGN KEY ("adminId") REFERENCES "admins"("id") ON DELETE CASCADE ON UPDATE CASCADE;
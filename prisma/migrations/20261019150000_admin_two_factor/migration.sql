@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "admins" ADD COLUMN     "totpSecret" TEXT,
+ADD COLUMN     "totpEnabledAt" TIMESTAMP(3),
+ADD COLUMN     "totpLastStep" INTEGER,
+ADD COLUMN     "totpFailedAttempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "totpLockedUntil" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "sessions" ADD COLUMN     "stepUpAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "admin_backup_codes" (
+    "id" TEXT NOT NULL,
+    "adminId" TEXT NOT NULL,
+    "codeHash" TEXT NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "admin_backup_codes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "admin_backup_codes_codeHash_key" ON "admin_backup_codes"("codeHash");
+
+-- CreateIndex
+CREATE INDEX "admin_backup_codes_adminId_idx" ON "admin_backup_codes"("adminId");
+
+-- AddForeignKey
+ALTER TABLE "admin_backup_codes" ADD CONSTRAINT "admin_backup_codes_adminId_fkey" FOREIGN KEY ("adminId") REFERENCES "admins"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "admins" ADD COLUMN     "grantedPermissions" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "revokedPermissions" TEXT[] DEFAULT ARRAY[]::TEXT[];
@@ -0,0 +1,42 @@
+-- CreateEnum
+CREATE TYPE "ApprovalAction" AS ENUM ('WITHDRAWAL_APPROVAL', 'BALANCE_ADJUSTMENT', 'SETTING_CHANGE');
+
+-- CreateEnum
+CREATE TYPE "ApprovalStatus" AS ENUM ('PENDING', 'EXECUTED', 'REJECTED', 'CANCELLED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "pending_approvals" (
+    "id" TEXT NOT NULL,
+    "action" "ApprovalAction" NOT NULL,
+    "status" "ApprovalStatus" NOT NULL DEFAULT 'PENDING',
+    "targetType" TEXT NOT NULL,
+    "targetId" TEXT NOT NULL,
+    "amount" DECIMAL(15,2),
+    "payload" JSONB NOT NULL,
+    "reason" TEXT,
+    "requestedBy" TEXT NOT NULL,
+    "reviewedBy" TEXT,
+    "reviewRemarks" TEXT,
+    "failureReason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "reviewedAt" TIMESTAMP(3),
+    "executedAt" TIMESTAMP(3),
+
+    CONSTRAINT "pending_approvals_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "pending_approvals_four_eyes_check" CHECK ("reviewedBy" IS NULL OR "reviewedBy" <> "requestedBy")
+);
+
+-- CreateIndex
+CREATE INDEX "pending_approvals_status_createdAt_idx" ON "pending_approvals"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "pending_approvals_action_targetId_idx" ON "pending_approvals"("action", "targetId");
+
+-- One open request per target
+CREATE UNIQUE INDEX "pending_approvals_one_pending_per_target" ON "pending_approvals"("action", "targetId") WHERE "status" = 'PENDING';
+
+-- AddForeignKey
+ALTER TABLE "pending_approvals" ADD CONSTRAINT "pending_approvals_requestedBy_fkey" FOREIGN KEY ("requestedBy") REFERENCES "admins"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "pending_approvals" ADD CONSTRAINT "pending_approvals_reviewedBy_fkey" FOREIGN KEY ("reviewedBy") REFERENCES "admins"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
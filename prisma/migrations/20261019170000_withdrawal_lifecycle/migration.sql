@@ -0,0 +1,48 @@
+-- AlterEnum
+ALTER TYPE "WithdrawalStatus" ADD VALUE 'FAILED';
+
+-- CreateEnum
+CREATE TYPE "PayoutBatchStatus" AS ENUM ('PROCESSING', 'PAID', 'CANCELLED');
+
+-- Approval used to pay a withdrawal out immediately (ledger and transaction
+-- already settled), so those withdrawals are complete under the new lifecycle
+UPDATE "withdrawals" SET "status" = 'COMPLETED' WHERE "status" = 'APPROVED';
+
+-- AlterTable
+ALTER TABLE "withdrawals" ADD COLUMN "payoutBatchId" TEXT;
+
+-- CreateTable
+CREATE TABLE "payout_batches" (
+    "id" TEXT NOT NULL,
+    "reference" TEXT NOT NULL,
+    "status" "PayoutBatchStatus" NOT NULL DEFAULT 'PROCESSING',
+    "totalAmount" DECIMAL(15,2) NOT NULL,
+    "withdrawalCount" INTEGER NOT NULL,
+    "createdBy" TEXT NOT NULL,
+    "paidBy" TEXT,
+    "paidAt" TIMESTAMP(3),
+    "bankReference" TEXT,
+    "remarks" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "payout_batches_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payout_batches_reference_key" ON "payout_batches"("reference");
+
+-- CreateIndex
+CREATE INDEX "payout_batches_status_idx" ON "payout_batches"("status");
+
+-- CreateIndex
+CREATE INDEX "withdrawals_status_idx" ON "withdrawals"("status");
+
+-- CreateIndex
+CREATE INDEX "withdrawals_payoutBatchId_idx" ON "withdrawals"("payoutBatchId");
+
+-- One open withdrawal per user
+CREATE UNIQUE INDEX "withdrawals_one_open_per_user" ON "withdrawals"("userId") WHERE "status" IN ('PENDING', 'APPROVED', 'PROCESSING');
+
+-- AddForeignKey
+ALTER TABLE "withdrawals" ADD CONSTRAINT "withdrawals_payoutBatchId_fkey" FOREIGN KEY ("payoutBatchId") REFERENCES "payout_batches"("id") ON DELETE SET NULL ON UPDATE CASCADE;
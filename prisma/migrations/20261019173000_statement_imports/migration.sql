@@ -0,0 +1,55 @@
+-- CreateEnum
+CREATE TYPE "StatementRowStatus" AS ENUM ('MATCHED', 'AMOUNT_MISMATCH', 'OUTSIDE_WINDOW', 'UTR_UNKNOWN', 'DUPLICATE', 'ALREADY_PROCESSED', 'INVALID', 'FAILED', 'SKIPPED');
+
+-- CreateTable
+CREATE TABLE "statement_imports" (
+    "id" TEXT NOT NULL,
+    "source" TEXT,
+    "fileName" TEXT,
+    "columnMapping" JSONB NOT NULL,
+    "uploadedBy" TEXT NOT NULL,
+    "rowCount" INTEGER NOT NULL,
+    "matchedCount" INTEGER NOT NULL,
+    "flaggedCount" INTEGER NOT NULL,
+    "skippedCount" INTEGER NOT NULL,
+    "periodStart" TIMESTAMP(3),
+    "periodEnd" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "statement_imports_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "statement_rows" (
+    "id" TEXT NOT NULL,
+    "importId" TEXT NOT NULL,
+    "rowNumber" INTEGER NOT NULL,
+    "utr" TEXT,
+    "amount" DECIMAL(15,2),
+    "transactedAt" TIMESTAMP(3),
+    "description" TEXT,
+    "status" "StatementRowStatus" NOT NULL,
+    "depositId" TEXT,
+    "note" TEXT,
+    "raw" JSONB NOT NULL,
+
+    CONSTRAINT "statement_rows_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "statement_imports_createdAt_idx" ON "statement_imports"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "statement_rows_importId_status_idx" ON "statement_rows"("importId", "status");
+
+-- CreateIndex
+CREATE INDEX "statement_rows_utr_idx" ON "statement_rows"("utr");
+
+-- CreateIndex
+CREATE INDEX "deposits_transactionId_idx" ON "deposits"("transactionId");
+
+-- AddForeignKey
+ALTER TABLE "statement_rows" ADD CONSTRAINT "statement_rows_importId_fkey" FOREIGN KEY ("importId") REFERENCES "statement_imports"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "statement_rows" ADD CONSTRAINT "statement_rows_depositId_fkey" FOREIGN KEY ("depositId") REFERENCES "deposits"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "deposits" ALTER COLUMN "upiId" DROP NOT NULL,
+ALTER COLUMN "transactionId" DROP NOT NULL,
+ADD COLUMN "provider" TEXT,
+ADD COLUMN "providerReference" TEXT;
+
+-- CreateTable
+CREATE TABLE "payment_events" (
+    "id" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "eventId" TEXT NOT NULL,
+    "providerReference" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "depositId" TEXT,
+    "outcome" TEXT,
+    "payload" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "payment_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "deposits_providerReference_key" ON "deposits"("providerReference");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payment_events_provider_eventId_key" ON "payment_events"("provider", "eventId");
+
+-- CreateIndex
+CREATE INDEX "payment_events_providerReference_idx" ON "payment_events"("providerReference");
+
+-- AddForeignKey
+ALTER TABLE "payment_events" ADD CONSTRAINT "payment_events_depositId_fkey" FOREIGN KEY ("depositId") REFERENCES "deposits"("id") ON DELETE SET NULL ON UPDATE CASCADE;
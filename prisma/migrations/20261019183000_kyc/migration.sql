@@ -0,0 +1,44 @@
+-- CreateEnum
+CREATE TYPE "KycStatus" AS ENUM ('NOT_SUBMITTED', 'PENDING', 'VERIFIED', 'REJECTED');
+
+-- CreateEnum
+CREATE TYPE "KycIdType" AS ENUM ('PAN', 'AADHAAR');
+
+-- CreateEnum
+CREATE TYPE "KycSubmissionStatus" AS ENUM ('PENDING', 'APPROVED', 'REJECTED');
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "kycStatus" "KycStatus" NOT NULL DEFAULT 'NOT_SUBMITTED',
+ADD COLUMN "kycVerifiedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "kyc_submissions" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "idType" "KycIdType" NOT NULL,
+    "idNumber" TEXT NOT NULL,
+    "idDocumentKey" TEXT NOT NULL,
+    "idDocumentType" TEXT NOT NULL,
+    "selfieKey" TEXT NOT NULL,
+    "selfieType" TEXT NOT NULL,
+    "status" "KycSubmissionStatus" NOT NULL DEFAULT 'PENDING',
+    "rejectionReason" TEXT,
+    "reviewedBy" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "kyc_submissions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "kyc_submissions_userId_idx" ON "kyc_submissions"("userId");
+
+-- CreateIndex
+CREATE INDEX "kyc_submissions_status_createdAt_idx" ON "kyc_submissions"("status", "createdAt");
+
+-- One submission under review per user
+CREATE UNIQUE INDEX "kyc_submissions_one_pending_per_user" ON "kyc_submissions"("userId") WHERE "status" = 'PENDING';
+
+-- AddForeignKey
+ALTER TABLE "kyc_submissions" ADD CONSTRAINT "kyc_submissions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,51 @@
+-- CreateEnum
+CREATE TYPE "PayoutMethodType" AS ENUM ('BANK_ACCOUNT', 'UPI');
+
+-- AlterEnum
+ALTER TYPE "OtpPurpose" ADD VALUE 'PAYOUT_METHOD_CHANGE';
+
+-- CreateTable
+CREATE TABLE "payout_methods" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "type" "PayoutMethodType" NOT NULL,
+    "label" TEXT,
+    "accountHolder" TEXT,
+    "accountNumber" TEXT,
+    "ifscCode" TEXT,
+    "bankName" TEXT,
+    "branchName" TEXT,
+    "vpa" TEXT,
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "usableFrom" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "payout_methods_pkey" PRIMARY KEY ("id")
+);
+
+-- Existing bank details become each user's default method, usable at once
+INSERT INTO "payout_methods" ("id", "userId", "type", "accountHolder", "accountNumber", "ifscCode", "bankName", "branchName", "isDefault", "usableFrom", "createdAt", "updatedAt")
+SELECT "id", "userId", 'BANK_ACCOUNT', "accountHolder", "accountNumber", "ifscCode", "bankName", "branchName", true, "createdAt", "createdAt", "updatedAt"
+FROM "bank_details";
+
+-- DropTable
+DROP TABLE "bank_details";
+
+-- AlterTable
+ALTER TABLE "withdrawals" ADD COLUMN "payoutMethodId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "payout_methods_userId_idx" ON "payout_methods"("userId");
+
+-- One default method per user
+CREATE UNIQUE INDEX "payout_methods_one_default_per_user" ON "payout_methods"("userId") WHERE "isDefault";
+
+-- CreateIndex
+CREATE INDEX "withdrawals_payoutMethodId_idx" ON "withdrawals"("payoutMethodId");
+
+-- AddForeignKey
+ALTER TABLE "payout_methods" ADD CONSTRAINT "payout_methods_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "withdrawals" ADD CONSTRAINT "withdrawals_payoutMethodId_fkey" FOREIGN KEY ("payoutMethodId") REFERENCES "payout_methods"("id") ON DELETE SET NULL ON UPDATE CASCADE;
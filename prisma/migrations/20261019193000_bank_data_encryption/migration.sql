@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "payout_methods" ADD COLUMN "accountLast4" TEXT;
+
+-- Existing account numbers are still plaintext; `npm run data:rotate-keys` encrypts them
+UPDATE "payout_methods" SET "accountLast4" = RIGHT("accountNumber", 4) WHERE "accountNumber" IS NOT NULL;
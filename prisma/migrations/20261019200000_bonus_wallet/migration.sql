@@ -0,0 +1,53 @@
+-- AlterEnum
+ALTER TYPE "LedgerAccountType" ADD VALUE 'BONUS_HELD';
+
+-- AlterEnum
+ALTER TYPE "TransactionType" ADD VALUE 'BONUS_CONVERTED';
+
+-- CreateEnum
+CREATE TYPE "BonusSource" AS ENUM ('REFERRAL');
+
+-- CreateEnum
+CREATE TYPE "BonusStatus" AS ENUM ('QUEUED', 'ACTIVE', 'CONVERTED', 'EXPIRED', 'SPENT');
+
+-- CreateTable
+CREATE TABLE "bonuses" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "source" "BonusSource" NOT NULL,
+    "referenceId" TEXT,
+    "amount" DECIMAL(15,2) NOT NULL,
+    "balance" DECIMAL(15,2) NOT NULL,
+    "wageringRequired" DECIMAL(15,2) NOT NULL,
+    "wagered" DECIMAL(15,2) NOT NULL DEFAULT 0,
+    "maxBet" DECIMAL(15,2) NOT NULL,
+    "expiryDays" INTEGER NOT NULL,
+    "status" "BonusStatus" NOT NULL DEFAULT 'QUEUED',
+    "activatedAt" TIMESTAMP(3),
+    "expiresAt" TIMESTAMP(3),
+    "closedAt" TIMESTAMP(3),
+    "convertedAmount" DECIMAL(15,2),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "bonuses_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "bets" ADD COLUMN "bonusId" TEXT,
+ADD COLUMN "bonusStake" DECIMAL(15,2) NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "bonuses_userId_status_idx" ON "bonuses"("userId", "status");
+
+-- One active bonus per user
+CREATE UNIQUE INDEX "bonuses_one_active_per_user" ON "bonuses"("userId") WHERE "status" = 'ACTIVE';
+
+-- CreateIndex
+CREATE INDEX "bets_bonusId_result_idx" ON "bets"("bonusId", "result");
+
+-- AddForeignKey
+ALTER TABLE "bonuses" ADD CONSTRAINT "bonuses_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bets" ADD CONSTRAINT "bets_bonusId_fkey" FOREIGN KEY ("bonusId") REFERENCES "bonuses"("id") ON DELETE SET NULL ON UPDATE CASCADE;
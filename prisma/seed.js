@@ -40,6 +40,21 @@ async function main() {
     { key: 'GAME_ENABLED', value: 'true', description: 'Enable or disable the game' },
     { key: 'MIN_BET_AMOUNT', value: '10', description: 'Minimum bet amount' },
     { key: 'MAX_BET_AMOUNT', value: '10000', description: 'Maximum bet amount' },
+    { key: 'MAX_ROUND_STAKE_PER_USER', value: '50000', description: 'Maximum total stake per user in a single round' },
+    { key: 'OTP_MAX_ATTEMPTS', value: '5', description: 'Wrong OTP guesses before the code is invalidated' },
+    { key: 'OTP_RESEND_COOLDOWN_SECONDS', value: '60', description: 'Seconds between OTP requests for one mobile number' },
+    { key: 'OTP_DAILY_LIMIT', value: '10', description: 'OTPs one mobile number can request per 24 hours' },
+    { key: 'APPROVAL_WITHDRAWAL_THRESHOLD', value: '50000', description: 'Withdrawals one admin approves for one user above this total (per window) need a second admin to confirm' },
+    { key: 'APPROVAL_ADJUSTMENT_THRESHOLD', value: '10000', description: 'Balance adjustments one admin posts to one user above this total (per window) need a second admin to confirm' },
+    { key: 'APPROVAL_WINDOW_HOURS', value: '24', description: 'Hours over which the withdrawal and adjustment approval totals are summed' },
+    { key: 'APPROVAL_SETTING_CHANGE_PERCENT', value: '25', description: 'Numeric setting changes above this percentage need a second admin to confirm' },
+    { key: 'DEPOSIT_MATCH_WINDOW_HOURS', value: '48', description: 'Hours between a deposit request and its statement entry for an automatic match' },
+    { key: 'LIMIT_COOLING_OFF_HOURS', value: '24', description: 'Hours before a raised responsible-gambling limit applies' },
+    { key: 'KYC_UNVERIFIED_WITHDRAWAL_LIMIT', value: '5000', description: 'Total a user without verified KYC may withdraw' },
+    { key: 'PAYOUT_METHOD_COOLING_OFF_HOURS', value: '24', description: 'Hours before a newly added payout method can receive withdrawals' },
+    { key: 'BONUS_WAGERING_MULTIPLIER', value: '10', description: 'Times a bonus must be staked before it converts to withdrawable cash' },
+    { key: 'BONUS_EXPIRY_DAYS', value: '30', description: 'Days an active bonus has to meet its wagering requirement' },
+    { key: 'BONUS_MAX_BET', value: '500', description: 'Largest bet allowed while a bonus is active' },
     { key: 'MIN_DEPOSIT_AMOUNT', value: '100', description: 'Minimum deposit amount' },
     { key: 'MIN_WITHDRAWAL_AMOUNT', value: '200', description: 'Minimum withdrawal amount' },
     { key: 'WITHDRAWAL_FEE_PERCENTAGE', value: '0', description: 'Withdrawal fee percentage' },
@@ -14,6 +14,8 @@ const walletRoutes = require('./routes/wallet.routes');
 const gameRoutes = require('./routes/game.routes');
 const adminRoutes = require('./routes/admin.routes');
 const riskDashboardRoutes = require('./routes/riskDashboard.routes');
+const paymentRoutes = require('./routes/payment.routes');
+const kycRoutes = require('./routes/kyc.routes');
 
 // Initialize Express app
 const app = express();
@@ -37,7 +39,7 @@ const corsOptions = {
   origin: env.CORS_ORIGIN,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-Device-Id', 'X-2FA-Code', 'X-2FA-Backup-Code'],
 };
 app.use(cors(corsOptions));
 
@@ -56,7 +58,15 @@ app.use(cors(corsOptions));
 const authLimiter = (req, res, next) => next(); // Bypass rate limit
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Payment webhooks are signed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  },
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Logging middleware
@@ -90,9 +100,11 @@ app.get('/dashboard', (req, res) => {
 // API Routes
 app.use('/api/auth', authLimiter, authRoutes);
 app.use('/api/wallet', walletRoutes);
+app.use('/api/kyc', kycRoutes);
 app.use('/api/game', gameRoutes);
 app.use('/api/admin', authLimiter, adminRoutes);
 app.use('/api/admin/risk', authLimiter, riskDashboardRoutes);
+app.use('/api/payments', paymentRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -10,6 +10,7 @@ const PAYOUTS = {
     RED: 1.95,    // 95% profit
     VIOLET: 4.5,  // 45% profit (higher risk)
   },
+  DUAL_COLOR: 1.45, // GREEN/RED bet winning on a dual-colour number (0 or 5)
   NUMBER: 8.5,    // 850% profit (highest risk)
   SIZE: {
     BIG: 1.95,    // 95% profit
@@ -31,6 +32,12 @@ const NUMBER_COLORS = {
   9: 'GREEN',
 };
 
+// Second colour of the dual-colour numbers (both are also VIOLET)
+const DUAL_COLORS = {
+  0: 'RED',
+  5: 'GREEN',
+};
+
 // Size mapping for numbers
 const NUMBER_SIZES = {
   0: 'SMALL',
@@ -59,6 +66,73 @@ const TRANSACTION_TYPES = {
   BET_PLACED: 'BET_PLACED',
   BET_WON: 'BET_WON',
   REFUND: 'REFUND',
+  ADJUSTMENT: 'ADJUSTMENT',
+};
+
+// Reasons an admin may credit or debit a wallet by hand
+const ADJUSTMENT_REASONS = {
+  GOODWILL: 'GOODWILL',     // Compensation for a poor experience
+  CORRECTION: 'CORRECTION', // Fixing a wrong balance
+  CHARGEBACK: 'CHARGEBACK', // Deposit reversed by the bank
+  BONUS: 'BONUS',           // Promotional credit
+};
+
+// Ledger system accounts (user wallets are USER_WALLET:<userId>)
+const LEDGER_ACCOUNTS = {
+  HOUSE: 'HOUSE',                           // Game bank - stakes in, winnings out
+  PENDING_WITHDRAWAL: 'PENDING_WITHDRAWAL', // Funds held for requested withdrawals
+  BONUS_POOL: 'BONUS_POOL',                 // Source of referral and promotional bonuses
+  BONUS_HELD: 'BONUS_HELD',                 // Users' bonus balances, not yet withdrawable
+  EXTERNAL: 'EXTERNAL',                     // Money entering/leaving through UPI and bank
+  OPENING_BALANCE: 'OPENING_BALANCE',       // Balances that existed before the ledger
+};
+
+// Ledger journal entry types
+const LEDGER_ENTRY_TYPES = {
+  DEPOSIT: 'DEPOSIT',
+  WITHDRAWAL_REQUESTED: 'WITHDRAWAL_REQUESTED',
+  WITHDRAWAL_PAID: 'WITHDRAWAL_PAID',
+  WITHDRAWAL_REFUNDED: 'WITHDRAWAL_REFUNDED',
+  BET_PLACED: 'BET_PLACED',
+  BET_WON: 'BET_WON',
+  BET_REFUNDED: 'BET_REFUNDED',
+  REFERRAL_BONUS: 'REFERRAL_BONUS',
+  BONUS_CONVERTED: 'BONUS_CONVERTED',
+  BONUS_EXPIRED: 'BONUS_EXPIRED',
+  OPENING_BALANCE: 'OPENING_BALANCE',
+  ADJUSTMENT: 'ADJUSTMENT',
+};
+
+// Admin audit log actions
+const ADMIN_AUDIT_ACTIONS = {
+  RESULT_DECLARED: 'RESULT_DECLARED',
+  ROUND_STATUS_UPDATED: 'ROUND_STATUS_UPDATED',
+  ROUND_CANCELLED: 'ROUND_CANCELLED',
+  DEPOSIT_PROCESSED: 'DEPOSIT_PROCESSED',
+  WITHDRAWAL_PROCESSED: 'WITHDRAWAL_PROCESSED',
+  SETTING_UPDATED: 'SETTING_UPDATED',
+  USER_STATUS_UPDATED: 'USER_STATUS_UPDATED',
+  UPI_ID_UPDATED: 'UPI_ID_UPDATED',
+  ADMIN_CREATED: 'ADMIN_CREATED',
+  TABLE_CREATED: 'TABLE_CREATED',
+  TABLE_UPDATED: 'TABLE_UPDATED',
+  USER_SESSIONS_REVOKED: 'USER_SESSIONS_REVOKED',
+  TWO_FACTOR_ENABLED: 'TWO_FACTOR_ENABLED',
+  ADMIN_PERMISSIONS_UPDATED: 'ADMIN_PERMISSIONS_UPDATED',
+  APPROVAL_REQUESTED: 'APPROVAL_REQUESTED',
+  APPROVAL_EXECUTED: 'APPROVAL_EXECUTED',
+  APPROVAL_REJECTED: 'APPROVAL_REJECTED',
+  APPROVAL_CANCELLED: 'APPROVAL_CANCELLED',
+  APPROVAL_FAILED: 'APPROVAL_FAILED',
+  BACKUP_CODES_REGENERATED: 'BACKUP_CODES_REGENERATED',
+  BALANCE_ADJUSTED: 'BALANCE_ADJUSTED',
+  PAYOUT_BATCH_CREATED: 'PAYOUT_BATCH_CREATED',
+  PAYOUT_BATCH_PAID: 'PAYOUT_BATCH_PAID',
+  PAYOUT_BATCH_CANCELLED: 'PAYOUT_BATCH_CANCELLED',
+  STATEMENT_IMPORTED: 'STATEMENT_IMPORTED',
+  KYC_REVIEWED: 'KYC_REVIEWED',
+  BANK_DETAILS_REVEALED: 'BANK_DETAILS_REVEALED',
+  PAYOUT_BATCH_EXPORTED: 'PAYOUT_BATCH_EXPORTED',
 };
 
 // Transaction statuses
@@ -98,6 +172,56 @@ const ADMIN_ROLES = {
   MODERATOR: 'MODERATOR',
 };
 
+// Admin permissions (resource:action)
+const ADMIN_PERMISSIONS = {
+  DASHBOARD_VIEW: 'dashboard:view',
+  USERS_VIEW: 'users:view',
+  USERS_SUSPEND: 'users:suspend',       // Activate/deactivate and force logout
+  DEPOSITS_VIEW: 'deposits:view',
+  DEPOSITS_APPROVE: 'deposits:approve',
+  WITHDRAWALS_VIEW: 'withdrawals:view',
+  WITHDRAWALS_APPROVE: 'withdrawals:approve',
+  BANK_DETAILS_REVEAL: 'bank-details:reveal', // Full account numbers (masked otherwise)
+  WALLETS_ADJUST: 'wallets:adjust',     // Manual credits and debits
+  KYC_VIEW: 'kyc:view',                 // Review queue and identity documents
+  KYC_REVIEW: 'kyc:review',             // Approve or reject KYC submissions
+  SETTINGS_VIEW: 'settings:view',
+  SETTINGS_WRITE: 'settings:write',     // Settings and the deposit UPI ID
+  ROUNDS_VIEW: 'rounds:view',
+  ROUNDS_DECLARE: 'rounds:declare',     // Declare, auto-calculate and preview results
+  ROUNDS_CONTROL: 'rounds:control',     // Pause/resume betting
+  ROUNDS_CANCEL: 'rounds:cancel',
+  TABLES_WRITE: 'tables:write',
+  BETS_VIEW: 'bets:view',
+  RISK_VIEW: 'risk:view',
+  SECURITY_VIEW: 'security:view',       // OTP lockouts
+  ADMINS_MANAGE: 'admins:manage',
+  AUDIT_VIEW: 'audit:view',
+  APPROVALS_REVIEW: 'approvals:review', // Confirm or reject four-eyes requests
+};
+
+// Permissions each role has before per-admin overrides
+const ROLE_PERMISSIONS = {
+  SUPER_ADMIN: Object.values(ADMIN_PERMISSIONS),
+  ADMIN: Object.values(ADMIN_PERMISSIONS).filter(permission => ![
+    ADMIN_PERMISSIONS.ADMINS_MANAGE,
+    ADMIN_PERMISSIONS.AUDIT_VIEW,
+    ADMIN_PERMISSIONS.BANK_DETAILS_REVEAL,
+  ].includes(permission)),
+  MODERATOR: [
+    ADMIN_PERMISSIONS.DASHBOARD_VIEW,
+    ADMIN_PERMISSIONS.USERS_VIEW,
+    ADMIN_PERMISSIONS.USERS_SUSPEND,
+    ADMIN_PERMISSIONS.DEPOSITS_VIEW,
+    ADMIN_PERMISSIONS.WITHDRAWALS_VIEW,
+    ADMIN_PERMISSIONS.KYC_VIEW,
+    ADMIN_PERMISSIONS.ROUNDS_VIEW,
+    ADMIN_PERMISSIONS.BETS_VIEW,
+    ADMIN_PERMISSIONS.RISK_VIEW,
+    ADMIN_PERMISSIONS.SECURITY_VIEW,
+  ],
+};
+
 // Deposit statuses
 const DEPOSIT_STATUS = {
   PENDING: 'PENDING',
@@ -107,11 +231,48 @@ const DEPOSIT_STATUS = {
 
 // Withdrawal statuses
 const WITHDRAWAL_STATUS = {
-  PENDING: 'PENDING',
-  APPROVED: 'APPROVED',
-  REJECTED: 'REJECTED',
-  PROCESSING: 'PROCESSING',
-  COMPLETED: 'COMPLETED',
+  PENDING: 'PENDING',       // Requested, amount held
+  APPROVED: 'APPROVED',     // Cleared for payout
+  REJECTED: 'REJECTED',     // Turned down, amount refunded
+  PROCESSING: 'PROCESSING', // In a payout batch sent to the bank
+  COMPLETED: 'COMPLETED',   // Paid out
+  FAILED: 'FAILED',         // Payout failed, amount refunded
+};
+
+// Legal withdrawal status changes (REJECTED, COMPLETED and FAILED are final)
+const WITHDRAWAL_TRANSITIONS = {
+  PENDING: ['APPROVED', 'REJECTED'],
+  APPROVED: ['PROCESSING', 'COMPLETED', 'REJECTED'],
+  PROCESSING: ['COMPLETED', 'FAILED', 'APPROVED'], // APPROVED when its batch is cancelled
+  REJECTED: [],
+  COMPLETED: [],
+  FAILED: [],
+};
+
+// Where withdrawals can be paid
+const PAYOUT_METHOD_TYPES = {
+  BANK_ACCOUNT: 'BANK_ACCOUNT',
+  UPI: 'UPI',
+};
+
+// Saved payout methods (bank accounts and UPI VPAs)
+const PAYOUT_METHODS = {
+  MAX_PER_USER: 5,
+  COOLING_OFF_HOURS: 24, // Before a new method can receive withdrawals (PAYOUT_METHOD_COOLING_OFF_HOURS)
+};
+
+// Bonus wallet defaults (overridable through settings)
+const BONUSES = {
+  WAGERING_MULTIPLIER: 10, // Stake needed = bonus x this (BONUS_WAGERING_MULTIPLIER)
+  EXPIRY_DAYS: 30,         // From activation (BONUS_EXPIRY_DAYS)
+  MAX_BET: 500,            // Largest bet while a bonus is active (BONUS_MAX_BET)
+};
+
+// Payout batch statuses
+const PAYOUT_BATCH_STATUS = {
+  PROCESSING: 'PROCESSING', // Exported, waiting for the bank
+  PAID: 'PAID',
+  CANCELLED: 'CANCELLED',
 };
 
 // Minimum amounts
@@ -124,21 +285,160 @@ const MIN_AMOUNTS = {
 // Maximum amounts
 const MAX_AMOUNTS = {
   BET: 10000,
+  ROUND_STAKE: 50000, // Per user per round, overridable via MAX_ROUND_STAKE_PER_USER setting
+};
+
+// Bounds of a game table's round duration (seconds)
+const GAME_TABLE_DURATION = {
+  MIN: 10,
+  MAX: 3600,
+};
+
+// Maximum number of legs on a single bet slip
+const MAX_BET_SLIP_LEGS = 10;
+
+// OTP brute-force and SMS-abuse protection (overridable via settings)
+const OTP_SECURITY = {
+  EXPIRY_MINUTES: 5,
+  MAX_ATTEMPTS: 5,            // Wrong guesses before a code is invalidated (OTP_MAX_ATTEMPTS)
+  RESEND_COOLDOWN_SECONDS: 60, // Per mobile number (OTP_RESEND_COOLDOWN_SECONDS)
+  DAILY_LIMIT: 10,            // OTPs per mobile number per 24 hours (OTP_DAILY_LIMIT)
+  RESET_WINDOW_MINUTES: 10,   // How long after expiry a verified code still allows a password reset
+};
+
+// Four-eyes thresholds (overridable via settings); above them a second admin must confirm
+const FOUR_EYES = {
+  WITHDRAWAL_THRESHOLD: 50000,  // Withdrawal amount (APPROVAL_WITHDRAWAL_THRESHOLD)
+  ADJUSTMENT_THRESHOLD: 10000,  // Absolute balance adjustment (APPROVAL_ADJUSTMENT_THRESHOLD)
+  SETTING_CHANGE_PERCENT: 25,   // Relative change of a numeric setting (APPROVAL_SETTING_CHANGE_PERCENT)
+  WINDOW_HOURS: 24,             // Amounts one admin moves for one user are summed over this window (APPROVAL_WINDOW_HOURS)
+};
+
+// Bank/UPI statement import for matching deposits
+const STATEMENT_IMPORT = {
+  MAX_ROWS: 5000,
+  MATCH_WINDOW_HOURS: 48,     // Statement time vs deposit request time (DEPOSIT_MATCH_WINDOW_HOURS)
+  UTC_OFFSET_MINUTES: 330,    // Statement times without a zone are read as IST
+  DEFAULT_COLUMNS: {          // Header of each field, overridable per upload
+    utr: 'UTR',
+    amount: 'Amount',
+    date: 'Date',
+    description: 'Description',
+  },
+};
+
+// KYC (identity verification) uploads and per-level limits
+const KYC = {
+  ID_TYPES: ['PAN', 'AADHAAR'],
+  ID_DOCUMENT_TYPES: ['image/jpeg', 'image/png', 'application/pdf'],
+  SELFIE_TYPES: ['image/jpeg', 'image/png'],
+  MAX_FILE_BYTES: 3 * 1024 * 1024, // Per file; both base64 files must fit the 10mb JSON body
+  // Total a user may withdraw at each level, null = no cap
+  // (KYC_UNVERIFIED_WITHDRAWAL_LIMIT / KYC_VERIFIED_WITHDRAWAL_LIMIT settings)
+  WITHDRAWAL_LIMITS: {
+    UNVERIFIED: 5000,
+    VERIFIED: null,
+  },
+};
+
+// Payment gateway deposits
+const PAYMENTS = {
+  WEBHOOK_TOLERANCE_SECONDS: 300, // Replay window of a signed webhook
+  INTENT_EXPIRY_MINUTES: 30,
+};
+
+// Admin two-factor authentication (TOTP, RFC 6238)
+const TWO_FACTOR = {
+  ISSUER: 'Color Prediction',
+  REQUIRED_ROLES: ['SUPER_ADMIN', 'ADMIN'],
+  DIGITS: 6,
+  STEP_SECONDS: 30,
+  WINDOW_STEPS: 1,            // Clock drift tolerated either way
+  BACKUP_CODE_COUNT: 10,
+  MAX_FAILED_ATTEMPTS: 5,     // Wrong codes in a row before 2FA is locked
+  LOCK_MINUTES: 15,
+  STEP_UP_MINUTES: 5,         // How long a verified code covers sensitive actions
+};
+
+// Responsible-gambling limits
+const RESPONSIBLE_GAMBLING = {
+  LIMIT_TYPES: ['DEPOSIT', 'WAGER', 'LOSS'],
+  PERIOD_DAYS: {
+    DAILY: 1,
+    WEEKLY: 7,
+    MONTHLY: 30,
+  },
+  COOLING_OFF_HOURS: 24, // Delay before a raised limit applies, overridable via LIMIT_COOLING_OFF_HOURS setting
+};
+
+// Self-exclusion periods (null = permanent)
+const SELF_EXCLUSION_PERIODS = {
+  HOURS_24: { hours: 24 },
+  DAYS_7: { days: 7 },
+  DAYS_30: { days: 30 },
+  MONTHS_6: { months: 6 },
+  PERMANENT: null,
+};
+
+// Machine-readable codes returned with business-rule errors
+const ERROR_CODES = {
+  DEPOSIT_LIMIT_EXCEEDED: 'DEPOSIT_LIMIT_EXCEEDED',
+  WAGER_LIMIT_EXCEEDED: 'WAGER_LIMIT_EXCEEDED',
+  LOSS_LIMIT_EXCEEDED: 'LOSS_LIMIT_EXCEEDED',
+  SELF_EXCLUDED: 'SELF_EXCLUDED',
+  OTP_COOLDOWN: 'OTP_COOLDOWN',
+  OTP_DAILY_LIMIT_REACHED: 'OTP_DAILY_LIMIT_REACHED',
+  OTP_LOCKED: 'OTP_LOCKED',
+  SESSION_REVOKED: 'SESSION_REVOKED',
+  REFRESH_TOKEN_REUSED: 'REFRESH_TOKEN_REUSED',
+  TWO_FACTOR_REQUIRED: 'TWO_FACTOR_REQUIRED',
+  TWO_FACTOR_INVALID: 'TWO_FACTOR_INVALID',
+  TWO_FACTOR_LOCKED: 'TWO_FACTOR_LOCKED',
+  TWO_FACTOR_ENROLLMENT_REQUIRED: 'TWO_FACTOR_ENROLLMENT_REQUIRED',
+  TWO_FACTOR_STEP_UP_REQUIRED: 'TWO_FACTOR_STEP_UP_REQUIRED',
+  PERMISSION_DENIED: 'PERMISSION_DENIED',
+  WEBHOOK_SIGNATURE_INVALID: 'WEBHOOK_SIGNATURE_INVALID',
+  KYC_REQUIRED: 'KYC_REQUIRED',
+  PAYOUT_METHOD_COOLING_OFF: 'PAYOUT_METHOD_COOLING_OFF',
+  BONUS_MAX_BET_EXCEEDED: 'BONUS_MAX_BET_EXCEEDED',
 };
 
 module.exports = {
   PAYOUTS,
   NUMBER_COLORS,
+  DUAL_COLORS,
   NUMBER_SIZES,
   BET_CATEGORIES,
   TRANSACTION_TYPES,
+  ADJUSTMENT_REASONS,
+  LEDGER_ACCOUNTS,
+  LEDGER_ENTRY_TYPES,
+  ADMIN_AUDIT_ACTIONS,
   TRANSACTION_STATUS,
   BET_RESULT,
   GAME_STATUS,
   USER_ROLES,
   ADMIN_ROLES,
+  ADMIN_PERMISSIONS,
+  ROLE_PERMISSIONS,
   DEPOSIT_STATUS,
   WITHDRAWAL_STATUS,
+  WITHDRAWAL_TRANSITIONS,
+  PAYOUT_METHOD_TYPES,
+  PAYOUT_METHODS,
+  BONUSES,
+  PAYOUT_BATCH_STATUS,
   MIN_AMOUNTS,
   MAX_AMOUNTS,
+  GAME_TABLE_DURATION,
+  MAX_BET_SLIP_LEGS,
+  OTP_SECURITY,
+  FOUR_EYES,
+  STATEMENT_IMPORT,
+  KYC,
+  PAYMENTS,
+  TWO_FACTOR,
+  RESPONSIBLE_GAMBLING,
+  SELF_EXCLUSION_PERIODS,
+  ERROR_CODES,
 };
@@ -24,8 +24,31 @@ const env = {
   ADMIN_DEFAULT_PASSWORD: process.env.ADMIN_DEFAULT_PASSWORD || 'admin123',
   ADMIN_UPI: process.env.ADMIN_UPI || 'admin@upi',
 
-  // Game
-  GAME_ROUND_DURATION: parseInt(process.env.GAME_ROUND_DURATION) || 30,
+  // SMS
+  SMS_PROVIDER: (process.env.SMS_PROVIDER || 'CONSOLE').toUpperCase(),
+  SMS_OUTBOX_FILE: process.env.SMS_OUTBOX_FILE || null,
+  SMS_HTTP_URL: process.env.SMS_HTTP_URL || null,
+  SMS_HTTP_METHOD: (process.env.SMS_HTTP_METHOD || 'POST').toUpperCase(),
+  SMS_HTTP_HEADERS: process.env.SMS_HTTP_HEADERS || null,
+  SMS_HTTP_BODY: process.env.SMS_HTTP_BODY || null,
+  SMS_HTTP_TIMEOUT_MS: parseInt(process.env.SMS_HTTP_TIMEOUT_MS) || 10000,
+  SMS_MAX_ATTEMPTS: parseInt(process.env.SMS_MAX_ATTEMPTS) || 3,
+  SMS_RETRY_BASE_MS: parseInt(process.env.SMS_RETRY_BASE_MS) || 2000,
+
+  // Payments (PAYMENT_PROVIDER unset keeps deposits manual: UPI ID + UTR)
+  PAYMENT_PROVIDER: process.env.PAYMENT_PROVIDER ? process.env.PAYMENT_PROVIDER.toUpperCase() : null,
+  PAYMENT_MOCK_WEBHOOK_SECRET: process.env.PAYMENT_MOCK_WEBHOOK_SECRET || null,
+  PAYMENT_MOCK_OUTCOME: (process.env.PAYMENT_MOCK_OUTCOME || 'SUCCEEDED').toUpperCase(),
+  PAYMENT_MOCK_DELAY_MS: parseInt(process.env.PAYMENT_MOCK_DELAY_MS) || 3000,
+  PAYMENT_MOCK_WEBHOOK_URL: process.env.PAYMENT_MOCK_WEBHOOK_URL
+    || `http://localhost:${parseInt(process.env.PORT) || 5000}/api/payments/webhook/mock`,
+
+  // Encryption of sensitive fields at rest (`id:base64key,...`, first one encrypts)
+  DATA_ENCRYPTION_KEYS: process.env.DATA_ENCRYPTION_KEYS || null,
+
+  // File storage (KYC documents)
+  STORAGE_DRIVER: (process.env.STORAGE_DRIVER || 'LOCAL').toUpperCase(),
+  STORAGE_LOCAL_DIR: process.env.STORAGE_LOCAL_DIR || 'storage',
 
   // Rate Limiting
   RATE_LIMIT_WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
@@ -39,7 +62,7 @@ const env = {
 };
 
 // Validate required environment variables
-const requiredEnvVars = ['JWT_SECRET'];
+const requiredEnvVars = ['JWT_SECRET', 'DATA_ENCRYPTION_KEYS'];
 
 if (env.NODE_ENV === 'production') {
   for (const envVar of requiredEnvVars) {
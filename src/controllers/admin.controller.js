@@ -1,6 +1,17 @@
 const adminService = require('../services/admin.service');
+const auditService = require('../services/audit.service');
+const otpService = require('../services/otp.service');
+const permissionService = require('../services/permission.service');
+const payoutMethodService = require('../services/payoutMethod.service');
 const { success, error, paginated } = require('../utils/response');
 
+const WITHDRAWAL_MESSAGES = {
+  APPROVED: 'Withdrawal approved successfully',
+  REJECTED: 'Withdrawal rejected and refunded',
+  COMPLETED: 'Withdrawal marked as paid',
+  FAILED: 'Withdrawal marked as failed and refunded',
+};
+
 /**
  * Admin Controller - Handles admin requests
  */
@@ -70,13 +81,58 @@ class AdminController {
         return error(res, 'isActive must be a boolean value', 400);
       }
 
-      const user = await adminService.updateUserStatus(id, isActive);
+      const user = await adminService.updateUserStatus(
+        id,
+        isActive,
+        req.admin.id,
+        auditService.contextFromRequest(req)
+      );
       return success(res, user, `User ${isActive ? 'activated' : 'deactivated'} successfully`);
     } catch (err) {
       return error(res, err.message, 500);
     }
   }
 
+  /**
+   * Force logout a user from every device
+   */
+  async forceLogoutUser(req, res) {
+    try {
+      const result = await adminService.forceLogoutUser(
+        req.params.id,
+        req.admin.id,
+        auditService.contextFromRequest(req)
+      );
+      return success(res, result, 'User logged out of all devices');
+    } catch (err) {
+      return error(res, err.message, err.message === 'User not found' ? 404 : 500);
+    }
+  }
+
+  /**
+   * Manually credit or debit a user's wallet
+   */
+  async createAdjustment(req, res) {
+    try {
+      const { amount, reasonCode, note, ticketId } = req.body;
+
+      const result = await adminService.adjustBalance(
+        req.params.id,
+        { amount, reasonCode, note, ticketId },
+        req.admin.id,
+        auditService.contextFromRequest(req)
+      );
+
+      if (result.pendingApproval) {
+        return success(res, result, 'Adjustment is above the approval threshold and awaits a second admin', 202);
+      }
+
+      return success(res, result, 'Balance adjusted successfully', 201);
+    } catch (err) {
+      return error(res, err.message, err.message === 'User not found' ? 404 : 400);
+    }
+  }
+
   /**
    * Get all deposits
    */
@@ -101,7 +157,13 @@ class AdminController {
       const { id } = req.params;
       const { status, remarks } = req.body;
 
-      const deposit = await adminService.processDeposit(id, status, remarks, req.admin.id);
+      const deposit = await adminService.processDeposit(
+        id,
+        status,
+        remarks,
+        req.admin.id,
+        auditService.contextFromRequest(req)
+      );
       return success(res, deposit, `Deposit ${status.toLowerCase()} successfully`);
     } catch (err) {
       return error(res, err.message, 400);
@@ -125,20 +187,63 @@ class AdminController {
   }
 
   /**
-   * Process withdrawal
+   * Process withdrawal (move it to its next status)
    */
   async processWithdrawal(req, res) {
     try {
       const { id } = req.params;
       const { status, remarks } = req.body;
 
-      const withdrawal = await adminService.processWithdrawal(id, status, remarks, req.admin.id);
-      return success(res, withdrawal, `Withdrawal ${status.toLowerCase()} successfully`);
+      const withdrawal = await adminService.processWithdrawal(
+        id,
+        status,
+        remarks,
+        req.admin.id,
+        auditService.contextFromRequest(req)
+      );
+
+      if (withdrawal.pendingApproval) {
+        return success(res, withdrawal, 'Withdrawal is above the approval threshold and awaits a second admin', 202);
+      }
+
+      return success(res, withdrawal, WITHDRAWAL_MESSAGES[status]);
     } catch (err) {
       return error(res, err.message, 400);
     }
   }
 
+  /**
+   * Reveal the full account number of a withdrawal
+   */
+  async revealWithdrawalAccount(req, res) {
+    try {
+      const result = await payoutMethodService.revealWithdrawal(
+        req.params.id,
+        req.admin.id,
+        auditService.contextFromRequest(req)
+      );
+      return success(res, result, 'Account number revealed');
+    } catch (err) {
+      return error(res, err.message, err.message === 'Withdrawal not found' ? 404 : 400);
+    }
+  }
+
+  /**
+   * Reveal the full account number of a saved payout method
+   */
+  async revealPayoutMethodAccount(req, res) {
+    try {
+      const result = await payoutMethodService.revealMethod(
+        req.params.id,
+        req.admin.id,
+        auditService.contextFromRequest(req)
+      );
+      return success(res, result, 'Account number revealed');
+    } catch (err) {
+      return error(res, err.message, err.message === 'Payout method not found' ? 404 : 400);
+    }
+  }
+
   /**
    * Get all settings
    */
@@ -163,7 +268,17 @@ class AdminController {
         return error(res, 'Value is required', 400);
       }
 
-      const setting = await adminService.updateSetting(key, value);
+      const setting = await adminService.updateSetting(
+        key,
+        value,
+        req.admin.id,
+        auditService.contextFromRequest(req)
+      );
+
+      if (setting.pendingApproval) {
+        return success(res, setting, 'Setting change awaits a second admin', 202);
+      }
+
       return success(res, setting, 'Setting updated successfully');
     } catch (err) {
       return error(res, err.message, 500);
@@ -181,8 +296,12 @@ class AdminController {
         return error(res, 'UPI ID is required', 400);
       }
 
-      const admin = await adminService.updateUpiId(req.admin.id, upiId);
-      return success(res, admin, 'UPI ID updated successfully');
+      const result = await adminService.updateUpiId(
+        req.admin.id,
+        upiId,
+        auditService.contextFromRequest(req)
+      );
+      return success(res, result, 'UPI ID change awaits a second admin', 202);
     } catch (err) {
       return error(res, err.message, 500);
     }
@@ -193,7 +312,11 @@ class AdminController {
    */
   async createAdmin(req, res) {
     try {
-      const newAdmin = await adminService.createAdmin(req.body);
+      const newAdmin = await adminService.createAdmin(
+        req.body,
+        req.admin.id,
+        auditService.contextFromRequest(req)
+      );
       return success(res, newAdmin, 'Admin created successfully', 201);
     } catch (err) {
       return error(res, err.message, 400);
@@ -211,6 +334,89 @@ class AdminController {
       return error(res, err.message, 500);
     }
   }
+
+  /**
+   * Get the permission matrix
+   */
+  async getPermissionMatrix(req, res) {
+    try {
+      const matrix = permissionService.getMatrix();
+      return success(res, matrix, 'Permissions retrieved successfully');
+    } catch (err) {
+      return error(res, err.message, 500);
+    }
+  }
+
+  /**
+   * Replace an admin's permission overrides
+   */
+  async updateAdminPermissions(req, res) {
+    try {
+      const { grant, revoke } = req.body;
+
+      const admin = await permissionService.updateOverrides(
+        req.params.id,
+        { grant, revoke },
+        req.admin.id,
+        auditService.contextFromRequest(req)
+      );
+      return success(res, admin, 'Admin permissions updated successfully');
+    } catch (err) {
+      return error(res, err.message, err.message === 'Admin not found' ? 404 : 400);
+    }
+  }
+
+  /**
+   * Get admin audit logs (JSON, or CSV with ?format=csv)
+   */
+  async getAuditLogs(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const { adminId, action, targetType, targetId, from, to, format } = req.query;
+
+      for (const date of [from, to]) {
+        if (date && isNaN(new Date(date).getTime())) {
+          return error(res, 'from and to must be valid dates', 400);
+        }
+      }
+
+      const filters = { adminId, action, targetType, targetId, from, to };
+
+      if (format === 'csv') {
+        const csv = await auditService.exportCsv(filters);
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="admin-audit-${Date.now()}.csv"`);
+        return res.status(200).send(csv);
+      }
+
+      const result = await auditService.getLogs(page, limit, filters);
+      return paginated(res, result.logs, page, limit, result.total, 'Audit logs retrieved successfully');
+    } catch (err) {
+      return error(res, err.message, 500);
+    }
+  }
+
+  /**
+   * Get OTP lockouts (possible brute-force or SMS abuse)
+   * GET /api/admin/otp-lockouts
+   */
+  async getOtpLockouts(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const { mobileNumber, reason } = req.query;
+
+      if (reason && !['MAX_ATTEMPTS', 'DAILY_LIMIT'].includes(reason)) {
+        return error(res, 'reason must be MAX_ATTEMPTS or DAILY_LIMIT', 400);
+      }
+
+      const result = await otpService.getLockouts(page, limit, { mobileNumber, reason });
+      return paginated(res, result.lockouts, page, limit, result.total, 'OTP lockouts retrieved successfully');
+    } catch (err) {
+      return error(res, err.message, 500);
+    }
+  }
 }
 
 module.exports = new AdminController();
@@ -0,0 +1,109 @@
+const approvalService = require('../services/approval.service');
+const auditService = require('../services/audit.service');
+const { success, error, paginated } = require('../utils/response');
+
+const APPROVAL_STATUSES = ['PENDING', 'EXECUTED', 'REJECTED', 'CANCELLED', 'FAILED'];
+const APPROVAL_ACTIONS = ['WITHDRAWAL_APPROVAL', 'BALANCE_ADJUSTMENT', 'SETTING_CHANGE', 'UPI_ID_CHANGE'];
+
+/**
+ * Status code of an approval error
+ */
+const statusFor = (err) => (err.message === 'Approval request not found' ? 404 : 400);
+
+/**
+ * Approval Controller - Handles the four-eyes queue
+ */
+class ApprovalController {
+  /**
+   * Get the approval queue (PENDING unless ?status= is given)
+   * GET /api/admin/approvals
+   */
+  async getQueue(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const { status, action } = req.query;
+
+      if (status && !APPROVAL_STATUSES.includes(status)) {
+        return error(res, `status must be one of: ${APPROVAL_STATUSES.join(', ')}`, 400);
+      }
+
+      if (action && !APPROVAL_ACTIONS.includes(action)) {
+        return error(res, `action must be one of: ${APPROVAL_ACTIONS.join(', ')}`, 400);
+      }
+
+      const result = await approvalService.getQueue(page, limit, { status, action }, req.admin.id);
+      return paginated(res, result.approvals, page, limit, result.total, 'Approvals retrieved successfully');
+    } catch (err) {
+      return error(res, err.message, 500);
+    }
+  }
+
+  /**
+   * Get one approval request
+   * GET /api/admin/approvals/:id
+   */
+  async getApproval(req, res) {
+    try {
+      const approval = await approvalService.getApproval(req.params.id);
+      return success(res, approval, 'Approval retrieved successfully');
+    } catch (err) {
+      return error(res, err.message, statusFor(err));
+    }
+  }
+
+  /**
+   * Confirm and execute a request
+   * POST /api/admin/approvals/:id/approve
+   */
+  async approve(req, res) {
+    try {
+      const result = await approvalService.approve(
+        req.params.id,
+        req.admin.id,
+        req.body.remarks || null,
+        auditService.contextFromRequest(req)
+      );
+      return success(res, result, 'Request approved and executed');
+    } catch (err) {
+      return error(res, err.message, statusFor(err));
+    }
+  }
+
+  /**
+   * Reject a request
+   * POST /api/admin/approvals/:id/reject
+   */
+  async reject(req, res) {
+    try {
+      const approval = await approvalService.reject(
+        req.params.id,
+        req.admin.id,
+        req.body.remarks,
+        auditService.contextFromRequest(req)
+      );
+      return success(res, approval, 'Request rejected');
+    } catch (err) {
+      return error(res, err.message, statusFor(err));
+    }
+  }
+
+  /**
+   * Cancel one's own request
+   * POST /api/admin/approvals/:id/cancel
+   */
+  async cancel(req, res) {
+    try {
+      const approval = await approvalService.cancel(
+        req.params.id,
+        req.admin.id,
+        auditService.contextFromRequest(req)
+      );
+      return success(res, approval, 'Request cancelled');
+    } catch (err) {
+      return error(res, err.message, statusFor(err));
+    }
+  }
+}
+
+module.exports = new ApprovalController();
@@ -1,7 +1,29 @@
 const authService = require('../services/auth.service');
 const referralService = require('../services/referral.service');
+const sessionService = require('../services/session.service');
+const auditService = require('../services/audit.service');
+const { ERROR_CODES } = require('../config/constants');
 const { success, error } = require('../utils/response');
 
+// OTP requests refused for sending too often
+const THROTTLE_CODES = [ERROR_CODES.OTP_COOLDOWN, ERROR_CODES.OTP_DAILY_LIMIT_REACHED];
+
+/**
+ * Error response of an OTP send or verification
+ */
+const otpError = (res, err) => {
+  const statusCode = THROTTLE_CODES.includes(err.errorCode) ? 429 : 400;
+  return error(res, err.message, statusCode, err.errorCode ? { code: err.errorCode } : null);
+};
+
+/**
+ * Error response of a 2FA check (a locked-out admin gets 429)
+ */
+const twoFactorError = (res, err, statusCode = 400) => {
+  const status = err.errorCode === ERROR_CODES.TWO_FACTOR_LOCKED ? 429 : statusCode;
+  return error(res, err.message, status, err.errorCode ? { code: err.errorCode } : null);
+};
+
 /**
  * Auth Controller - Handles authentication requests
  */
@@ -17,7 +39,7 @@ class AuthController {
       const result = await authService.sendRegistrationOtp(req.body);
       return success(res, result, 'OTP sent for verification');
     } catch (err) {
-      return error(res, err.message, 400);
+      return otpError(res, err);
     }
   }
 
@@ -37,10 +59,14 @@ class AuthController {
         return error(res, 'Please provide a valid 10-digit mobile number', 400);
       }
 
-      const result = await authService.verifyOtpAndCreateUser(mobileNumber, otp);
+      const result = await authService.verifyOtpAndCreateUser(
+        mobileNumber,
+        otp,
+        sessionService.contextFromRequest(req)
+      );
       return success(res, result, 'User registered successfully', 201);
     } catch (err) {
-      return error(res, err.message, 400);
+      return otpError(res, err);
     }
   }
 
@@ -58,10 +84,14 @@ class AuthController {
         return error(res, 'Mobile number and password are required', 400);
       }
 
-      const result = await authService.login(mobileNumber, password);
+      const result = await authService.login(
+        mobileNumber,
+        password,
+        sessionService.contextFromRequest(req)
+      );
       return success(res, result, 'Login successful');
     } catch (err) {
-      return error(res, err.message, 401);
+      return error(res, err.message, 401, err.errorCode ? { code: err.errorCode } : null);
     }
   }
 
@@ -82,7 +112,7 @@ class AuthController {
       const result = await authService.sendForgotPasswordOtp(mobileNumber);
       return success(res, result, 'OTP sent for verification');
     } catch (err) {
-      return error(res, err.message, 400);
+      return otpError(res, err);
     }
   }
 
@@ -101,7 +131,7 @@ class AuthController {
       await authService.verifyForgotPasswordOtp(mobileNumber, otp);
       return success(res, { verified: true }, 'OTP verified successfully');
     } catch (err) {
-      return error(res, err.message, 400);
+      return otpError(res, err);
     }
   }
 
@@ -158,7 +188,7 @@ class AuthController {
       const result = await authService.refreshToken(refreshToken);
       return success(res, result, 'Token refreshed successfully');
     } catch (err) {
-      return error(res, err.message, 401);
+      return error(res, err.message, 401, err.errorCode ? { code: err.errorCode } : null);
     }
   }
 
@@ -167,7 +197,57 @@ class AuthController {
    * POST /api/auth/logout
    */
   async logout(req, res) {
-    return success(res, null, 'Logout successful');
+    try {
+      await authService.logout(req.user.id, req.sessionId);
+      return success(res, null, 'Logout successful');
+    } catch (err) {
+      return error(res, err.message, 400);
+    }
+  }
+
+  /**
+   * Get signed-in devices
+   * GET /api/auth/sessions
+   */
+  async getSessions(req, res) {
+    try {
+      const sessions = await authService.getSessions(req.user.id, req.sessionId);
+      return success(res, sessions, 'Sessions retrieved successfully');
+    } catch (err) {
+      return error(res, err.message, 500);
+    }
+  }
+
+  /**
+   * Sign out one device
+   * DELETE /api/auth/sessions/:id
+   */
+  async revokeSession(req, res) {
+    try {
+      const result = await authService.revokeSession(req.user.id, req.params.id);
+      return success(res, result, 'Session revoked successfully');
+    } catch (err) {
+      return error(res, err.message, err.message === 'Session not found' ? 404 : 400);
+    }
+  }
+
+  /**
+   * Self-exclude from betting and deposits
+   * POST /api/auth/self-exclusion
+   */
+  async selfExclude(req, res) {
+    try {
+      const { period } = req.body;
+
+      if (!period) {
+        return error(res, 'period is required', 400);
+      }
+
+      const exclusion = await authService.selfExclude(req.user.id, period);
+      return success(res, exclusion, 'Self-exclusion applied. Betting and deposits are blocked until it ends', 201);
+    } catch (err) {
+      return error(res, err.message, 400, err.errorCode ? { code: err.errorCode } : null);
+    }
   }
 
   // ==================== REFERRAL ====================
@@ -218,7 +298,7 @@ class AuthController {
       const result = await authService.sendAdminRegistrationOtp(mobileNumber);
       return success(res, result, 'OTP sent for verification');
     } catch (err) {
-      return error(res, err.message, 400);
+      return otpError(res, err);
     }
   }
 
@@ -239,11 +319,12 @@ class AuthController {
         otp,
         password,
         confirmPassword,
-        name
+        name,
+        sessionService.contextFromRequest(req)
       );
       return success(res, result, 'Admin registered successfully', 201);
     } catch (err) {
-      return error(res, err.message, 400);
+      return otpError(res, err);
     }
   }
 
@@ -253,16 +334,104 @@ class AuthController {
    */
   async adminLogin(req, res) {
     try {
-      const { mobileNumber, password } = req.body;
+      const { mobileNumber, password, totpCode, backupCode } = req.body;
 
       if (!mobileNumber || !password) {
         return error(res, 'Mobile number and password are required', 400);
       }
 
-      const result = await authService.adminLogin(mobileNumber, password);
+      const result = await authService.adminLogin(
+        mobileNumber,
+        password,
+        sessionService.contextFromRequest(req),
+        { code: totpCode, backupCode }
+      );
       return success(res, result, 'Admin login successful');
     } catch (err) {
-      return error(res, err.message, 401);
+      return twoFactorError(res, err, 401);
+    }
+  }
+
+  // ==================== ADMIN 2FA ====================
+
+  /**
+   * Get 2FA status
+   * GET /api/auth/admin/2fa
+   */
+  async getTwoFactorStatus(req, res) {
+    try {
+      const status = await authService.getTwoFactorStatus(req.admin.id);
+      return success(res, status, 'Two-factor status retrieved successfully');
+    } catch (err) {
+      return error(res, err.message, 500);
+    }
+  }
+
+  /**
+   * Start 2FA setup
+   * POST /api/auth/admin/2fa/setup
+   */
+  async setupTwoFactor(req, res) {
+    try {
+      const result = await authService.setupTwoFactor(req.admin.id);
+      return success(res, result, 'Add this secret to your authenticator app, then confirm with a code');
+    } catch (err) {
+      return error(res, err.message, 400);
+    }
+  }
+
+  /**
+   * Enable 2FA with a first code
+   * POST /api/auth/admin/2fa/enable
+   */
+  async enableTwoFactor(req, res) {
+    try {
+      const { code } = req.body;
+
+      if (!code) {
+        return error(res, 'Authentication code is required', 400);
+      }
+
+      const result = await authService.enableTwoFactor(
+        req.admin.id,
+        code,
+        req.sessionId,
+        auditService.contextFromRequest(req)
+      );
+      return success(res, result, 'Two-factor authentication enabled. Store these backup codes safely');
+    } catch (err) {
+      return twoFactorError(res, err);
+    }
+  }
+
+  /**
+   * Verify a code ahead of sensitive actions
+   * POST /api/auth/admin/2fa/verify
+   */
+  async verifyTwoFactor(req, res) {
+    try {
+      const { code, backupCode } = req.body;
+
+      const result = await authService.verifyTwoFactor(req.admin.id, { code, backupCode }, req.sessionId);
+      return success(res, result, 'Two-factor verification successful');
+    } catch (err) {
+      return twoFactorError(res, err, 401);
+    }
+  }
+
+  /**
+   * Regenerate backup codes
+   * POST /api/auth/admin/2fa/backup-codes
+   */
+  async regenerateBackupCodes(req, res) {
+    try {
+      const result = await authService.regenerateBackupCodes(
+        req.admin.id,
+        auditService.contextFromRequest(req)
+      );
+      return success(res, result, 'Backup codes regenerated. The previous codes no longer work');
+    } catch (err) {
+      return error(res, err.message, 500);
     }
   }
 }
@@ -1,6 +1,8 @@
 const betService = require('../services/bet.service');
 const { success, error, paginated } = require('../utils/response');
 
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
 /**
  * Bet Controller - Handles betting requests
  */
@@ -10,10 +12,34 @@ class BetController {
    */
   async placeBet(req, res) {
     try {
-      const bet = await betService.placeBet(req.user.id, req.body);
+      const idempotencyKey = req.get('Idempotency-Key') || null;
+
+      if (idempotencyKey && idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+        return error(res, `Idempotency-Key must be at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`, 400);
+      }
+
+      const bet = await betService.placeBet(req.user.id, req.body, idempotencyKey);
       return success(res, bet, 'Bet placed successfully', 201);
     } catch (err) {
-      return error(res, err.message, 400);
+      return error(res, err.message, 400, err.errorCode ? { code: err.errorCode } : null);
+    }
+  }
+
+  /**
+   * Place a bet slip with several legs
+   */
+  async placeBetSlip(req, res) {
+    try {
+      const idempotencyKey = req.get('Idempotency-Key') || null;
+
+      if (idempotencyKey && idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+        return error(res, `Idempotency-Key must be at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`, 400);
+      }
+
+      const slip = await betService.placeBetSlip(req.user.id, req.body, idempotencyKey);
+      return success(res, slip, 'Bet slip placed successfully', 201);
+    } catch (err) {
+      return error(res, err.message, 400, err.errorCode ? { code: err.errorCode } : null);
     }
   }
 
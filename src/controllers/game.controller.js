@@ -1,34 +1,70 @@
 const gameService = require('../services/game.service');
 const { success, error, paginated } = require('../utils/response');
 
+// Lookup failures of the ?table= parameter
+const TABLE_ERRORS = ['Game table not found', 'No game table is active'];
+
+/**
+ * Status code for a failed table-aware request
+ */
+const statusFor = (err) => (TABLE_ERRORS.includes(err.message) ? 404 : 500);
+
 /**
  * Game Controller - Handles game requests
  */
 class GameController {
+  /**
+   * Get the active game tables
+   */
+  async getTables(req, res) {
+    try {
+      const tables = await gameService.getTables();
+      return success(res, tables, 'Game tables retrieved successfully');
+    } catch (err) {
+      return error(res, err.message, 500);
+    }
+  }
+
   /**
    * Get current active game round
+   * GET /api/game/current?table=
    */
   async getCurrentRound(req, res) {
     try {
-      const gameRound = await gameService.getCurrentRound();
+      const gameRound = await gameService.getCurrentRound(req.query.table);
       return success(res, gameRound, 'Current game round retrieved successfully');
     } catch (err) {
-      return error(res, err.message, 500);
+      return error(res, err.message, statusFor(err));
     }
   }
 
   /**
    * Get game history
+   * GET /api/game/history?table=
    */
   async getGameHistory(req, res) {
     try {
       const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 10;
 
-      const result = await gameService.getGameHistory(page, limit);
+      const result = await gameService.getGameHistory(page, limit, req.query.table);
       return paginated(res, result.gameRounds, page, limit, result.total, 'Game history retrieved successfully');
     } catch (err) {
-      return error(res, err.message, 500);
+      return error(res, err.message, statusFor(err));
+    }
+  }
+
+  /**
+   * Verify a round's provably-fair result
+   * GET /api/game/rounds/:period/verify
+   */
+  async verifyRound(req, res) {
+    try {
+      const { period } = req.params;
+      const result = await gameService.verifyRound(period);
+      return success(res, result, 'Round verification retrieved successfully');
+    } catch (err) {
+      return error(res, err.message, 404);
     }
   }
 
@@ -1,4 +1,6 @@
 const gameAdminService = require('../services/gameAdmin.service');
+const gameTableService = require('../services/gameTable.service');
+const auditService = require('../services/audit.service');
 const { success, error, paginated } = require('../utils/response');
 
 /**
@@ -6,21 +8,21 @@ const { success, error, paginated } = require('../utils/response');
  */
 class GameAdminController {
   /**
-   * Declare winning result for a round
+   * Settle a round now from its committed seed
    * POST /api/admin/game/declare-result
    */
   async declareResult(req, res) {
     try {
-      const { gameRoundId, winningOption } = req.body;
+      const { gameRoundId } = req.body;
 
-      if (!gameRoundId || !winningOption) {
-        return error(res, 'gameRoundId and winningOption are required', 400);
+      if (!gameRoundId) {
+        return error(res, 'gameRoundId is required', 400);
       }
 
       const result = await gameAdminService.declareResult(
         gameRoundId,
-        winningOption,
-        req.admin.id
+        req.admin.id,
+        auditService.contextFromRequest(req)
       );
 
       return success(res, result, 'Result declared successfully');
@@ -41,7 +43,12 @@ class GameAdminController {
         return error(res, 'gameRoundId and status are required', 400);
       }
 
-      const result = await gameAdminService.updateRoundStatus(gameRoundId, status);
+      const result = await gameAdminService.updateRoundStatus(
+        gameRoundId,
+        status,
+        req.admin.id,
+        auditService.contextFromRequest(req)
+      );
       return success(res, result, 'Round status updated successfully');
     } catch (err) {
       return error(res, err.message, 400);
@@ -60,7 +67,11 @@ class GameAdminController {
         return error(res, 'gameRoundId is required', 400);
       }
 
-      const result = await gameAdminService.cancelRound(gameRoundId, req.admin.id);
+      const result = await gameAdminService.cancelRound(
+        gameRoundId,
+        req.admin.id,
+        auditService.contextFromRequest(req)
+      );
       return success(res, result, 'Round cancelled successfully');
     } catch (err) {
       return error(res, err.message, 400);
@@ -76,8 +87,9 @@ class GameAdminController {
       const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 10;
       const status = req.query.status || null;
+      const table = req.query.table || null;
 
-      const result = await gameAdminService.getRounds(page, limit, status);
+      const result = await gameAdminService.getRounds(page, limit, status, table);
       return paginated(res, result.rounds, page, limit, result.total, 'Rounds retrieved successfully');
     } catch (err) {
       return error(res, err.message, 500);
@@ -111,7 +123,11 @@ class GameAdminController {
         return error(res, 'gameRoundId is required', 400);
       }
 
-      const result = await gameAdminService.autoCalculateResult(gameRoundId);
+      const result = await gameAdminService.autoCalculateResult(
+        gameRoundId,
+        req.admin.id,
+        auditService.contextFromRequest(req)
+      );
       return success(res, result, 'Auto result calculated successfully');
     } catch (err) {
       return error(res, err.message, 400);
@@ -137,6 +153,56 @@ class GameAdminController {
     }
   }
 
+  /**
+   * Get all game tables, including disabled ones
+   * GET /api/admin/game/tables
+   */
+  async getTables(req, res) {
+    try {
+      const tables = await gameTableService.getTables();
+      return success(res, tables, 'Game tables retrieved successfully');
+    } catch (err) {
+      return error(res, err.message, 500);
+    }
+  }
+
+  /**
+   * Create a game table
+   * POST /api/admin/game/tables
+   */
+  async createTable(req, res) {
+    try {
+      const table = await gameTableService.createTable(
+        req.body,
+        req.admin.id,
+        auditService.contextFromRequest(req)
+      );
+      return success(res, table, 'Game table created successfully', 201);
+    } catch (err) {
+      return error(res, err.message, 400);
+    }
+  }
+
+  /**
+   * Update or disable a game table
+   * PATCH /api/admin/game/tables/:id
+   */
+  async updateTable(req, res) {
+    try {
+      const { id } = req.params;
+
+      const table = await gameTableService.updateTable(
+        id,
+        req.body,
+        req.admin.id,
+        auditService.contextFromRequest(req)
+      );
+      return success(res, table, 'Game table updated successfully');
+    } catch (err) {
+      return error(res, err.message, err.message === 'Game table not found' ? 404 : 400);
+    }
+  }
+
   /**
    * Get profit statistics
    * GET /api/admin/game/profit-stats
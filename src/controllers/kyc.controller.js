@@ -0,0 +1,116 @@
+const kycService = require('../services/kyc.service');
+const auditService = require('../services/audit.service');
+const { success, error, paginated } = require('../utils/response');
+
+const SUBMISSION_STATUSES = ['PENDING', 'APPROVED', 'REJECTED'];
+
+/**
+ * Status code of a KYC error
+ */
+const statusFor = (err) => (['KYC submission not found', 'File not found'].includes(err.message) ? 404 : 400);
+
+/**
+ * KYC Controller - Handles identity verification requests
+ */
+class KycController {
+  /**
+   * Get own KYC status and withdrawal allowance
+   * GET /api/kyc
+   */
+  async getStatus(req, res) {
+    try {
+      const kyc = await kycService.getStatus(req.user.id);
+      return success(res, kyc, 'KYC status retrieved successfully');
+    } catch (err) {
+      return error(res, err.message, 404);
+    }
+  }
+
+  /**
+   * Submit identity documents for review
+   * POST /api/kyc
+   */
+  async submit(req, res) {
+    try {
+      const { idType, idNumber, idDocument, selfie } = req.body;
+
+      const kyc = await kycService.submit(req.user.id, { idType, idNumber, idDocument, selfie });
+      return success(res, kyc, 'KYC documents submitted successfully. Waiting for review.', 201);
+    } catch (err) {
+      return error(res, err.message, 400);
+    }
+  }
+
+  /**
+   * Get the KYC review queue
+   * GET /api/admin/kyc
+   */
+  async getQueue(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const status = req.query.status || 'PENDING';
+
+      if (!SUBMISSION_STATUSES.includes(status)) {
+        return error(res, `status must be one of: ${SUBMISSION_STATUSES.join(', ')}`, 400);
+      }
+
+      const result = await kycService.getQueue(page, limit, status);
+      return paginated(res, result.submissions, page, limit, result.total, 'KYC submissions retrieved successfully');
+    } catch (err) {
+      return error(res, err.message, 500);
+    }
+  }
+
+  /**
+   * Get a KYC submission
+   * GET /api/admin/kyc/:id
+   */
+  async getSubmission(req, res) {
+    try {
+      const submission = await kycService.getSubmission(req.params.id);
+      return success(res, submission, 'KYC submission retrieved successfully');
+    } catch (err) {
+      return error(res, err.message, statusFor(err));
+    }
+  }
+
+  /**
+   * View a submitted document
+   * GET /api/admin/kyc/:id/documents/:document
+   */
+  async getDocument(req, res) {
+    try {
+      const { data, mimeType, fileName } = await kycService.getDocument(req.params.id, req.params.document.toUpperCase());
+      res.setHeader('Content-Type', mimeType);
+      res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(200).send(data);
+    } catch (err) {
+      return error(res, err.message, statusFor(err));
+    }
+  }
+
+  /**
+   * Approve or reject a KYC submission
+   * POST /api/admin/kyc/:id/review
+   */
+  async review(req, res) {
+    try {
+      const { status, reason } = req.body;
+
+      const submission = await kycService.review(
+        req.params.id,
+        status,
+        reason,
+        req.admin.id,
+        auditService.contextFromRequest(req)
+      );
+      return success(res, submission, `KYC ${status.toLowerCase()} successfully`);
+    } catch (err) {
+      return error(res, err.message, statusFor(err));
+    }
+  }
+}
+
+module.exports = new KycController();
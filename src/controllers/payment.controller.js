@@ -0,0 +1,45 @@
+const paymentService = require('../services/payment.service');
+const { success, error } = require('../utils/response');
+
+/**
+ * Status code of a webhook error; gateways redeliver on anything but 2xx
+ */
+const statusFor = (err) => {
+  if (err.errorCode) {
+    return 401;
+  }
+  if (err.message === 'Payment not found' || err.message.startsWith('Unknown payment provider')) {
+    return 404;
+  }
+  if (err instanceof SyntaxError || err.message === 'Payment event is missing its id or reference') {
+    return 400;
+  }
+  return 500;
+};
+
+/**
+ * Payment Controller - Handles payment gateway callbacks
+ */
+class PaymentController {
+  /**
+   * Receive a signed payment webhook
+   * POST /api/payments/webhook/:provider
+   */
+  async handleWebhook(req, res) {
+    try {
+      if (!Buffer.isBuffer(req.rawBody)) {
+        return error(res, 'Webhook body is missing', 400);
+      }
+
+      const result = await paymentService.handleWebhook(req.params.provider, {
+        headers: req.headers,
+        rawBody: req.rawBody,
+      });
+      return success(res, result, result.duplicate ? 'Webhook already processed' : 'Webhook processed');
+    } catch (err) {
+      return error(res, err.message, statusFor(err), err.errorCode ? { code: err.errorCode } : null);
+    }
+  }
+}
+
+module.exports = new PaymentController();
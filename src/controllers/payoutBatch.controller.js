@@ -0,0 +1,129 @@
+const payoutBatchService = require('../services/payoutBatch.service');
+const auditService = require('../services/audit.service');
+const { success, error, paginated } = require('../utils/response');
+const { PAYOUT_BATCH_STATUS } = require('../config/constants');
+
+const BATCH_STATUSES = Object.values(PAYOUT_BATCH_STATUS);
+
+/**
+ * Status code of a payout batch error
+ */
+const statusFor = (err) => (err.message === 'Payout batch not found' ? 404 : 400);
+
+/**
+ * Payout Batch Controller - Handles bulk withdrawal payouts
+ */
+class PayoutBatchController {
+  /**
+   * Group approved withdrawals into a payout batch
+   * POST /api/admin/payout-batches
+   */
+  async createBatch(req, res) {
+    try {
+      const { withdrawalIds, remarks } = req.body;
+
+      const batch = await payoutBatchService.createBatch(
+        withdrawalIds,
+        remarks,
+        req.admin.id,
+        auditService.contextFromRequest(req)
+      );
+      return success(res, batch, 'Payout batch created successfully', 201);
+    } catch (err) {
+      return error(res, err.message, 400);
+    }
+  }
+
+  /**
+   * Get payout batches
+   * GET /api/admin/payout-batches
+   */
+  async getBatches(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const { status } = req.query;
+
+      if (status && !BATCH_STATUSES.includes(status)) {
+        return error(res, `status must be one of: ${BATCH_STATUSES.join(', ')}`, 400);
+      }
+
+      const result = await payoutBatchService.getBatches(page, limit, status);
+      return paginated(res, result.batches, page, limit, result.total, 'Payout batches retrieved successfully');
+    } catch (err) {
+      return error(res, err.message, 500);
+    }
+  }
+
+  /**
+   * Get a payout batch with its withdrawals
+   * GET /api/admin/payout-batches/:id
+   */
+  async getBatch(req, res) {
+    try {
+      const batch = await payoutBatchService.getBatch(req.params.id);
+      return success(res, batch, 'Payout batch retrieved successfully');
+    } catch (err) {
+      return error(res, err.message, statusFor(err));
+    }
+  }
+
+  /**
+   * Download the bank-upload CSV of a batch
+   * GET /api/admin/payout-batches/:id/export
+   */
+  async exportBatch(req, res) {
+    try {
+      const { reference, csv } = await payoutBatchService.exportCsv(
+        req.params.id,
+        req.admin.id,
+        auditService.contextFromRequest(req)
+      );
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${reference}.csv"`);
+      return res.status(200).send(csv);
+    } catch (err) {
+      return error(res, err.message, statusFor(err));
+    }
+  }
+
+  /**
+   * Mark a batch as paid by the bank
+   * POST /api/admin/payout-batches/:id/paid
+   */
+  async markPaid(req, res) {
+    try {
+      const { bankReference, remarks } = req.body;
+
+      const batch = await payoutBatchService.markPaid(
+        req.params.id,
+        { bankReference, remarks },
+        req.admin.id,
+        auditService.contextFromRequest(req)
+      );
+      return success(res, batch, 'Payout batch marked as paid');
+    } catch (err) {
+      return error(res, err.message, statusFor(err));
+    }
+  }
+
+  /**
+   * Cancel an unpaid batch
+   * POST /api/admin/payout-batches/:id/cancel
+   */
+  async cancelBatch(req, res) {
+    try {
+      const batch = await payoutBatchService.cancelBatch(
+        req.params.id,
+        req.body.remarks,
+        req.admin.id,
+        auditService.contextFromRequest(req)
+      );
+      return success(res, batch, 'Payout batch cancelled');
+    } catch (err) {
+      return error(res, err.message, statusFor(err));
+    }
+  }
+}
+
+module.exports = new PayoutBatchController();
@@ -7,11 +7,11 @@ const { success, error } = require('../utils/response');
 class RiskDashboardController {
   /**
    * Get real-time summary for dashboard
-   * GET /api/admin/risk/summary
+   * GET /api/admin/risk/summary?table=
    */
   async getSummary(req, res) {
     try {
-      const summary = await riskDashboardService.getRealtimeSummary();
+      const summary = await riskDashboardService.getRealtimeSummary(req.query.table || null);
       return success(res, summary, 'Risk summary retrieved successfully');
     } catch (err) {
       return error(res, err.message, 500);
@@ -0,0 +1,65 @@
+const statementImportService = require('../services/statementImport.service');
+const auditService = require('../services/audit.service');
+const { success, error, paginated } = require('../utils/response');
+
+/**
+ * Statement Import Controller - Handles deposit matching against bank/UPI statements
+ */
+class StatementImportController {
+  /**
+   * Upload a statement and auto-approve the deposits it matches
+   * POST /api/admin/statement-imports
+   */
+  async importStatement(req, res) {
+    try {
+      const { csv, mapping, source, fileName } = req.body;
+
+      const report = await statementImportService.importStatement(
+        { csv, mapping, source, fileName },
+        req.admin.id,
+        auditService.contextFromRequest(req)
+      );
+      return success(res, report, 'Statement imported successfully', 201);
+    } catch (err) {
+      return error(res, err.message, 400);
+    }
+  }
+
+  /**
+   * Get statement imports
+   * GET /api/admin/statement-imports
+   */
+  async getImports(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+
+      const result = await statementImportService.getImports(page, limit);
+      return paginated(res, result.imports, page, limit, result.total, 'Statement imports retrieved successfully');
+    } catch (err) {
+      return error(res, err.message, 500);
+    }
+  }
+
+  /**
+   * Get the reconciliation report of an import (JSON, or every row as CSV with ?format=csv)
+   * GET /api/admin/statement-imports/:id
+   */
+  async getReport(req, res) {
+    try {
+      if (req.query.format === 'csv') {
+        const csv = await statementImportService.exportReportCsv(req.params.id);
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="statement-import-${req.params.id}.csv"`);
+        return res.status(200).send(csv);
+      }
+
+      const report = await statementImportService.getReport(req.params.id);
+      return success(res, report, 'Reconciliation report retrieved successfully');
+    } catch (err) {
+      return error(res, err.message, err.message === 'Statement import not found' ? 404 : 500);
+    }
+  }
+}
+
+module.exports = new StatementImportController();
@@ -1,4 +1,8 @@
 const walletService = require('../services/wallet.service');
+const limitService = require('../services/limit.service');
+const paymentService = require('../services/payment.service');
+const payoutMethodService = require('../services/payoutMethod.service');
+const bonusService = require('../services/bonus.service');
 const { success, error, paginated } = require('../utils/response');
 
 /**
@@ -42,7 +46,31 @@ class WalletController {
       const result = await walletService.createDeposit(req.user.id, amount, transactionId);
       return success(res, result, 'Deposit request submitted successfully. Waiting for admin approval.', 201);
     } catch (err) {
-      return error(res, err.message, 400);
+      return error(res, err.message, 400, err.errorCode ? { code: err.errorCode } : null);
+    }
+  }
+
+  /**
+   * Create online deposit and start its gateway payment
+   */
+  async createOnlineDeposit(req, res) {
+    try {
+      const result = await walletService.createGatewayDeposit(req.user.id, req.body.amount);
+      return success(res, result, 'Deposit created. Complete the payment to credit your wallet.', 201);
+    } catch (err) {
+      return error(res, err.message, 400, err.errorCode ? { code: err.errorCode } : null);
+    }
+  }
+
+  /**
+   * Get deposit status (re-checked with the gateway while pending)
+   */
+  async getDepositStatus(req, res) {
+    try {
+      const deposit = await paymentService.refreshDeposit(req.user.id, req.params.id);
+      return success(res, deposit, 'Deposit status retrieved successfully');
+    } catch (err) {
+      return error(res, err.message, err.message === 'Deposit not found' ? 404 : 500);
     }
   }
 
@@ -66,11 +94,11 @@ class WalletController {
    */
   async createWithdrawal(req, res) {
     try {
-      const { amount } = req.body;
-      const withdrawal = await walletService.createWithdrawal(req.user.id, amount);
+      const { amount, payoutMethodId } = req.body;
+      const withdrawal = await walletService.createWithdrawal(req.user.id, amount, payoutMethodId);
       return success(res, withdrawal, 'Withdrawal request submitted successfully. Waiting for admin approval.', 201);
     } catch (err) {
-      return error(res, err.message, 400);
+      return error(res, err.message, 400, err.errorCode ? { code: err.errorCode } : null);
     }
   }
 
@@ -90,26 +118,64 @@ class WalletController {
   }
 
   /**
-   * Save bank details
+   * Get saved payout methods
    */
-  async saveBankDetails(req, res) {
+  async getPayoutMethods(req, res) {
     try {
-      const bankDetails = await walletService.saveBankDetails(req.user.id, req.body);
-      return success(res, bankDetails, 'Bank details saved successfully');
+      const methods = await payoutMethodService.getMethods(req.user.id);
+      return success(res, methods, 'Payout methods retrieved successfully');
     } catch (err) {
       return error(res, err.message, 500);
     }
   }
 
   /**
-   * Get bank details
+   * Send the OTP that authorises a payout method change
    */
-  async getBankDetails(req, res) {
+  async sendPayoutMethodOtp(req, res) {
     try {
-      const bankDetails = await walletService.getBankDetails(req.user.id);
-      return success(res, bankDetails, 'Bank details retrieved successfully');
+      const result = await payoutMethodService.sendChangeOtp(req.user.id);
+      return success(res, result, 'OTP sent to your registered mobile number');
     } catch (err) {
-      return error(res, err.message, 404);
+      return error(res, err.message, 400, err.errorCode ? { code: err.errorCode } : null);
+    }
+  }
+
+  /**
+   * Add a bank account or UPI ID (OTP required)
+   */
+  async addPayoutMethod(req, res) {
+    try {
+      const { otp, ...details } = req.body;
+      const method = await payoutMethodService.addMethod(req.user.id, details, otp);
+      return success(res, method, 'Payout method added successfully', 201);
+    } catch (err) {
+      return error(res, err.message, 400, err.errorCode ? { code: err.errorCode } : null);
+    }
+  }
+
+  /**
+   * Remove a payout method (OTP required)
+   */
+  async removePayoutMethod(req, res) {
+    try {
+      const methods = await payoutMethodService.removeMethod(req.user.id, req.params.id, req.body.otp);
+      return success(res, methods, 'Payout method removed successfully');
+    } catch (err) {
+      const statusCode = err.message === 'Payout method not found' ? 404 : 400;
+      return error(res, err.message, statusCode, err.errorCode ? { code: err.errorCode } : null);
+    }
+  }
+
+  /**
+   * Make a payout method the default
+   */
+  async setDefaultPayoutMethod(req, res) {
+    try {
+      const methods = await payoutMethodService.setDefault(req.user.id, req.params.id);
+      return success(res, methods, 'Default payout method updated successfully');
+    } catch (err) {
+      return error(res, err.message, err.message === 'Payout method not found' ? 404 : 400);
     }
   }
 
@@ -124,6 +190,42 @@ class WalletController {
       return error(res, err.message, 500);
     }
   }
+
+  /**
+   * Get responsible-gambling limits with current usage
+   */
+  async getLimits(req, res) {
+    try {
+      const limits = await limitService.getLimits(req.user.id);
+      return success(res, limits, 'Limits retrieved successfully');
+    } catch (err) {
+      return error(res, err.message, 500);
+    }
+  }
+
+  /**
+   * Get bonuses with wagering progress
+   */
+  async getBonuses(req, res) {
+    try {
+      const bonuses = await bonusService.getBonuses(req.user.id);
+      return success(res, bonuses, 'Bonuses retrieved successfully');
+    } catch (err) {
+      return error(res, err.message, 500);
+    }
+  }
+
+  /**
+   * Update responsible-gambling limits
+   */
+  async updateLimits(req, res) {
+    try {
+      const limits = await limitService.setLimits(req.user.id, req.body.limits);
+      return success(res, limits, 'Limits updated. Decreases apply now, increases after the cooling-off period');
+    } catch (err) {
+      return error(res, err.message, 400);
+    }
+  }
 }
 
 module.exports = new WalletController();
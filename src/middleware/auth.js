@@ -1,5 +1,9 @@
 const { verifyToken } = require('../utils/auth');
 const prisma = require('../config/database');
+const sessionService = require('../services/session.service');
+const twoFactorService = require('../services/twoFactor.service');
+const permissionService = require('../services/permission.service');
+const { ERROR_CODES } = require('../config/constants');
 const { error } = require('../utils/response');
 
 /**
@@ -20,7 +24,10 @@ const authenticate = async (req, res, next) => {
     }
 
     const decoded = verifyToken(token);
-    
+
+    // Tokens of a logged-out or revoked session stop working before they expire
+    await sessionService.assertActive(decoded);
+
     // Check if user exists and is active
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId },
@@ -36,6 +43,7 @@ const authenticate = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = decoded.sessionId;
     next();
   } catch (err) {
     if (err.name === 'TokenExpiredError') {
@@ -44,14 +52,18 @@ const authenticate = async (req, res, next) => {
     if (err.name === 'JsonWebTokenError') {
       return error(res, 'Invalid token.', 401);
     }
+    if (err.errorCode) {
+      return error(res, err.message, 401, { code: err.errorCode });
+    }
     return error(res, 'Authentication failed.', 401);
   }
 };
 
 /**
- * Middleware to authenticate Admin JWT token
+ * Build the admin authentication middleware
+ * @param {Object} options - { allowUnenrolled } lets admins who still have to set up 2FA through
  */
-const authenticateAdmin = async (req, res, next) => {
+const adminAuthenticator = ({ allowUnenrolled = false } = {}) => async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     
@@ -66,11 +78,21 @@ const authenticateAdmin = async (req, res, next) => {
     }
 
     const decoded = verifyToken(token);
-    
+
+    await sessionService.assertActive(decoded);
+
     // Check if admin exists and is active
     const admin = await prisma.admin.findUnique({
       where: { id: decoded.adminId },
-      select: { id: true, mobileNumber: true, role: true, isActive: true },
+      select: {
+        id: true,
+        mobileNumber: true,
+        role: true,
+        isActive: true,
+        totpEnabledAt: true,
+        grantedPermissions: true,
+        revokedPermissions: true,
+      },
     });
 
     if (!admin) {
@@ -81,7 +103,22 @@ const authenticateAdmin = async (req, res, next) => {
       return error(res, 'Admin account is deactivated.', 403);
     }
 
-    req.admin = admin;
+    // Roles that must use 2FA can only reach the enrollment endpoints until it is set up
+    if (!allowUnenrolled && !admin.totpEnabledAt && twoFactorService.isRequired(admin.role)) {
+      return error(res, 'Set up two-factor authentication to continue.', 403, {
+        code: ERROR_CODES.TWO_FACTOR_ENROLLMENT_REQUIRED,
+      });
+    }
+
+    req.admin = {
+      id: admin.id,
+      mobileNumber: admin.mobileNumber,
+      role: admin.role,
+      isActive: admin.isActive,
+      twoFactorEnabled: !!admin.totpEnabledAt,
+      permissions: permissionService.resolve(admin),
+    };
+    req.sessionId = decoded.sessionId;
     next();
   } catch (err) {
     if (err.name === 'TokenExpiredError') {
@@ -90,10 +127,76 @@ const authenticateAdmin = async (req, res, next) => {
     if (err.name === 'JsonWebTokenError') {
       return error(res, 'Invalid token.', 401);
     }
+    if (err.errorCode) {
+      return error(res, err.message, 401, { code: err.errorCode });
+    }
     return error(res, 'Authentication failed.', 401);
   }
 };
 
+/**
+ * Middleware to authenticate Admin JWT token
+ */
+const authenticateAdmin = adminAuthenticator();
+
+/**
+ * Middleware to authenticate an admin who may not have set up 2FA yet (enrollment endpoints)
+ */
+const authenticateAdminForEnrollment = adminAuthenticator({ allowUnenrolled: true });
+
+/**
+ * Middleware to require a recent 2FA check before a sensitive admin action.
+ * A code sent in the X-2FA-Code (or X-2FA-Backup-Code) header is verified on
+ * the spot and covers the session for the next few minutes.
+ */
+const requireStepUp = async (req, res, next) => {
+  try {
+    if (!req.admin.twoFactorEnabled) {
+      return error(res, 'Set up two-factor authentication to perform this action.', 403, {
+        code: ERROR_CODES.TWO_FACTOR_ENROLLMENT_REQUIRED,
+      });
+    }
+
+    const code = req.get('x-2fa-code');
+    const backupCode = req.get('x-2fa-backup-code');
+
+    if (code || backupCode) {
+      await twoFactorService.verify(req.admin.id, { code, backupCode });
+      await twoFactorService.markStepUp(req.sessionId);
+      return next();
+    }
+
+    if (await twoFactorService.hasRecentStepUp(req.sessionId)) {
+      return next();
+    }
+
+    return error(res, 'Confirm this action with your authentication code.', 403, {
+      code: ERROR_CODES.TWO_FACTOR_STEP_UP_REQUIRED,
+    });
+  } catch (err) {
+    if (err.errorCode) {
+      const statusCode = err.errorCode === ERROR_CODES.TWO_FACTOR_LOCKED ? 429 : 403;
+      return error(res, err.message, statusCode, { code: err.errorCode });
+    }
+    return error(res, 'Two-factor verification failed.', 500);
+  }
+};
+
+/**
+ * Middleware to require admin permissions (all of them)
+ * @param {...string} permissions - ADMIN_PERMISSIONS values
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(permission => !req.admin?.permissions?.includes(permission));
+
+  if (missing.length > 0) {
+    return error(res, `Permission required: ${missing.join(', ')}`, 403, {
+      code: ERROR_CODES.PERMISSION_DENIED,
+    });
+  }
+  next();
+};
+
 /**
  * Middleware to check if user has admin role
  */
@@ -117,6 +220,9 @@ const requireSuperAdmin = (req, res, next) => {
 module.exports = {
   authenticate,
   authenticateAdmin,
+  authenticateAdminForEnrollment,
+  requireStepUp,
+  requirePermission,
   requireAdmin,
   requireSuperAdmin,
 };
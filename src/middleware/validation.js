@@ -1,5 +1,6 @@
 const { body, param, query, validationResult } = require('express-validator');
 const { error } = require('../utils/response');
+const { ADJUSTMENT_REASONS, BET_CATEGORIES, KYC, MAX_BET_SLIP_LEGS, PAYOUT_METHOD_TYPES } = require('../config/constants');
 
 /**
  * Handle validation errors
@@ -87,32 +88,63 @@ const validateDeposit = [
   handleValidationErrors,
 ];
 
+// Online (Payment Gateway) Deposit Validation
+const validateOnlineDeposit = [
+  body('amount')
+    .isFloat({ min: 100 })
+    .withMessage('Minimum deposit amount is 100'),
+  handleValidationErrors,
+];
+
+// Deposit Status Refresh Validation
+const validateDepositStatus = [
+  param('id')
+    .isUUID()
+    .withMessage('Valid deposit ID is required'),
+  handleValidationErrors,
+];
+
 // Withdrawal Validation
 const validateWithdrawal = [
   body('amount')
     .isFloat({ min: 200 })
     .withMessage('Minimum withdrawal amount is 200'),
+  body('payoutMethodId')
+    .optional()
+    .isUUID()
+    .withMessage('Valid payout method ID is required'),
   handleValidationErrors,
 ];
 
-// Bank Details Validation
-const validateBankDetails = [
+// Payout Method Validation (bank account or UPI ID, plus the change OTP)
+const validatePayoutMethod = [
+  body('type')
+    .isIn(Object.values(PAYOUT_METHOD_TYPES))
+    .withMessage('Type must be BANK_ACCOUNT or UPI'),
+  body('label')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Label must be less than 50 characters'),
   body('accountHolder')
+    .if(body('type').equals('BANK_ACCOUNT'))
     .notEmpty()
     .trim()
     .isLength({ min: 2, max: 100 })
     .withMessage('Account holder name is required'),
   body('accountNumber')
-    .notEmpty()
+    .if(body('type').equals('BANK_ACCOUNT'))
     .trim()
-    .isLength({ min: 9, max: 20 })
-    .withMessage('Please provide a valid account number'),
+    .matches(/^[0-9]{9,18}$/)
+    .withMessage('Account number must be 9 to 18 digits'),
   body('ifscCode')
-    .notEmpty()
+    .if(body('type').equals('BANK_ACCOUNT'))
     .trim()
+    .toUpperCase()
     .matches(/^[A-Z]{4}0[A-Z0-9]{6}$/)
     .withMessage('Please provide a valid IFSC code'),
   body('bankName')
+    .if(body('type').equals('BANK_ACCOUNT'))
     .notEmpty()
     .trim()
     .isLength({ min: 2, max: 100 })
@@ -122,6 +154,34 @@ const validateBankDetails = [
     .trim()
     .isLength({ max: 100 })
     .withMessage('Branch name must be less than 100 characters'),
+  body('vpa')
+    .if(body('type').equals('UPI'))
+    .trim()
+    .matches(/^[a-zA-Z0-9.\-_]{2,256}@[a-zA-Z][a-zA-Z0-9]{1,63}$/)
+    .withMessage('Please provide a valid UPI ID, e.g. name@bank'),
+  body('otp')
+    .notEmpty()
+    .trim()
+    .isLength({ min: 6, max: 6 })
+    .withMessage('OTP must be 6 digits'),
+  handleValidationErrors,
+];
+
+// Payout Method ID Validation
+const validatePayoutMethodId = [
+  param('id')
+    .isUUID()
+    .withMessage('Valid payout method ID is required'),
+  handleValidationErrors,
+];
+
+// OTP Code Validation (step-up for sensitive changes)
+const validateOtpCode = [
+  body('otp')
+    .notEmpty()
+    .trim()
+    .isLength({ min: 6, max: 6 })
+    .withMessage('OTP must be 6 digits'),
   handleValidationErrors,
 ];
 
@@ -162,6 +222,46 @@ const validateBet = [
   handleValidationErrors,
 ];
 
+// Bet Slip Validation (leg selections and the table's amount limits are checked by the bet service)
+const validateBetSlip = [
+  body('gameRoundId')
+    .notEmpty()
+    .isUUID()
+    .withMessage('Valid game round ID is required'),
+  body('legs')
+    .isArray({ min: 1, max: MAX_BET_SLIP_LEGS })
+    .withMessage(`Legs must be an array of 1 to ${MAX_BET_SLIP_LEGS} bets`),
+  body('legs.*.betType')
+    .toUpperCase()
+    .isIn(Object.keys(BET_CATEGORIES))
+    .withMessage('Bet type must be COLOR, NUMBER, or SIZE'),
+  body('legs.*.selection')
+    .notEmpty()
+    .withMessage('Selection is required for every leg'),
+  body('legs.*.amount')
+    .isFloat()
+    .withMessage('Amount must be a number for every leg'),
+  handleValidationErrors,
+];
+
+// Responsible-gambling Limits Validation
+const validateLimits = [
+  body('limits')
+    .isArray({ min: 1, max: 9 })
+    .withMessage('Limits must be an array of 1 to 9 entries'),
+  body('limits.*.limitType')
+    .isIn(['DEPOSIT', 'WAGER', 'LOSS'])
+    .withMessage('Limit type must be DEPOSIT, WAGER, or LOSS'),
+  body('limits.*.period')
+    .isIn(['DAILY', 'WEEKLY', 'MONTHLY'])
+    .withMessage('Period must be DAILY, WEEKLY, or MONTHLY'),
+  body('limits.*.amount')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Amount must be a non-negative number, or null to remove the limit'),
+  handleValidationErrors,
+];
+
 // Approve/Reject Deposit Validation
 const validateDepositAction = [
   param('id')
@@ -179,15 +279,83 @@ const validateDepositAction = [
   handleValidationErrors,
 ];
 
-// Approve/Reject Withdrawal Validation
+// Withdrawal Status Change Validation (PROCESSING is reached through payout batches)
 const validateWithdrawalAction = [
   param('id')
     .isUUID()
     .withMessage('Valid withdrawal ID is required'),
   body('status')
     .notEmpty()
-    .isIn(['APPROVED', 'REJECTED'])
-    .withMessage('Status must be APPROVED or REJECTED'),
+    .isIn(['APPROVED', 'REJECTED', 'COMPLETED', 'FAILED'])
+    .withMessage('Status must be APPROVED, REJECTED, COMPLETED, or FAILED'),
+  body('remarks')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Remarks must be less than 500 characters'),
+  handleValidationErrors,
+];
+
+// Withdrawal ID Validation
+const validateWithdrawalId = [
+  param('id')
+    .isUUID()
+    .withMessage('Valid withdrawal ID is required'),
+  handleValidationErrors,
+];
+
+// Manual Wallet Adjustment Validation
+const validateAdjustment = [
+  param('id')
+    .isUUID()
+    .withMessage('Valid user ID is required'),
+  body('amount')
+    .isFloat()
+    .custom(value => parseFloat(value) !== 0)
+    .withMessage('Amount must be a non-zero number (negative to debit)'),
+  body('reasonCode')
+    .isIn(Object.values(ADJUSTMENT_REASONS))
+    .withMessage(`Reason code must be one of ${Object.values(ADJUSTMENT_REASONS).join(', ')}`),
+  body('note')
+    .trim()
+    .notEmpty()
+    .isLength({ max: 500 })
+    .withMessage('A note of up to 500 characters is required'),
+  body('ticketId')
+    .trim()
+    .notEmpty()
+    .isLength({ max: 100 })
+    .withMessage('A ticket ID of up to 100 characters is required'),
+  handleValidationErrors,
+];
+
+// Payout Batch Validation
+const validatePayoutBatch = [
+  body('withdrawalIds')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('withdrawalIds must be an array of at most 500 withdrawal IDs'),
+  body('withdrawalIds.*')
+    .isUUID()
+    .withMessage('Each withdrawal ID must be valid'),
+  body('remarks')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Remarks must be less than 500 characters'),
+  handleValidationErrors,
+];
+
+// Payout Batch Payment Validation
+const validatePayoutBatchPaid = [
+  param('id')
+    .isUUID()
+    .withMessage('Valid payout batch ID is required'),
+  body('bankReference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Bank reference must be less than 100 characters'),
   body('remarks')
     .optional()
     .trim()
@@ -196,6 +364,63 @@ const validateWithdrawalAction = [
   handleValidationErrors,
 ];
 
+// Statement Import Validation
+const validateStatementImport = [
+  body('csv')
+    .isString()
+    .notEmpty()
+    .withMessage('Statement CSV text is required'),
+  body('mapping')
+    .optional()
+    .isObject()
+    .withMessage('Mapping must map fields (utr, amount, date, description) to column headers'),
+  body('mapping.*')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Each mapped column must be a header name'),
+  body(['source', 'fileName'])
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Source and file name must be less than 200 characters'),
+  handleValidationErrors,
+];
+
+// KYC Submission Validation (files are base64 or data: URLs; their content is checked by the service)
+const validateKycSubmission = [
+  body('idType')
+    .isIn(KYC.ID_TYPES)
+    .withMessage(`ID type must be one of: ${KYC.ID_TYPES.join(', ')}`),
+  body('idNumber')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('ID number is required'),
+  body(['idDocument.data', 'selfie.data'])
+    .isString()
+    .notEmpty()
+    .withMessage('ID document and selfie files are required'),
+  handleValidationErrors,
+];
+
+// KYC Review Validation
+const validateKycReview = [
+  param('id')
+    .isUUID()
+    .withMessage('Valid KYC submission ID is required'),
+  body('status')
+    .isIn(['APPROVED', 'REJECTED'])
+    .withMessage('Status must be APPROVED or REJECTED'),
+  body('reason')
+    .if(body('status').equals('REJECTED'))
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required to reject KYC documents')
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters'),
+  handleValidationErrors,
+];
+
 // Pagination Validation
 const validatePagination = [
   query('page')
@@ -215,11 +440,24 @@ module.exports = {
   validateUserLogin,
   validateAdminLogin,
   validateDeposit,
+  validateOnlineDeposit,
+  validateDepositStatus,
   validateWithdrawal,
-  validateBankDetails,
+  validatePayoutMethod,
+  validatePayoutMethodId,
+  validateOtpCode,
   validateBet,
+  validateBetSlip,
+  validateLimits,
   validateDepositAction,
   validateWithdrawalAction,
+  validateWithdrawalId,
+  validateAdjustment,
+  validatePayoutBatch,
+  validatePayoutBatchPaid,
+  validateStatementImport,
+  validateKycSubmission,
+  validateKycReview,
   validatePagination,
   handleValidationErrors,
 };
@@ -2,8 +2,13 @@ const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/admin.controller');
 const gameAdminController = require('../controllers/gameAdmin.controller');
-const { authenticateAdmin, requireSuperAdmin } = require('../middleware/auth');
-const { validatePagination, validateDepositAction, validateWithdrawalAction } = require('../middleware/validation');
+const approvalController = require('../controllers/approval.controller');
+const payoutBatchController = require('../controllers/payoutBatch.controller');
+const statementImportController = require('../controllers/statementImport.controller');
+const kycController = require('../controllers/kyc.controller');
+const { authenticateAdmin, requirePermission, requireStepUp } = require('../middleware/auth');
+const { ADMIN_PERMISSIONS } = require('../config/constants');
+const { validatePagination, validateDepositAction, validateWithdrawalAction, validateWithdrawalId, validatePayoutMethodId, validateAdjustment, validatePayoutBatch, validatePayoutBatchPaid, validateStatementImport, validateKycReview } = require('../middleware/validation');
 
 /**
  * @route   GET /api/admin/profile
@@ -15,155 +20,363 @@ router.get('/profile', authenticateAdmin, adminController.getProfile);
 /**
  * @route   GET /api/admin/dashboard
  * @desc    Get admin dashboard stats
- * @access  Private (Admin)
+ * @access  Private (Admin, dashboard:view)
  */
-router.get('/dashboard', authenticateAdmin, adminController.getDashboardStats);
+router.get('/dashboard', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.DASHBOARD_VIEW), adminController.getDashboardStats);
 
 // User Management
 /**
  * @route   GET /api/admin/users
  * @desc    Get all users
- * @access  Private (Admin)
+ * @access  Private (Admin, users:view)
  */
-router.get('/users', authenticateAdmin, validatePagination, adminController.getUsers);
+router.get('/users', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.USERS_VIEW), validatePagination, adminController.getUsers);
 
 /**
  * @route   GET /api/admin/users/:id
  * @desc    Get user details
- * @access  Private (Admin)
+ * @access  Private (Admin, users:view)
  */
-router.get('/users/:id', authenticateAdmin, adminController.getUserDetails);
+router.get('/users/:id', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.USERS_VIEW), adminController.getUserDetails);
 
 /**
  * @route   PATCH /api/admin/users/:id/status
  * @desc    Update user status
- * @access  Private (Admin)
+ * @access  Private (Admin, users:suspend)
+ */
+router.patch('/users/:id/status', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.USERS_SUSPEND), adminController.updateUserStatus);
+
+/**
+ * @route   POST /api/admin/users/:id/logout
+ * @desc    Force logout a user (revokes every session)
+ * @access  Private (Admin, users:suspend)
  */
-router.patch('/users/:id/status', authenticateAdmin, adminController.updateUserStatus);
+router.post('/users/:id/logout', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.USERS_SUSPEND), adminController.forceLogoutUser);
+
+/**
+ * @route   POST /api/admin/users/:id/adjustments
+ * @desc    Manually credit or debit a user's wallet (large amounts await a second admin)
+ * @access  Private (Admin, wallets:adjust, step-up)
+ */
+router.post('/users/:id/adjustments', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.WALLETS_ADJUST), requireStepUp, validateAdjustment, adminController.createAdjustment);
 
 // Deposit Management
 /**
  * @route   GET /api/admin/deposits
  * @desc    Get all deposits
- * @access  Private (Admin)
+ * @access  Private (Admin, deposits:view)
  */
-router.get('/deposits', authenticateAdmin, validatePagination, adminController.getDeposits);
+router.get('/deposits', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.DEPOSITS_VIEW), validatePagination, adminController.getDeposits);
 
 /**
  * @route   POST /api/admin/deposits/:id/process
  * @desc    Process a deposit
- * @access  Private (Admin)
+ * @access  Private (Admin, deposits:approve)
  */
-router.post('/deposits/:id/process', authenticateAdmin, validateDepositAction, adminController.processDeposit);
+router.post('/deposits/:id/process', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.DEPOSITS_APPROVE), validateDepositAction, adminController.processDeposit);
+
+// Statement Imports
+/**
+ * @route   POST /api/admin/statement-imports
+ * @desc    Upload a bank/UPI statement (CSV text, optional column mapping) and auto-approve matching deposits
+ * @access  Private (Admin, deposits:approve)
+ */
+router.post('/statement-imports', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.DEPOSITS_APPROVE), validateStatementImport, statementImportController.importStatement);
+
+/**
+ * @route   GET /api/admin/statement-imports
+ * @desc    Get statement imports
+ * @access  Private (Admin, deposits:view)
+ */
+router.get('/statement-imports', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.DEPOSITS_VIEW), validatePagination, statementImportController.getImports);
+
+/**
+ * @route   GET /api/admin/statement-imports/:id
+ * @desc    Get the reconciliation report of an import (?format=csv for every row)
+ * @access  Private (Admin, deposits:view)
+ */
+router.get('/statement-imports/:id', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.DEPOSITS_VIEW), statementImportController.getReport);
 
 // Withdrawal Management
 /**
  * @route   GET /api/admin/withdrawals
  * @desc    Get all withdrawals
- * @access  Private (Admin)
+ * @access  Private (Admin, withdrawals:view)
  */
-router.get('/withdrawals', authenticateAdmin, validatePagination, adminController.getWithdrawals);
+router.get('/withdrawals', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.WITHDRAWALS_VIEW), validatePagination, adminController.getWithdrawals);
 
 /**
  * @route   POST /api/admin/withdrawals/:id/process
- * @desc    Process a withdrawal
- * @access  Private (Admin)
+ * @desc    Move a withdrawal to APPROVED, REJECTED, COMPLETED or FAILED (legal transitions only)
+ * @access  Private (Admin, withdrawals:approve, step-up)
+ */
+router.post('/withdrawals/:id/process', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.WITHDRAWALS_APPROVE), requireStepUp, validateWithdrawalAction, adminController.processWithdrawal);
+
+/**
+ * @route   GET /api/admin/withdrawals/:id/account-number
+ * @desc    Reveal the full account number a withdrawal is paid to (audited)
+ * @access  Private (Admin, bank-details:reveal, step-up)
+ */
+router.get('/withdrawals/:id/account-number', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.BANK_DETAILS_REVEAL), requireStepUp, validateWithdrawalId, adminController.revealWithdrawalAccount);
+
+/**
+ * @route   GET /api/admin/payout-methods/:id/account-number
+ * @desc    Reveal the full account number of a user's saved payout method (audited)
+ * @access  Private (Admin, bank-details:reveal, step-up)
+ */
+router.get('/payout-methods/:id/account-number', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.BANK_DETAILS_REVEAL), requireStepUp, validatePayoutMethodId, adminController.revealPayoutMethodAccount);
+
+// Payout Batches
+/**
+ * @route   GET /api/admin/payout-batches
+ * @desc    Get payout batches (?status= to filter)
+ * @access  Private (Admin, withdrawals:view)
+ */
+router.get('/payout-batches', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.WITHDRAWALS_VIEW), validatePagination, payoutBatchController.getBatches);
+
+/**
+ * @route   POST /api/admin/payout-batches
+ * @desc    Group approved withdrawals into a payout batch (all approved ones if withdrawalIds is omitted)
+ * @access  Private (Admin, withdrawals:approve)
+ */
+router.post('/payout-batches', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.WITHDRAWALS_APPROVE), validatePayoutBatch, payoutBatchController.createBatch);
+
+/**
+ * @route   GET /api/admin/payout-batches/:id
+ * @desc    Get a payout batch with its withdrawals
+ * @access  Private (Admin, withdrawals:view)
+ */
+router.get('/payout-batches/:id', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.WITHDRAWALS_VIEW), payoutBatchController.getBatch);
+
+/**
+ * @route   GET /api/admin/payout-batches/:id/export
+ * @desc    Download the bank-upload CSV of a payout batch (holds full account numbers)
+ * @access  Private (Admin, withdrawals:approve, bank-details:reveal, step-up)
  */
-router.post('/withdrawals/:id/process', authenticateAdmin, validateWithdrawalAction, adminController.processWithdrawal);
+router.get('/payout-batches/:id/export', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.WITHDRAWALS_APPROVE, ADMIN_PERMISSIONS.BANK_DETAILS_REVEAL), requireStepUp, payoutBatchController.exportBatch);
+
+/**
+ * @route   POST /api/admin/payout-batches/:id/paid
+ * @desc    Mark a payout batch as paid, completing its withdrawals
+ * @access  Private (Admin, withdrawals:approve, step-up)
+ */
+router.post('/payout-batches/:id/paid', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.WITHDRAWALS_APPROVE), requireStepUp, validatePayoutBatchPaid, payoutBatchController.markPaid);
+
+/**
+ * @route   POST /api/admin/payout-batches/:id/cancel
+ * @desc    Cancel an unpaid payout batch, returning its withdrawals to APPROVED
+ * @access  Private (Admin, withdrawals:approve)
+ */
+router.post('/payout-batches/:id/cancel', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.WITHDRAWALS_APPROVE), payoutBatchController.cancelBatch);
+
+// KYC Review
+/**
+ * @route   GET /api/admin/kyc
+ * @desc    Get the KYC review queue (?status= PENDING by default, oldest first)
+ * @access  Private (Admin, kyc:view)
+ */
+router.get('/kyc', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.KYC_VIEW), validatePagination, kycController.getQueue);
+
+/**
+ * @route   GET /api/admin/kyc/:id
+ * @desc    Get a KYC submission with the user's earlier submissions
+ * @access  Private (Admin, kyc:view)
+ */
+router.get('/kyc/:id', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.KYC_VIEW), kycController.getSubmission);
+
+/**
+ * @route   GET /api/admin/kyc/:id/documents/:document
+ * @desc    View the ID document (id) or selfie (selfie) of a submission
+ * @access  Private (Admin, kyc:view)
+ */
+router.get('/kyc/:id/documents/:document(id|selfie)', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.KYC_VIEW), kycController.getDocument);
+
+/**
+ * @route   POST /api/admin/kyc/:id/review
+ * @desc    Approve or reject (with a reason) a KYC submission
+ * @access  Private (Admin, kyc:review)
+ */
+router.post('/kyc/:id/review', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.KYC_REVIEW), validateKycReview, kycController.review);
 
 // Settings Management
 /**
  * @route   GET /api/admin/settings
  * @desc    Get all settings
- * @access  Private (Admin)
+ * @access  Private (Admin, settings:view)
  */
-router.get('/settings', authenticateAdmin, adminController.getSettings);
+router.get('/settings', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.SETTINGS_VIEW), adminController.getSettings);
 
 /**
  * @route   PATCH /api/admin/settings/:key
  * @desc    Update a setting
- * @access  Private (Admin)
+ * @access  Private (Admin, settings:write, step-up)
  */
-router.patch('/settings/:key', authenticateAdmin, adminController.updateSetting);
+router.patch('/settings/:key', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.SETTINGS_WRITE), requireStepUp, adminController.updateSetting);
 
 /**
  * @route   PUT /api/admin/upi-id
- * @desc    Update admin UPI ID
- * @access  Private (Admin)
+ * @desc    Request a change of the admin's deposit UPI ID (applied once a second admin confirms it)
+ * @access  Private (Admin, settings:write, step-up)
+ */
+router.put('/upi-id', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.SETTINGS_WRITE), requireStepUp, adminController.updateUpiId);
+
+/**
+ * @route   GET /api/admin/otp-lockouts
+ * @desc    Get OTP lockouts (filter by mobileNumber, reason)
+ * @access  Private (Admin, security:view)
  */
-router.put('/upi-id', authenticateAdmin, adminController.updateUpiId);
+router.get('/otp-lockouts', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.SECURITY_VIEW), validatePagination, adminController.getOtpLockouts);
 
 // Admin Management (Super Admin Only)
 /**
  * @route   POST /api/admin/create
  * @desc    Create a new admin
- * @access  Private (Super Admin)
+ * @access  Private (Admin, admins:manage, step-up)
  */
-router.post('/create', authenticateAdmin, requireSuperAdmin, adminController.createAdmin);
+router.post('/create', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.ADMINS_MANAGE), requireStepUp, adminController.createAdmin);
 
 /**
  * @route   GET /api/admin/list
  * @desc    Get all admins
- * @access  Private (Super Admin)
+ * @access  Private (Admin, admins:manage)
+ */
+router.get('/list', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.ADMINS_MANAGE), adminController.getAdmins);
+
+/**
+ * @route   GET /api/admin/permissions
+ * @desc    Get the permission matrix (every permission and the roles that have it)
+ * @access  Private (Admin, admins:manage)
+ */
+router.get('/permissions', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.ADMINS_MANAGE), adminController.getPermissionMatrix);
+
+/**
+ * @route   PUT /api/admin/admins/:id/permissions
+ * @desc    Replace an admin's permission overrides ({ grant: [], revoke: [] })
+ * @access  Private (Admin, admins:manage, step-up)
+ */
+router.put('/admins/:id/permissions', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.ADMINS_MANAGE), requireStepUp, adminController.updateAdminPermissions);
+
+/**
+ * @route   GET /api/admin/audit
+ * @desc    Get admin audit logs (filter by adminId, action, targetType, targetId, from, to; ?format=csv to export)
+ * @access  Private (Admin, audit:view)
+ */
+router.get('/audit', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.AUDIT_VIEW), validatePagination, adminController.getAuditLogs);
+
+// ==================== FOUR-EYES APPROVALS ====================
+
+/**
+ * @route   GET /api/admin/approvals
+ * @desc    Get the approval queue (?status= defaults to PENDING, ?action= to filter)
+ * @access  Private (Admin, approvals:review)
+ */
+router.get('/approvals', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.APPROVALS_REVIEW), validatePagination, approvalController.getQueue);
+
+/**
+ * @route   GET /api/admin/approvals/:id
+ * @desc    Get an approval request
+ * @access  Private (Admin, approvals:review)
  */
-router.get('/list', authenticateAdmin, requireSuperAdmin, adminController.getAdmins);
+router.get('/approvals/:id', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.APPROVALS_REVIEW), approvalController.getApproval);
+
+/**
+ * @route   POST /api/admin/approvals/:id/approve
+ * @desc    Confirm and execute a request made by another admin
+ * @access  Private (Admin, approvals:review, step-up)
+ */
+router.post('/approvals/:id/approve', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.APPROVALS_REVIEW), requireStepUp, approvalController.approve);
+
+/**
+ * @route   POST /api/admin/approvals/:id/reject
+ * @desc    Reject a request made by another admin (remarks required)
+ * @access  Private (Admin, approvals:review, step-up)
+ */
+router.post('/approvals/:id/reject', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.APPROVALS_REVIEW), requireStepUp, approvalController.reject);
+
+/**
+ * @route   POST /api/admin/approvals/:id/cancel
+ * @desc    Cancel one's own pending request
+ * @access  Private (Admin, requester only)
+ */
+router.post('/approvals/:id/cancel', authenticateAdmin, approvalController.cancel);
 
 // ==================== GAME CONTROL APIs ====================
 
 /**
  * @route   POST /api/admin/game/declare-result
- * @desc    Declare winning result for a round
- * @access  Private (Admin)
+ * @desc    Settle a round now; the number comes only from its committed seed
+ * @access  Private (Admin, rounds:declare)
  */
-router.post('/game/declare-result', authenticateAdmin, gameAdminController.declareResult);
+router.post('/game/declare-result', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.ROUNDS_DECLARE), gameAdminController.declareResult);
 
 /**
  * @route   PATCH /api/admin/game/round-status
  * @desc    Update round status (OPEN, PAUSED, CLOSED)
- * @access  Private (Admin)
+ * @access  Private (Admin, rounds:control)
  */
-router.patch('/game/round-status', authenticateAdmin, gameAdminController.updateRoundStatus);
+router.patch('/game/round-status', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.ROUNDS_CONTROL), gameAdminController.updateRoundStatus);
 
 /**
  * @route   POST /api/admin/game/cancel-round
  * @desc    Cancel round and refund all bets
- * @access  Private (Admin)
+ * @access  Private (Admin, rounds:cancel)
  */
-router.post('/game/cancel-round', authenticateAdmin, gameAdminController.cancelRound);
+router.post('/game/cancel-round', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.ROUNDS_CANCEL), gameAdminController.cancelRound);
 
 /**
  * @route   GET /api/admin/game/rounds
- * @desc    Get all rounds with filtering
- * @access  Private (Admin)
+ * @desc    Get all rounds with filtering (?status=, ?table=)
+ * @access  Private (Admin, rounds:view)
  */
-router.get('/game/rounds', authenticateAdmin, validatePagination, gameAdminController.getRounds);
+router.get('/game/rounds', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.ROUNDS_VIEW), validatePagination, gameAdminController.getRounds);
 
 /**
  * @route   GET /api/admin/game/rounds/:id
  * @desc    Get round details with bets
- * @access  Private (Admin)
+ * @access  Private (Admin, rounds:view)
  */
-router.get('/game/rounds/:id', authenticateAdmin, gameAdminController.getRoundDetails);
+router.get('/game/rounds/:id', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.ROUNDS_VIEW), gameAdminController.getRoundDetails);
 
 /**
  * @route   POST /api/admin/game/auto-result
- * @desc    Trigger auto-calculate result (for testing)
- * @access  Private (Admin)
+ * @desc    End a round now with its seeded result (audited as a declare by this admin)
+ * @access  Private (Admin, rounds:declare)
  */
-router.post('/game/auto-result', authenticateAdmin, gameAdminController.autoCalculateResult);
+router.post('/game/auto-result', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.ROUNDS_DECLARE), gameAdminController.autoCalculateResult);
 
 /**
  * @route   GET /api/admin/game/preview-result/:gameRoundId
  * @desc    Preview result calculation without declaring
- * @access  Private (Admin)
+ * @access  Private (Admin, rounds:declare)
  */
-router.get('/game/preview-result/:gameRoundId', authenticateAdmin, gameAdminController.previewResult);
+router.get('/game/preview-result/:gameRoundId', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.ROUNDS_DECLARE), gameAdminController.previewResult);
+
+/**
+ * @route   GET /api/admin/game/tables
+ * @desc    Get all game tables
+ * @access  Private (Admin, rounds:view)
+ */
+router.get('/game/tables', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.ROUNDS_VIEW), gameAdminController.getTables);
+
+/**
+ * @route   POST /api/admin/game/tables
+ * @desc    Create a game table (starts running without a restart)
+ * @access  Private (Admin, tables:write)
+ */
+router.post('/game/tables', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.TABLES_WRITE), gameAdminController.createTable);
+
+/**
+ * @route   PATCH /api/admin/game/tables/:id
+ * @desc    Update or disable a game table (applies from its next round)
+ * @access  Private (Admin, tables:write)
+ */
+router.patch('/game/tables/:id', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.TABLES_WRITE), gameAdminController.updateTable);
 
 /**
  * @route   GET /api/admin/game/profit-stats
  * @desc    Get profit statistics
- * @access  Private (Admin)
+ * @access  Private (Admin, risk:view)
  */
-router.get('/game/profit-stats', authenticateAdmin, gameAdminController.getProfitStats);
+router.get('/game/profit-stats', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.RISK_VIEW), gameAdminController.getProfitStats);
 
 module.exports = router;
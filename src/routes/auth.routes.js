@@ -1,7 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/auth.controller');
-const { authenticate } = require('../middleware/auth');
+const {
+  authenticate,
+  authenticateAdmin,
+  authenticateAdminForEnrollment,
+  requireStepUp,
+} = require('../middleware/auth');
 
 // ==================== USER REGISTRATION (2-STEP) ====================
 
@@ -69,11 +74,32 @@ router.post('/refresh', authController.refreshToken);
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user
+ * @desc    Logout user (revokes the session of this device)
  * @access  Private
  */
 router.post('/logout', authenticate, authController.logout);
 
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    Get signed-in devices
+ * @access  Private
+ */
+router.get('/sessions', authenticate, authController.getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Sign out one device
+ * @access  Private
+ */
+router.delete('/sessions/:id', authenticate, authController.revokeSession);
+
+/**
+ * @route   POST /api/auth/self-exclusion
+ * @desc    Self-exclude from betting and deposits (HOURS_24, DAYS_7, DAYS_30, MONTHS_6, PERMANENT)
+ * @access  Private
+ */
+router.post('/self-exclusion', authenticate, authController.selfExclude);
+
 // ==================== REFERRAL ====================
 
 /**
@@ -108,9 +134,46 @@ router.post('/admin/verify-otp', authController.verifyAdminOtp);
 
 /**
  * @route   POST /api/auth/admin/login
- * @desc    Admin login with mobile number
+ * @desc    Admin login with mobile number (plus totpCode or backupCode once 2FA is enabled)
  * @access  Public
  */
 router.post('/admin/login', authController.adminLogin);
 
+// ==================== ADMIN 2FA ====================
+
+/**
+ * @route   GET /api/auth/admin/2fa
+ * @desc    Get two-factor status
+ * @access  Private (Admin)
+ */
+router.get('/admin/2fa', authenticateAdminForEnrollment, authController.getTwoFactorStatus);
+
+/**
+ * @route   POST /api/auth/admin/2fa/setup
+ * @desc    Start two-factor setup (returns the TOTP secret and otpauth URI)
+ * @access  Private (Admin)
+ */
+router.post('/admin/2fa/setup', authenticateAdminForEnrollment, authController.setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/admin/2fa/enable
+ * @desc    Enable two-factor with a first code (returns backup codes once)
+ * @access  Private (Admin)
+ */
+router.post('/admin/2fa/enable', authenticateAdminForEnrollment, authController.enableTwoFactor);
+
+/**
+ * @route   POST /api/auth/admin/2fa/verify
+ * @desc    Verify a code ahead of sensitive actions (step-up)
+ * @access  Private (Admin)
+ */
+router.post('/admin/2fa/verify', authenticateAdmin, authController.verifyTwoFactor);
+
+/**
+ * @route   POST /api/auth/admin/2fa/backup-codes
+ * @desc    Regenerate backup codes
+ * @access  Private (Admin, step-up)
+ */
+router.post('/admin/2fa/backup-codes', authenticateAdmin, requireStepUp, authController.regenerateBackupCodes);
+
 module.exports = router;
@@ -2,20 +2,28 @@ const express = require('express');
 const router = express.Router();
 const gameController = require('../controllers/game.controller');
 const betController = require('../controllers/bet.controller');
-const { authenticate, authenticateAdmin } = require('../middleware/auth');
-const { validateBet, validatePagination } = require('../middleware/validation');
+const { authenticate, authenticateAdmin, requirePermission } = require('../middleware/auth');
+const { ADMIN_PERMISSIONS } = require('../config/constants');
+const { validateBet, validateBetSlip, validatePagination } = require('../middleware/validation');
 
 // Game routes
+/**
+ * @route   GET /api/game/tables
+ * @desc    Get the active game tables
+ * @access  Private
+ */
+router.get('/tables', authenticate, gameController.getTables);
+
 /**
  * @route   GET /api/game/current
- * @desc    Get current active game round
+ * @desc    Get current active game round (?table=CODE, defaults to the first active table)
  * @access  Private
  */
 router.get('/current', authenticate, gameController.getCurrentRound);
 
 /**
  * @route   GET /api/game/history
- * @desc    Get game history
+ * @desc    Get game history (?table=CODE, defaults to the first active table)
  * @access  Private
  */
 router.get('/history', authenticate, validatePagination, gameController.getGameHistory);
@@ -23,18 +31,32 @@ router.get('/history', authenticate, validatePagination, gameController.getGameH
 /**
  * @route   GET /api/game/rounds
  * @desc    Get all game rounds (admin)
- * @access  Private (Admin)
+ * @access  Private (Admin, rounds:view)
  */
-router.get('/rounds', authenticateAdmin, validatePagination, gameController.getAllRounds);
+router.get('/rounds', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.ROUNDS_VIEW), validatePagination, gameController.getAllRounds);
+
+/**
+ * @route   GET /api/game/rounds/:period/verify
+ * @desc    Verify a round's result against its revealed server seed
+ * @access  Public
+ */
+router.get('/rounds/:period/verify', gameController.verifyRound);
 
 // Bet routes
 /**
  * @route   POST /api/game/bet
- * @desc    Place a bet
+ * @desc    Place a bet (honours an optional Idempotency-Key header)
  * @access  Private
  */
 router.post('/bet', authenticate, validateBet, betController.placeBet);
 
+/**
+ * @route   POST /api/game/bet-slip
+ * @desc    Place several bets on one round, debited once for the total
+ * @access  Private
+ */
+router.post('/bet-slip', authenticate, validateBetSlip, betController.placeBetSlip);
+
 /**
  * @route   GET /api/game/bets
  * @desc    Get user's bet history
@@ -52,8 +74,8 @@ router.get('/bets/:gameRoundId', authenticate, betController.getRoundBets);
 /**
  * @route   GET /api/game/all-bets
  * @desc    Get all bets (admin)
- * @access  Private (Admin)
+ * @access  Private (Admin, bets:view)
  */
-router.get('/all-bets', authenticateAdmin, validatePagination, betController.getAllBets);
+router.get('/all-bets', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.BETS_VIEW), validatePagination, betController.getAllBets);
 
 module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const kycController = require('../controllers/kyc.controller');
+const { authenticate } = require('../middleware/auth');
+const { validateKycSubmission } = require('../middleware/validation');
+
+/**
+ * @route   GET /api/kyc
+ * @desc    Get KYC status, level and withdrawal allowance
+ * @access  Private
+ */
+router.get('/', authenticate, kycController.getStatus);
+
+/**
+ * @route   POST /api/kyc
+ * @desc    Submit an ID document (PAN/Aadhaar) and a selfie, base64-encoded, for review
+ * @access  Private
+ */
+router.post('/', authenticate, validateKycSubmission, kycController.submit);
+
+module.exports = router;
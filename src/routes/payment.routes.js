@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/payment.controller');
+
+/**
+ * @route   POST /api/payments/webhook/:provider
+ * @desc    Payment gateway webhook (authenticated by its signature, not a token)
+ * @access  Public
+ */
+router.post('/webhook/:provider', paymentController.handleWebhook);
+
+module.exports = router;
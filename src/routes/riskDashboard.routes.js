@@ -1,48 +1,49 @@
 const express = require('express');
 const router = express.Router();
 const riskDashboardController = require('../controllers/riskDashboard.controller');
-const { authenticateAdmin } = require('../middleware/auth');
+const { authenticateAdmin, requirePermission } = require('../middleware/auth');
+const { ADMIN_PERMISSIONS } = require('../config/constants');
 
 /**
  * @route   GET /api/admin/risk/summary
- * @desc    Get real-time risk summary
- * @access  Private (Admin)
+ * @desc    Get real-time risk summary (?table=CODE to pick a table)
+ * @access  Private (Admin, risk:view)
  */
-router.get('/summary', authenticateAdmin, riskDashboardController.getSummary);
+router.get('/summary', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.RISK_VIEW), riskDashboardController.getSummary);
 
 /**
  * @route   GET /api/admin/risk/analysis/:gameRoundId
  * @desc    Get detailed risk analysis for a round
- * @access  Private (Admin)
+ * @access  Private (Admin, risk:view)
  */
-router.get('/analysis/:gameRoundId', authenticateAdmin, riskDashboardController.getRoundAnalysis);
+router.get('/analysis/:gameRoundId', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.RISK_VIEW), riskDashboardController.getRoundAnalysis);
 
 /**
  * @route   GET /api/admin/risk/distribution/:gameRoundId
  * @desc    Get bet distribution for a round
- * @access  Private (Admin)
+ * @access  Private (Admin, risk:view)
  */
-router.get('/distribution/:gameRoundId', authenticateAdmin, riskDashboardController.getBetDistribution);
+router.get('/distribution/:gameRoundId', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.RISK_VIEW), riskDashboardController.getBetDistribution);
 
 /**
  * @route   GET /api/admin/risk/user-bets/:gameRoundId
  * @desc    Get user-wise bet history for a round
- * @access  Private (Admin)
+ * @access  Private (Admin, risk:view)
  */
-router.get('/user-bets/:gameRoundId', authenticateAdmin, riskDashboardController.getUserBets);
+router.get('/user-bets/:gameRoundId', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.RISK_VIEW), riskDashboardController.getUserBets);
 
 /**
  * @route   GET /api/admin/risk/payouts/:gameRoundId
  * @desc    Get payout calculations for all possible results
- * @access  Private (Admin)
+ * @access  Private (Admin, risk:view)
  */
-router.get('/payouts/:gameRoundId', authenticateAdmin, riskDashboardController.getPayoutCalculations);
+router.get('/payouts/:gameRoundId', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.RISK_VIEW), riskDashboardController.getPayoutCalculations);
 
 /**
  * @route   GET /api/admin/risk/history
  * @desc    Get historical risk statistics
- * @access  Private (Admin)
+ * @access  Private (Admin, risk:view)
  */
-router.get('/history', authenticateAdmin, riskDashboardController.getHistoricalStats);
+router.get('/history', authenticateAdmin, requirePermission(ADMIN_PERMISSIONS.RISK_VIEW), riskDashboardController.getHistoricalStats);
 
 module.exports = router;
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const walletController = require('../controllers/wallet.controller');
 const { authenticate } = require('../middleware/auth');
-const { validateDeposit, validateWithdrawal, validateBankDetails, validatePagination } = require('../middleware/validation');
+const { validateDeposit, validateOnlineDeposit, validateDepositStatus, validateWithdrawal, validatePayoutMethod, validatePayoutMethodId, validateOtpCode, validatePagination, validateLimits } = require('../middleware/validation');
 
 /**
  * @route   GET /api/wallet
@@ -25,6 +25,20 @@ router.get('/transactions', authenticate, validatePagination, walletController.g
  */
 router.post('/deposit', authenticate, validateDeposit, walletController.createDeposit);
 
+/**
+ * @route   POST /api/wallet/deposit/online
+ * @desc    Start a deposit through the payment gateway
+ * @access  Private
+ */
+router.post('/deposit/online', authenticate, validateOnlineDeposit, walletController.createOnlineDeposit);
+
+/**
+ * @route   GET /api/wallet/deposits/:id/status
+ * @desc    Get an online deposit's status, re-checking it with the gateway while pending
+ * @access  Private
+ */
+router.get('/deposits/:id/status', authenticate, validateDepositStatus, walletController.getDepositStatus);
+
 /**
  * @route   GET /api/wallet/deposits
  * @desc    Get user deposit history
@@ -47,18 +61,39 @@ router.post('/withdraw', authenticate, validateWithdrawal, walletController.crea
 router.get('/withdrawals', authenticate, validatePagination, walletController.getWithdrawals);
 
 /**
- * @route   POST /api/wallet/bank-details
- * @desc    Add or update bank details
+ * @route   GET /api/wallet/payout-methods
+ * @desc    Get saved bank accounts and UPI IDs (default first)
  * @access  Private
  */
-router.post('/bank-details', authenticate, validateBankDetails, walletController.saveBankDetails);
+router.get('/payout-methods', authenticate, walletController.getPayoutMethods);
+
+/**
+ * @route   POST /api/wallet/payout-methods/otp
+ * @desc    Send the OTP needed to add or remove a payout method
+ * @access  Private
+ */
+router.post('/payout-methods/otp', authenticate, walletController.sendPayoutMethodOtp);
+
+/**
+ * @route   POST /api/wallet/payout-methods
+ * @desc    Add a bank account or UPI ID (usable for withdrawals after a cooling-off period)
+ * @access  Private (OTP)
+ */
+router.post('/payout-methods', authenticate, validatePayoutMethod, walletController.addPayoutMethod);
 
 /**
- * @route   GET /api/wallet/bank-details
- * @desc    Get bank details
+ * @route   PATCH /api/wallet/payout-methods/:id/default
+ * @desc    Make a payout method the default for withdrawals
  * @access  Private
  */
-router.get('/bank-details', authenticate, walletController.getBankDetails);
+router.patch('/payout-methods/:id/default', authenticate, validatePayoutMethodId, walletController.setDefaultPayoutMethod);
+
+/**
+ * @route   DELETE /api/wallet/payout-methods/:id
+ * @desc    Remove a payout method
+ * @access  Private (OTP)
+ */
+router.delete('/payout-methods/:id', authenticate, validatePayoutMethodId, validateOtpCode, walletController.removePayoutMethod);
 
 /**
  * @route   GET /api/wallet/deposit-upi
@@ -67,4 +102,25 @@ router.get('/bank-details', authenticate, walletController.getBankDetails);
  */
 router.get('/deposit-upi', authenticate, walletController.getDepositUpiId);
 
+/**
+ * @route   GET /api/wallet/limits
+ * @desc    Get responsible-gambling limits with current usage
+ * @access  Private
+ */
+router.get('/limits', authenticate, walletController.getLimits);
+
+/**
+ * @route   PUT /api/wallet/limits
+ * @desc    Set deposit, wager and loss limits (increases apply after a cooling-off period)
+ * @access  Private
+ */
+router.put('/limits', authenticate, validateLimits, walletController.updateLimits);
+
+/**
+ * @route   GET /api/wallet/bonuses
+ * @desc    Get bonus balance and wagering progress of active, queued and past bonuses
+ * @access  Private
+ */
+router.get('/bonuses', authenticate, walletController.getBonuses);
+
 module.exports = router;
@@ -0,0 +1,54 @@
+/**
+ * Ledger Reconciliation
+ * Verifies that every journal entry balances, that every wallet balance
+ * equals the sum of its ledger postings and that held bonus funds equal the
+ * open bonus balances. Exits non-zero on any discrepancy.
+ *
+ * Usage: npm run ledger:reconcile
+ */
+
+const prisma = require('../config/database');
+const ledgerService = require('../services/ledger.service');
+
+async function main() {
+  console.log('🔎 Reconciling ledger...');
+
+  const report = await ledgerService.reconcile();
+
+  console.log(`   Wallets checked: ${report.walletsChecked}`);
+  console.log(`   Ledger total: ${report.ledgerTotal}`);
+
+  for (const account of report.systemAccounts) {
+    console.log(`   ${account.code}: ${account.balance}`);
+  }
+
+  if (report.unbalancedEntries.length > 0) {
+    console.error(`❌ ${report.unbalancedEntries.length} unbalanced journal entries:`);
+    console.table(report.unbalancedEntries);
+  }
+
+  if (report.walletMismatches.length > 0) {
+    console.error(`❌ ${report.walletMismatches.length} wallets differ from the ledger:`);
+    console.table(report.walletMismatches);
+  }
+
+  if (report.bonusHeld.ledgerBalance !== report.bonusHeld.bonusBalance) {
+    console.error(`❌ Held bonus funds are ${report.bonusHeld.ledgerBalance} in the ledger but open bonuses hold ${report.bonusHeld.bonusBalance}`);
+  }
+
+  if (!report.balanced) {
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log('✅ Ledger reconciled - all entries balance and every wallet matches');
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Reconciliation failed:', e);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,32 @@
+/**
+ * Data Key Rotation
+ * Brings every stored bank account number under the active data encryption
+ * key (the first entry of DATA_ENCRYPTION_KEYS): plaintext left from before
+ * encryption is encrypted and values under an older key are re-wrapped.
+ * Keep the old key listed until this has run, then it can be removed.
+ *
+ * Usage: npm run data:rotate-keys
+ */
+
+const prisma = require('../config/database');
+const payoutMethodService = require('../services/payoutMethod.service');
+
+async function main() {
+  console.log('🔐 Rotating data encryption keys...');
+
+  const result = await payoutMethodService.rotateKeys();
+
+  console.log(`   Payout methods updated: ${result.payoutMethods}`);
+  console.log(`   Withdrawals updated: ${result.withdrawals}`);
+
+  console.log('✅ All account numbers use the active key');
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Key rotation failed:', e);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
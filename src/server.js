@@ -1,11 +1,13 @@
 const app = require('./app');
 const prisma = require('./config/database');
 const gameService = require('./services/game.service');
+const otpDeliveryService = require('./services/otpDelivery.service');
 const env = require('./config/env');
 const logger = require('./utils/logger');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 const RiskDashboardSocket = require('./websocket/riskDashboard.socket');
+const GameSocket = require('./websocket/game.socket');
 
 const PORT = env.PORT;
 
@@ -24,9 +26,13 @@ const io = new Server(httpServer, {
 // Initialize Risk Dashboard WebSocket
 const riskDashboardSocket = new RiskDashboardSocket(io);
 
+// Initialize player Game WebSocket
+const gameSocket = new GameSocket(io);
+
 // Make io accessible to other modules
 app.set('io', io);
 app.set('riskDashboardSocket', riskDashboardSocket);
+app.set('gameSocket', gameSocket);
 
 // Start server
 const server = httpServer.listen(PORT, () => {
@@ -47,6 +53,9 @@ const server = httpServer.listen(PORT, () => {
 
   // Start game service
   gameService.start();
+
+  // OTP messages queued before a restart were lost with the process
+  otpDeliveryService.failInterruptedDeliveries();
 });
 
 // Graceful shutdown
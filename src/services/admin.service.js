@@ -1,7 +1,25 @@
 const prisma = require('../config/database');
 const { hashPassword } = require('../utils/auth');
 const logger = require('../utils/logger');
-const referralService = require('./referral.service');
+const { LEDGER_ACCOUNTS, LEDGER_ENTRY_TYPES, ADMIN_AUDIT_ACTIONS, ADMIN_ROLES, ADJUSTMENT_REASONS } = require('../config/constants');
+const walletService = require('./wallet.service');
+const ledgerService = require('./ledger.service');
+const auditService = require('./audit.service');
+const selfExclusionService = require('./selfExclusion.service');
+const kycService = require('./kyc.service');
+const sessionService = require('./session.service');
+const permissionService = require('./permission.service');
+const approvalService = require('./approval.service');
+const withdrawalService = require('./withdrawal.service');
+const payoutMethodService = require('./payoutMethod.service');
+
+// System account on the other side of a manual adjustment, by reason code
+const ADJUSTMENT_ACCOUNTS = {
+  GOODWILL: LEDGER_ACCOUNTS.HOUSE,
+  CORRECTION: LEDGER_ACCOUNTS.HOUSE,
+  CHARGEBACK: LEDGER_ACCOUNTS.EXTERNAL,
+  BONUS: LEDGER_ACCOUNTS.BONUS_POOL,
+};
 
 /**
  * Admin Service - Handles admin operations
@@ -23,6 +41,8 @@ class AdminService {
         lastLoginAt: true,
         createdAt: true,
         upiId: true,
+        grantedPermissions: true,
+        revokedPermissions: true,
       },
     });
 
@@ -30,7 +50,10 @@ class AdminService {
       throw new Error('Admin not found');
     }
 
-    return admin;
+    return {
+      ...admin,
+      permissions: permissionService.resolve(admin),
+    };
   }
 
   /**
@@ -129,7 +152,9 @@ class AdminService {
       where: { id: userId },
       include: {
         wallet: true,
-        bankDetails: true,
+        payoutMethods: {
+          orderBy: { createdAt: 'asc' },
+        },
         bets: {
           orderBy: { createdAt: 'desc' },
           take: 10,
@@ -156,6 +181,10 @@ class AdminService {
           orderBy: { createdAt: 'desc' },
           take: 10,
         },
+        bonuses: {
+          orderBy: { createdAt: 'desc' },
+          take: 10,
+        },
       },
     });
 
@@ -164,27 +193,215 @@ class AdminService {
     }
 
     const { password, ...userWithoutPassword } = user;
-    return userWithoutPassword;
+
+    // Manual adjustments are listed on their own so game activity does not bury them
+    const adjustments = await prisma.transaction.findMany({
+      where: { userId, type: 'ADJUSTMENT' },
+      orderBy: { createdAt: 'desc' },
+      take: 10,
+    });
+
+    return {
+      ...userWithoutPassword,
+      payoutMethods: user.payoutMethods.map(method => payoutMethodService.present(method)),
+      withdrawals: user.withdrawals.map(withdrawal => payoutMethodService.presentWithdrawal(withdrawal)),
+      adjustments,
+      kyc: {
+        ...await kycService.getStatus(userId),
+        submissions: await kycService.getUserSubmissions(userId),
+      },
+      selfExclusion: await selfExclusionService.getUserExclusions(userId),
+    };
   }
 
   /**
    * Update user status
    */
-  async updateUserStatus(userId, isActive) {
-    const user = await prisma.user.update({
+  async updateUserStatus(userId, isActive, adminId, auditContext = {}) {
+    const user = await prisma.$transaction(async (tx) => {
+      const existing = await tx.user.findUnique({
+        where: { id: userId },
+        select: { isActive: true },
+      });
+
+      if (!existing) {
+        throw new Error('User not found');
+      }
+
+      const updated = await tx.user.update({
+        where: { id: userId },
+        data: { isActive },
+        select: {
+          id: true,
+          mobileNumber: true,
+          name: true,
+          isActive: true,
+        },
+      });
+
+      await auditService.record(tx, {
+        adminId,
+        action: ADMIN_AUDIT_ACTIONS.USER_STATUS_UPDATED,
+        targetType: 'User',
+        targetId: userId,
+        before: { isActive: existing.isActive },
+        after: { isActive: updated.isActive },
+      }, auditContext);
+
+      return updated;
+    });
+
+    logger.info(`User ${userId} status updated to ${isActive} by admin: ${adminId}`);
+
+    return user;
+  }
+
+  /**
+   * Force logout - revoke every session of a user
+   */
+  async forceLogoutUser(userId, adminId, auditContext = {}) {
+    const revoked = await prisma.$transaction(async (tx) => {
+      const existing = await tx.user.findUnique({
+        where: { id: userId },
+        select: { id: true },
+      });
+
+      if (!existing) {
+        throw new Error('User not found');
+      }
+
+      const count = await sessionService.revokeAll(tx, { userId }, 'ADMIN_FORCED');
+
+      await auditService.record(tx, {
+        adminId,
+        action: ADMIN_AUDIT_ACTIONS.USER_SESSIONS_REVOKED,
+        targetType: 'User',
+        targetId: userId,
+        after: { sessionsRevoked: count },
+      }, auditContext);
+
+      return count;
+    });
+
+    const gameSocket = require('../app').get('gameSocket');
+    if (gameSocket) {
+      gameSocket.disconnectUser(userId);
+    }
+
+    logger.info(`Admin ${adminId} forced logout of user ${userId} (${revoked} sessions revoked)`);
+
+    return { sessionsRevoked: revoked };
+  }
+
+  /**
+   * Manually credit (positive amount) or debit (negative amount) a user's wallet
+   * @param {Object} adjustment - { amount, reasonCode, note, ticketId }
+   */
+  async adjustBalance(userId, { amount, reasonCode, note, ticketId }, adminId, auditContext = {}) {
+    const value = parseFloat(amount);
+
+    if (isNaN(value) || value === 0) {
+      throw new Error('Amount must be a non-zero number');
+    }
+
+    if (!Object.values(ADJUSTMENT_REASONS).includes(reasonCode)) {
+      throw new Error('Invalid reason code');
+    }
+
+    if (!note || !ticketId) {
+      throw new Error('A note and a ticket ID are required');
+    }
+
+    const user = await prisma.user.findUnique({
       where: { id: userId },
-      data: { isActive },
-      select: {
-        id: true,
-        mobileNumber: true,
-        name: true,
-        isActive: true,
+      select: { id: true },
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    await approvalService.assertNoPending('BALANCE_ADJUSTMENT', userId);
+
+    const payload = { amount: value, reasonCode, note, ticketId };
+
+    if (await approvalService.requiresAdjustmentApproval(value, adminId, userId)) {
+      const pendingApproval = await approvalService.request({
+        action: 'BALANCE_ADJUSTMENT',
+        targetType: 'User',
+        targetId: userId,
+        amount: value,
+        payload,
+        reason: note,
+      }, adminId, auditContext);
+
+      return { pendingApproval };
+    }
+
+    const transaction = await prisma.$transaction(async (tx) => {
+      return this.applyBalanceAdjustment(tx, userId, payload, adminId, auditContext);
+    });
+
+    logger.info(`Balance of user ${userId} adjusted by ${value} (${reasonCode}, ticket ${ticketId}) by admin: ${adminId}`);
+
+    const gameSocket = require('../app').get('gameSocket');
+    if (gameSocket) {
+      await gameSocket.notifyWalletUpdated(userId);
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Post a manual adjustment inside a transaction
+   * (also how a confirmed four-eyes request is carried out)
+   * @returns {Promise<Object>} The ADJUSTMENT transaction record
+   */
+  async applyBalanceAdjustment(tx, userId, { amount, reasonCode, note, ticketId }, adminId, auditContext = {}) {
+    const wallet = await tx.wallet.findUnique({
+      where: { userId },
+      select: { balance: true },
+    });
+
+    if (!wallet) {
+      throw new Error('Wallet not found');
+    }
+
+    const value = parseFloat(amount);
+    const counterAccount = ADJUSTMENT_ACCOUNTS[reasonCode];
+    const description = `Balance adjustment (${reasonCode.toLowerCase()})`;
+
+    const transaction = await tx.transaction.create({
+      data: {
+        userId,
+        type: 'ADJUSTMENT',
+        amount: value,
+        status: 'COMPLETED',
+        description,
+        metadata: { reasonCode, note, ticketId },
       },
     });
 
-    logger.info(`User ${userId} status updated to ${isActive}`);
+    // A debit beyond the balance fails here with 'Insufficient balance'
+    await ledgerService.transfer(tx, {
+      from: value > 0 ? counterAccount : { userId },
+      to: value > 0 ? { userId } : counterAccount,
+      amount: Math.abs(value),
+      type: LEDGER_ENTRY_TYPES.ADJUSTMENT,
+      referenceId: transaction.id,
+      description,
+    });
 
-    return user;
+    await auditService.record(tx, {
+      adminId,
+      action: ADMIN_AUDIT_ACTIONS.BALANCE_ADJUSTED,
+      targetType: 'User',
+      targetId: userId,
+      before: { balance: wallet.balance },
+      after: { amount: value, reasonCode, note, ticketId, transactionId: transaction.id },
+    }, auditContext);
+
+    return transaction;
   }
 
   /**
@@ -223,7 +440,7 @@ class AdminService {
   /**
    * Process deposit (approve/reject)
    */
-  async processDeposit(depositId, status, remarks, adminId) {
+  async processDeposit(depositId, status, remarks, adminId, auditContext = {}) {
     const deposit = await prisma.deposit.findUnique({
       where: { id: depositId },
     });
@@ -237,59 +454,35 @@ class AdminService {
     }
 
     const updatedDeposit = await prisma.$transaction(async (tx) => {
-      // Update deposit status
-      const updated = await tx.deposit.update({
-        where: { id: depositId },
-        data: {
-          status,
-          remarks,
-          verifiedBy: adminId,
-          verifiedAt: new Date(),
-        },
-      });
-
-      // Update transaction status
-      await tx.transaction.updateMany({
-        where: {
-          referenceId: depositId,
-          type: 'DEPOSIT',
-        },
-        data: {
-          status: status === 'APPROVED' ? 'COMPLETED' : 'CANCELLED',
-        },
+      const updated = await walletService.settleDeposit(tx, depositId, {
+        status,
+        remarks,
+        verifiedBy: adminId,
       });
 
-      // If approved, add to wallet
-      if (status === 'APPROVED') {
-        await tx.wallet.update({
-          where: { userId: deposit.userId },
-          data: {
-            balance: {
-              increment: parseFloat(deposit.amount),
-            },
-          },
-        });
+      if (!updated) {
+        throw new Error('This deposit has already been processed');
       }
 
+      await auditService.record(tx, {
+        adminId,
+        action: ADMIN_AUDIT_ACTIONS.DEPOSIT_PROCESSED,
+        targetType: 'Deposit',
+        targetId: depositId,
+        before: { status: deposit.status, amount: deposit.amount },
+        after: { status: updated.status, amount: updated.amount, remarks: updated.remarks },
+      }, auditContext);
+
       return updated;
     });
 
-    // Process referral bonus if deposit approved
+    logger.info(`Deposit ${depositId} ${status.toLowerCase()} by admin: ${adminId}`);
+
+    // Referral bonus and live balance
     if (status === 'APPROVED') {
-      try {
-        await referralService.processReferralBonus(
-          depositId,
-          deposit.userId,
-          deposit.amount
-        );
-      } catch (bonusErr) {
-        logger.error('Error processing referral bonus:', bonusErr);
-        // Don't fail the deposit if bonus processing fails
-      }
+      await walletService.onDepositApproved(updatedDeposit);
     }
 
-    logger.info(`Deposit ${depositId} ${status.toLowerCase()} by admin: ${adminId}`);
-
     return updatedDeposit;
   }
 
@@ -323,13 +516,18 @@ class AdminService {
       prisma.withdrawal.count({ where }),
     ]);
 
-    return { withdrawals, total, page, limit };
+    return {
+      withdrawals: withdrawals.map(withdrawal => payoutMethodService.presentWithdrawal(withdrawal)),
+      total,
+      page,
+      limit,
+    };
   }
 
   /**
-   * Process withdrawal (approve/reject)
+   * Move a withdrawal through its lifecycle (approve, reject, mark paid or failed)
    */
-  async processWithdrawal(withdrawalId, status, remarks, adminId) {
+  async processWithdrawal(withdrawalId, status, remarks, adminId, auditContext = {}) {
     const withdrawal = await prisma.withdrawal.findUnique({
       where: { id: withdrawalId },
     });
@@ -338,53 +536,54 @@ class AdminService {
       throw new Error('Withdrawal not found');
     }
 
-    if (withdrawal.status !== 'PENDING') {
-      throw new Error('This withdrawal has already been processed');
+    // Batched withdrawals go back to APPROVED only by cancelling their batch
+    if (withdrawal.status === 'PROCESSING' && status === 'APPROVED') {
+      throw new Error('Cancel the payout batch to take a withdrawal out of it');
     }
 
-    const updatedWithdrawal = await prisma.$transaction(async (tx) => {
-      // Update withdrawal status
-      const updated = await tx.withdrawal.update({
-        where: { id: withdrawalId },
-        data: {
-          status,
-          remarks,
-          processedBy: adminId,
-          processedAt: new Date(),
-        },
-      });
+    withdrawalService.assertTransition(withdrawal.status, status);
 
-      // Update transaction status
-      await tx.transaction.updateMany({
-        where: {
-          referenceId: withdrawalId,
-          type: 'WITHDRAWAL',
-        },
-        data: {
-          status: status === 'APPROVED' ? 'COMPLETED' : 'FAILED',
-        },
-      });
+    await approvalService.assertNoPending('WITHDRAWAL_APPROVAL', withdrawalId);
 
-      // If rejected, refund the amount
-      if (status === 'REJECTED') {
-        await tx.wallet.update({
-          where: { userId: withdrawal.userId },
-          data: {
-            balance: {
-              increment: parseFloat(withdrawal.amount),
-            },
-          },
-        });
-      }
+    // Approving a large amount for payout needs a second admin (rejecting never does)
+    if (status === 'APPROVED' && await approvalService.requiresWithdrawalApproval(withdrawal.amount, adminId, withdrawal.userId)) {
+      const pendingApproval = await approvalService.request({
+        action: 'WITHDRAWAL_APPROVAL',
+        targetType: 'Withdrawal',
+        targetId: withdrawalId,
+        amount: withdrawal.amount,
+        payload: { status, remarks: remarks || null },
+        reason: remarks || null,
+      }, adminId, auditContext);
 
-      return updated;
+      return { pendingApproval };
+    }
+
+    const updatedWithdrawal = await prisma.$transaction(async (tx) => {
+      return this.applyWithdrawalDecision(tx, withdrawalId, { status, remarks }, adminId, auditContext);
     });
 
-    logger.info(`Withdrawal ${withdrawalId} ${status.toLowerCase()} by admin: ${adminId}`);
+    logger.info(`Withdrawal ${withdrawalId} moved from ${withdrawal.status} to ${status} by admin: ${adminId}`);
+
+    if (withdrawalService.isRefund(status)) {
+      const gameSocket = require('../app').get('gameSocket');
+      if (gameSocket) {
+        await gameSocket.notifyWalletUpdated(withdrawal.userId);
+      }
+    }
 
     return updatedWithdrawal;
   }
 
+  /**
+   * Move a withdrawal to a new status inside a transaction
+   * (also how a confirmed four-eyes request is carried out)
+   */
+  async applyWithdrawalDecision(tx, withdrawalId, { status, remarks }, adminId, auditContext = {}) {
+    const withdrawal = await withdrawalService.transition(tx, withdrawalId, status, { remarks, adminId }, auditContext);
+    return payoutMethodService.presentWithdrawal(withdrawal);
+  }
+
   /**
    * Get all settings
    */
@@ -399,21 +598,105 @@ class AdminService {
   /**
    * Update setting
    */
-  async updateSetting(key, value) {
-    const setting = await prisma.setting.update({
+  async updateSetting(key, value, adminId, auditContext = {}) {
+    const existing = await prisma.setting.findUnique({
       where: { key },
-      data: { value },
     });
 
+    if (!existing) {
+      throw new Error('Setting not found');
+    }
+
+    await approvalService.assertNoPending('SETTING_CHANGE', key);
+
+    if (await approvalService.requiresSettingApproval(key, existing.value, value)) {
+      const pendingApproval = await approvalService.request({
+        action: 'SETTING_CHANGE',
+        targetType: 'Setting',
+        targetId: key,
+        payload: { value, previousValue: existing.value },
+      }, adminId, auditContext);
+
+      return { pendingApproval };
+    }
+
+    const setting = await prisma.$transaction(async (tx) => {
+      return this.applySettingChange(tx, key, value, adminId, auditContext);
+    });
+
+    logger.info(`Setting ${key} updated by admin: ${adminId}`);
+
     return setting;
   }
 
   /**
-   * Update admin UPI ID
+   * Write a setting inside a transaction
+   * (also how a confirmed four-eyes request is carried out)
+   */
+  async applySettingChange(tx, key, value, adminId, auditContext = {}) {
+    const existing = await tx.setting.findUnique({
+      where: { key },
+    });
+
+    if (!existing) {
+      throw new Error('Setting not found');
+    }
+
+    const updated = await tx.setting.update({
+      where: { key },
+      data: { value },
+    });
+
+    await auditService.record(tx, {
+      adminId,
+      action: ADMIN_AUDIT_ACTIONS.SETTING_UPDATED,
+      targetType: 'Setting',
+      targetId: key,
+      before: { value: existing.value },
+      after: { value: updated.value },
+    }, auditContext);
+
+    return updated;
+  }
+
+  /**
+   * Request a change of an admin's UPI ID
+   * (deposits are paid to it, so a second admin always confirms the change)
    */
-  async updateUpiId(adminId, upiId) {
-    const admin = await prisma.admin.update({
+  async updateUpiId(adminId, upiId, auditContext = {}) {
+    await approvalService.assertNoPending('UPI_ID_CHANGE', adminId);
+
+    const existing = await prisma.admin.findUnique({
       where: { id: adminId },
+      select: { upiId: true },
+    });
+
+    const pendingApproval = await approvalService.request({
+      action: 'UPI_ID_CHANGE',
+      targetType: 'Admin',
+      targetId: adminId,
+      payload: { upiId, previousUpiId: existing?.upiId || null },
+    }, adminId, auditContext);
+
+    return { pendingApproval };
+  }
+
+  /**
+   * Write an admin's UPI ID inside a transaction
+   * (how a confirmed UPI_ID_CHANGE request is carried out)
+   */
+  async applyUpiIdChange(tx, targetAdminId, upiId, adminId, auditContext = {}) {
+    const existing = await tx.admin.findUnique({
+      where: { id: targetAdminId },
+      select: { upiId: true },
+    });
+
+    if (!existing) {
+      throw new Error('Admin not found');
+    }
+
+    const updated = await tx.admin.update({
+      where: { id: targetAdminId },
       data: { upiId },
       select: {
         id: true,
@@ -422,20 +705,39 @@ class AdminService {
       },
     });
 
-    return admin;
+    await auditService.record(tx, {
+      adminId,
+      action: ADMIN_AUDIT_ACTIONS.UPI_ID_UPDATED,
+      targetType: 'Admin',
+      targetId: targetAdminId,
+      before: { upiId: existing.upiId },
+      after: { upiId: updated.upiId },
+    }, auditContext);
+
+    return updated;
   }
 
   /**
    * Create new admin (Super Admin only)
    */
-  async createAdmin(adminData) {
-    const { mobileNumber, password, name, role } = adminData;
+  async createAdmin(adminData, adminId, auditContext = {}) {
+    const { mobileNumber, password, name, role = 'ADMIN' } = adminData;
 
     // Validate mobile format
     if (!mobileNumber || !/^[0-9]{10}$/.test(mobileNumber)) {
       throw new Error('Please provide a valid 10-digit mobile number');
     }
 
+    if (!Object.values(ADMIN_ROLES).includes(role)) {
+      throw new Error(`Invalid role. Must be one of: ${Object.values(ADMIN_ROLES).join(', ')}`);
+    }
+
+    // Nobody can create an admin more powerful than themselves
+    permissionService.assertCanDelegate(
+      await permissionService.getAdminPermissions(adminId),
+      permissionService.getRolePermissions(role)
+    );
+
     // Check if admin already exists
     const existingAdmin = await prisma.admin.findUnique({
       where: { mobileNumber },
@@ -448,26 +750,38 @@ class AdminService {
     // Hash password
     const hashedPassword = await hashPassword(password);
 
-    const newAdmin = await prisma.admin.create({
-      data: {
-        mobileNumber,
-        password: hashedPassword,
-        name,
-        role: role || 'ADMIN',
-        isActive: true,
-        isVerified: true,
-      },
-      select: {
-        id: true,
-        mobileNumber: true,
-        name: true,
-        role: true,
-        isActive: true,
-        createdAt: true,
-      },
+    const newAdmin = await prisma.$transaction(async (tx) => {
+      const created = await tx.admin.create({
+        data: {
+          mobileNumber,
+          password: hashedPassword,
+          name,
+          role,
+          isActive: true,
+          isVerified: true,
+        },
+        select: {
+          id: true,
+          mobileNumber: true,
+          name: true,
+          role: true,
+          isActive: true,
+          createdAt: true,
+        },
+      });
+
+      await auditService.record(tx, {
+        adminId,
+        action: ADMIN_AUDIT_ACTIONS.ADMIN_CREATED,
+        targetType: 'Admin',
+        targetId: created.id,
+        after: created,
+      }, auditContext);
+
+      return created;
     });
 
-    logger.info(`New admin created: ${mobileNumber}`);
+    logger.info(`New admin created: ${mobileNumber} by admin: ${adminId}`);
 
     return newAdmin;
   }
@@ -486,10 +800,15 @@ class AdminService {
         isActive: true,
         lastLoginAt: true,
         createdAt: true,
+        grantedPermissions: true,
+        revokedPermissions: true,
       },
     });
 
-    return admins;
+    return admins.map(admin => ({
+      ...admin,
+      permissions: permissionService.resolve(admin),
+    }));
   }
 }
 
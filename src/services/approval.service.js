@@ -0,0 +1,449 @@
+const prisma = require('../config/database');
+const { FOUR_EYES, ADMIN_AUDIT_ACTIONS, ADMIN_PERMISSIONS } = require('../config/constants');
+const auditService = require('./audit.service');
+const permissionService = require('./permission.service');
+const settingService = require('./setting.service');
+const logger = require('../utils/logger');
+
+// What a checker must be allowed to do to confirm each kind of request
+const ACTION_PERMISSIONS = {
+  WITHDRAWAL_APPROVAL: ADMIN_PERMISSIONS.WITHDRAWALS_APPROVE,
+  BALANCE_ADJUSTMENT: ADMIN_PERMISSIONS.WALLETS_ADJUST,
+  SETTING_CHANGE: ADMIN_PERMISSIONS.SETTINGS_WRITE,
+  UPI_ID_CHANGE: ADMIN_PERMISSIONS.SETTINGS_WRITE,
+};
+
+// How each kind of request is carried out once confirmed, inside the confirming
+// transaction (admin.service is required lazily - it requires this service)
+const EXECUTORS = {
+  WITHDRAWAL_APPROVAL: (tx, approval, adminId, auditContext) => {
+    return require('./admin.service').applyWithdrawalDecision(tx, approval.targetId, approval.payload, adminId, auditContext);
+  },
+  BALANCE_ADJUSTMENT: (tx, approval, adminId, auditContext) => {
+    return require('./admin.service').applyBalanceAdjustment(tx, approval.targetId, approval.payload, adminId, auditContext);
+  },
+  SETTING_CHANGE: (tx, approval, adminId, auditContext) => {
+    return require('./admin.service').applySettingChange(tx, approval.targetId, approval.payload.value, adminId, auditContext);
+  },
+  UPI_ID_CHANGE: (tx, approval, adminId, auditContext) => {
+    return require('./admin.service').applyUpiIdChange(tx, approval.targetId, approval.payload.upiId, adminId, auditContext);
+  },
+};
+
+const ADMIN_SUMMARY = { select: { id: true, name: true, mobileNumber: true } };
+
+/**
+ * Approval Service - Maker-checker (four-eyes) control
+ *
+ * Actions above their threshold are not executed by the admin who asks for
+ * them (the maker); they become a PendingApproval that a second admin (the
+ * checker) confirms or rejects. Confirming executes the action in the same
+ * transaction, re-validating it against the current state. Every step is
+ * written to the admin audit log.
+ */
+class ApprovalService {
+  /**
+   * Whether approving this withdrawal needs a second admin
+   *
+   * The threshold applies to what this admin has approved for the same user
+   * within the rolling window, this withdrawal included, so a large payout
+   * cannot be split into withdrawals that each stay under it.
+   */
+  async requiresWithdrawalApproval(amount, adminId, userId) {
+    const threshold = await settingService.getNumber('APPROVAL_WITHDRAWAL_THRESHOLD', FOUR_EYES.WITHDRAWAL_THRESHOLD);
+    const since = await this.windowStart();
+
+    const approvals = await prisma.adminAuditLog.findMany({
+      where: {
+        adminId,
+        action: ADMIN_AUDIT_ACTIONS.WITHDRAWAL_PROCESSED,
+        createdAt: { gte: since },
+      },
+      select: { targetId: true, after: true },
+    });
+
+    const approvedIds = approvals
+      .filter(entry => entry.after && entry.after.status === 'APPROVED')
+      .map(entry => entry.targetId);
+
+    const approved = approvedIds.length === 0 ? [] : await prisma.withdrawal.findMany({
+      where: { id: { in: approvedIds }, userId },
+      select: { amount: true },
+    });
+
+    const total = approved.reduce((sum, withdrawal) => sum + parseFloat(withdrawal.amount), parseFloat(amount));
+
+    return total > threshold;
+  }
+
+  /**
+   * Whether a balance adjustment of this (signed) amount needs a second admin
+   *
+   * Compares the absolute adjustments this admin has posted to the same user
+   * within the rolling window, this one included, against the threshold.
+   */
+  async requiresAdjustmentApproval(amount, adminId, userId) {
+    const threshold = await settingService.getNumber('APPROVAL_ADJUSTMENT_THRESHOLD', FOUR_EYES.ADJUSTMENT_THRESHOLD);
+    const since = await this.windowStart();
+
+    const adjustments = await prisma.adminAuditLog.findMany({
+      where: {
+        adminId,
+        action: ADMIN_AUDIT_ACTIONS.BALANCE_ADJUSTED,
+        targetType: 'User',
+        targetId: userId,
+        createdAt: { gte: since },
+      },
+      select: { after: true },
+    });
+
+    const total = adjustments.reduce(
+      (sum, entry) => sum + Math.abs(parseFloat(entry.after && entry.after.amount) || 0),
+      Math.abs(parseFloat(amount)),
+    );
+
+    return total > threshold;
+  }
+
+  /**
+   * Start of the rolling window the amount thresholds are summed over
+   */
+  async windowStart() {
+    const hours = await settingService.getNumber('APPROVAL_WINDOW_HOURS', FOUR_EYES.WINDOW_HOURS);
+    return new Date(Date.now() - hours * 60 * 60 * 1000);
+  }
+
+  /**
+   * Whether changing a setting needs a second admin
+   */
+  async requiresSettingApproval(key, currentValue, newValue) {
+    // The four-eyes thresholds must not be loosened by a single admin
+    if (key.startsWith('APPROVAL_')) {
+      return true;
+    }
+
+    const before = parseFloat(currentValue);
+    const after = parseFloat(newValue);
+
+    if (isNaN(before) || isNaN(after)) {
+      return false;
+    }
+
+    if (before === 0) {
+      return after !== 0;
+    }
+
+    const percent = await settingService.getNumber('APPROVAL_SETTING_CHANGE_PERCENT', FOUR_EYES.SETTING_CHANGE_PERCENT);
+    return (Math.abs(after - before) / Math.abs(before)) * 100 > percent;
+  }
+
+  /**
+   * Put an action on hold until a second admin confirms it
+   * @param {Object} request - { action, targetType, targetId, amount, payload, reason }
+   */
+  async request({ action, targetType, targetId, amount = null, payload, reason = null }, adminId, auditContext = {}) {
+    try {
+      const approval = await prisma.$transaction(async (tx) => {
+        const created = await tx.pendingApproval.create({
+          data: {
+            action,
+            targetType,
+            targetId,
+            amount,
+            payload,
+            reason,
+            requestedBy: adminId,
+          },
+        });
+
+        await auditService.record(tx, {
+          adminId,
+          action: ADMIN_AUDIT_ACTIONS.APPROVAL_REQUESTED,
+          targetType: 'PendingApproval',
+          targetId: created.id,
+          after: { action, targetType, targetId, amount, payload, reason },
+        }, auditContext);
+
+        return created;
+      });
+
+      logger.info(`${action} on ${targetType} ${targetId} awaits a second admin (requested by admin: ${adminId})`);
+
+      return approval;
+    } catch (err) {
+      if (err.code === 'P2002') {
+        throw new Error('A request for this is already awaiting approval');
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Reject direct changes to a target that has a request awaiting approval
+   */
+  async assertNoPending(action, targetId) {
+    const pending = await prisma.pendingApproval.findFirst({
+      where: { action, targetId, status: 'PENDING' },
+      select: { id: true },
+    });
+
+    if (pending) {
+      throw new Error('A request for this is already awaiting approval');
+    }
+  }
+
+  /**
+   * Approval queue (PENDING by default), oldest first
+   * @param {string} adminId - Admin viewing the queue (their own requests cannot be reviewed by them)
+   */
+  async getQueue(page = 1, limit = 10, filters = {}, adminId = null) {
+    const skip = (page - 1) * limit;
+    const status = filters.status || 'PENDING';
+    const where = { status };
+
+    if (filters.action) {
+      where.action = filters.action;
+    }
+
+    const [approvals, total] = await Promise.all([
+      prisma.pendingApproval.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { createdAt: status === 'PENDING' ? 'asc' : 'desc' },
+        include: { requester: ADMIN_SUMMARY, reviewer: ADMIN_SUMMARY },
+      }),
+      prisma.pendingApproval.count({ where }),
+    ]);
+
+    return {
+      approvals: approvals.map(approval => ({
+        ...approval,
+        canReview: approval.status === 'PENDING' && approval.requestedBy !== adminId,
+      })),
+      total,
+      page,
+      limit,
+    };
+  }
+
+  /**
+   * Get one approval request
+   */
+  async getApproval(approvalId) {
+    const approval = await prisma.pendingApproval.findUnique({
+      where: { id: approvalId },
+      include: { requester: ADMIN_SUMMARY, reviewer: ADMIN_SUMMARY },
+    });
+
+    if (!approval) {
+      throw new Error('Approval request not found');
+    }
+
+    return approval;
+  }
+
+  /**
+   * Load a request a checker is about to review
+   */
+  async getReviewable(approvalId, adminId) {
+    const approval = await this.getApproval(approvalId);
+
+    if (approval.status !== 'PENDING') {
+      throw new Error('This request has already been reviewed');
+    }
+
+    if (approval.requestedBy === adminId) {
+      throw new Error('A request must be reviewed by a different admin');
+    }
+
+    const permission = ACTION_PERMISSIONS[approval.action];
+
+    if (!permission || !(await permissionService.hasPermission(adminId, permission))) {
+      throw new Error(`Permission required to review this request: ${permission || approval.action}`);
+    }
+
+    return approval;
+  }
+
+  /**
+   * Confirm a request and execute it
+   * @returns {Promise<Object>} { approval, result } - result is what the action returned
+   */
+  async approve(approvalId, adminId, remarks = null, auditContext = {}) {
+    const approval = await this.getReviewable(approvalId, adminId);
+    const execute = EXECUTORS[approval.action];
+
+    if (!execute) {
+      throw new Error(`Unsupported approval action: ${approval.action}`);
+    }
+
+    let claimed = false;
+
+    try {
+      const result = await prisma.$transaction(async (tx) => {
+        const now = new Date();
+
+        // Claim the request so two checkers cannot both execute it
+        const { count } = await tx.pendingApproval.updateMany({
+          where: { id: approvalId, status: 'PENDING' },
+          data: {
+            status: 'EXECUTED',
+            reviewedBy: adminId,
+            reviewRemarks: remarks,
+            reviewedAt: now,
+            executedAt: now,
+          },
+        });
+
+        if (count === 0) {
+          throw new Error('This request has already been reviewed');
+        }
+
+        claimed = true;
+
+        const outcome = await execute(tx, approval, adminId, auditContext);
+
+        await auditService.record(tx, {
+          adminId,
+          action: ADMIN_AUDIT_ACTIONS.APPROVAL_EXECUTED,
+          targetType: 'PendingApproval',
+          targetId: approvalId,
+          before: { status: 'PENDING', requestedBy: approval.requestedBy },
+          after: { status: 'EXECUTED', action: approval.action, targetId: approval.targetId, remarks },
+        }, auditContext);
+
+        return outcome;
+      });
+
+      logger.info(`Approval ${approvalId} (${approval.action}) confirmed and executed by admin: ${adminId}`);
+
+      if (approval.action === 'BALANCE_ADJUSTMENT') {
+        const gameSocket = require('../app').get('gameSocket');
+        if (gameSocket) {
+          await gameSocket.notifyWalletUpdated(approval.targetId);
+        }
+      }
+
+      return { approval: await this.getApproval(approvalId), result };
+    } catch (err) {
+      if (!claimed) {
+        throw err;
+      }
+
+      // The action no longer applies (e.g. the withdrawal changed) - close the request
+      await this.markFailed(approval, adminId, remarks, err.message, auditContext);
+      throw new Error(`Request could not be executed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Close a confirmed request whose action failed
+   */
+  async markFailed(approval, adminId, remarks, failureReason, auditContext = {}) {
+    await prisma.$transaction(async (tx) => {
+      const { count } = await tx.pendingApproval.updateMany({
+        where: { id: approval.id, status: 'PENDING' },
+        data: {
+          status: 'FAILED',
+          reviewedBy: adminId,
+          reviewRemarks: remarks,
+          reviewedAt: new Date(),
+          failureReason,
+        },
+      });
+
+      if (count === 0) {
+        return;
+      }
+
+      await auditService.record(tx, {
+        adminId,
+        action: ADMIN_AUDIT_ACTIONS.APPROVAL_FAILED,
+        targetType: 'PendingApproval',
+        targetId: approval.id,
+        before: { status: 'PENDING' },
+        after: { status: 'FAILED', failureReason },
+      }, auditContext);
+    });
+
+    logger.warn(`Approval ${approval.id} (${approval.action}) failed on execution: ${failureReason}`);
+  }
+
+  /**
+   * Turn a request down
+   */
+  async reject(approvalId, adminId, remarks, auditContext = {}) {
+    if (!remarks) {
+      throw new Error('Remarks are required to reject a request');
+    }
+
+    await this.getReviewable(approvalId, adminId);
+
+    await prisma.$transaction(async (tx) => {
+      const { count } = await tx.pendingApproval.updateMany({
+        where: { id: approvalId, status: 'PENDING' },
+        data: {
+          status: 'REJECTED',
+          reviewedBy: adminId,
+          reviewRemarks: remarks,
+          reviewedAt: new Date(),
+        },
+      });
+
+      if (count === 0) {
+        throw new Error('This request has already been reviewed');
+      }
+
+      await auditService.record(tx, {
+        adminId,
+        action: ADMIN_AUDIT_ACTIONS.APPROVAL_REJECTED,
+        targetType: 'PendingApproval',
+        targetId: approvalId,
+        before: { status: 'PENDING' },
+        after: { status: 'REJECTED', remarks },
+      }, auditContext);
+    });
+
+    logger.info(`Approval ${approvalId} rejected by admin: ${adminId}`);
+
+    return this.getApproval(approvalId);
+  }
+
+  /**
+   * Withdraw a request (only the admin who made it)
+   */
+  async cancel(approvalId, adminId, auditContext = {}) {
+    const approval = await this.getApproval(approvalId);
+
+    if (approval.requestedBy !== adminId) {
+      throw new Error('Only the admin who made a request can cancel it');
+    }
+
+    await prisma.$transaction(async (tx) => {
+      const { count } = await tx.pendingApproval.updateMany({
+        where: { id: approvalId, status: 'PENDING' },
+        data: { status: 'CANCELLED' },
+      });
+
+      if (count === 0) {
+        throw new Error('This request has already been reviewed');
+      }
+
+      await auditService.record(tx, {
+        adminId,
+        action: ADMIN_AUDIT_ACTIONS.APPROVAL_CANCELLED,
+        targetType: 'PendingApproval',
+        targetId: approvalId,
+        before: { status: 'PENDING' },
+        after: { status: 'CANCELLED' },
+      }, auditContext);
+    });
+
+    logger.info(`Approval ${approvalId} cancelled by admin: ${adminId}`);
+
+    return this.getApproval(approvalId);
+  }
+}
+
+module.exports = new ApprovalService();
@@ -0,0 +1,138 @@
+const prisma = require('../config/database');
+const { toCsv } = require('../utils/csv');
+
+// Upper bound on rows in a single CSV export
+const MAX_EXPORT_ROWS = 10000;
+
+const CSV_COLUMNS = [
+  { key: 'createdAt', header: 'Timestamp' },
+  { key: 'adminId', header: 'Admin ID' },
+  { key: 'adminMobile', header: 'Admin Mobile' },
+  { key: 'action', header: 'Action' },
+  { key: 'targetType', header: 'Target Type' },
+  { key: 'targetId', header: 'Target ID' },
+  { key: 'before', header: 'Before' },
+  { key: 'after', header: 'After' },
+  { key: 'ipAddress', header: 'IP Address' },
+  { key: 'userAgent', header: 'User Agent' },
+];
+
+/**
+ * Audit Service - Append-only record of privileged admin actions
+ *
+ * Entries are written with the caller's transaction client so an action and
+ * its audit record commit or roll back together.
+ */
+class AuditService {
+  /**
+   * Audit context (IP and user agent) of an HTTP request
+   */
+  contextFromRequest(req) {
+    return {
+      ipAddress: req.ip || null,
+      userAgent: req.get('user-agent') || null,
+    };
+  }
+
+  /**
+   * Audit context (IP and user agent) of a socket connection
+   */
+  contextFromSocket(socket) {
+    return {
+      ipAddress: socket.handshake.address || null,
+      userAgent: socket.handshake.headers['user-agent'] || null,
+    };
+  }
+
+  /**
+   * Record a privileged action
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} entry - { adminId, action, targetType, targetId, before, after }
+   * @param {Object} context - { ipAddress, userAgent }
+   */
+  async record(tx, { adminId, action, targetType, targetId = null, before = null, after = null }, context = {}) {
+    return tx.adminAuditLog.create({
+      data: {
+        adminId,
+        action,
+        targetType,
+        targetId,
+        // Round-trip through JSON so Decimals and Dates are stored as plain values
+        before: before === null ? undefined : JSON.parse(JSON.stringify(before)),
+        after: after === null ? undefined : JSON.parse(JSON.stringify(after)),
+        ipAddress: context.ipAddress || null,
+        userAgent: context.userAgent || null,
+      },
+    });
+  }
+
+  /**
+   * Build the where clause for audit log filters
+   */
+  buildWhere({ adminId, action, targetType, targetId, from, to } = {}) {
+    const where = {};
+
+    if (adminId) where.adminId = adminId;
+    if (action) where.action = action;
+    if (targetType) where.targetType = targetType;
+    if (targetId) where.targetId = targetId;
+
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt.gte = new Date(from);
+      if (to) where.createdAt.lte = new Date(to);
+    }
+
+    return where;
+  }
+
+  /**
+   * Get audit logs with filtering
+   */
+  async getLogs(page = 1, limit = 10, filters = {}) {
+    const skip = (page - 1) * limit;
+    const where = this.buildWhere(filters);
+
+    const [logs, total] = await Promise.all([
+      prisma.adminAuditLog.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit,
+        include: {
+          admin: {
+            select: { id: true, mobileNumber: true, name: true },
+          },
+        },
+      }),
+      prisma.adminAuditLog.count({ where }),
+    ]);
+
+    return { logs, total, page, limit };
+  }
+
+  /**
+   * Export audit logs matching the filters as CSV
+   */
+  async exportCsv(filters = {}) {
+    const logs = await prisma.adminAuditLog.findMany({
+      where: this.buildWhere(filters),
+      orderBy: { createdAt: 'desc' },
+      take: MAX_EXPORT_ROWS,
+      include: {
+        admin: {
+          select: { mobileNumber: true },
+        },
+      },
+    });
+
+    const rows = logs.map(log => ({
+      ...log,
+      adminMobile: log.admin?.mobileNumber,
+    }));
+
+    return toCsv(rows, CSV_COLUMNS);
+  }
+}
+
+module.exports = new AuditService();
@@ -1,6 +1,13 @@
 const prisma = require('../config/database');
-const { hashPassword, comparePassword, generateToken, generateRefreshToken } = require('../utils/auth');
+const { hashPassword, comparePassword, verifyRefreshToken } = require('../utils/auth');
 const otpService = require('./otp.service');
+const sessionService = require('./session.service');
+const twoFactorService = require('./twoFactor.service');
+const permissionService = require('./permission.service');
+const ledgerService = require('./ledger.service');
+const selfExclusionService = require('./selfExclusion.service');
+const kycService = require('./kyc.service');
+const payoutMethodService = require('./payoutMethod.service');
 const logger = require('../utils/logger');
 
 /**
@@ -50,8 +57,10 @@ class AuthService {
       }
     }
 
-    // Create OTP with temp data (password stored temporarily, will hash after verification)
-    return await otpService.createRegistrationOtp(mobileNumber, password, invitationCode);
+    // Only the hash is carried until verification - the password itself is never stored
+    const passwordHash = await hashPassword(password);
+
+    return await otpService.createRegistrationOtp(mobileNumber, passwordHash, invitationCode);
   }
 
   // ==================== STEP 2: VERIFY OTP & CREATE USER ====================
@@ -59,11 +68,11 @@ class AuthService {
   /**
    * Step 2: Verify OTP and create user
    */
-  async verifyOtpAndCreateUser(mobileNumber, otp) {
+  async verifyOtpAndCreateUser(mobileNumber, otp, deviceContext = {}) {
     // Verify OTP and get temp data
     const { tempData } = await otpService.verifyRegistrationOtp(mobileNumber, otp);
 
-    if (!tempData || !tempData.password) {
+    if (!tempData || !tempData.passwordHash) {
       throw new Error('Invalid registration data');
     }
 
@@ -78,9 +87,6 @@ class AuthService {
       throw new Error('Mobile number already registered');
     }
 
-    // Hash password
-    const hashedPassword = await hashPassword(tempData.password);
-
     // Generate unique referral code
     let referralCode;
     let isUnique = false;
@@ -115,7 +121,7 @@ class AuthService {
       const newUser = await tx.user.create({
         data: {
           mobileNumber,
-          password: hashedPassword,
+          password: tempData.passwordHash,
           role: 'USER',
           isVerified: true,
           isActive: true,
@@ -139,15 +145,20 @@ class AuthService {
         },
       });
 
+      await ledgerService.openUserAccount(tx, newUser.id);
+
       return newUser;
     });
 
     // Delete OTP after successful registration
     await otpService.deleteOtp(mobileNumber, 'REGISTRATION');
 
-    // Generate tokens
-    const token = generateToken({ userId: user.id, mobileNumber: user.mobileNumber, role: user.role });
-    const refreshToken = generateRefreshToken({ userId: user.id });
+    // Sign the new user in on this device
+    const { session, accessToken, refreshToken } = await sessionService.startSession(
+      { userId: user.id },
+      { userId: user.id, mobileNumber: user.mobileNumber, role: user.role },
+      deviceContext
+    );
 
     logger.info(`User registered successfully: ${mobileNumber}`);
 
@@ -155,9 +166,10 @@ class AuthService {
       message: 'User registered successfully',
       user,
       tokens: {
-        accessToken: token,
+        accessToken,
         refreshToken,
       },
+      session: { id: session.id, deviceId: session.deviceId },
     };
   }
 
@@ -166,7 +178,7 @@ class AuthService {
   /**
    * Login user with mobile number
    */
-  async login(mobileNumber, password) {
+  async login(mobileNumber, password, deviceContext = {}) {
     const user = await prisma.user.findUnique({
       where: { mobileNumber },
       include: {
@@ -194,19 +206,41 @@ class AuthService {
       throw new Error('Invalid mobile number or password');
     }
 
-    const token = generateToken({ userId: user.id, mobileNumber: user.mobileNumber, role: user.role });
-    const refreshToken = generateRefreshToken({ userId: user.id });
+    // A self-excluded player may only sign in to withdraw what is left in the wallet
+    const exclusion = await selfExclusionService.getActiveExclusion(prisma, user.id);
+
+    if (exclusion) {
+      const pendingWithdrawals = await prisma.withdrawal.count({
+        where: { userId: user.id, status: { in: ['PENDING', 'APPROVED', 'PROCESSING'] } },
+      });
+      const hasFunds = parseFloat(user.wallet?.balance || 0) > 0 || pendingWithdrawals > 0;
+
+      if (!hasFunds) {
+        await selfExclusionService.assertNotExcluded(prisma, user.id);
+      }
+    }
+
+    const { session, accessToken, refreshToken } = await sessionService.startSession(
+      { userId: user.id },
+      { userId: user.id, mobileNumber: user.mobileNumber, role: user.role },
+      deviceContext
+    );
 
     const { password: _, ...userWithoutPassword } = user;
 
-    logger.info(`User logged in: ${mobileNumber}`);
+    logger.info(`User logged in: ${mobileNumber}${exclusion ? ' (self-excluded, withdrawal only)' : ''}`);
 
     return {
       user: userWithoutPassword,
       tokens: {
-        accessToken: token,
+        accessToken,
         refreshToken,
       },
+      session: { id: session.id, deviceId: session.deviceId },
+      ...(exclusion && {
+        selfExclusion: selfExclusionService.describe(exclusion),
+        access: 'WITHDRAWAL_ONLY',
+      }),
     };
   }
 
@@ -253,6 +287,9 @@ class AuthService {
       throw new Error('Password must be at least 6 characters');
     }
 
+    // The reset is only allowed after the forgot-password OTP was verified
+    await otpService.assertVerified(mobileNumber, 'FORGOT_PASSWORD');
+
     const user = await prisma.user.findUnique({
       where: { mobileNumber },
     });
@@ -264,15 +301,20 @@ class AuthService {
     // Hash new password
     const hashedPassword = await hashPassword(newPassword);
 
-    await prisma.user.update({
-      where: { id: user.id },
-      data: { password: hashedPassword },
+    // Whoever knew the old password is signed out everywhere
+    const revoked = await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: user.id },
+        data: { password: hashedPassword },
+      });
+
+      return sessionService.revokeAll(tx, { userId: user.id }, 'PASSWORD_RESET');
     });
 
     // Clean up any forgot password OTPs
     await otpService.deleteOtp(mobileNumber, 'FORGOT_PASSWORD');
 
-    logger.info(`Password reset for: ${mobileNumber}`);
+    logger.info(`Password reset for: ${mobileNumber} (${revoked} sessions revoked)`);
 
     return { message: 'Password reset successful' };
   }
@@ -297,13 +339,21 @@ class AuthService {
         wallet: {
           select: { balance: true },
         },
-        bankDetails: {
+        payoutMethods: {
+          orderBy: [{ isDefault: 'desc' }, { createdAt: 'asc' }],
           select: {
+            id: true,
+            type: true,
+            label: true,
             accountHolder: true,
             accountNumber: true,
+            accountLast4: true,
             ifscCode: true,
             bankName: true,
             branchName: true,
+            vpa: true,
+            isDefault: true,
+            usableFrom: true,
           },
         },
         _count: {
@@ -316,14 +366,27 @@ class AuthService {
       throw new Error('User not found');
     }
 
-    return user;
+    const exclusion = await selfExclusionService.getActiveExclusion(prisma, userId);
+
+    return {
+      ...user,
+      payoutMethods: user.payoutMethods.map(method => payoutMethodService.present(method)),
+      kyc: await kycService.getStatus(userId),
+      selfExclusion: exclusion ? selfExclusionService.describe(exclusion) : null,
+    };
+  }
+
+  /**
+   * Self-exclude from betting and deposits
+   */
+  async selfExclude(userId, period) {
+    return selfExclusionService.exclude(userId, period);
   }
 
   /**
-   * Refresh access token
+   * Refresh access token (the refresh token is rotated; a reused one ends the session)
    */
   async refreshToken(refreshToken) {
-    const { verifyRefreshToken } = require('../utils/auth');
     const decoded = verifyRefreshToken(refreshToken);
 
     const user = await prisma.user.findUnique({
@@ -335,19 +398,86 @@ class AuthService {
       throw new Error('Invalid refresh token');
     }
 
-    const newToken = generateToken({ userId: user.id, mobileNumber: user.mobileNumber, role: user.role });
-    const newRefreshToken = generateRefreshToken({ userId: user.id });
+    const tokens = await sessionService.rotate(
+      decoded,
+      refreshToken,
+      { userId: user.id, mobileNumber: user.mobileNumber, role: user.role }
+    );
 
-    return {
-      tokens: {
-        accessToken: newToken,
-        refreshToken: newRefreshToken,
-      },
-    };
+    return { tokens };
+  }
+
+  // ==================== SESSIONS ====================
+
+  /**
+   * Logout - revoke the session of the current device
+   */
+  async logout(userId, sessionId) {
+    await sessionService.revokeSession({ userId }, sessionId, 'LOGOUT');
+
+    logger.info(`User logged out: ${userId} (session ${sessionId})`);
+
+    return { message: 'Logged out successfully' };
+  }
+
+  /**
+   * Get the signed-in devices of a user
+   */
+  async getSessions(userId, currentSessionId) {
+    return sessionService.getActiveSessions({ userId }, currentSessionId);
+  }
+
+  /**
+   * Sign a user out of one of their devices
+   */
+  async revokeSession(userId, sessionId) {
+    await sessionService.revokeSession({ userId }, sessionId, 'USER_REVOKED');
+
+    logger.info(`User ${userId} revoked session ${sessionId}`);
+
+    return { message: 'Session revoked' };
   }
 
   // ==================== ADMIN AUTH ====================
 
+  /**
+   * Get the 2FA status of an admin
+   */
+  async getTwoFactorStatus(adminId) {
+    return twoFactorService.getStatus(adminId);
+  }
+
+  /**
+   * Start 2FA setup - returns the secret for the authenticator app
+   */
+  async setupTwoFactor(adminId) {
+    return twoFactorService.beginEnrollment(adminId);
+  }
+
+  /**
+   * Enable 2FA with a first code from the authenticator app
+   */
+  async enableTwoFactor(adminId, code, sessionId, auditContext = {}) {
+    return twoFactorService.confirmEnrollment(adminId, code, sessionId, auditContext);
+  }
+
+  /**
+   * Verify a code ahead of sensitive actions (step-up)
+   */
+  async verifyTwoFactor(adminId, credentials, sessionId) {
+    await twoFactorService.verify(adminId, credentials);
+    await twoFactorService.markStepUp(sessionId);
+
+    return { message: 'Two-factor verification successful' };
+  }
+
+  /**
+   * Replace the backup codes of an admin
+   */
+  async regenerateBackupCodes(adminId, auditContext = {}) {
+    return twoFactorService.regenerateBackupCodes(adminId, auditContext);
+  }
+
   /**
    * Send OTP for admin registration
    */
@@ -371,7 +501,7 @@ class AuthService {
   /**
    * Verify OTP and create admin
    */
-  async verifyAdminOtpAndCreate(mobileNumber, otp, password, confirmPassword, name) {
+  async verifyAdminOtpAndCreate(mobileNumber, otp, password, confirmPassword, name, deviceContext = {}) {
     // Validate passwords match
     if (password !== confirmPassword) {
       throw new Error('Password and confirm password do not match');
@@ -413,11 +543,11 @@ class AuthService {
     // Delete OTP
     await otpService.deleteOtp(mobileNumber, 'REGISTRATION');
 
-    const token = generateToken({
-      adminId: admin.id,
-      mobileNumber: admin.mobileNumber,
-      role: admin.role,
-    });
+    const { accessToken: token } = await sessionService.startSession(
+      { adminId: admin.id },
+      { adminId: admin.id, mobileNumber: admin.mobileNumber, role: admin.role },
+      deviceContext
+    );
 
     logger.info(`Admin registered: ${mobileNumber}`);
 
@@ -425,13 +555,18 @@ class AuthService {
       message: 'Admin registered successfully',
       admin,
       token,
+      twoFactor: {
+        enabled: false,
+        enrollmentRequired: twoFactorService.isRequired(admin.role),
+      },
     };
   }
 
   /**
-   * Admin login
+   * Admin login (an admin with 2FA enabled must also send a TOTP or backup code)
+   * @param {Object} twoFactor - { code } or { backupCode }
    */
-  async adminLogin(mobileNumber, password) {
+  async adminLogin(mobileNumber, password, deviceContext = {}, twoFactor = {}) {
     const admin = await prisma.admin.findUnique({
       where: { mobileNumber },
     });
@@ -454,24 +589,49 @@ class AuthService {
       throw new Error('Invalid mobile number or password');
     }
 
+    const twoFactorEnabled = !!admin.totpEnabledAt;
+
+    if (twoFactorEnabled) {
+      await twoFactorService.verify(admin.id, twoFactor);
+    }
+
     await prisma.admin.update({
       where: { id: admin.id },
       data: { lastLoginAt: new Date() },
     });
 
-    const token = generateToken({
-      adminId: admin.id,
-      mobileNumber: admin.mobileNumber,
-      role: admin.role,
-    });
+    const { session, accessToken: token } = await sessionService.startSession(
+      { adminId: admin.id },
+      { adminId: admin.id, mobileNumber: admin.mobileNumber, role: admin.role },
+      deviceContext
+    );
 
-    const { password: _, ...adminWithoutPassword } = admin;
+    // The code just given also covers sensitive actions for the next few minutes
+    if (twoFactorEnabled) {
+      await twoFactorService.markStepUp(session.id);
+    }
+
+    const {
+      password: _,
+      totpSecret,
+      totpLastStep,
+      totpFailedAttempts,
+      totpLockedUntil,
+      ...adminWithoutPassword
+    } = admin;
 
-    logger.info(`Admin logged in: ${mobileNumber}`);
+    logger.info(`Admin logged in: ${mobileNumber}${twoFactorEnabled ? ' (2FA)' : ''}`);
 
     return {
-      admin: adminWithoutPassword,
+      admin: {
+        ...adminWithoutPassword,
+        permissions: permissionService.resolve(admin),
+      },
       token,
+      twoFactor: {
+        enabled: twoFactorEnabled,
+        enrollmentRequired: !twoFactorEnabled && twoFactorService.isRequired(admin.role),
+      },
     };
   }
 }
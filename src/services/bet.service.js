@@ -1,5 +1,19 @@
 const prisma = require('../config/database');
-const { PAYOUTS, NUMBER_COLORS, NUMBER_SIZES } = require('../config/constants');
+const {
+  BET_CATEGORIES,
+  MIN_AMOUNTS,
+  MAX_AMOUNTS,
+  MAX_BET_SLIP_LEGS,
+  LEDGER_ACCOUNTS,
+  LEDGER_ENTRY_TYPES,
+} = require('../config/constants');
+const ledgerService = require('./ledger.service');
+const settingService = require('./setting.service');
+const settlementService = require('./settlement.service');
+const gameTableService = require('./gameTable.service');
+const limitService = require('./limit.service');
+const selfExclusionService = require('./selfExclusion.service');
+const bonusService = require('./bonus.service');
 const logger = require('../utils/logger');
 
 /**
@@ -7,120 +21,202 @@ const logger = require('../utils/logger');
  */
 class BetService {
   /**
-   * Place a bet
+   * Place a single bet (a one-leg bet slip)
+   * @param {string} userId - User placing the bet
+   * @param {Object} betData - { gameRoundId, betType, selection, amount }
+   * @param {string|null} idempotencyKey - Client retry key; a repeated key returns the original bet
    */
-  async placeBet(userId, betData) {
+  async placeBet(userId, betData, idempotencyKey = null) {
     const { gameRoundId, betType, selection, amount } = betData;
-    const betAmount = parseFloat(amount);
 
-    // Check if game round exists and is active
-    const gameRound = await prisma.gameRound.findUnique({
+    const slip = await this.placeBetSlip(
+      userId,
+      { gameRoundId, legs: [{ betType, selection, amount }] },
+      idempotencyKey
+    );
+
+    return slip.bets[0];
+  }
+
+  /**
+   * Place a bet slip - several legs on one round, debited once for the total
+   * @param {string} userId - User placing the slip
+   * @param {Object} slipData - { gameRoundId, legs: [{ betType, selection, amount }] }
+   * @param {string|null} idempotencyKey - Client retry key; a repeated key returns the original slip
+   */
+  async placeBetSlip(userId, slipData, idempotencyKey = null) {
+    const { gameRoundId } = slipData;
+    const rawLegs = Array.isArray(slipData.legs) ? slipData.legs : [];
+
+    if (rawLegs.length === 0) {
+      throw new Error('A bet slip needs at least one leg');
+    }
+
+    if (rawLegs.length > MAX_BET_SLIP_LEGS) {
+      throw new Error(`A bet slip can have at most ${MAX_BET_SLIP_LEGS} legs`);
+    }
+
+    // Bet limits come from the round's table, payouts from the round itself
+    const round = await prisma.gameRound.findUnique({
       where: { id: gameRoundId },
+      select: {
+        payouts: true,
+        table: true,
+      },
     });
 
-    if (!gameRound) {
+    if (!round) {
       throw new Error('Game round not found');
     }
 
-    // Check round status for betting control
-    if (gameRound.status === 'PAUSED') {
-      throw new Error('Betting is temporarily paused for this round');
-    }
+    const limits = gameTableService.getBetLimits(round.table);
+    const payouts = settlementService.resolvePayouts(round.payouts);
+    const legs = rawLegs.map(leg => this.normalizeLeg(leg, limits, payouts));
+    const totalAmount = legs.reduce((sum, leg) => sum + leg.amount, 0);
+    const maxRoundStake = limits.maxRoundStake
+      ?? await settingService.getNumber('MAX_ROUND_STAKE_PER_USER', MAX_AMOUNTS.ROUND_STAKE);
+    const description = legs.length === 1
+      ? `Bet placed on ${legs[0].betType}: ${legs[0].selection}`
+      : `Bet slip with ${legs.length} legs`;
 
-    if (gameRound.status === 'CLOSED') {
-      throw new Error('Betting is closed for this round');
-    }
+    let isReplay = false;
+    let slip;
 
-    if (gameRound.status === 'CANCELLED') {
-      throw new Error('This round has been cancelled');
-    }
+    try {
+      // All checks run under row locks so concurrent requests cannot interleave
+      slip = await prisma.$transaction(async (tx) => {
+        // Serialise bet placement per user
+        const [wallet] = await tx.$queryRaw`
+          SELECT "id", "balance" FROM "wallets" WHERE "userId" = ${userId} FOR UPDATE
+        `;
+
+        if (!wallet) {
+          throw new Error('Wallet not found');
+        }
 
-    if (gameRound.status === 'RESULT_DECLARED') {
-      throw new Error('Result already declared for this round');
-    }
+        // A retried request returns the slip it already created
+        if (idempotencyKey) {
+          const previousSlip = await tx.betSlip.findUnique({
+            where: {
+              userId_idempotencyKey: { userId, idempotencyKey },
+            },
+            include: { bets: true },
+          });
 
-    if (gameRound.resultStatus === 'DECLARED') {
-      throw new Error('Result already declared for this round');
-    }
+          if (previousSlip) {
+            this.assertSameSlip(previousSlip, gameRoundId, legs);
+            isReplay = true;
+            return previousSlip;
+          }
+        }
 
-    // Check wallet balance
-    const wallet = await prisma.wallet.findUnique({
-      where: { userId },
-    });
+        await selfExclusionService.assertNotExcluded(tx, userId);
 
-    if (!wallet || parseFloat(wallet.balance) < betAmount) {
-      throw new Error('Insufficient balance');
-    }
+        // Hold the round row so it cannot be settled while this slip is being written
+        const [gameRound] = await tx.$queryRaw`
+          SELECT "status", "resultStatus" FROM "game_rounds" WHERE "id" = ${gameRoundId} FOR SHARE
+        `;
 
-    // Check if user already placed a bet on this round
-    const existingBet = await prisma.bet.findFirst({
-      where: {
-        userId,
-        gameRoundId,
-      },
-    });
+        this.assertRoundAcceptsBets(gameRound);
 
-    if (existingBet) {
-      throw new Error('You have already placed a bet on this round');
-    }
+        // Enforce the per-user stake cap across everything already staked on this round
+        const staked = await tx.bet.aggregate({
+          where: {
+            userId,
+            gameRoundId,
+            result: { not: 'CANCELLED' },
+          },
+          _sum: { amount: true },
+        });
 
-    // Calculate potential win
-    let potentialWin = 0;
-    const normalizedSelection = selection.toUpperCase();
-
-    if (betType === 'COLOR') {
-      const multiplier = PAYOUTS.COLOR[normalizedSelection] || 1.95;
-      potentialWin = betAmount * multiplier;
-    } else if (betType === 'NUMBER') {
-      potentialWin = betAmount * PAYOUTS.NUMBER;
-    } else if (betType === 'SIZE') {
-      const multiplier = PAYOUTS.SIZE[normalizedSelection] || 1.95;
-      potentialWin = betAmount * multiplier;
-    }
+        const alreadyStaked = parseFloat(staked._sum.amount || 0);
 
-    // Create bet and deduct balance in transaction
-    const bet = await prisma.$transaction(async (tx) => {
-      // Deduct from wallet
-      await tx.wallet.update({
-        where: { userId },
-        data: {
-          balance: {
-            decrement: betAmount,
+        if (alreadyStaked + totalAmount > maxRoundStake) {
+          const remaining = Math.max(0, maxRoundStake - alreadyStaked);
+          throw new Error(`Round stake limit is ${maxRoundStake}. You can stake ${remaining} more on this round`);
+        }
+
+        // Player-set wager and loss limits
+        await limitService.assertBetAllowed(tx, userId, totalAmount);
+
+        // Paid from the wallet first, the active bonus covers the rest
+        const stake = await bonusService.takeStake(tx, userId, wallet.balance, legs);
+
+        // Create the slip with one bet per leg
+        const newSlip = await tx.betSlip.create({
+          data: {
+            userId,
+            gameRoundId,
+            totalAmount,
+            idempotencyKey,
+            bets: {
+              create: legs.map((leg, index) => ({
+                userId,
+                gameRoundId,
+                betType: leg.betType,
+                selection: leg.selection,
+                amount: leg.amount,
+                potentialWin: leg.potentialWin,
+                result: 'PENDING',
+                bonusId: stake.bonusId,
+                bonusStake: stake.legBonusStakes[index],
+              })),
+            },
           },
-        },
-      });
+          include: { bets: true },
+        });
 
-      // Create bet
-      const newBet = await tx.bet.create({
-        data: {
-          userId,
-          gameRoundId,
-          betType,
-          selection: normalizedSelection,
-          amount: betAmount,
-          potentialWin,
-          result: 'PENDING',
-        },
-      });
+        // Move the total stake from the wallet (and bonus funds) to the house in one entry
+        await ledgerService.post(tx, {
+          type: LEDGER_ENTRY_TYPES.BET_PLACED,
+          referenceId: newSlip.id,
+          description,
+          postings: [
+            { account: { userId }, amount: stake.cashAmount.negated() },
+            { account: LEDGER_ACCOUNTS.BONUS_HELD, amount: stake.bonusAmount.negated() },
+            { account: LEDGER_ACCOUNTS.HOUSE, amount: totalAmount },
+          ],
+        });
 
-      // Create transaction record
-      await tx.transaction.create({
-        data: {
-          userId,
-          type: 'BET_PLACED',
-          amount: betAmount,
-          status: 'COMPLETED',
-          referenceId: newBet.id,
-          description: `Bet placed on ${betType}: ${normalizedSelection}`,
-        },
+        // Create transaction record
+        await tx.transaction.create({
+          data: {
+            userId,
+            type: 'BET_PLACED',
+            amount: totalAmount,
+            status: 'COMPLETED',
+            referenceId: newSlip.id,
+            description,
+            metadata: {
+              betIds: newSlip.bets.map(bet => bet.id),
+              bonusAmount: stake.bonusAmount.toNumber(),
+            },
+          },
+        });
+
+        return newSlip;
       });
+    } catch (err) {
+      // The unique constraint is the last line of defence against duplicate retries
+      if (err.code === 'P2002') {
+        throw new Error('A request with this Idempotency-Key is already being processed');
+      }
+      throw err;
+    }
 
-      return newBet;
-    });
+    if (isReplay) {
+      logger.info(`Idempotent replay of bet slip: ${slip.id} by user: ${userId}`);
+      return slip;
+    }
+
+    logger.info(`Bet slip placed: ${slip.id} (${slip.bets.length} legs) by user: ${userId}`);
 
-    logger.info(`Bet placed: ${bet.id} by user: ${userId}`);
+    const gameSocket = require('../app').get('gameSocket');
+    if (gameSocket) {
+      await gameSocket.notifyWalletUpdated(userId);
+    }
 
-    // Notify risk dashboard of new bet
+    // Notify risk dashboard of new bets
     try {
       const app = require('../app');
       const riskDashboardSocket = app.get('riskDashboardSocket');
@@ -129,24 +225,112 @@ class BetService {
           where: { id: userId },
           select: { id: true, mobileNumber: true, name: true },
         });
-        
-        riskDashboardSocket.notifyNewBet(gameRoundId, {
-          id: bet.id,
-          userId: bet.userId,
-          userName: user?.name,
-          userMobile: user?.mobileNumber,
-          betType: bet.betType,
-          selection: bet.selection,
-          amount: parseFloat(bet.amount),
-          potentialWin: parseFloat(bet.potentialWin),
-          createdAt: bet.createdAt,
-        });
+
+        for (const bet of slip.bets) {
+          riskDashboardSocket.notifyNewBet(gameRoundId, {
+            id: bet.id,
+            userId: bet.userId,
+            userName: user?.name,
+            userMobile: user?.mobileNumber,
+            betType: bet.betType,
+            selection: bet.selection,
+            amount: parseFloat(bet.amount),
+            potentialWin: parseFloat(bet.potentialWin),
+            createdAt: bet.createdAt,
+          });
+        }
       }
     } catch (err) {
       logger.error('Error notifying risk dashboard:', err);
     }
 
-    return bet;
+    return slip;
+  }
+
+  /**
+   * Validate and normalise a single bet-slip leg
+   * @param {Object} limits - Table bet limits { minBet, maxBet }
+   * @param {Object} payouts - Payout table of the round
+   */
+  normalizeLeg(leg, limits, payouts) {
+    const betType = String(leg.betType || '').toUpperCase();
+
+    if (!BET_CATEGORIES[betType]) {
+      throw new Error('Bet type must be COLOR, NUMBER, or SIZE');
+    }
+
+    const selection = String(leg.selection ?? '').trim().toUpperCase();
+
+    if (!BET_CATEGORIES[betType].some(option => String(option) === selection)) {
+      throw new Error(`Invalid ${betType} selection: ${selection}`);
+    }
+
+    const amount = parseFloat(leg.amount);
+
+    if (isNaN(amount) || amount < limits.minBet) {
+      throw new Error(`Minimum bet amount is ${limits.minBet}`);
+    }
+
+    if (amount > limits.maxBet) {
+      throw new Error(`Maximum bet amount is ${limits.maxBet}`);
+    }
+
+    return {
+      betType,
+      selection,
+      amount,
+      potentialWin: this.calculatePotentialWin(betType, selection, amount, payouts),
+    };
+  }
+
+  /**
+   * Calculate potential win for a leg (best-case settlement payout)
+   */
+  calculatePotentialWin(betType, selection, amount, payouts) {
+    return settlementService.calculateMaxWin({ betType, selection, amount }, payouts);
+  }
+
+  /**
+   * Ensure a round row (read under lock) is still accepting bets
+   */
+  assertRoundAcceptsBets(gameRound) {
+    if (!gameRound) {
+      throw new Error('Game round not found');
+    }
+
+    // Check round status for betting control
+    if (gameRound.status === 'PAUSED') {
+      throw new Error('Betting is temporarily paused for this round');
+    }
+
+    if (gameRound.status === 'CLOSED') {
+      throw new Error('Betting is closed for this round');
+    }
+
+    if (gameRound.status === 'CANCELLED') {
+      throw new Error('This round has been cancelled');
+    }
+
+    if (gameRound.status === 'RESULT_DECLARED' || gameRound.resultStatus === 'DECLARED') {
+      throw new Error('Result already declared for this round');
+    }
+  }
+
+  /**
+   * Ensure a replayed Idempotency-Key carries the same slip as the original request
+   */
+  assertSameSlip(previousSlip, gameRoundId, legs) {
+    const describe = ({ betType, selection, amount }) => `${betType}:${selection}:${parseFloat(amount)}`;
+    const previousLegs = previousSlip.bets.map(describe).sort();
+    const requestedLegs = legs.map(describe).sort();
+
+    const isSameSlip = previousSlip.gameRoundId === gameRoundId
+      && previousLegs.length === requestedLegs.length
+      && previousLegs.every((leg, index) => leg === requestedLegs[index]);
+
+    if (!isSameSlip) {
+      throw new Error('Idempotency-Key has already been used for a different bet');
+    }
   }
 
   /**
@@ -238,80 +422,6 @@ class BetService {
 
     return { bets, total, page, limit };
   }
-
-  /**
-   * Process bets for a completed round
-   */
-  async processBets(roundId, winningNumber, winningColor, winningSize) {
-    const bets = await prisma.bet.findMany({
-      where: { gameRoundId: roundId },
-    });
-
-    for (const bet of bets) {
-      let isWin = false;
-      let winAmount = 0;
-
-      if (bet.betType === 'NUMBER') {
-        const betNumber = parseInt(bet.selection);
-        if (betNumber === winningNumber) {
-          isWin = true;
-          winAmount = parseFloat(bet.amount) * PAYOUTS.NUMBER;
-        }
-      } else if (bet.betType === 'COLOR') {
-        const betColor = bet.selection;
-        if (betColor === 'VIOLET' && (winningNumber === 0 || winningNumber === 5)) {
-          isWin = true;
-          winAmount = parseFloat(bet.amount) * PAYOUTS.COLOR.VIOLET;
-        } else if (betColor === winningColor) {
-          isWin = true;
-          winAmount = parseFloat(bet.amount) * PAYOUTS.COLOR[winningColor];
-        }
-      } else if (bet.betType === 'SIZE') {
-        const betSize = bet.selection;
-        if (betSize === winningSize) {
-          isWin = true;
-          winAmount = parseFloat(bet.amount) * PAYOUTS.SIZE[winningSize];
-        }
-      }
-
-      // Update bet result
-      await prisma.$transaction(async (tx) => {
-        await tx.bet.update({
-          where: { id: bet.id },
-          data: {
-            result: isWin ? 'WON' : 'LOST',
-            winAmount: isWin ? winAmount : 0,
-          },
-        });
-
-        if (isWin) {
-          // Add winnings to user wallet
-          await tx.wallet.update({
-            where: { userId: bet.userId },
-            data: {
-              balance: {
-                increment: winAmount,
-              },
-            },
-          });
-
-          // Create transaction record
-          await tx.transaction.create({
-            data: {
-              userId: bet.userId,
-              type: 'BET_WON',
-              amount: winAmount,
-              status: 'COMPLETED',
-              referenceId: bet.id,
-              description: `Won bet on ${bet.betType}: ${bet.selection}`,
-            },
-          });
-        }
-      });
-    }
-
-    logger.info(`Processed ${bets.length} bets for round: ${roundId}`);
-  }
 }
 
 module.exports = new BetService();
@@ -0,0 +1,426 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const { BONUSES, LEDGER_ACCOUNTS, LEDGER_ENTRY_TYPES, ERROR_CODES } = require('../config/constants');
+const ledgerService = require('./ledger.service');
+const settingService = require('./setting.service');
+const logger = require('../utils/logger');
+const { codedError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Closed bonuses listed with the open ones
+const HISTORY_SIZE = 20;
+
+const OPEN_STATUSES = ['ACTIVE', 'QUEUED'];
+
+// Ledger entry type of a grant, by bonus source
+const GRANT_ENTRY_TYPES = {
+  REFERRAL: LEDGER_ENTRY_TYPES.REFERRAL_BONUS,
+};
+
+/**
+ * Bonus Service - Bonus balances with wagering requirements
+ *
+ * Bonus funds sit in the BONUS_HELD ledger account, not in the wallet, so
+ * they cannot be withdrawn. A bet is paid from the wallet first and from the
+ * active bonus for the rest, and winnings on the bonus part go back to the
+ * bonus. Every bet placed while a bonus is active counts towards its
+ * wagering requirement and may not exceed its max bet. Once its bets have
+ * settled, a bonus whose wagering is met converts its balance to cash; one
+ * that runs out or expires closes, and the next queued bonus becomes active.
+ *
+ * All changes run under the user's wallet row lock, the same lock bet
+ * placement takes, so stakes and settlements cannot interleave.
+ */
+class BonusService {
+  /**
+   * Grant a bonus (queued behind the active one, if any)
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} grant - { userId, amount, source, referenceId, description }
+   */
+  async grant(tx, { userId, amount, source, referenceId = null, description = null }) {
+    const [multiplier, expiryDays, maxBet] = await Promise.all([
+      settingService.getNumber('BONUS_WAGERING_MULTIPLIER', BONUSES.WAGERING_MULTIPLIER),
+      settingService.getNumber('BONUS_EXPIRY_DAYS', BONUSES.EXPIRY_DAYS),
+      settingService.getNumber('BONUS_MAX_BET', BONUSES.MAX_BET),
+    ]);
+
+    const value = new Prisma.Decimal(amount).toDecimalPlaces(2);
+
+    await this.lockWallet(tx, userId);
+
+    const bonus = await tx.bonus.create({
+      data: {
+        userId,
+        source,
+        referenceId,
+        amount: value,
+        balance: value,
+        wageringRequired: value.times(multiplier).toDecimalPlaces(2),
+        maxBet,
+        expiryDays: Math.round(expiryDays),
+      },
+    });
+
+    // Move the bonus from the pool into held bonus funds
+    await ledgerService.transfer(tx, {
+      from: LEDGER_ACCOUNTS.BONUS_POOL,
+      to: LEDGER_ACCOUNTS.BONUS_HELD,
+      amount: value,
+      type: GRANT_ENTRY_TYPES[source],
+      referenceId: bonus.id,
+      description,
+    });
+
+    logger.info(`Bonus ${bonus.id} of ₹${value} (${source}) granted to user: ${userId}`);
+
+    await this.activateNext(tx, userId);
+
+    return tx.bonus.findUnique({
+      where: { id: bonus.id },
+    });
+  }
+
+  /**
+   * Split a slip's stake between the wallet and the active bonus, and record it
+   * against the bonus (the caller holds the wallet lock)
+   * @param {Array} legs - Normalised legs [{ amount }]
+   * @returns {Promise<Object>} { bonusId, cashAmount, bonusAmount, legBonusStakes }
+   */
+  async takeStake(tx, userId, cashBalance, legs) {
+    const total = legs.reduce((sum, leg) => sum.plus(leg.amount), new Prisma.Decimal(0));
+    const cash = new Prisma.Decimal(cashBalance);
+    const bonus = await this.getActiveBonus(tx, userId);
+
+    if (!bonus) {
+      if (cash.lessThan(total)) {
+        throw new Error('Insufficient balance');
+      }
+
+      return {
+        bonusId: null,
+        cashAmount: total,
+        bonusAmount: new Prisma.Decimal(0),
+        legBonusStakes: legs.map(() => new Prisma.Decimal(0)),
+      };
+    }
+
+    if (legs.some(leg => new Prisma.Decimal(leg.amount).greaterThan(bonus.maxBet))) {
+      throw codedError(ERROR_CODES.BONUS_MAX_BET_EXCEEDED, `Maximum bet is ${bonus.maxBet} while a bonus is active`);
+    }
+
+    const cashAmount = Prisma.Decimal.min(cash, total);
+    const bonusAmount = total.minus(cashAmount);
+
+    if (bonusAmount.greaterThan(bonus.balance)) {
+      throw new Error('Insufficient balance');
+    }
+
+    // Bonus funds cover the legs in order until used up
+    let remaining = bonusAmount;
+    const legBonusStakes = legs.map((leg) => {
+      const part = Prisma.Decimal.min(remaining, leg.amount);
+      remaining = remaining.minus(part);
+      return part;
+    });
+
+    await tx.bonus.update({
+      where: { id: bonus.id },
+      data: {
+        balance: { decrement: bonusAmount },
+        wagered: { increment: total },
+      },
+    });
+
+    return { bonusId: bonus.id, cashAmount, bonusAmount, legBonusStakes };
+  }
+
+  /**
+   * Split a payout on a bet (winnings or refund) into cash and bonus parts, in
+   * proportion to how its stake was paid
+   * @returns {Object} { cash, bonus }
+   */
+  splitPayout(bet, amount) {
+    const value = new Prisma.Decimal(amount || 0);
+    const bonusStake = new Prisma.Decimal(bet.bonusStake || 0);
+
+    if (bonusStake.isZero()) {
+      return { cash: value, bonus: new Prisma.Decimal(0) };
+    }
+
+    const bonus = value.times(bonusStake).dividedBy(bet.amount).toDecimalPlaces(2);
+
+    return { cash: value.minus(bonus), bonus };
+  }
+
+  /**
+   * Apply a settled or refunded bet to the bonus it counted towards (after the bet row is updated)
+   * @param {Decimal} bonusPart - Winnings or refund on the bonus-funded part of the stake
+   * @param {Object} options - { cancelled, description }
+   * @returns {Promise<string|null>} Status of the bonus afterwards, null if it had already closed
+   */
+  async settleBet(tx, bet, bonusPart, { cancelled = false, description = null } = {}) {
+    if (!bet.bonusId) {
+      return null;
+    }
+
+    await this.lockWallet(tx, bet.userId);
+
+    // Expiry is applied first, so an expired bonus receives nothing more
+    const active = await this.getActiveBonus(tx, bet.userId);
+
+    // Closed since the bet was placed - its part of the payout stays with the house
+    if (!active || active.id !== bet.bonusId) {
+      return null;
+    }
+
+    const data = {};
+    const amount = new Prisma.Decimal(bonusPart || 0);
+
+    if (amount.greaterThan(0)) {
+      await ledgerService.transfer(tx, {
+        from: LEDGER_ACCOUNTS.HOUSE,
+        to: LEDGER_ACCOUNTS.BONUS_HELD,
+        amount,
+        type: cancelled ? LEDGER_ENTRY_TYPES.BET_REFUNDED : LEDGER_ENTRY_TYPES.BET_WON,
+        referenceId: bet.id,
+        description,
+      });
+
+      data.balance = { increment: amount };
+    }
+
+    // A cancelled bet does not count towards wagering
+    if (cancelled) {
+      data.wagered = { decrement: bet.amount };
+    }
+
+    const bonus = Object.keys(data).length > 0
+      ? await tx.bonus.update({ where: { id: active.id }, data })
+      : active;
+
+    return this.closeIfDone(tx, bonus);
+  }
+
+  /**
+   * The user's active bonus, closing it first if it has expired (the caller holds the wallet lock)
+   */
+  async getActiveBonus(tx, userId) {
+    for (;;) {
+      const bonus = await tx.bonus.findFirst({
+        where: { userId, status: 'ACTIVE' },
+      });
+
+      if (!bonus || bonus.expiresAt > new Date()) {
+        return bonus;
+      }
+
+      await this.close(tx, bonus, 'EXPIRED');
+    }
+  }
+
+  /**
+   * Activate the oldest queued bonus if none is active
+   */
+  async activateNext(tx, userId) {
+    const active = await tx.bonus.count({
+      where: { userId, status: 'ACTIVE' },
+    });
+
+    if (active > 0) {
+      return null;
+    }
+
+    const next = await tx.bonus.findFirst({
+      where: { userId, status: 'QUEUED' },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    if (!next) {
+      return null;
+    }
+
+    const activatedAt = new Date();
+
+    const bonus = await tx.bonus.update({
+      where: { id: next.id },
+      data: {
+        status: 'ACTIVE',
+        activatedAt,
+        expiresAt: new Date(activatedAt.getTime() + next.expiryDays * DAY_MS),
+      },
+    });
+
+    // No wagering required - nothing to wait for
+    await this.closeIfDone(tx, bonus);
+
+    return bonus;
+  }
+
+  /**
+   * Close an active bonus whose bets have all settled, if it is used up or its wagering is met
+   * @returns {Promise<string>} Status of the bonus afterwards
+   */
+  async closeIfDone(tx, bonus) {
+    const pendingBets = await tx.bet.count({
+      where: { bonusId: bonus.id, result: 'PENDING' },
+    });
+
+    if (pendingBets > 0) {
+      return bonus.status;
+    }
+
+    if (new Prisma.Decimal(bonus.balance).isZero()) {
+      await this.close(tx, bonus, 'SPENT');
+      return 'SPENT';
+    }
+
+    if (new Prisma.Decimal(bonus.wagered).gte(bonus.wageringRequired)) {
+      await this.close(tx, bonus, 'CONVERTED');
+      return 'CONVERTED';
+    }
+
+    return bonus.status;
+  }
+
+  /**
+   * Close a bonus - its balance goes to the wallet when CONVERTED, back to the pool otherwise
+   * @param {string} status - CONVERTED, EXPIRED or SPENT
+   */
+  async close(tx, bonus, status) {
+    const balance = new Prisma.Decimal(bonus.balance);
+
+    if (status === 'CONVERTED') {
+      const description = `Bonus of ₹${bonus.amount} converted to cash after wagering ₹${bonus.wagered}`;
+
+      await ledgerService.transfer(tx, {
+        from: LEDGER_ACCOUNTS.BONUS_HELD,
+        to: { userId: bonus.userId },
+        amount: balance,
+        type: LEDGER_ENTRY_TYPES.BONUS_CONVERTED,
+        referenceId: bonus.id,
+        description,
+      });
+
+      await tx.transaction.create({
+        data: {
+          userId: bonus.userId,
+          type: 'BONUS_CONVERTED',
+          amount: balance,
+          status: 'COMPLETED',
+          referenceId: bonus.id,
+          description,
+        },
+      });
+    } else {
+      await ledgerService.transfer(tx, {
+        from: LEDGER_ACCOUNTS.BONUS_HELD,
+        to: LEDGER_ACCOUNTS.BONUS_POOL,
+        amount: balance,
+        type: LEDGER_ENTRY_TYPES.BONUS_EXPIRED,
+        referenceId: bonus.id,
+        description: `Bonus of ₹${bonus.amount} expired before wagering was met`,
+      });
+    }
+
+    await tx.bonus.update({
+      where: { id: bonus.id },
+      data: {
+        status,
+        balance: 0,
+        closedAt: new Date(),
+        convertedAmount: status === 'CONVERTED' ? balance : null,
+      },
+    });
+
+    logger.info(`Bonus ${bonus.id} of user ${bonus.userId} closed as ${status} (balance ₹${balance})`);
+
+    await this.activateNext(tx, bonus.userId);
+  }
+
+  /**
+   * A user's bonuses with wagering progress
+   * @returns {Promise<Object>} { bonusBalance, maxBet, active, queued, history }
+   */
+  async getBonuses(userId) {
+    await this.expireDue(userId);
+
+    const [open, history] = await Promise.all([
+      prisma.bonus.findMany({
+        where: { userId, status: { in: OPEN_STATUSES } },
+        orderBy: { createdAt: 'asc' },
+      }),
+      prisma.bonus.findMany({
+        where: { userId, status: { notIn: OPEN_STATUSES } },
+        orderBy: { closedAt: 'desc' },
+        take: HISTORY_SIZE,
+      }),
+    ]);
+
+    const active = open.find(bonus => bonus.status === 'ACTIVE') || null;
+
+    return {
+      bonusBalance: open.reduce((sum, bonus) => sum.plus(bonus.balance), new Prisma.Decimal(0)),
+      maxBet: active ? active.maxBet : null,
+      active: active ? this.present(active) : null,
+      queued: open.filter(bonus => bonus.status === 'QUEUED').map(bonus => this.present(bonus)),
+      history: history.map(bonus => this.present(bonus)),
+    };
+  }
+
+  /**
+   * Total bonus funds of a user (active and queued)
+   */
+  async getBonusBalance(userId) {
+    const result = await prisma.bonus.aggregate({
+      where: { userId, status: { in: OPEN_STATUSES } },
+      _sum: { balance: true },
+    });
+
+    return result._sum.balance || new Prisma.Decimal(0);
+  }
+
+  /**
+   * Close the user's active bonus if it has expired
+   */
+  async expireDue(userId) {
+    const expired = await prisma.bonus.count({
+      where: { userId, status: 'ACTIVE', expiresAt: { lte: new Date() } },
+    });
+
+    if (expired === 0) {
+      return;
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await this.lockWallet(tx, userId);
+      await this.getActiveBonus(tx, userId);
+    });
+  }
+
+  /**
+   * A bonus with its wagering progress
+   */
+  present(bonus) {
+    const required = new Prisma.Decimal(bonus.wageringRequired);
+    const wagered = new Prisma.Decimal(bonus.wagered);
+    const remaining = required.minus(wagered);
+
+    return {
+      ...bonus,
+      wageringRemaining: remaining.isNegative() ? new Prisma.Decimal(0) : remaining,
+      progressPercent: required.isZero()
+        ? 100
+        : Math.min(100, Math.floor(wagered.dividedBy(required).times(100).toNumber())),
+    };
+  }
+
+  /**
+   * Serialise bonus changes per user on the wallet row, as bet placement does
+   */
+  async lockWallet(tx, userId) {
+    await tx.$queryRaw`SELECT "id" FROM "wallets" WHERE "userId" = ${userId} FOR UPDATE`;
+  }
+}
+
+module.exports = new BonusService();
@@ -1,19 +1,27 @@
 const prisma = require('../config/database');
 const { NUMBER_COLORS, NUMBER_SIZES } = require('../config/constants');
 const gameAdminService = require('./gameAdmin.service');
+const gameTableService = require('./gameTable.service');
+const settlementService = require('./settlement.service');
+const provablyFair = require('../utils/provablyFair');
 const logger = require('../utils/logger');
-const env = require('../config/env');
 
-// Game configuration
-const ROUND_DURATION = env.GAME_ROUND_DURATION;
+// How often rounds left with pending bets are looked for
+const RECOVERY_INTERVAL_MS = 60 * 1000;
 
 /**
  * Game Service - Handles game round lifecycle and result calculation
+ *
+ * Every active game table runs its own round loop. Tables are re-read on
+ * each tick, so tables created, changed or disabled by an admin are picked
+ * up without a restart.
  */
 class GameService {
   constructor() {
     this.intervalId = null;
     this.isRunning = false;
+    this.isProcessing = false;
+    this.lastRecoveryAt = 0;
   }
 
   /**
@@ -28,15 +36,15 @@ class GameService {
     logger.game('Starting game service...');
     this.isRunning = true;
 
-    // Check and create initial game round
-    this.ensureActiveRound();
+    // Open the first round of every active table
+    this.processGameRounds();
 
     // Start the game loop
     this.intervalId = setInterval(() => {
       this.processGameRounds();
     }, 1000); // Check every second
 
-    logger.game(`Game service started. Round duration: ${ROUND_DURATION} seconds`);
+    logger.game('Game service started');
   }
 
   /**
@@ -52,72 +60,84 @@ class GameService {
   }
 
   /**
-   * Ensure there's an active game round
+   * Whether a round's betting window has run out
    */
-  async ensureActiveRound() {
-    try {
-      const activeRound = await prisma.gameRound.findFirst({
-        where: { 
-          status: { in: ['OPEN', 'PAUSED'] },
-          resultStatus: 'PENDING',
-        },
-      });
-
-      if (!activeRound) {
-        logger.game('Creating new game round...');
-        await this.createNewGameRound();
-      }
-    } catch (err) {
-      logger.error('Error ensuring active round:', err);
-    }
+  isExpired(round, now = Date.now()) {
+    return now - new Date(round.startTime).getTime() >= round.duration * 1000;
   }
 
   /**
    * Process game rounds - check for expired rounds and auto-calculate results
    */
   async processGameRounds() {
+    // A slow tick must not overlap the next one and open duplicate rounds
+    if (this.isProcessing) {
+      return;
+    }
+
+    this.isProcessing = true;
+
     try {
-      // Find expired OPEN rounds that haven't been manually controlled
-      const expiredRounds = await prisma.gameRound.findMany({
+      // Rounds of disabled tables are still completed, they just are not replaced
+      const openRounds = await prisma.gameRound.findMany({
         where: {
           status: 'OPEN',
           resultStatus: 'PENDING',
-          startTime: {
-            lte: new Date(Date.now() - ROUND_DURATION * 1000),
-          },
-        },
-        include: {
-          bets: true,
         },
+        include: { table: true },
       });
 
-      for (const round of expiredRounds) {
+      for (const round of openRounds.filter(openRound => this.isExpired(openRound))) {
         // Auto-close betting and calculate result using system logic
         await this.autoCompleteRound(round);
       }
 
-      // Ensure there's always an active round
-      const activeRound = await prisma.gameRound.findFirst({
-        where: { 
-          status: { in: ['OPEN', 'PAUSED'] },
-          resultStatus: 'PENDING',
-        },
-      });
+      // Now and then, finish rounds whose settlement was interrupted (also right after a restart)
+      if (Date.now() - this.lastRecoveryAt >= RECOVERY_INTERVAL_MS) {
+        this.lastRecoveryAt = Date.now();
+
+        try {
+          await gameAdminService.settleInterruptedRounds();
+        } catch (err) {
+          logger.error('Error finishing interrupted settlements:', err);
+        }
+      }
+
+      const gameSocket = require('../app').get('gameSocket');
+      const tables = await gameTableService.getTables({ activeOnly: true });
+
+      // Ensure every active table always has a round running
+      for (const table of tables) {
+        let activeRound = await prisma.gameRound.findFirst({
+          where: {
+            tableId: table.id,
+            status: { in: ['OPEN', 'PAUSED'] },
+            resultStatus: 'PENDING',
+          },
+        });
 
-      if (!activeRound) {
-        await this.createNewGameRound();
+        if (!activeRound) {
+          activeRound = await this.createNewGameRound(table);
+        }
+
+        // Push the countdown to players every tick
+        if (gameSocket && activeRound) {
+          gameSocket.notifyCountdown({ ...activeRound, table });
+        }
       }
     } catch (err) {
       logger.error('Error processing game rounds:', err);
+    } finally {
+      this.isProcessing = false;
     }
   }
 
   /**
-   * Create a new game round
+   * Create a new game round on a table
    */
-  async createNewGameRound() {
+  async createNewGameRound(table) {
     const now = new Date();
-    const period = await this.generatePeriodNumber(now);
+    const period = await this.generatePeriodNumber(table, now);
 
     // Check if round already exists
     const existingRound = await prisma.gameRound.findUnique({
@@ -128,16 +148,30 @@ class GameService {
       return existingRound;
     }
 
+    // Commit to the server seed before any bet is accepted (period doubles as the public client seed)
+    const commitment = provablyFair.createCommitment(period);
+
     const gameRound = await prisma.gameRound.create({
       data: {
+        tableId: table.id,
         period,
+        // Later table changes only apply from the next round
+        duration: table.duration,
+        payouts: table.payouts ? settlementService.resolvePayouts(table.payouts) : undefined,
         status: 'OPEN',
         resultStatus: 'PENDING',
         startTime: now,
+        ...commitment,
       },
     });
 
-    logger.game(`New game round created: ${period}`);
+    logger.game(`New game round created: ${period} (commitment: ${commitment.serverSeedHash})`);
+
+    const gameSocket = require('../app').get('gameSocket');
+    if (gameSocket) {
+      gameSocket.notifyRoundOpened({ ...gameRound, table });
+    }
+
     return gameRound;
   }
 
@@ -147,6 +181,11 @@ class GameService {
   async autoCompleteRound(round) {
     logger.game(`Auto-completing round: ${round.period}`);
 
+    const gameSocket = require('../app').get('gameSocket');
+    if (gameSocket) {
+      gameSocket.notifyBettingClosed(round);
+    }
+
     try {
       // Use gameAdminService to auto-calculate and save result
       await gameAdminService.autoCalculateResult(round.id);
@@ -157,75 +196,22 @@ class GameService {
   }
 
   /**
-   * Calculate winning number based on minimum bet strategy
+   * Get the active tables players can join
    */
-  async calculateWinningNumber(roundId) {
-    try {
-      // Get all bets for this round
-      const bets = await prisma.bet.findMany({
-        where: { gameRoundId: roundId },
-      });
-
-      if (bets.length === 0) {
-        // No bets, return random number
-        return Math.floor(Math.random() * 10);
-      }
-
-      // Calculate total bets per number
-      const numberBets = {};
-      for (let i = 0; i <= 9; i++) {
-        numberBets[i] = 0;
-      }
-
-      for (const bet of bets) {
-        if (bet.betType === 'NUMBER') {
-          const num = parseInt(bet.selection);
-          numberBets[num] += parseFloat(bet.amount);
-        } else if (bet.betType === 'COLOR') {
-          for (let i = 0; i <= 9; i++) {
-            if (NUMBER_COLORS[i] === bet.selection || 
-                (bet.selection === 'VIOLET' && (i === 0 || i === 5))) {
-              numberBets[i] += parseFloat(bet.amount);
-            }
-          }
-        } else if (bet.betType === 'SIZE') {
-          for (let i = 0; i <= 9; i++) {
-            if (NUMBER_SIZES[i] === bet.selection) {
-              numberBets[i] += parseFloat(bet.amount);
-            }
-          }
-        }
-      }
-
-      // Find number(s) with minimum bet
-      let minBet = Infinity;
-      let winningNumbers = [];
-
-      for (let i = 0; i <= 9; i++) {
-        if (numberBets[i] < minBet) {
-          minBet = numberBets[i];
-          winningNumbers = [i];
-        } else if (numberBets[i] === minBet) {
-          winningNumbers.push(i);
-        }
-      }
-
-      // If multiple numbers have same minimum bet, pick randomly
-      const winningNumber = winningNumbers[Math.floor(Math.random() * winningNumbers.length)];
-      
-      return winningNumber;
-    } catch (err) {
-      logger.error('Error calculating winning number:', err);
-      return Math.floor(Math.random() * 10);
-    }
+  async getTables() {
+    const tables = await gameTableService.getTables({ activeOnly: true });
+    return tables.map(table => gameTableService.describe(table));
   }
 
   /**
-   * Get current active game round
+   * Get current active game round of a table (the first active table by default)
    */
-  async getCurrentRound() {
+  async getCurrentRound(tableCode) {
+    const table = await gameTableService.getTable(tableCode);
+
     let gameRound = await prisma.gameRound.findFirst({
-      where: { 
+      where: {
+        tableId: table.id,
         status: { in: ['OPEN', 'PAUSED'] },
         resultStatus: 'PENDING',
       },
@@ -234,34 +220,42 @@ class GameService {
 
     // If no active round, create one
     if (!gameRound) {
-      gameRound = await this.createNewGameRound();
+      gameRound = await this.createNewGameRound(table);
     }
 
     // Calculate remaining time
     const now = new Date();
     const endTime = new Date(gameRound.startTime);
-    endTime.setSeconds(endTime.getSeconds() + ROUND_DURATION);
+    endTime.setSeconds(endTime.getSeconds() + gameRound.duration);
     
     const remainingTime = Math.max(0, Math.floor((endTime - now) / 1000));
 
+    // Never expose the server seed of an unsettled round
+    const { serverSeed, ...publicRound } = gameRound;
+
     return {
-      ...gameRound,
+      ...publicRound,
+      payouts: settlementService.resolvePayouts(gameRound.payouts),
+      table: gameTableService.describe(table),
       remainingTime,
-      roundDuration: ROUND_DURATION,
+      roundDuration: gameRound.duration,
     };
   }
 
   /**
-   * Get game history
+   * Get game history of a table (the first active table by default)
    */
-  async getGameHistory(page = 1, limit = 10) {
+  async getGameHistory(page = 1, limit = 10, tableCode) {
+    const table = await gameTableService.getTable(tableCode);
     const skip = (page - 1) * limit;
+    const where = {
+      tableId: table.id,
+      resultStatus: 'DECLARED',
+    };
 
     const [gameRounds, total] = await Promise.all([
       prisma.gameRound.findMany({
-        where: { 
-          resultStatus: 'DECLARED',
-        },
+        where,
         orderBy: { endTime: 'desc' },
         skip,
         take: limit,
@@ -273,12 +267,78 @@ class GameService {
           winningSize: true,
           resultDeclaredBy: true,
           endTime: true,
+          serverSeed: true,
+          serverSeedHash: true,
+          clientSeed: true,
+          nonce: true,
         },
       }),
-      prisma.gameRound.count({ where: { resultStatus: 'DECLARED' } }),
+      prisma.gameRound.count({ where }),
     ]);
 
-    return { gameRounds, total, page, limit };
+    return { table: table.code, gameRounds, total, page, limit };
+  }
+
+  /**
+   * Verify a round's result against its revealed server seed
+   */
+  async verifyRound(period) {
+    const round = await prisma.gameRound.findUnique({
+      where: { period },
+      select: {
+        period: true,
+        status: true,
+        resultStatus: true,
+        resultDeclaredBy: true,
+        number: true,
+        serverSeed: true,
+        serverSeedHash: true,
+        clientSeed: true,
+        nonce: true,
+        seedRevealedAt: true,
+      },
+    });
+
+    if (!round) {
+      throw new Error('Game round not found');
+    }
+
+    if (!round.serverSeedHash) {
+      throw new Error('This round was created before provably-fair results were introduced');
+    }
+
+    const commitment = {
+      period: round.period,
+      serverSeedHash: round.serverSeedHash,
+      clientSeed: round.clientSeed,
+      nonce: round.nonce,
+      algorithm: provablyFair.ALGORITHM,
+    };
+
+    // Seed stays hidden until the round is settled or cancelled
+    if (!round.seedRevealedAt) {
+      return { ...commitment, revealed: false };
+    }
+
+    const computedNumber = provablyFair.computeResult(round.serverSeed, round.clientSeed, round.nonce);
+
+    return {
+      ...commitment,
+      revealed: true,
+      serverSeed: round.serverSeed,
+      seedRevealedAt: round.seedRevealedAt,
+      hashMatches: provablyFair.hashServerSeed(round.serverSeed) === round.serverSeedHash,
+      computedResult: {
+        number: computedNumber,
+        color: NUMBER_COLORS[computedNumber],
+        size: NUMBER_SIZES[computedNumber],
+      },
+      declaredResult: round.resultStatus === 'DECLARED' ? {
+        number: round.number,
+        declaredBy: round.resultDeclaredBy,
+      } : null,
+      matchesDeclared: round.resultStatus === 'DECLARED' ? round.number === computedNumber : null,
+    };
   }
 
   /**
@@ -293,6 +353,9 @@ class GameService {
         take: limit,
         orderBy: { createdAt: 'desc' },
         include: {
+          table: {
+            select: { code: true, name: true },
+          },
           _count: {
             select: { bets: true },
           },
@@ -301,24 +364,25 @@ class GameService {
       prisma.gameRound.count(),
     ]);
 
-    return { gameRounds, total, page, limit };
+    return { gameRounds: gameRounds.map(provablyFair.hideUnrevealedSeed), total, page, limit };
   }
 
   /**
-   * Generate period number based on current time
-   * Format: YYYYMMDD + sequential number (0001, 0002, etc.)
+   * Generate the next period number of a table
+   * Format: YYYYMMDD + table code + sequential number (0001, 0002, etc.)
    */
-  async generatePeriodNumber(date) {
+  async generatePeriodNumber(table, date) {
     const year = date.getFullYear();
     const month = String(date.getMonth() + 1).padStart(2, '0');
     const day = String(date.getDate()).padStart(2, '0');
-    const datePrefix = `${year}${month}${day}`;
+    const prefix = `${year}${month}${day}${table.code}`;
 
-    // Find the last round of today
+    // Find the last round of today on this table
     const lastRound = await prisma.gameRound.findFirst({
       where: {
+        tableId: table.id,
         period: {
-          startsWith: datePrefix,
+          startsWith: prefix,
         },
       },
       orderBy: {
@@ -335,7 +399,7 @@ class GameService {
 
     // Format sequence as 4 digits (0001, 0002, etc.)
     const sequenceStr = String(sequence).padStart(4, '0');
-    return `${datePrefix}${sequenceStr}`;
+    return `${prefix}${sequenceStr}`;
   }
 }
 
@@ -1,19 +1,23 @@
 const prisma = require('../config/database');
 const logger = require('../utils/logger');
-const { PAYOUTS, NUMBER_COLORS, NUMBER_SIZES } = require('../config/constants');
+const { NUMBER_COLORS, NUMBER_SIZES, LEDGER_ACCOUNTS, LEDGER_ENTRY_TYPES, ADMIN_AUDIT_ACTIONS } = require('../config/constants');
 const profitEngine = require('./profitEngine.service');
+const ledgerService = require('./ledger.service');
+const settlementService = require('./settlement.service');
+const auditService = require('./audit.service');
+const bonusService = require('./bonus.service');
+const provablyFair = require('../utils/provablyFair');
 
 /**
  * Game Admin Service - Handles admin game control operations
  */
 class GameAdminService {
   /**
-   * Declare winning result for a round (Admin)
+   * Settle a round now (Admin) - the number still comes only from its committed seed
    */
-  async declareResult(gameRoundId, winningOption, adminId) {
+  async declareResult(gameRoundId, adminId, auditContext = {}) {
     const round = await prisma.gameRound.findUnique({
       where: { id: gameRoundId },
-      include: { bets: true },
     });
 
     if (!round) {
@@ -28,59 +32,17 @@ class GameAdminService {
       throw new Error('Cannot declare result for cancelled round');
     }
 
-    // Validate admin result with profit engine
-    const validation = await profitEngine.validateAdminResult(gameRoundId, winningOption);
-    
-    if (!validation.valid) {
-      throw new Error(validation.error);
-    }
-
-    if (validation.warning) {
-      logger.warn(`[Admin Declare] ${validation.warning}`);
-    }
-
-    // Parse winning option
-    let winningNumber = null;
-    let winningColor = null;
-    let winningSize = null;
-
-    // Check if it's a number (0-9)
-    if (/^[0-9]$/.test(winningOption)) {
-      winningNumber = parseInt(winningOption);
-      winningColor = NUMBER_COLORS[winningNumber];
-      winningSize = NUMBER_SIZES[winningNumber];
-    }
-    // Check if it's a color
-    else if (['GREEN', 'RED', 'VIOLET'].includes(winningOption.toUpperCase())) {
-      winningColor = winningOption.toUpperCase();
-      // Find a number with this color (for consistency)
-      const numbersWithColor = Object.entries(NUMBER_COLORS)
-        .filter(([num, color]) => color === winningColor)
-        .map(([num]) => parseInt(num));
-      winningNumber = numbersWithColor[0] || 0;
-      winningSize = NUMBER_SIZES[winningNumber];
-    }
-    // Check if it's a size
-    else if (['BIG', 'SMALL'].includes(winningOption.toUpperCase())) {
-      winningSize = winningOption.toUpperCase();
-      // Find a number with this size
-      const numbersWithSize = Object.entries(NUMBER_SIZES)
-        .filter(([num, size]) => size === winningSize)
-        .map(([num]) => parseInt(num));
-      winningNumber = numbersWithSize[0] || 0;
-      winningColor = NUMBER_COLORS[winningNumber];
-    } else {
-      throw new Error('Invalid winning option. Must be 0-9, GREEN, RED, VIOLET, BIG, or SMALL');
-    }
+    const winningNumber = await this.computeSeededResult(round);
+    const winningColor = NUMBER_COLORS[winningNumber];
+    const winningSize = NUMBER_SIZES[winningNumber];
 
-    // Calculate profit data for admin-declared result
+    // Profit data for the result (bets play no part in choosing it)
     const calculation = await profitEngine.calculateAllResultsLiability(gameRoundId);
     const selectedResult = calculation?.results.find(r => r.number === winningNumber);
 
-    // Update round with admin-declared result and profit data
-    const updatedRound = await prisma.gameRound.update({
-      where: { id: gameRoundId },
-      data: {
+    // Update round with the result and profit data
+    const updatedRound = await prisma.$transaction(async (tx) => {
+      const declared = await this.closeRound(tx, gameRoundId, {
         number: winningNumber,
         winningColor: winningColor,
         winningSize: winningSize,
@@ -90,24 +52,44 @@ class GameAdminService {
         declaredAt: new Date(),
         declaredByAdminId: adminId,
         endTime: new Date(),
+        seedRevealedAt: new Date(),
         totalCollection: selectedResult?.totalCollection || 0,
         totalPayout: selectedResult?.totalLiability || 0,
         profit: selectedResult?.profit || 0,
         profitPercent: selectedResult?.profitPercent || 0,
         calculationData: calculation ? JSON.stringify(calculation.results) : null,
-        selectedResultRank: 'ADMIN_DECLARED',
+        selectedResultRank: 'PROVABLY_FAIR',
         isProfitable: selectedResult?.isProfitable || false,
         lossAmount: selectedResult?.profit < 0 ? Math.abs(selectedResult.profit) : null,
-      },
+      });
+
+      await auditService.record(tx, {
+        adminId,
+        action: ADMIN_AUDIT_ACTIONS.RESULT_DECLARED,
+        targetType: 'GameRound',
+        targetId: gameRoundId,
+        before: { status: round.status, resultStatus: round.resultStatus },
+        after: {
+          number: winningNumber,
+          winningColor,
+          winningSize,
+          status: declared.status,
+          resultStatus: declared.resultStatus,
+        },
+      }, auditContext);
+
+      return declared;
     });
 
-    // Process bets with admin result
-    await this.processBetsWithResult(round.id, winningNumber, winningColor, winningSize);
+    const gameSocket = require('../app').get('gameSocket');
+    if (gameSocket) {
+      gameSocket.notifyResultDeclared(updatedRound);
+    }
 
-    logger.info(`Admin ${adminId} declared result for round ${gameRoundId}: ${winningOption} (Profit: ${selectedResult?.profit || 0})`);
+    // Process bets with the result
+    await this.processBetsWithResult(round.id, winningNumber);
 
-    // Cleanup old game rounds - keep only latest 500
-    await this.cleanupOldRounds();
+    logger.info(`Admin ${adminId} declared result for round ${gameRoundId}: ${winningNumber} (Profit: ${selectedResult?.profit || 0})`);
 
     return {
       message: 'Result declared successfully',
@@ -120,59 +102,10 @@ class GameAdminService {
     };
   }
 
-  /**
-   * Cleanup old game rounds - keep only latest 500 completed rounds
-   */
-  async cleanupOldRounds() {
-    try {
-      // Count completed rounds
-      const roundCount = await prisma.gameRound.count({
-        where: { resultStatus: 'DECLARED' },
-      });
-
-      // If more than 500, delete oldest ones
-      if (roundCount > 500) {
-        const roundsToDelete = roundCount - 500;
-
-        // Find oldest completed rounds to delete
-        const oldRounds = await prisma.gameRound.findMany({
-          where: { resultStatus: 'DECLARED' },
-          orderBy: { declaredAt: 'asc' },
-          take: roundsToDelete,
-          select: { id: true },
-        });
-
-        const roundIds = oldRounds.map(r => r.id);
-
-        // Delete related bets first (foreign key constraint)
-        await prisma.bet.deleteMany({
-          where: {
-            gameRoundId: {
-              in: roundIds,
-            },
-          },
-        });
-
-        // Delete old rounds
-        await prisma.gameRound.deleteMany({
-          where: {
-            id: {
-              in: roundIds,
-            },
-          },
-        });
-
-        logger.info(`Cleaned up ${roundsToDelete} old game rounds`);
-      }
-    } catch (err) {
-      logger.error('Error cleaning up old rounds:', err);
-    }
-  }
-
   /**
    * Update round status (OPEN, PAUSED, CLOSED)
    */
-  async updateRoundStatus(gameRoundId, status) {
+  async updateRoundStatus(gameRoundId, status, adminId, auditContext = {}) {
     const validStatuses = ['OPEN', 'PAUSED', 'CLOSED'];
     
     if (!validStatuses.includes(status)) {
@@ -196,26 +129,39 @@ class GameAdminService {
       throw new Error('Cannot reopen round after result is declared');
     }
 
-    const updatedRound = await prisma.gameRound.update({
-      where: { id: gameRoundId },
-      data: { status },
+    const updatedRound = await prisma.$transaction(async (tx) => {
+      const updated = await tx.gameRound.update({
+        where: { id: gameRoundId },
+        data: { status },
+      });
+
+      await auditService.record(tx, {
+        adminId,
+        action: ADMIN_AUDIT_ACTIONS.ROUND_STATUS_UPDATED,
+        targetType: 'GameRound',
+        targetId: gameRoundId,
+        before: { status: round.status },
+        after: { status: updated.status },
+      }, auditContext);
+
+      return updated;
     });
 
-    logger.info(`Round ${gameRoundId} status changed to ${status}`);
+    logger.info(`Admin ${adminId} changed round ${gameRoundId} status to ${status}`);
 
     return {
       message: `Round status updated to ${status}`,
-      round: updatedRound,
+      round: provablyFair.hideUnrevealedSeed(updatedRound),
     };
   }
 
   /**
    * Cancel round and refund all bets
    */
-  async cancelRound(gameRoundId, adminId) {
+  async cancelRound(gameRoundId, adminId, auditContext = {}) {
     const round = await prisma.gameRound.findUnique({
       where: { id: gameRoundId },
-      include: { bets: true },
+      include: { table: true },
     });
 
     if (!round) {
@@ -231,71 +177,179 @@ class GameAdminService {
     }
 
     // Process refunds for all bets
+    const refundedBets = [];
+
     await prisma.$transaction(async (tx) => {
-      // Update round status
-      await tx.gameRound.update({
-        where: { id: gameRoundId },
-        data: {
-          status: 'CANCELLED',
-          endTime: new Date(),
-        },
+      // Closing the round first locks it, so bets placed or settled concurrently wait for this transaction
+      await this.closeRound(tx, gameRoundId, {
+        status: 'CANCELLED',
+        endTime: new Date(),
+        seedRevealedAt: new Date(),
       });
 
-      // Refund all bets
-      for (const bet of round.bets) {
-        if (bet.result === 'PENDING') {
-          // Refund to user wallet
-          await tx.wallet.update({
-            where: { userId: bet.userId },
-            data: {
-              balance: {
-                increment: parseFloat(bet.amount),
-              },
-            },
-          });
+      const bets = await tx.bet.findMany({
+        where: { gameRoundId, result: 'PENDING' },
+      });
 
-          // Update bet result to cancelled
-          await tx.bet.update({
-            where: { id: bet.id },
-            data: {
-              result: 'CANCELLED',
-              winAmount: 0,
-            },
-          });
+      // Refund all bets
+      for (const bet of bets) {
+        const refunded = await this.refundBet(tx, bet, round.period);
 
-          // Create refund transaction
-          await tx.transaction.create({
-            data: {
-              userId: bet.userId,
-              type: 'REFUND',
-              amount: parseFloat(bet.amount),
-              status: 'COMPLETED',
-              referenceId: bet.id,
-              description: `Refund for cancelled round ${round.period}`,
-            },
-          });
+        if (refunded) {
+          refundedBets.push(refunded);
         }
       }
+
+      await auditService.record(tx, {
+        adminId,
+        action: ADMIN_AUDIT_ACTIONS.ROUND_CANCELLED,
+        targetType: 'GameRound',
+        targetId: gameRoundId,
+        before: { status: round.status, resultStatus: round.resultStatus },
+        after: {
+          status: 'CANCELLED',
+          refundedBets: refundedBets.length,
+          refundedAmount: refundedBets.reduce((sum, bet) => sum + parseFloat(bet.amount), 0),
+        },
+      }, auditContext);
     });
 
-    logger.info(`Admin ${adminId} cancelled round ${gameRoundId} and refunded ${round.bets.length} bets`);
+    const gameSocket = require('../app').get('gameSocket');
+    if (gameSocket) {
+      gameSocket.notifyRoundCancelled(round);
+      refundedBets.forEach(bet => gameSocket.notifyBetSettled(bet));
+      await gameSocket.notifyWalletUpdated(refundedBets.map(bet => bet.userId));
+    }
+
+    logger.info(`Admin ${adminId} cancelled round ${gameRoundId} and refunded ${refundedBets.length} bets`);
 
     return {
       message: 'Round cancelled and all bets refunded',
-      refundedBets: round.bets.length,
+      refundedBets: refundedBets.length,
     };
   }
 
+  /**
+   * Refund a pending bet of a cancelled round inside a transaction
+   * @returns {Promise<Object|null>} The settled bet, or null if it was no longer PENDING
+   */
+  async refundBet(tx, bet, period) {
+    const { result, winAmount, refundAmount } = settlementService.cancelBet(bet);
+
+    // Only refund bets this transaction moved out of PENDING
+    const { count } = await tx.bet.updateMany({
+      where: { id: bet.id, result: 'PENDING' },
+      data: {
+        result,
+        winAmount,
+      },
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    const refund = bonusService.splitPayout(bet, refundAmount);
+    const description = `Refund for cancelled round ${period}`;
+
+    // Return the stake from the house to the user wallet
+    await ledgerService.transfer(tx, {
+      from: LEDGER_ACCOUNTS.HOUSE,
+      to: { userId: bet.userId },
+      amount: refund.cash,
+      type: LEDGER_ENTRY_TYPES.BET_REFUNDED,
+      referenceId: bet.id,
+      description,
+    });
+
+    // The bonus-funded part goes back to the bonus, and the bet stops counting towards its wagering
+    await bonusService.settleBet(tx, bet, refund.bonus, { cancelled: true, description });
+
+    // Create refund transaction
+    await tx.transaction.create({
+      data: {
+        userId: bet.userId,
+        type: 'REFUND',
+        amount: refundAmount,
+        status: 'COMPLETED',
+        referenceId: bet.id,
+        description,
+      },
+    });
+
+    return { ...bet, result, winAmount };
+  }
+
+  /**
+   * Finish rounds that closed more than `olderThanMs` ago but still have PENDING bets
+   * (settlement runs after the round is committed, so a crash in between leaves them behind)
+   */
+  async settleInterruptedRounds(olderThanMs = 60 * 1000) {
+    const rounds = await prisma.gameRound.findMany({
+      where: {
+        OR: [{ resultStatus: 'DECLARED' }, { status: 'CANCELLED' }],
+        endTime: { lt: new Date(Date.now() - olderThanMs) },
+        bets: { some: { result: 'PENDING' } },
+      },
+      select: { id: true, period: true, status: true, number: true },
+    });
+
+    for (const round of rounds) {
+      try {
+        logger.warn(`Round ${round.period} closed with pending bets, finishing its settlement`);
+
+        if (round.status === 'CANCELLED') {
+          await this.refundPendingBets(round);
+        } else {
+          await this.processBetsWithResult(round.id, round.number);
+        }
+      } catch (err) {
+        logger.error(`Error finishing settlement of round ${round.period}:`, err);
+      }
+    }
+
+    return rounds.length;
+  }
+
+  /**
+   * Refund the pending bets of a cancelled round, one transaction per bet
+   */
+  async refundPendingBets(round) {
+    const bets = await prisma.bet.findMany({
+      where: { gameRoundId: round.id, result: 'PENDING' },
+    });
+    const gameSocket = require('../app').get('gameSocket');
+    const refundedBets = [];
+
+    for (const bet of bets) {
+      const refunded = await prisma.$transaction(tx => this.refundBet(tx, bet, round.period));
+
+      if (refunded) {
+        refundedBets.push(refunded);
+      }
+    }
+
+    if (gameSocket) {
+      refundedBets.forEach(bet => gameSocket.notifyBetSettled(bet));
+      await gameSocket.notifyWalletUpdated(refundedBets.map(bet => bet.userId));
+    }
+
+    logger.info(`Refunded ${refundedBets.length} bets for cancelled round: ${round.id}`);
+  }
+
   /**
    * Get all rounds with filtering
    */
-  async getRounds(page = 1, limit = 10, status = null) {
+  async getRounds(page = 1, limit = 10, status = null, tableCode = null) {
     const skip = (page - 1) * limit;
 
     const where = {};
     if (status) {
       where.status = status;
     }
+    if (tableCode) {
+      where.table = { code: tableCode.toUpperCase() };
+    }
 
     const [rounds, total] = await Promise.all([
       prisma.gameRound.findMany({
@@ -304,6 +358,9 @@ class GameAdminService {
         take: limit,
         orderBy: { createdAt: 'desc' },
         include: {
+          table: {
+            select: { code: true, name: true },
+          },
           _count: {
             select: { bets: true },
           },
@@ -312,7 +369,7 @@ class GameAdminService {
       prisma.gameRound.count({ where }),
     ]);
 
-    return { rounds, total, page, limit };
+    return { rounds: rounds.map(provablyFair.hideUnrevealedSeed), total, page, limit };
   }
 
   /**
@@ -322,6 +379,7 @@ class GameAdminService {
     const round = await prisma.gameRound.findUnique({
       where: { id: gameRoundId },
       include: {
+        table: true,
         bets: {
           include: {
             user: {
@@ -349,68 +407,63 @@ class GameAdminService {
       sizeBets: round.bets.filter(b => b.betType === 'SIZE').length,
     };
 
-    return { round, stats };
+    return { round: provablyFair.hideUnrevealedSeed(round), stats };
   }
 
   /**
-   * Process bets with a specific result
+   * Settle every pending bet of a round against the winning number
    */
-  async processBetsWithResult(roundId, winningNumber, winningColor, winningSize) {
-    const bets = await prisma.bet.findMany({
-      where: { gameRoundId: roundId },
-    });
+  async processBetsWithResult(roundId, winningNumber) {
+    // Every leg of a bet slip is an individual bet and is settled on its own
+    const [round, bets] = await Promise.all([
+      prisma.gameRound.findUnique({
+        where: { id: roundId },
+        select: { payouts: true },
+      }),
+      prisma.bet.findMany({
+        where: { gameRoundId: roundId, result: 'PENDING' },
+      }),
+    ]);
+
+    // Bets are paid on the payouts the round opened with
+    const payouts = settlementService.resolvePayouts(round.payouts);
+    const outcome = settlementService.getOutcome(winningNumber);
+    const gameSocket = require('../app').get('gameSocket');
+    const winnerIds = [];
+    let settledCount = 0;
 
     for (const bet of bets) {
-      let isWin = false;
-      let winAmount = 0;
-
-      if (bet.betType === 'NUMBER') {
-        const betNumber = parseInt(bet.selection);
-        if (betNumber === winningNumber) {
-          isWin = true;
-          winAmount = parseFloat(bet.amount) * PAYOUTS.NUMBER;
-        }
-      } else if (bet.betType === 'COLOR') {
-        const betColor = bet.selection;
-        if (betColor === 'VIOLET' && (winningNumber === 0 || winningNumber === 5)) {
-          isWin = true;
-          winAmount = parseFloat(bet.amount) * PAYOUTS.COLOR.VIOLET;
-        } else if (betColor === winningColor) {
-          isWin = true;
-          // Special case: if winning number is 0 or 5 (dual-color), use reduced payout for GREEN/RED
-          if ((winningNumber === 0 && betColor === 'RED') || (winningNumber === 5 && betColor === 'GREEN')) {
-            winAmount = parseFloat(bet.amount) * 1.45; // 45% return
-          } else {
-            winAmount = parseFloat(bet.amount) * PAYOUTS.COLOR[winningColor];
-          }
-        }
-      } else if (bet.betType === 'SIZE') {
-        const betSize = bet.selection;
-        if (betSize === winningSize) {
-          isWin = true;
-          winAmount = parseFloat(bet.amount) * PAYOUTS.SIZE[winningSize];
-        }
-      }
+      const { result, winAmount } = settlementService.settleBet(bet, outcome, payouts);
+      const isWin = result === 'WON';
+      const winnings = bonusService.splitPayout(bet, isWin ? winAmount : 0);
+      let bonusStatus = null;
+      let settled = false;
 
       // Update bet result
       await prisma.$transaction(async (tx) => {
-        await tx.bet.update({
-          where: { id: bet.id },
+        // Only credit a bet this transaction moved out of PENDING, so it is never paid twice
+        const { count } = await tx.bet.updateMany({
+          where: { id: bet.id, result: 'PENDING' },
           data: {
-            result: isWin ? 'WON' : 'LOST',
-            winAmount: isWin ? winAmount : 0,
+            result,
+            winAmount,
           },
         });
 
+        if (count === 0) {
+          return;
+        }
+        settled = true;
+
         if (isWin) {
-          // Add winnings to user wallet
-          await tx.wallet.update({
-            where: { userId: bet.userId },
-            data: {
-              balance: {
-                increment: winAmount,
-              },
-            },
+          // Pay winnings from the house to the user wallet
+          await ledgerService.transfer(tx, {
+            from: LEDGER_ACCOUNTS.HOUSE,
+            to: { userId: bet.userId },
+            amount: winnings.cash,
+            type: LEDGER_ENTRY_TYPES.BET_WON,
+            referenceId: bet.id,
+            description: `Won bet on ${bet.betType}: ${bet.selection}`,
           });
 
           // Create transaction record
@@ -425,41 +478,120 @@ class GameAdminService {
             },
           });
         }
+
+        // Winnings on the bonus-funded part go to the bonus, which may now convert
+        bonusStatus = await bonusService.settleBet(tx, bet, winnings.bonus, {
+          description: `Won bet on ${bet.betType}: ${bet.selection}`,
+        });
       });
+
+      if (!settled) {
+        continue;
+      }
+      settledCount++;
+
+      if (isWin || bonusStatus === 'CONVERTED') {
+        winnerIds.push(bet.userId);
+      }
+
+      if (gameSocket) {
+        gameSocket.notifyBetSettled({ ...bet, result, winAmount });
+      }
+    }
+
+    if (gameSocket && winnerIds.length > 0) {
+      await gameSocket.notifyWalletUpdated(winnerIds);
     }
 
-    logger.info(`Processed ${bets.length} bets for round: ${roundId}`);
+    logger.info(`Processed ${settledCount} bets for round: ${roundId}`);
   }
 
   /**
-   * Auto-calculate result using profit engine (System)
+   * Auto-calculate result from the round's committed seeds
+   * (by the system when the round expires, or by an admin ending it early)
+   * @param {string|null} adminId - Admin ending the round, null for the system
    */
-  async autoCalculateResult(gameRoundId) {
-    // Use profit engine to calculate optimal result
-    const optimalResult = await profitEngine.calculateOptimalResult(gameRoundId);
-
-    if (!optimalResult) {
-      // No bets, pick random number
-      const randomNumber = Math.floor(Math.random() * 10);
-      return this.saveSystemResult(gameRoundId, randomNumber, null);
+  async autoCalculateResult(gameRoundId, adminId = null, auditContext = {}) {
+    const round = await prisma.gameRound.findUnique({
+      where: { id: gameRoundId },
+    });
+
+    if (!round) {
+      throw new Error('Game round not found');
     }
 
-    // Store calculation data
+    if (round.resultStatus === 'DECLARED') {
+      throw new Error('Result already declared for this round');
+    }
+
+    if (round.status === 'CANCELLED') {
+      throw new Error('Cannot declare result for cancelled round');
+    }
+
+    // The number depends only on the seeds - bets are read afterwards for profit tracking
+    const winningNumber = await this.computeSeededResult(round);
+
     const calculation = await profitEngine.calculateAllResultsLiability(gameRoundId);
-    await profitEngine.storeCalculationData(gameRoundId, optimalResult, calculation);
+    const selectedResult = calculation?.results.find(r => r.number === winningNumber);
 
     return this.saveSystemResult(
-      gameRoundId, 
-      optimalResult.number, 
-      optimalResult,
-      calculation
+      gameRoundId,
+      winningNumber,
+      selectedResult ? { ...selectedResult, selectedRank: 'PROVABLY_FAIR' } : null,
+      calculation,
+      adminId,
+      auditContext
     );
   }
 
+  /**
+   * Winning number of a round, derived only from its committed seeds
+   */
+  async computeSeededResult(round) {
+    let { serverSeed, clientSeed, nonce } = round;
+
+    // Rounds opened before commitments existed get an uncommitted seed so they can still settle
+    if (!serverSeed) {
+      logger.warn(`Round ${round.period} has no committed seed, generating one at settlement`);
+      const commitment = provablyFair.createCommitment(round.period);
+      await prisma.gameRound.update({
+        where: { id: round.id },
+        data: commitment,
+      });
+      ({ serverSeed, clientSeed, nonce } = commitment);
+    }
+
+    return provablyFair.computeResult(serverSeed, clientSeed, nonce);
+  }
+
+  /**
+   * Move a round out of play (declared or cancelled) - only the first caller wins
+   */
+  async closeRound(tx, gameRoundId, data) {
+    const { count } = await tx.gameRound.updateMany({
+      where: {
+        id: gameRoundId,
+        status: { notIn: ['CANCELLED', 'RESULT_DECLARED'] },
+        resultStatus: 'PENDING',
+      },
+      data,
+    });
+
+    if (count === 0) {
+      throw new Error('Round has already been declared or cancelled');
+    }
+
+    return tx.gameRound.findUnique({
+      where: { id: gameRoundId },
+      include: { table: true },
+    });
+  }
+
   /**
    * Save system-calculated result
+   * @param {string|null} adminId - Admin who triggered it (audited), null for the system
    */
-  async saveSystemResult(gameRoundId, winningNumber, profitData = null, calculation = null) {
+  async saveSystemResult(gameRoundId, winningNumber, profitData = null, calculation = null, adminId = null, auditContext = {}) {
     const winningColor = NUMBER_COLORS[winningNumber];
     const winningSize = NUMBER_SIZES[winningNumber];
 
@@ -469,9 +601,12 @@ class GameAdminService {
       winningSize: winningSize,
       status: 'RESULT_DECLARED',
       resultStatus: 'DECLARED',
-      resultDeclaredBy: 'SYSTEM',
+      resultDeclaredBy: adminId ? 'ADMIN' : 'SYSTEM',
+      declaredByAdminId: adminId,
       declaredAt: new Date(),
       endTime: new Date(),
+      seedRevealedAt: new Date(),
+      selectedResultRank: 'PROVABLY_FAIR',
     };
 
     // Add profit data if available
@@ -489,15 +624,43 @@ class GameAdminService {
       updateData.calculationData = JSON.stringify(calculation.results);
     }
 
-    const updatedRound = await prisma.gameRound.update({
-      where: { id: gameRoundId },
-      data: updateData,
+    const updatedRound = await prisma.$transaction(async (tx) => {
+      const before = await tx.gameRound.findUnique({
+        where: { id: gameRoundId },
+        select: { status: true, resultStatus: true },
+      });
+      const declared = await this.closeRound(tx, gameRoundId, updateData);
+
+      // An admin ending a round early is audited like any other declare
+      if (adminId) {
+        await auditService.record(tx, {
+          adminId,
+          action: ADMIN_AUDIT_ACTIONS.RESULT_DECLARED,
+          targetType: 'GameRound',
+          targetId: gameRoundId,
+          before,
+          after: {
+            number: winningNumber,
+            winningColor,
+            winningSize,
+            status: declared.status,
+            resultStatus: declared.resultStatus,
+          },
+        }, auditContext);
+      }
+
+      return declared;
     });
 
+    const gameSocket = require('../app').get('gameSocket');
+    if (gameSocket) {
+      gameSocket.notifyResultDeclared(updatedRound);
+    }
+
     // Process bets
-    await this.processBetsWithResult(gameRoundId, winningNumber, winningColor, winningSize);
+    await this.processBetsWithResult(gameRoundId, winningNumber);
 
-    logger.info(`System calculated result for round ${gameRoundId}: ${winningNumber} (Profit: ${profitData?.profit || 0})`);
+    logger.info(`${adminId ? `Admin ${adminId}` : 'System'} calculated result for round ${gameRoundId}: ${winningNumber} (Profit: ${profitData?.profit || 0})`);
 
     return updatedRound;
   }
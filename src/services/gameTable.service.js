@@ -0,0 +1,277 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const {
+  PAYOUTS,
+  MIN_AMOUNTS,
+  MAX_AMOUNTS,
+  GAME_TABLE_DURATION,
+  ADMIN_AUDIT_ACTIONS,
+} = require('../config/constants');
+const settlementService = require('./settlement.service');
+const auditService = require('./audit.service');
+const logger = require('../utils/logger');
+
+// Codes are embedded in period numbers, so keep them short and unambiguous
+const CODE_PATTERN = /^[0-9A-Z]{1,8}$/;
+
+// Fields an admin may change after creation (the code is fixed once rounds exist)
+const UPDATABLE_FIELDS = ['name', 'duration', 'payouts', 'minBet', 'maxBet', 'maxRoundStake', 'isActive', 'sortOrder'];
+
+/**
+ * Check a payout override against the shape of PAYOUTS
+ */
+const validatePayouts = (payouts) => {
+  if (payouts === null) {
+    return;
+  }
+
+  if (typeof payouts !== 'object' || Array.isArray(payouts)) {
+    throw new Error('Payouts must be an object');
+  }
+
+  const isMultiplier = value => typeof value === 'number' && Number.isFinite(value) && value >= 1;
+
+  for (const [key, value] of Object.entries(payouts)) {
+    if (!(key in PAYOUTS)) {
+      throw new Error(`Unknown payout: ${key}`);
+    }
+
+    if (typeof PAYOUTS[key] === 'object') {
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        throw new Error(`Payout ${key} must be an object`);
+      }
+
+      for (const [selection, multiplier] of Object.entries(value)) {
+        if (!(selection in PAYOUTS[key])) {
+          throw new Error(`Unknown payout: ${key}.${selection}`);
+        }
+        if (!isMultiplier(multiplier)) {
+          throw new Error(`Payout ${key}.${selection} must be a number of at least 1`);
+        }
+      }
+    } else if (!isMultiplier(value)) {
+      throw new Error(`Payout ${key} must be a number of at least 1`);
+    }
+  }
+};
+
+/**
+ * Validate table fields (only the fields present are checked)
+ */
+const validateTableData = (data) => {
+  if ('code' in data && (typeof data.code !== 'string' || !CODE_PATTERN.test(data.code))) {
+    throw new Error('Code must be 1-8 uppercase letters or digits');
+  }
+
+  if ('name' in data && (typeof data.name !== 'string' || !data.name.trim())) {
+    throw new Error('Name is required');
+  }
+
+  if ('duration' in data
+    && (!Number.isInteger(data.duration)
+      || data.duration < GAME_TABLE_DURATION.MIN
+      || data.duration > GAME_TABLE_DURATION.MAX)) {
+    throw new Error(`Duration must be a whole number of seconds between ${GAME_TABLE_DURATION.MIN} and ${GAME_TABLE_DURATION.MAX}`);
+  }
+
+  if ('payouts' in data) {
+    validatePayouts(data.payouts);
+  }
+
+  for (const field of ['minBet', 'maxBet', 'maxRoundStake']) {
+    if (field in data && data[field] !== null
+      && (typeof data[field] !== 'number' || !Number.isFinite(data[field]) || data[field] <= 0)) {
+      throw new Error(`${field} must be a positive number or null`);
+    }
+  }
+
+  if ('isActive' in data && typeof data.isActive !== 'boolean') {
+    throw new Error('isActive must be a boolean');
+  }
+
+  if ('sortOrder' in data && !Number.isInteger(data.sortOrder)) {
+    throw new Error('sortOrder must be an integer');
+  }
+};
+
+/**
+ * Game Table Service - Tables running their own round loops
+ *
+ * Each table has its own round duration, period sequence, payout table and
+ * bet limits. Tables are read from the database on every game-loop tick, so
+ * creating or disabling one takes effect without a restart.
+ */
+class GameTableService {
+  /**
+   * Get all tables in display order
+   */
+  async getTables({ activeOnly = false } = {}) {
+    return prisma.gameTable.findMany({
+      where: activeOnly ? { isActive: true } : {},
+      orderBy: [{ sortOrder: 'asc' }, { code: 'asc' }],
+    });
+  }
+
+  /**
+   * Get an active table by code, or the first active table when no code is given
+   */
+  async getTable(code) {
+    const table = code
+      ? await prisma.gameTable.findUnique({ where: { code: String(code).toUpperCase() } })
+      : await prisma.gameTable.findFirst({
+        where: { isActive: true },
+        orderBy: [{ sortOrder: 'asc' }, { code: 'asc' }],
+      });
+
+    if (!table || !table.isActive) {
+      throw new Error(code ? 'Game table not found' : 'No game table is active');
+    }
+
+    return table;
+  }
+
+  /**
+   * Bet limits of a table - unset limits fall back to the global ones
+   * @returns {Object} { minBet, maxBet, maxRoundStake } (maxRoundStake null = use the setting)
+   */
+  getBetLimits(table) {
+    return {
+      minBet: table.minBet === null ? MIN_AMOUNTS.BET : parseFloat(table.minBet),
+      maxBet: table.maxBet === null ? MAX_AMOUNTS.BET : parseFloat(table.maxBet),
+      maxRoundStake: table.maxRoundStake === null ? null : parseFloat(table.maxRoundStake),
+    };
+  }
+
+  /**
+   * Public view of a table
+   */
+  describe(table) {
+    const { minBet, maxBet } = this.getBetLimits(table);
+
+    return {
+      id: table.id,
+      code: table.code,
+      name: table.name,
+      duration: table.duration,
+      payouts: settlementService.resolvePayouts(table.payouts),
+      minBet,
+      maxBet,
+    };
+  }
+
+  /**
+   * Create a table (it starts running on the next game-loop tick if active)
+   */
+  async createTable(data, adminId, auditContext = {}) {
+    const tableData = {
+      code: typeof data.code === 'string' ? data.code.toUpperCase() : data.code,
+      name: data.name,
+      duration: data.duration,
+      payouts: data.payouts ?? null,
+      minBet: data.minBet ?? null,
+      maxBet: data.maxBet ?? null,
+      maxRoundStake: data.maxRoundStake ?? null,
+      isActive: data.isActive ?? true,
+      sortOrder: data.sortOrder ?? 0,
+    };
+
+    validateTableData(tableData);
+
+    if (tableData.minBet !== null && tableData.maxBet !== null && tableData.minBet > tableData.maxBet) {
+      throw new Error('minBet cannot exceed maxBet');
+    }
+
+    const table = await prisma.$transaction(async (tx) => {
+      const existing = await tx.gameTable.findUnique({
+        where: { code: tableData.code },
+      });
+
+      if (existing) {
+        throw new Error('A game table with this code already exists');
+      }
+
+      const created = await tx.gameTable.create({
+        data: {
+          ...tableData,
+          payouts: tableData.payouts ?? Prisma.DbNull,
+        },
+      });
+
+      await auditService.record(tx, {
+        adminId,
+        action: ADMIN_AUDIT_ACTIONS.TABLE_CREATED,
+        targetType: 'GameTable',
+        targetId: created.id,
+        after: created,
+      }, auditContext);
+
+      return created;
+    });
+
+    logger.game(`Game table ${table.code} created by admin: ${adminId}`);
+
+    return table;
+  }
+
+  /**
+   * Update a table - changes apply from its next round, disabling lets the open round finish
+   */
+  async updateTable(tableId, data, adminId, auditContext = {}) {
+    if ('code' in data) {
+      throw new Error('The code of a game table cannot be changed');
+    }
+
+    const changes = Object.fromEntries(
+      Object.entries(data).filter(([field]) => UPDATABLE_FIELDS.includes(field))
+    );
+
+    if (Object.keys(changes).length === 0) {
+      throw new Error('No changes provided');
+    }
+
+    validateTableData(changes);
+
+    const table = await prisma.$transaction(async (tx) => {
+      const existing = await tx.gameTable.findUnique({
+        where: { id: tableId },
+      });
+
+      if (!existing) {
+        throw new Error('Game table not found');
+      }
+
+      const minBet = 'minBet' in changes ? changes.minBet : existing.minBet && parseFloat(existing.minBet);
+      const maxBet = 'maxBet' in changes ? changes.maxBet : existing.maxBet && parseFloat(existing.maxBet);
+
+      if (minBet && maxBet && minBet > maxBet) {
+        throw new Error('minBet cannot exceed maxBet');
+      }
+
+      const updated = await tx.gameTable.update({
+        where: { id: tableId },
+        data: {
+          ...changes,
+          // Prisma needs DbNull to clear a Json column
+          ...(changes.payouts === null ? { payouts: Prisma.DbNull } : {}),
+        },
+      });
+
+      await auditService.record(tx, {
+        adminId,
+        action: ADMIN_AUDIT_ACTIONS.TABLE_UPDATED,
+        targetType: 'GameTable',
+        targetId: tableId,
+        before: existing,
+        after: updated,
+      }, auditContext);
+
+      return updated;
+    });
+
+    logger.game(`Game table ${table.code} updated by admin: ${adminId}`);
+
+    return table;
+  }
+}
+
+module.exports = new GameTableService();
@@ -0,0 +1,417 @@
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const { KYC, ADMIN_AUDIT_ACTIONS, ERROR_CODES } = require('../config/constants');
+const { createStorageDriver } = require('./storage');
+const settingService = require('./setting.service');
+const auditService = require('./audit.service');
+const logger = require('../utils/logger');
+const { codedError } = require('../utils/errors');
+
+// Withdrawals that count towards a level's cap (all but the refunded ones)
+const COUNTED_WITHDRAWAL_STATUSES = ['PENDING', 'APPROVED', 'PROCESSING', 'COMPLETED'];
+
+// Accepted ID number format of each ID type
+const ID_NUMBER_FORMATS = {
+  PAN: { pattern: /^[A-Z]{5}[0-9]{4}[A-Z]$/, hint: '10 characters, e.g. ABCDE1234F' },
+  AADHAAR: { pattern: /^[2-9][0-9]{11}$/, hint: '12 digits' },
+};
+
+// Leading bytes of each accepted file type; the declared type is not trusted
+const FILE_SIGNATURES = {
+  'image/jpeg': { bytes: [0xff, 0xd8, 0xff], extension: 'jpg', label: 'JPEG' },
+  'image/png': { bytes: [0x89, 0x50, 0x4e, 0x47], extension: 'png', label: 'PNG' },
+  'application/pdf': { bytes: [0x25, 0x50, 0x44, 0x46], extension: 'pdf', label: 'PDF' },
+};
+
+const USER_SUMMARY = { select: { id: true, mobileNumber: true, name: true, kycStatus: true } };
+
+/**
+ * ID number with all but its last four characters hidden
+ */
+const maskIdNumber = (idNumber) => `${'X'.repeat(Math.max(idNumber.length - 4, 0))}${idNumber.slice(-4)}`;
+
+/**
+ * KYC Service - Identity verification and the limits that depend on it
+ *
+ * A user submits a government ID (PAN or Aadhaar) and a selfie. The files go
+ * to the storage driver and the submission waits in the review queue; an
+ * admin approves it (the user becomes VERIFIED) or rejects it with a reason
+ * (the user may submit again). The user's level - UNVERIFIED or VERIFIED -
+ * caps the total they can withdraw.
+ */
+class KycService {
+  constructor() {
+    this.storage = null;
+  }
+
+  /**
+   * Storage driver in use (created from STORAGE_DRIVER on first use)
+   */
+  getStorage() {
+    if (!this.storage) {
+      this.storage = createStorageDriver();
+    }
+    return this.storage;
+  }
+
+  /**
+   * Replace the storage driver (tests use a MemoryStorageDriver)
+   */
+  setStorage(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Level a KYC status grants
+   */
+  getLevel(kycStatus) {
+    return kycStatus === 'VERIFIED' ? 'VERIFIED' : 'UNVERIFIED';
+  }
+
+  /**
+   * Total a level may withdraw (null = no cap)
+   */
+  async getWithdrawalLimit(level) {
+    return settingService.getNumber(`KYC_${level}_WITHDRAWAL_LIMIT`, KYC.WITHDRAWAL_LIMITS[level]);
+  }
+
+  /**
+   * Amount a user has withdrawn or has waiting to be paid
+   * @param {Object} client - Prisma client or transaction client
+   */
+  async getWithdrawnAmount(client, userId) {
+    const withdrawals = await client.withdrawal.aggregate({
+      where: {
+        userId,
+        status: { in: COUNTED_WITHDRAWAL_STATUSES },
+      },
+      _sum: { amount: true },
+    });
+
+    return new Prisma.Decimal(withdrawals._sum.amount || 0);
+  }
+
+  /**
+   * Throw if a withdrawal would take the user past their level's cap
+   * @param {Object} client - Prisma client or transaction client
+   */
+  async assertWithdrawalAllowed(client, userId, amount) {
+    const user = await client.user.findUnique({
+      where: { id: userId },
+      select: { kycStatus: true },
+    });
+
+    const level = this.getLevel(user?.kycStatus);
+    const limit = await this.getWithdrawalLimit(level);
+
+    if (limit === null) {
+      return;
+    }
+
+    const withdrawn = await this.getWithdrawnAmount(client, userId);
+
+    if (withdrawn.plus(amount).greaterThan(limit)) {
+      const remaining = Prisma.Decimal.max(new Prisma.Decimal(limit).minus(withdrawn), 0);
+
+      throw codedError(ERROR_CODES.KYC_REQUIRED, level === 'VERIFIED'
+        ? `Your withdrawal limit is ${limit}. You can withdraw ${remaining} more`
+        : `Without verified KYC you can withdraw up to ${limit} in total (${remaining} left). Complete KYC to withdraw more`);
+    }
+  }
+
+  /**
+   * KYC status, level and withdrawal allowance of a user, with their latest submission
+   */
+  async getStatus(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { kycStatus: true, kycVerifiedAt: true },
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const level = this.getLevel(user.kycStatus);
+    const [withdrawalLimit, withdrawn, latest] = await Promise.all([
+      this.getWithdrawalLimit(level),
+      this.getWithdrawnAmount(prisma, userId),
+      prisma.kycSubmission.findFirst({
+        where: { userId },
+        orderBy: { createdAt: 'desc' },
+      }),
+    ]);
+
+    return {
+      status: user.kycStatus,
+      level,
+      verifiedAt: user.kycVerifiedAt,
+      withdrawalLimit,
+      withdrawn,
+      withdrawalRemaining: withdrawalLimit === null
+        ? null
+        : Prisma.Decimal.max(new Prisma.Decimal(withdrawalLimit).minus(withdrawn), 0),
+      latestSubmission: latest && {
+        id: latest.id,
+        idType: latest.idType,
+        idNumber: maskIdNumber(latest.idNumber),
+        status: latest.status,
+        rejectionReason: latest.rejectionReason,
+        createdAt: latest.createdAt,
+        reviewedAt: latest.reviewedAt,
+      },
+    };
+  }
+
+  /**
+   * Decode and check an uploaded file
+   * @param {Object} file - { data } (base64 or a data: URL)
+   * @returns {Object} { data, mimeType, extension }
+   */
+  readUpload(file, allowedTypes, label) {
+    const base64 = String(file?.data || '').replace(/^data:[^;,]*;base64,/, '');
+    const data = Buffer.from(base64, 'base64');
+
+    if (data.length === 0) {
+      throw new Error(`${label} is empty`);
+    }
+
+    if (data.length > KYC.MAX_FILE_BYTES) {
+      throw new Error(`${label} must be smaller than ${KYC.MAX_FILE_BYTES / (1024 * 1024)} MB`);
+    }
+
+    const mimeType = allowedTypes.find(type => {
+      const { bytes } = FILE_SIGNATURES[type];
+      return bytes.every((byte, index) => data[index] === byte);
+    });
+
+    if (!mimeType) {
+      const accepted = allowedTypes.map(type => FILE_SIGNATURES[type].label);
+      throw new Error(`${label} must be a ${accepted.join(' or ')} file`);
+    }
+
+    return { data, mimeType, extension: FILE_SIGNATURES[mimeType].extension };
+  }
+
+  /**
+   * Submit an ID document and a selfie for review
+   * @param {Object} submission - { idType, idNumber, idDocument, selfie }
+   */
+  async submit(userId, { idType, idNumber, idDocument, selfie }) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { kycStatus: true },
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.kycStatus === 'VERIFIED') {
+      throw new Error('Your KYC is already verified');
+    }
+
+    if (user.kycStatus === 'PENDING') {
+      throw new Error('Your KYC documents are already under review');
+    }
+
+    const number = String(idNumber).replace(/[\s-]/g, '').toUpperCase();
+    const format = ID_NUMBER_FORMATS[idType];
+
+    if (!format || !format.pattern.test(number)) {
+      throw new Error(`Invalid ${idType} number (${format ? format.hint : 'unknown ID type'})`);
+    }
+
+    const idFile = this.readUpload(idDocument, KYC.ID_DOCUMENT_TYPES, 'ID document');
+    const selfieFile = this.readUpload(selfie, KYC.SELFIE_TYPES, 'Selfie');
+
+    const id = crypto.randomUUID();
+    const idDocumentKey = `kyc/${userId}/${id}-id.${idFile.extension}`;
+    const selfieKey = `kyc/${userId}/${id}-selfie.${selfieFile.extension}`;
+    const storage = this.getStorage();
+
+    await storage.put(idDocumentKey, idFile.data);
+    await storage.put(selfieKey, selfieFile.data);
+
+    let submission;
+
+    try {
+      submission = await prisma.$transaction(async (tx) => {
+        const created = await tx.kycSubmission.create({
+          data: {
+            id,
+            userId,
+            idType,
+            idNumber: number,
+            idDocumentKey,
+            idDocumentType: idFile.mimeType,
+            selfieKey,
+            selfieType: selfieFile.mimeType,
+          },
+        });
+
+        await tx.user.update({
+          where: { id: userId },
+          data: { kycStatus: 'PENDING' },
+        });
+
+        return created;
+      });
+    } catch (err) {
+      await Promise.all([storage.remove(idDocumentKey), storage.remove(selfieKey)]);
+
+      // The partial unique index catches two submissions racing past the check
+      if (err.code === 'P2002') {
+        throw new Error('Your KYC documents are already under review');
+      }
+      throw err;
+    }
+
+    logger.info(`KYC submission ${submission.id} (${idType}) received from user: ${userId}`);
+
+    return this.getStatus(userId);
+  }
+
+  /**
+   * Review queue (oldest first, so nobody waits longest)
+   */
+  async getQueue(page = 1, limit = 10, status = 'PENDING') {
+    const skip = (page - 1) * limit;
+    const where = { status };
+
+    const [submissions, total] = await Promise.all([
+      prisma.kycSubmission.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { createdAt: status === 'PENDING' ? 'asc' : 'desc' },
+        include: { user: USER_SUMMARY },
+      }),
+      prisma.kycSubmission.count({ where }),
+    ]);
+
+    return { submissions, total, page, limit };
+  }
+
+  /**
+   * Get a submission with the user's earlier ones
+   */
+  async getSubmission(submissionId) {
+    const submission = await prisma.kycSubmission.findUnique({
+      where: { id: submissionId },
+      include: { user: USER_SUMMARY },
+    });
+
+    if (!submission) {
+      throw new Error('KYC submission not found');
+    }
+
+    const history = await this.getUserSubmissions(submission.userId);
+
+    return {
+      ...submission,
+      history: history.filter(earlier => earlier.id !== submission.id),
+    };
+  }
+
+  /**
+   * Every submission of a user, newest first
+   */
+  async getUserSubmissions(userId) {
+    return prisma.kycSubmission.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  /**
+   * File of a submission
+   * @param {string} document - ID or SELFIE
+   * @returns {Promise<Object>} { data, mimeType, fileName }
+   */
+  async getDocument(submissionId, document) {
+    const submission = await prisma.kycSubmission.findUnique({
+      where: { id: submissionId },
+    });
+
+    if (!submission) {
+      throw new Error('KYC submission not found');
+    }
+
+    const [key, mimeType] = document === 'SELFIE'
+      ? [submission.selfieKey, submission.selfieType]
+      : [submission.idDocumentKey, submission.idDocumentType];
+
+    return {
+      data: await this.getStorage().get(key),
+      mimeType,
+      fileName: key.split('/').pop(),
+    };
+  }
+
+  /**
+   * Approve or reject a pending submission
+   * @param {string} status - APPROVED or REJECTED
+   * @param {string} reason - Shown to the user; required when rejecting
+   */
+  async review(submissionId, status, reason, adminId, auditContext = {}) {
+    if (status === 'REJECTED' && !reason) {
+      throw new Error('A reason is required to reject KYC documents');
+    }
+
+    const submission = await prisma.$transaction(async (tx) => {
+      const existing = await tx.kycSubmission.findUnique({
+        where: { id: submissionId },
+      });
+
+      if (!existing) {
+        throw new Error('KYC submission not found');
+      }
+
+      const reviewedAt = new Date();
+
+      // Guarded so two admins reviewing at once cannot both succeed
+      const { count } = await tx.kycSubmission.updateMany({
+        where: { id: submissionId, status: 'PENDING' },
+        data: {
+          status,
+          rejectionReason: status === 'REJECTED' ? reason : null,
+          reviewedBy: adminId,
+          reviewedAt,
+        },
+      });
+
+      if (count === 0) {
+        throw new Error('This KYC submission has already been reviewed');
+      }
+
+      await tx.user.update({
+        where: { id: existing.userId },
+        data: status === 'APPROVED'
+          ? { kycStatus: 'VERIFIED', kycVerifiedAt: reviewedAt }
+          : { kycStatus: 'REJECTED' },
+      });
+
+      await auditService.record(tx, {
+        adminId,
+        action: ADMIN_AUDIT_ACTIONS.KYC_REVIEWED,
+        targetType: 'KycSubmission',
+        targetId: submissionId,
+        before: { status: existing.status },
+        after: { status, userId: existing.userId, idType: existing.idType, reason: reason || null },
+      }, auditContext);
+
+      return tx.kycSubmission.findUnique({
+        where: { id: submissionId },
+        include: { user: USER_SUMMARY },
+      });
+    });
+
+    logger.info(`KYC submission ${submissionId} ${status.toLowerCase()} by admin: ${adminId}`);
+
+    return submission;
+  }
+}
+
+module.exports = new KycService();
@@ -0,0 +1,261 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const { LEDGER_ACCOUNTS } = require('../config/constants');
+
+/**
+ * Ledger Service - Double-entry bookkeeping for every balance movement
+ *
+ * Accounts are referenced either by a system code (LEDGER_ACCOUNTS) or by
+ * `{ userId }` for a user's wallet. Wallet.balance is a cached projection of
+ * the user's account and is only ever changed here, inside the caller's
+ * database transaction.
+ */
+class LedgerService {
+  constructor() {
+    // System accounts never change once seeded, so their ids are safe to cache
+    this.systemAccountIds = new Map();
+  }
+
+  /**
+   * Ledger account code for a user's wallet
+   */
+  userAccountCode(userId) {
+    return `USER_WALLET:${userId}`;
+  }
+
+  /**
+   * Open the ledger account backing a user's wallet
+   */
+  async openUserAccount(tx, userId) {
+    return tx.ledgerAccount.upsert({
+      where: { code: this.userAccountCode(userId) },
+      update: {},
+      create: {
+        code: this.userAccountCode(userId),
+        type: 'USER_WALLET',
+        userId,
+      },
+    });
+  }
+
+  /**
+   * Resolve a system code or `{ userId }` to a ledger account id
+   */
+  async resolveAccountId(tx, account) {
+    if (typeof account === 'object') {
+      const userAccount = await this.openUserAccount(tx, account.userId);
+      return userAccount.id;
+    }
+
+    if (!LEDGER_ACCOUNTS[account]) {
+      throw new Error(`Unknown ledger account: ${account}`);
+    }
+
+    if (!this.systemAccountIds.has(account)) {
+      const systemAccount = await tx.ledgerAccount.upsert({
+        where: { code: account },
+        update: {},
+        create: { code: account, type: account },
+      });
+      this.systemAccountIds.set(account, systemAccount.id);
+    }
+
+    return this.systemAccountIds.get(account);
+  }
+
+  /**
+   * Post a balanced journal entry
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} entry - { type, referenceId, description, postings: [{ account, amount }] }
+   */
+  async post(tx, { type, referenceId = null, description = null, postings }) {
+    const lines = postings
+      .map(posting => ({
+        account: posting.account,
+        amount: new Prisma.Decimal(posting.amount).toDecimalPlaces(2),
+      }))
+      .filter(line => !line.amount.isZero());
+
+    const total = lines.reduce((sum, line) => sum.plus(line.amount), new Prisma.Decimal(0));
+
+    if (!total.isZero()) {
+      throw new Error(`Unbalanced journal entry for ${type}: postings sum to ${total}`);
+    }
+
+    if (lines.length === 0) {
+      return null;
+    }
+
+    const resolvedLines = [];
+
+    for (const line of lines) {
+      const accountId = await this.resolveAccountId(tx, line.account);
+
+      // Keep the wallet projection in step; a debit only applies if the funds are there
+      if (typeof line.account === 'object') {
+        const { userId } = line.account;
+
+        if (line.amount.isNegative()) {
+          const { count } = await tx.wallet.updateMany({
+            where: {
+              userId,
+              balance: { gte: line.amount.abs() },
+            },
+            data: {
+              balance: { decrement: line.amount.abs() },
+            },
+          });
+
+          if (count === 0) {
+            throw new Error('Insufficient balance');
+          }
+        } else {
+          await tx.wallet.update({
+            where: { userId },
+            data: {
+              balance: { increment: line.amount },
+            },
+          });
+        }
+      }
+
+      resolvedLines.push({ accountId, amount: line.amount });
+    }
+
+    return tx.journalEntry.create({
+      data: {
+        type,
+        referenceId,
+        description,
+        postings: {
+          create: resolvedLines,
+        },
+      },
+      include: { postings: true },
+    });
+  }
+
+  /**
+   * Move an amount from one account to another
+   */
+  async transfer(tx, { from, to, amount, type, referenceId = null, description = null }) {
+    const value = new Prisma.Decimal(amount);
+
+    return this.post(tx, {
+      type,
+      referenceId,
+      description,
+      postings: [
+        { account: from, amount: value.negated() },
+        { account: to, amount: value },
+      ],
+    });
+  }
+
+  /**
+   * Get the ledger balance of an account (sum of its postings)
+   */
+  async getBalance(account) {
+    const code = typeof account === 'object' ? this.userAccountCode(account.userId) : account;
+
+    const result = await prisma.ledgerPosting.aggregate({
+      where: { account: { code } },
+      _sum: { amount: true },
+    });
+
+    return result._sum.amount || new Prisma.Decimal(0);
+  }
+
+  /**
+   * Prove that every entry balances, every wallet equals its ledger account
+   * and held bonus funds equal the open bonus balances
+   */
+  async reconcile() {
+    const [unbalancedEntries, accountSums, accounts, wallets, openBonuses] = await Promise.all([
+      prisma.ledgerPosting.groupBy({
+        by: ['entryId'],
+        _sum: { amount: true },
+        having: {
+          amount: { _sum: { not: 0 } },
+        },
+      }),
+      prisma.ledgerPosting.groupBy({
+        by: ['accountId'],
+        _sum: { amount: true },
+      }),
+      prisma.ledgerAccount.findMany({
+        select: { id: true, code: true, type: true, userId: true },
+      }),
+      prisma.wallet.findMany({
+        select: { userId: true, balance: true },
+      }),
+      prisma.bonus.aggregate({
+        where: { status: { in: ['ACTIVE', 'QUEUED'] } },
+        _sum: { balance: true },
+      }),
+    ]);
+
+    const sumByAccountId = new Map(
+      accountSums.map(row => [row.accountId, new Prisma.Decimal(row._sum.amount || 0)])
+    );
+    const accountByUserId = new Map(
+      accounts.filter(account => account.userId).map(account => [account.userId, account])
+    );
+
+    const walletMismatches = [];
+
+    for (const wallet of wallets) {
+      const account = accountByUserId.get(wallet.userId);
+      const ledgerBalance = account
+        ? sumByAccountId.get(account.id) || new Prisma.Decimal(0)
+        : new Prisma.Decimal(0);
+
+      if (!ledgerBalance.equals(wallet.balance)) {
+        walletMismatches.push({
+          userId: wallet.userId,
+          walletBalance: wallet.balance.toString(),
+          ledgerBalance: ledgerBalance.toString(),
+          difference: wallet.balance.minus(ledgerBalance).toString(),
+        });
+      }
+    }
+
+    const bonusAccount = accounts.find(account => account.code === LEDGER_ACCOUNTS.BONUS_HELD);
+    const bonusHeld = {
+      ledgerBalance: (bonusAccount && sumByAccountId.get(bonusAccount.id)) || new Prisma.Decimal(0),
+      bonusBalance: new Prisma.Decimal(openBonuses._sum.balance || 0),
+    };
+
+    const ledgerTotal = [...sumByAccountId.values()]
+      .reduce((sum, amount) => sum.plus(amount), new Prisma.Decimal(0));
+
+    const systemAccounts = accounts
+      .filter(account => !account.userId)
+      .map(account => ({
+        code: account.code,
+        balance: (sumByAccountId.get(account.id) || new Prisma.Decimal(0)).toString(),
+      }));
+
+    return {
+      balanced: unbalancedEntries.length === 0
+        && walletMismatches.length === 0
+        && ledgerTotal.isZero()
+        && bonusHeld.ledgerBalance.equals(bonusHeld.bonusBalance),
+      checkedAt: new Date(),
+      walletsChecked: wallets.length,
+      ledgerTotal: ledgerTotal.toString(),
+      unbalancedEntries: unbalancedEntries.map(row => ({
+        entryId: row.entryId,
+        total: row._sum.amount.toString(),
+      })),
+      walletMismatches,
+      bonusHeld: {
+        ledgerBalance: bonusHeld.ledgerBalance.toString(),
+        bonusBalance: bonusHeld.bonusBalance.toString(),
+      },
+      systemAccounts,
+    };
+  }
+}
+
+module.exports = new LedgerService();
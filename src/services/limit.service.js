@@ -0,0 +1,235 @@
+const prisma = require('../config/database');
+const { RESPONSIBLE_GAMBLING, ERROR_CODES } = require('../config/constants');
+const settingService = require('./setting.service');
+const logger = require('../utils/logger');
+const { codedError } = require('../utils/errors');
+
+const PERIODS = Object.keys(RESPONSIBLE_GAMBLING.PERIOD_DAYS);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// How each limit reads in an error message
+const LIMIT_LABELS = {
+  DEPOSIT: { noun: 'deposit', verb: 'deposit' },
+  WAGER: { noun: 'wager', verb: 'stake' },
+  LOSS: { noun: 'loss', verb: 'risk' },
+};
+
+/**
+ * Limit Service - Player-set responsible-gambling limits
+ *
+ * Limits apply over rolling windows (1, 7 and 30 days). Lowering a limit takes
+ * effect immediately; raising or removing one only applies after the
+ * cooling-off delay.
+ */
+class LimitService {
+  /**
+   * Limit values in force at a point in time (a due increase counts as applied)
+   */
+  resolve(limit, now = new Date()) {
+    if (limit.pendingEffectiveAt && limit.pendingEffectiveAt <= now) {
+      return { amount: limit.pendingAmount, pendingAmount: null, pendingEffectiveAt: null };
+    }
+
+    return {
+      amount: limit.amount,
+      pendingAmount: limit.pendingAmount,
+      pendingEffectiveAt: limit.pendingEffectiveAt,
+    };
+  }
+
+  /**
+   * Start of the rolling window of a period
+   */
+  windowStart(period, now = new Date()) {
+    return new Date(now.getTime() - RESPONSIBLE_GAMBLING.PERIOD_DAYS[period] * DAY_MS);
+  }
+
+  /**
+   * Amount a user has deposited, staked or lost since a point in time
+   * @param {Object} client - Prisma client or transaction client
+   */
+  async getUsage(client, userId, limitType, since) {
+    if (limitType === 'DEPOSIT') {
+      // Pending deposits count so requests cannot be queued past the limit
+      const deposits = await client.deposit.aggregate({
+        where: {
+          userId,
+          status: { in: ['PENDING', 'APPROVED'] },
+          createdAt: { gte: since },
+        },
+        _sum: { amount: true },
+      });
+
+      return parseFloat(deposits._sum.amount || 0);
+    }
+
+    const bets = await client.bet.aggregate({
+      where: {
+        userId,
+        result: { not: 'CANCELLED' },
+        createdAt: { gte: since },
+      },
+      _sum: { amount: true, winAmount: true },
+    });
+
+    const staked = parseFloat(bets._sum.amount || 0);
+
+    if (limitType === 'WAGER') {
+      return staked;
+    }
+
+    // Unsettled stakes count as lost until their round is declared
+    return Math.max(0, staked - parseFloat(bets._sum.winAmount || 0));
+  }
+
+  /**
+   * Get every limit of a user with its usage in the current window
+   */
+  async getLimits(userId) {
+    const now = new Date();
+    const limits = await prisma.userLimit.findMany({
+      where: { userId },
+    });
+
+    const combinations = RESPONSIBLE_GAMBLING.LIMIT_TYPES.flatMap(limitType =>
+      PERIODS.map(period => ({ limitType, period }))
+    );
+
+    return Promise.all(combinations.map(async ({ limitType, period }) => {
+      const limit = limits.find(l => l.limitType === limitType && l.period === period);
+      const resolved = limit
+        ? this.resolve(limit, now)
+        : { amount: null, pendingAmount: null, pendingEffectiveAt: null };
+      const amount = resolved.amount === null ? null : parseFloat(resolved.amount);
+      const used = await this.getUsage(prisma, userId, limitType, this.windowStart(period, now));
+
+      return {
+        limitType,
+        period,
+        amount,
+        used,
+        remaining: amount === null ? null : Math.max(0, amount - used),
+        pending: resolved.pendingEffectiveAt
+          ? {
+            amount: resolved.pendingAmount === null ? null : parseFloat(resolved.pendingAmount),
+            effectiveAt: resolved.pendingEffectiveAt,
+          }
+          : null,
+      };
+    }));
+  }
+
+  /**
+   * Set limits - decreases apply at once, increases after the cooling-off delay
+   * @param {Array} changes - [{ limitType, period, amount }] (amount null removes the limit)
+   */
+  async setLimits(userId, changes) {
+    const now = new Date();
+    const coolingOffHours = await settingService.getNumber(
+      'LIMIT_COOLING_OFF_HOURS',
+      RESPONSIBLE_GAMBLING.COOLING_OFF_HOURS
+    );
+    const effectiveAt = new Date(now.getTime() + coolingOffHours * HOUR_MS);
+
+    await prisma.$transaction(async (tx) => {
+      for (const { limitType, period, amount } of changes) {
+        const existing = await tx.userLimit.findUnique({
+          where: {
+            userId_limitType_period: { userId, limitType, period },
+          },
+        });
+
+        const current = existing ? this.resolve(existing, now) : { amount: null };
+        const currentAmount = current.amount === null ? null : parseFloat(current.amount);
+        const requested = amount === null || amount === undefined ? null : parseFloat(amount);
+
+        const isIncrease = currentAmount !== null && (requested === null || requested > currentAmount);
+
+        let data;
+        if (isIncrease) {
+          // Re-requesting the same pending increase keeps its original timer
+          const samePending = existing?.pendingEffectiveAt
+            && existing.pendingEffectiveAt > now
+            && (existing.pendingAmount === null ? null : parseFloat(existing.pendingAmount)) === requested;
+
+          data = {
+            amount: currentAmount,
+            pendingAmount: requested,
+            pendingEffectiveAt: samePending ? existing.pendingEffectiveAt : effectiveAt,
+          };
+        } else {
+          data = {
+            amount: requested,
+            pendingAmount: null,
+            pendingEffectiveAt: null,
+          };
+        }
+
+        await tx.userLimit.upsert({
+          where: {
+            userId_limitType_period: { userId, limitType, period },
+          },
+          update: data,
+          create: { userId, limitType, period, ...data },
+        });
+      }
+    });
+
+    logger.info(`Responsible-gambling limits updated for user: ${userId}`);
+
+    return this.getLimits(userId);
+  }
+
+  /**
+   * Reject a deposit that would exceed a deposit limit
+   * @param {Object} tx - Prisma transaction client
+   */
+  async assertDepositAllowed(tx, userId, amount) {
+    await this.assertWithinLimits(tx, userId, ['DEPOSIT'], amount);
+  }
+
+  /**
+   * Reject a stake that would exceed a wager or loss limit
+   * @param {Object} tx - Prisma transaction client
+   */
+  async assertBetAllowed(tx, userId, amount) {
+    await this.assertWithinLimits(tx, userId, ['WAGER', 'LOSS'], amount);
+  }
+
+  /**
+   * Check an amount against every limit of the given types
+   */
+  async assertWithinLimits(tx, userId, limitTypes, amount) {
+    const now = new Date();
+    const limits = await tx.userLimit.findMany({
+      where: {
+        userId,
+        limitType: { in: limitTypes },
+      },
+    });
+
+    for (const limit of limits) {
+      const resolved = this.resolve(limit, now);
+
+      if (resolved.amount === null) {
+        continue;
+      }
+
+      const limitAmount = parseFloat(resolved.amount);
+      const used = await this.getUsage(tx, userId, limit.limitType, this.windowStart(limit.period, now));
+
+      if (used + amount > limitAmount) {
+        const label = LIMIT_LABELS[limit.limitType];
+        const remaining = Math.max(0, limitAmount - used);
+
+        throw codedError(
+          ERROR_CODES[`${limit.limitType}_LIMIT_EXCEEDED`],
+          `Your ${limit.period.toLowerCase()} ${label.noun} limit is ${limitAmount}. You can ${label.verb} ${remaining} more`
+        );
+      }
+    }
+  }
+}
+
+module.exports = new LimitService();
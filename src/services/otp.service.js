@@ -1,15 +1,35 @@
+const crypto = require('crypto');
 const prisma = require('../config/database');
+const { OTP_SECURITY, ERROR_CODES } = require('../config/constants');
+const { hashOtp, compareOtp } = require('../utils/auth');
+const otpDeliveryService = require('./otpDelivery.service');
+const settingService = require('./setting.service');
 const logger = require('../utils/logger');
+const { codedError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What each OTP is for, as worded in the SMS
+const PURPOSE_LABELS = {
+  REGISTRATION: 'registration',
+  FORGOT_PASSWORD: 'password reset',
+  LOGIN: 'login',
+  PAYOUT_METHOD_CHANGE: 'payout method change',
+};
 
 /**
  * OTP Service - Handles OTP generation and verification
+ *
+ * Codes are stored as salted hashes. Each code allows a limited number of
+ * verification attempts, and each mobile number a limited number of sends;
+ * running out of either is recorded as an OtpLockout for admins.
  */
 class OtpService {
   /**
    * Generate a 6-digit OTP
    */
   generateOtp() {
-    return Math.floor(100000 + Math.random() * 900000).toString();
+    return crypto.randomInt(100000, 1000000).toString();
   }
 
   /**
@@ -25,106 +45,226 @@ class OtpService {
   }
 
   /**
-   * Create and send OTP for registration (stores temp data)
+   * Enforce the resend cooldown and daily cap of a mobile number
    */
-  async createRegistrationOtp(mobileNumber, password, invitationCode = null) {
-    // Delete any existing OTP for this mobile and purpose
-    await prisma.oTP.deleteMany({
-      where: {
-        mobileNumber,
-        purpose: 'REGISTRATION',
-      },
-    });
+  async assertCanSend(mobileNumber, purpose) {
+    const [cooldownSeconds, dailyLimit] = await Promise.all([
+      settingService.getNumber('OTP_RESEND_COOLDOWN_SECONDS', OTP_SECURITY.RESEND_COOLDOWN_SECONDS),
+      settingService.getNumber('OTP_DAILY_LIMIT', OTP_SECURITY.DAILY_LIMIT),
+    ]);
 
-    const otp = this.generateOtp();
-    const expiresAt = new Date(Date.now() + 5 * 60 * 1000); // 5 minutes expiry
+    const now = Date.now();
 
-    const otpRecord = await prisma.oTP.create({
-      data: {
-        mobileNumber,
-        otp,
-        purpose: 'REGISTRATION',
-        expiresAt,
-        verified: false,
-        tempData: {
-          password, // Will be hashed later
-          invitationCode,
+    // Every send leaves a delivery record, whatever the purpose
+    const [lastDelivery, sentToday] = await Promise.all([
+      prisma.otpDelivery.findFirst({
+        where: { mobileNumber },
+        orderBy: { createdAt: 'desc' },
+        select: { createdAt: true },
+      }),
+      prisma.otpDelivery.count({
+        where: {
+          mobileNumber,
+          createdAt: { gte: new Date(now - DAY_MS) },
         },
-      },
+      }),
+    ]);
+
+    if (lastDelivery) {
+      const waitSeconds = Math.ceil((lastDelivery.createdAt.getTime() + cooldownSeconds * 1000 - now) / 1000);
+
+      if (waitSeconds > 0) {
+        throw codedError(ERROR_CODES.OTP_COOLDOWN, `Please wait ${waitSeconds} seconds before requesting another OTP`);
+      }
+    }
+
+    if (sentToday >= dailyLimit) {
+      // Record the lockout once per window rather than on every refused request
+      const alreadyRecorded = await prisma.otpLockout.findFirst({
+        where: {
+          mobileNumber,
+          reason: 'DAILY_LIMIT',
+          createdAt: { gte: new Date(now - DAY_MS) },
+        },
+      });
+
+      if (!alreadyRecorded) {
+        await this.recordLockout(mobileNumber, purpose, 'DAILY_LIMIT');
+      }
+
+      throw codedError(ERROR_CODES.OTP_DAILY_LIMIT_REACHED, 'Daily OTP limit reached. Please try again tomorrow');
+    }
+  }
+
+  /**
+   * Record a lockout and alert the admins watching the risk dashboard
+   */
+  async recordLockout(mobileNumber, purpose, reason) {
+    const lockout = await prisma.otpLockout.create({
+      data: { mobileNumber, purpose, reason },
     });
 
-    // TODO: Integrate with SMS service (Twilio, MSG91, etc.)
-    // For now, log the OTP for development
-    logger.info(`[REGISTRATION OTP] Mobile: ${mobileNumber}, OTP: ${otp}`);
+    logger.warn(`OTP lockout (${reason}) for ${mobileNumber} [${purpose}]`);
 
-    return {
-      message: 'OTP sent for verification',
-      expiresAt,
-      otp: process.env.NODE_ENV === 'development' ? otp : undefined, // Only return OTP in dev
-    };
+    const riskDashboardSocket = require('../app').get('riskDashboardSocket');
+    if (riskDashboardSocket) {
+      riskDashboardSocket.notifyOtpLockout(lockout);
+    }
+
+    return lockout;
   }
 
   /**
-   * Create and send OTP for forgot password
+   * Replace any previous code of a mobile and purpose, then queue the SMS
+   * @param {Object|null} tempData - Data to carry until verification
    */
-  async createForgotPasswordOtp(mobileNumber) {
+  async issueOtp(mobileNumber, purpose, tempData = null) {
+    await this.assertCanSend(mobileNumber, purpose);
+
     // Delete any existing OTP for this mobile and purpose
     await prisma.oTP.deleteMany({
       where: {
         mobileNumber,
-        purpose: 'FORGOT_PASSWORD',
+        purpose,
       },
     });
 
     const otp = this.generateOtp();
-    const expiresAt = new Date(Date.now() + 5 * 60 * 1000); // 5 minutes expiry
+    const expiresAt = new Date(Date.now() + OTP_SECURITY.EXPIRY_MINUTES * 60 * 1000);
 
     const otpRecord = await prisma.oTP.create({
       data: {
         mobileNumber,
-        otp,
-        purpose: 'FORGOT_PASSWORD',
+        otpHash: await hashOtp(otp),
+        purpose,
         expiresAt,
         verified: false,
+        ...(tempData && { tempData }),
       },
     });
 
-    // TODO: Integrate with SMS service
-    logger.info(`[FORGOT PASSWORD OTP] Mobile: ${mobileNumber}, OTP: ${otp}`);
+    const message = `${otp} is your ${PURPOSE_LABELS[purpose]} code. It expires in ${OTP_SECURITY.EXPIRY_MINUTES} minutes. Do not share it with anyone.`;
+
+    await otpDeliveryService.enqueue({
+      otpId: otpRecord.id,
+      mobileNumber,
+      purpose,
+      message,
+    });
+
+    logger.info(`${purpose} OTP queued for ${mobileNumber}`);
 
     return {
       message: 'OTP sent for verification',
       expiresAt,
-      otp: process.env.NODE_ENV === 'development' ? otp : undefined,
+      otp: process.env.NODE_ENV === 'development' ? otp : undefined, // Only return OTP in dev
     };
   }
 
   /**
-   * Verify OTP for registration and return temp data
+   * Create and send OTP for registration (stores temp data)
+   * @param {string|null} passwordHash - Already hashed password (never the password itself)
    */
-  async verifyRegistrationOtp(mobileNumber, otp) {
+  async createRegistrationOtp(mobileNumber, passwordHash, invitationCode = null) {
+    return this.issueOtp(mobileNumber, 'REGISTRATION', {
+      passwordHash,
+      invitationCode,
+    });
+  }
+
+  /**
+   * Create and send OTP for forgot password
+   */
+  async createForgotPasswordOtp(mobileNumber) {
+    return this.issueOtp(mobileNumber, 'FORGOT_PASSWORD');
+  }
+
+  /**
+   * Check a code against the current OTP of a mobile and purpose
+   * @returns {Promise<Object>} The verified OTP record
+   */
+  async verifyOtp(mobileNumber, otp, purpose) {
+    const maxAttempts = await settingService.getNumber('OTP_MAX_ATTEMPTS', OTP_SECURITY.MAX_ATTEMPTS);
+    const lockedError = () => codedError(ERROR_CODES.OTP_LOCKED, 'Too many incorrect attempts. Please request a new OTP');
+
     const otpRecord = await prisma.oTP.findFirst({
       where: {
         mobileNumber,
-        otp,
-        purpose: 'REGISTRATION',
+        purpose,
         verified: false,
         expiresAt: {
           gt: new Date(),
         },
       },
+      orderBy: { createdAt: 'desc' },
     });
 
     if (!otpRecord) {
       throw new Error('Invalid or expired OTP');
     }
 
-    // Mark OTP as verified
-    await prisma.oTP.update({
-      where: { id: otpRecord.id },
+    if (otpRecord.lockedAt) {
+      throw lockedError();
+    }
+
+    // Claim the attempt before comparing so parallel guesses cannot exceed the limit
+    const { count } = await prisma.oTP.updateMany({
+      where: {
+        id: otpRecord.id,
+        verified: false,
+        lockedAt: null,
+        attempts: { lt: maxAttempts },
+      },
+      data: { attempts: { increment: 1 } },
+    });
+
+    if (count === 0) {
+      throw lockedError();
+    }
+
+    if (!otp || !(await compareOtp(otp, otpRecord.otpHash))) {
+      const { attempts } = await prisma.oTP.findUnique({
+        where: { id: otpRecord.id },
+        select: { attempts: true },
+      });
+
+      if (attempts < maxAttempts) {
+        const remaining = maxAttempts - attempts;
+        throw new Error(`Invalid OTP. ${remaining} attempt${remaining === 1 ? '' : 's'} left`);
+      }
+
+      // Only the request that locks the code records the lockout
+      const locked = await prisma.oTP.updateMany({
+        where: { id: otpRecord.id, lockedAt: null },
+        data: { lockedAt: new Date() },
+      });
+
+      if (locked.count > 0) {
+        await this.recordLockout(mobileNumber, purpose, 'MAX_ATTEMPTS');
+      }
+
+      throw lockedError();
+    }
+
+    // Mark OTP as verified (a code can only be used once)
+    const verified = await prisma.oTP.updateMany({
+      where: { id: otpRecord.id, verified: false, lockedAt: null },
       data: { verified: true },
     });
 
+    if (verified.count === 0) {
+      throw new Error('Invalid or expired OTP');
+    }
+
+    return otpRecord;
+  }
+
+  /**
+   * Verify OTP for registration and return temp data
+   */
+  async verifyRegistrationOtp(mobileNumber, otp) {
+    const otpRecord = await this.verifyOtp(mobileNumber, otp, 'REGISTRATION');
+
     return {
       mobileNumber: otpRecord.mobileNumber,
       tempData: otpRecord.tempData,
@@ -135,29 +275,28 @@ class OtpService {
    * Verify OTP for forgot password
    */
   async verifyForgotPasswordOtp(mobileNumber, otp) {
+    await this.verifyOtp(mobileNumber, otp, 'FORGOT_PASSWORD');
+    return true;
+  }
+
+  /**
+   * Ensure a mobile recently verified an OTP for a purpose (e.g. before a password reset)
+   */
+  async assertVerified(mobileNumber, purpose) {
     const otpRecord = await prisma.oTP.findFirst({
       where: {
         mobileNumber,
-        otp,
-        purpose: 'FORGOT_PASSWORD',
-        verified: false,
+        purpose,
+        verified: true,
         expiresAt: {
-          gt: new Date(),
+          gt: new Date(Date.now() - OTP_SECURITY.RESET_WINDOW_MINUTES * 60 * 1000),
         },
       },
     });
 
     if (!otpRecord) {
-      throw new Error('Invalid or expired OTP');
+      throw new Error('Please verify the OTP sent to your mobile number first');
     }
-
-    // Mark OTP as verified
-    await prisma.oTP.update({
-      where: { id: otpRecord.id },
-      data: { verified: true },
-    });
-
-    return true;
   }
 
   /**
@@ -173,15 +312,39 @@ class OtpService {
   }
 
   /**
-   * Cleanup expired/used OTPs
+   * Get OTP lockouts (admin view)
+   */
+  async getLockouts(page = 1, limit = 20, filters = {}) {
+    const skip = (page - 1) * limit;
+    const where = {};
+
+    if (filters.mobileNumber) {
+      where.mobileNumber = filters.mobileNumber;
+    }
+    if (filters.reason) {
+      where.reason = filters.reason;
+    }
+
+    const [lockouts, total] = await Promise.all([
+      prisma.otpLockout.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { createdAt: 'desc' },
+      }),
+      prisma.otpLockout.count({ where }),
+    ]);
+
+    return { lockouts, total, page, limit };
+  }
+
+  /**
+   * Cleanup expired/used OTPs (verified codes are kept until the reset window closes)
    */
   async cleanupOtps() {
     const deleted = await prisma.oTP.deleteMany({
       where: {
-        OR: [
-          { verified: true },
-          { expiresAt: { lt: new Date() } },
-        ],
+        expiresAt: { lt: new Date(Date.now() - OTP_SECURITY.RESET_WINDOW_MINUTES * 60 * 1000) },
       },
     });
 
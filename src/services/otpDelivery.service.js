@@ -0,0 +1,205 @@
+const prisma = require('../config/database');
+const { createSmsProvider } = require('./sms');
+const logger = require('../utils/logger');
+const env = require('../config/env');
+
+/**
+ * OTP Delivery Service - Queues OTP messages to the SMS provider
+ *
+ * Each OTP message gets an OtpDelivery record tracking its status; security
+ * alerts share the queue but are not recorded. Messages are sent one at a
+ * time from an in-memory queue; a failed attempt is retried with exponential
+ * backoff until SMS_MAX_ATTEMPTS is reached. The message text only lives in
+ * memory and is never logged or stored.
+ */
+class OtpDeliveryService {
+  constructor() {
+    this.provider = null;
+    this.queue = [];
+    this.isProcessing = false;
+  }
+
+  /**
+   * SMS provider in use (created from SMS_PROVIDER on first use)
+   */
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createSmsProvider();
+    }
+    return this.provider;
+  }
+
+  /**
+   * Replace the SMS provider (tests use a MemorySmsProvider)
+   */
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Delay before the next attempt after `attempts` failures
+   */
+  retryDelay(attempts) {
+    return env.SMS_RETRY_BASE_MS * 2 ** (attempts - 1);
+  }
+
+  /**
+   * Queue an OTP message for delivery
+   * @param {Object} sms - { otpId, mobileNumber, purpose, message }
+   * @returns {Promise<Object>} The QUEUED OtpDelivery record
+   */
+  async enqueue({ otpId, mobileNumber, purpose, message }) {
+    const delivery = await prisma.otpDelivery.create({
+      data: {
+        otpId,
+        mobileNumber,
+        purpose,
+        provider: this.getProvider().name,
+      },
+    });
+
+    this.queue.push({
+      deliveryId: delivery.id,
+      to: mobileNumber,
+      message,
+      attempts: 0,
+    });
+
+    // Sending happens in the background so the request is not held up by the provider
+    this.processQueue();
+
+    return delivery;
+  }
+
+  /**
+   * Queue a security alert (not an OTP, so it has no delivery record)
+   * @param {Object} sms - { mobileNumber, message }
+   */
+  sendAlert({ mobileNumber, message }) {
+    this.queue.push({
+      deliveryId: null,
+      to: mobileNumber,
+      message,
+      attempts: 0,
+    });
+
+    this.processQueue();
+  }
+
+  /**
+   * Send queued messages one at a time
+   */
+  async processQueue() {
+    if (this.isProcessing) {
+      return;
+    }
+
+    this.isProcessing = true;
+
+    try {
+      while (this.queue.length > 0) {
+        await this.attempt(this.queue.shift());
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Make one delivery attempt and record its outcome
+   */
+  async attempt(job) {
+    job.attempts++;
+
+    let result = null;
+    let failure = null;
+
+    try {
+      result = await this.getProvider().send({ to: job.to, message: job.message });
+    } catch (err) {
+      failure = err;
+    }
+
+    if (!failure) {
+      await this.record(job, {
+        status: 'SENT',
+        attempts: job.attempts,
+        providerMessageId: result?.providerMessageId || null,
+        sentAt: new Date(),
+        lastError: null,
+      });
+      logger.info(`${this.describe(job)} sent to ${job.to}`);
+      return;
+    }
+
+    const willRetry = job.attempts < env.SMS_MAX_ATTEMPTS;
+
+    await this.record(job, {
+      status: willRetry ? 'QUEUED' : 'FAILED',
+      attempts: job.attempts,
+      lastError: failure.message,
+    });
+
+    if (!willRetry) {
+      logger.error(`${this.describe(job)} failed after ${job.attempts} attempts: ${failure.message}`);
+      return;
+    }
+
+    const delay = this.retryDelay(job.attempts);
+    logger.warn(`${this.describe(job)} failed (attempt ${job.attempts}/${env.SMS_MAX_ATTEMPTS}), retrying in ${delay}ms: ${failure.message}`);
+
+    // Do not keep the process alive just for a retry
+    setTimeout(() => {
+      this.queue.push(job);
+      this.processQueue();
+    }, delay).unref();
+  }
+
+  /**
+   * How a job reads in the logs
+   */
+  describe(job) {
+    return job.deliveryId ? `OTP delivery ${job.deliveryId}` : 'Security alert';
+  }
+
+  /**
+   * Update a delivery record (a bookkeeping failure never triggers a resend)
+   */
+  async record(job, data) {
+    if (!job.deliveryId) {
+      return;
+    }
+
+    try {
+      await prisma.otpDelivery.update({
+        where: { id: job.deliveryId },
+        data,
+      });
+    } catch (err) {
+      logger.error(`Error recording OTP delivery ${job.deliveryId}:`, err);
+    }
+  }
+
+  /**
+   * Fail deliveries left QUEUED by a previous process (their messages were only in memory)
+   */
+  async failInterruptedDeliveries() {
+    try {
+      const { count } = await prisma.otpDelivery.updateMany({
+        where: { status: 'QUEUED' },
+        data: {
+          status: 'FAILED',
+          lastError: 'Interrupted by a server restart',
+        },
+      });
+
+      if (count > 0) {
+        logger.warn(`Marked ${count} interrupted OTP deliveries as failed`);
+      }
+    } catch (err) {
+      logger.error('Error failing interrupted OTP deliveries:', err);
+    }
+  }
+}
+
+module.exports = new OtpDeliveryService();
@@ -0,0 +1,235 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const { createPaymentProvider } = require('./payments');
+const walletService = require('./wallet.service');
+const logger = require('../utils/logger');
+const env = require('../config/env');
+
+/**
+ * Payment Service - Online deposits through a payment gateway
+ *
+ * Wallet code only asks for a payment to be started; the provider adapter
+ * (PaymentProvider) does the gateway-specific work. A deposit is settled by
+ * the gateway's signed webhook, or by polling its status when a webhook is
+ * missed. Each event is stored under its gateway event id, so a redelivered
+ * webhook is a no-op, and the deposit itself can only leave PENDING once.
+ */
+class PaymentService {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  /**
+   * Provider by name (created on first use)
+   */
+  getProvider(name) {
+    const key = String(name).toUpperCase();
+
+    if (!this.providers.has(key)) {
+      this.providers.set(key, createPaymentProvider(key));
+    }
+
+    return this.providers.get(key);
+  }
+
+  /**
+   * Replace a provider (tests drive the mock directly)
+   */
+  setProvider(name, provider) {
+    this.providers.set(String(name).toUpperCase(), provider);
+  }
+
+  /**
+   * Provider new online deposits go through (PAYMENT_PROVIDER)
+   */
+  getDefaultProvider() {
+    if (!env.PAYMENT_PROVIDER) {
+      throw new Error('Online deposits are not available');
+    }
+
+    return this.getProvider(env.PAYMENT_PROVIDER);
+  }
+
+  /**
+   * Start the gateway payment of a new online deposit
+   * @returns {Promise<Object>} The intent - { providerReference, status, paymentUrl, expiresAt }
+   */
+  async startPayment(deposit) {
+    const provider = this.getProvider(deposit.provider);
+
+    let intent;
+    try {
+      intent = await provider.createIntent({
+        depositId: deposit.id,
+        userId: deposit.userId,
+        amount: deposit.amount,
+      });
+    } catch (err) {
+      await prisma.$transaction(async (tx) => {
+        await walletService.settleDeposit(tx, deposit.id, {
+          status: 'REJECTED',
+          remarks: 'Payment could not be started',
+        });
+      });
+
+      logger.error(`Payment intent for deposit ${deposit.id} failed: ${err.message}`);
+      throw new Error('Payment could not be started, please try again');
+    }
+
+    await prisma.deposit.update({
+      where: { id: deposit.id },
+      data: { providerReference: intent.providerReference },
+    });
+
+    return intent;
+  }
+
+  /**
+   * Authenticate and apply a gateway webhook
+   * @param {Object} request - { headers, rawBody }
+   * @returns {Promise<Object>} { duplicate, outcome }
+   */
+  async handleWebhook(providerName, { headers, rawBody }) {
+    const provider = this.getProvider(providerName);
+    const event = provider.verifyWebhook({ headers, rawBody });
+
+    return this.applyEvent(provider, event);
+  }
+
+  /**
+   * Re-check a user's pending online deposit with the gateway (for missed webhooks)
+   * @returns {Promise<Object>} The deposit
+   */
+  async refreshDeposit(userId, depositId) {
+    const deposit = await prisma.deposit.findFirst({
+      where: { id: depositId, userId },
+    });
+
+    if (!deposit) {
+      throw new Error('Deposit not found');
+    }
+
+    if (deposit.status !== 'PENDING' || !deposit.provider || !deposit.providerReference) {
+      return deposit;
+    }
+
+    const provider = this.getProvider(deposit.provider);
+
+    let status;
+    try {
+      status = await provider.getStatus(deposit.providerReference);
+    } catch (err) {
+      // The stored status is still correct, just possibly stale
+      logger.warn(`Status check of deposit ${depositId} with ${provider.name} failed: ${err.message}`);
+      return deposit;
+    }
+
+    if (status.status !== 'PENDING') {
+      await this.applyEvent(provider, {
+        eventId: `status:${deposit.providerReference}:${status.status}`,
+        providerReference: deposit.providerReference,
+        ...status,
+      });
+    }
+
+    return prisma.deposit.findUnique({
+      where: { id: depositId },
+    });
+  }
+
+  /**
+   * Record a gateway event once and settle its deposit accordingly
+   * @param {Object} event - { eventId, providerReference, status, amount, utr }
+   */
+  async applyEvent(provider, event) {
+    if (!event.eventId || !event.providerReference) {
+      throw new Error('Payment event is missing its id or reference');
+    }
+
+    const deposit = await prisma.deposit.findUnique({
+      where: { providerReference: event.providerReference },
+    });
+
+    // Not stored (yet) - fail so the gateway redelivers instead of the event being lost
+    if (!deposit || deposit.provider !== provider.name) {
+      throw new Error('Payment not found');
+    }
+
+    let approved = null;
+    let outcome;
+
+    try {
+      outcome = await prisma.$transaction(async (tx) => {
+        await tx.paymentEvent.create({
+          data: {
+            provider: provider.name,
+            eventId: String(event.eventId),
+            providerReference: event.providerReference,
+            status: event.status,
+            depositId: deposit.id,
+            payload: event,
+          },
+        });
+
+        const result = await this.settleFromEvent(tx, provider, deposit, event);
+
+        await tx.paymentEvent.update({
+          where: { provider_eventId: { provider: provider.name, eventId: String(event.eventId) } },
+          data: { outcome: result.outcome },
+        });
+
+        approved = result.approved;
+        return result.outcome;
+      });
+    } catch (err) {
+      if (err.code === 'P2002') {
+        return { duplicate: true, outcome: 'DUPLICATE' };
+      }
+      throw err;
+    }
+
+    logger.info(`Payment event ${event.eventId} (${provider.name}, ${event.status}): ${outcome}`);
+
+    if (approved) {
+      await walletService.onDepositApproved(approved);
+    }
+
+    return { duplicate: false, outcome };
+  }
+
+  /**
+   * What a gateway event does to its deposit, inside the event's transaction
+   * @returns {Promise<Object>} { outcome, approved } - approved is the deposit when it was credited
+   */
+  async settleFromEvent(tx, provider, deposit, event) {
+    if (event.status === 'SUCCEEDED') {
+      if (event.amount === undefined || event.amount === null || !new Prisma.Decimal(event.amount).equals(deposit.amount)) {
+        logger.warn(`Payment event ${event.eventId}: paid ${event.amount}, deposit ${deposit.id} is ${deposit.amount}`);
+        return { outcome: 'IGNORED: amount mismatch', approved: null };
+      }
+
+      const settled = await walletService.settleDeposit(tx, deposit.id, {
+        status: 'APPROVED',
+        remarks: `Confirmed by ${provider.name}`,
+        transactionId: event.utr || null,
+      });
+
+      return settled
+        ? { outcome: 'APPROVED', approved: settled }
+        : { outcome: 'NO_CHANGE: already settled', approved: null };
+    }
+
+    if (event.status === 'FAILED') {
+      const settled = await walletService.settleDeposit(tx, deposit.id, {
+        status: 'REJECTED',
+        remarks: `Payment failed at ${provider.name}`,
+      });
+
+      return { outcome: settled ? 'REJECTED' : 'NO_CHANGE: already settled', approved: null };
+    }
+
+    return { outcome: 'NO_CHANGE: still pending', approved: null };
+  }
+}
+
+module.exports = new PaymentService();
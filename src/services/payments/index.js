@@ -0,0 +1,25 @@
+const PaymentProvider = require('./paymentProvider');
+const MockPaymentProvider = require('./mock.provider');
+
+const PROVIDERS = {
+  MOCK: MockPaymentProvider,
+};
+
+/**
+ * Create a payment provider by name (as used in PAYMENT_PROVIDER and webhook URLs)
+ */
+const createPaymentProvider = (name) => {
+  const Provider = PROVIDERS[String(name).toUpperCase()];
+
+  if (!Provider) {
+    throw new Error(`Unknown payment provider: ${name}. Must be one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return new Provider();
+};
+
+module.exports = {
+  PaymentProvider,
+  MockPaymentProvider,
+  createPaymentProvider,
+};
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const PaymentProvider = require('./paymentProvider');
+const { PAYMENTS } = require('../../config/constants');
+const logger = require('../../utils/logger');
+const env = require('../../config/env');
+
+const OUTCOMES = ['SUCCEEDED', 'FAILED', 'PENDING'];
+
+// Where an unset PAYMENT_MOCK_WEBHOOK_SECRET falls back to a random per-process secret
+const RANDOM_SECRET_ENVS = ['development', 'test'];
+
+/**
+ * Mock Payment Provider - Local gateway for development and tests
+ *
+ * Every intent settles after PAYMENT_MOCK_DELAY_MS with PAYMENT_MOCK_OUTCOME
+ * (SUCCEEDED, FAILED, or PENDING to never settle). Once settled, the mock
+ * posts a signed webhook to PAYMENT_MOCK_WEBHOOK_URL, exactly as a real
+ * gateway would. It refuses to run in production, where it would mint money.
+ */
+class MockPaymentProvider extends PaymentProvider {
+  constructor() {
+    super('mock');
+
+    if (env.NODE_ENV === 'production') {
+      throw new Error('The mock payment provider cannot be used in production');
+    }
+
+    this.secret = env.PAYMENT_MOCK_WEBHOOK_SECRET;
+
+    if (!this.secret) {
+      // Read raw: env.NODE_ENV defaults to development, and an unset NODE_ENV must not fall back
+      if (!RANDOM_SECRET_ENVS.includes(process.env.NODE_ENV)) {
+        throw new Error('PAYMENT_MOCK_WEBHOOK_SECRET is not configured');
+      }
+
+      // Only this process can sign its webhooks; set the secret to post them from elsewhere
+      this.secret = crypto.randomBytes(32).toString('hex');
+    }
+    this.outcome = env.PAYMENT_MOCK_OUTCOME;
+    this.delayMs = env.PAYMENT_MOCK_DELAY_MS;
+    this.webhookUrl = env.PAYMENT_MOCK_WEBHOOK_URL;
+    this.intents = new Map();
+
+    if (!OUTCOMES.includes(this.outcome)) {
+      throw new Error(`PAYMENT_MOCK_OUTCOME must be one of: ${OUTCOMES.join(', ')}`);
+    }
+  }
+
+  async createIntent({ depositId, amount }) {
+    const providerReference = `mock_${crypto.randomUUID()}`;
+    const createdAt = Date.now();
+
+    this.intents.set(providerReference, {
+      depositId,
+      amount: parseFloat(amount),
+      outcome: this.outcome,
+      settlesAt: createdAt + this.delayMs,
+      utr: String(crypto.randomInt(1e11, 1e12)),
+    });
+
+    if (this.outcome !== 'PENDING' && this.webhookUrl) {
+      setTimeout(() => {
+        this.deliverWebhook(providerReference).catch(err => {
+          logger.error(`Mock payment webhook for ${providerReference} failed: ${err.message}`);
+        });
+      }, this.delayMs).unref();
+    }
+
+    return {
+      providerReference,
+      status: 'PENDING',
+      paymentUrl: `mock://pay/${providerReference}`,
+      expiresAt: new Date(createdAt + PAYMENTS.INTENT_EXPIRY_MINUTES * 60 * 1000),
+    };
+  }
+
+  verifyWebhook({ headers, rawBody }) {
+    this.verifySignature(this.secret, headers['x-mock-signature'], rawBody);
+
+    const event = JSON.parse(rawBody.toString('utf8'));
+
+    return {
+      eventId: event.id,
+      providerReference: event.reference,
+      status: event.status,
+      amount: event.amount,
+      utr: event.utr || null,
+    };
+  }
+
+  async getStatus(providerReference) {
+    const intent = this.intents.get(providerReference);
+
+    if (!intent) {
+      throw new Error('Payment not found');
+    }
+
+    const settled = Date.now() >= intent.settlesAt && intent.outcome !== 'PENDING';
+
+    return {
+      status: settled ? intent.outcome : 'PENDING',
+      amount: intent.amount,
+      utr: settled && intent.outcome === 'SUCCEEDED' ? intent.utr : null,
+    };
+  }
+
+  /**
+   * Signed webhook request for a settled intent (also handy for driving the flow by hand)
+   * @returns {Object} { headers, body }
+   */
+  buildWebhook(providerReference) {
+    const intent = this.intents.get(providerReference);
+
+    if (!intent) {
+      throw new Error('Payment not found');
+    }
+
+    const body = JSON.stringify({
+      id: `evt_${crypto.randomUUID()}`,
+      reference: providerReference,
+      status: intent.outcome,
+      amount: intent.amount,
+      utr: intent.outcome === 'SUCCEEDED' ? intent.utr : null,
+    });
+
+    return {
+      headers: { 'Content-Type': 'application/json', 'X-Mock-Signature': this.sign(this.secret, body) },
+      body,
+    };
+  }
+
+  /**
+   * Post the webhook of a settled intent to the configured URL
+   */
+  async deliverWebhook(providerReference) {
+    const { headers, body } = this.buildWebhook(providerReference);
+    const response = await fetch(this.webhookUrl, { method: 'POST', headers, body });
+
+    if (!response.ok) {
+      throw new Error(`Webhook endpoint responded with HTTP ${response.status}`);
+    }
+  }
+}
+
+module.exports = MockPaymentProvider;
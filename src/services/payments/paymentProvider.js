@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { PAYMENTS, ERROR_CODES } = require('../../config/constants');
+const { codedError } = require('../../utils/errors');
+
+/**
+ * Payment Provider - Interface every payment gateway adapter implements
+ *
+ * Adapters only talk to the gateway; deposit records, the ledger and
+ * idempotency live in the payment service. Intent and event statuses are
+ * normalised to PENDING, SUCCEEDED or FAILED. Signature timestamps come
+ * from `clock`, so the replay window can be tested against a fixed time.
+ */
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+    this.clock = () => Date.now();
+  }
+
+  /**
+   * Replace the clock (tests pin it to a known moment)
+   * @param {Function} clock - Returns milliseconds since epoch
+   */
+  setClock(clock) {
+    this.clock = clock;
+  }
+
+  /**
+   * Start a payment for a deposit
+   * @param {Object} intent - { depositId, userId, amount }
+   * @returns {Promise<Object>} { providerReference, status, paymentUrl, expiresAt }
+   */
+  async createIntent(intent) {
+    throw new Error(`Payment provider ${this.name} does not implement createIntent()`);
+  }
+
+  /**
+   * Authenticate a webhook and read its event; throws if the signature or timestamp is bad
+   * @param {Object} request - { headers, rawBody } (headers lower-cased, rawBody a Buffer)
+   * @returns {Object} { eventId, providerReference, status, amount, utr }
+   */
+  verifyWebhook(request) {
+    throw new Error(`Payment provider ${this.name} does not implement verifyWebhook()`);
+  }
+
+  /**
+   * Ask the gateway for the current state of a payment
+   * @returns {Promise<Object>} { status, amount, utr }
+   */
+  async getStatus(providerReference) {
+    throw new Error(`Payment provider ${this.name} does not implement getStatus()`);
+  }
+
+  /**
+   * HMAC-SHA256 signature header of a payload: `t=<unix seconds>,v1=<hex>`
+   */
+  sign(secret, rawBody, timestamp = Math.floor(this.clock() / 1000)) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+  }
+
+  /**
+   * Check a `t=...,v1=...` signature header and that it was made within the replay window
+   */
+  verifySignature(secret, header, rawBody) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+    const timestamp = parseInt(parts.t);
+
+    if (!timestamp || !parts.v1) {
+      throw codedError(ERROR_CODES.WEBHOOK_SIGNATURE_INVALID, 'Webhook signature is missing');
+    }
+
+    const expected = this.sign(secret, rawBody, timestamp).split('v1=')[1];
+    const matches = expected.length === parts.v1.length
+      && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(parts.v1));
+
+    if (!matches) {
+      throw codedError(ERROR_CODES.WEBHOOK_SIGNATURE_INVALID, 'Webhook signature is invalid');
+    }
+
+    if (Math.abs(this.clock() / 1000 - timestamp) > PAYMENTS.WEBHOOK_TOLERANCE_SECONDS) {
+      throw codedError(ERROR_CODES.WEBHOOK_SIGNATURE_INVALID, 'Webhook timestamp is outside the replay window');
+    }
+  }
+}
+
+module.exports = PaymentProvider;
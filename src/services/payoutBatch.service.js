@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const { ADMIN_AUDIT_ACTIONS } = require('../config/constants');
+const withdrawalService = require('./withdrawal.service');
+const auditService = require('./audit.service');
+const payoutMethodService = require('./payoutMethod.service');
+const { decrypt } = require('../utils/encryption');
+const { toCsv } = require('../utils/csv');
+const logger = require('../utils/logger');
+
+// Upper bound on withdrawals in one batch (one bank upload file)
+const MAX_BATCH_SIZE = 500;
+
+// Bank bulk-upload layout (UPI payouts fill the UPI ID instead of the account fields)
+const CSV_COLUMNS = [
+  { key: 'paymentMode', header: 'Payment Mode' },
+  { key: 'accountHolder', header: 'Beneficiary Name' },
+  { key: 'accountNumber', header: 'Account Number' },
+  { key: 'ifscCode', header: 'IFSC Code' },
+  { key: 'bankName', header: 'Bank Name' },
+  { key: 'vpa', header: 'UPI ID' },
+  { key: 'amount', header: 'Amount' },
+  { key: 'paymentReference', header: 'Payment Reference' },
+  { key: 'batchReference', header: 'Batch Reference' },
+];
+
+const USER_SUMMARY = { select: { id: true, mobileNumber: true, name: true } };
+
+/**
+ * Payout Batch Service - Pays approved withdrawals out in bulk
+ *
+ * Creating a batch moves approved withdrawals to PROCESSING and freezes the
+ * list that is exported for the bank's bulk upload. Marking the batch paid
+ * completes every withdrawal still in it; one that bounced is marked FAILED
+ * on its own beforehand (refunding it). Cancelling a batch puts its
+ * withdrawals back to APPROVED.
+ */
+class PayoutBatchService {
+  /**
+   * Human-readable batch reference, e.g. PB-20261019-3F9A2C
+   */
+  generateReference(now = new Date()) {
+    const date = now.toISOString().slice(0, 10).replace(/-/g, '');
+    return `PB-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  }
+
+  /**
+   * Group approved withdrawals into a new batch
+   * @param {string[]|null} withdrawalIds - Withdrawals to include (all approved ones, oldest first, if empty)
+   */
+  async createBatch(withdrawalIds, remarks, adminId, auditContext = {}) {
+    const ids = [...new Set(withdrawalIds || [])];
+
+    if (ids.length > MAX_BATCH_SIZE) {
+      throw new Error(`A payout batch can hold at most ${MAX_BATCH_SIZE} withdrawals`);
+    }
+
+    const batch = await prisma.$transaction(async (tx) => {
+      const where = { status: 'APPROVED' };
+      if (ids.length > 0) {
+        where.id = { in: ids };
+      }
+
+      const withdrawals = await tx.withdrawal.findMany({
+        where,
+        orderBy: { createdAt: 'asc' },
+        take: MAX_BATCH_SIZE,
+        select: { id: true, userId: true, amount: true, status: true },
+      });
+
+      if (ids.length > 0 && withdrawals.length !== ids.length) {
+        throw new Error('Only approved withdrawals can be added to a payout batch');
+      }
+
+      if (withdrawals.length === 0) {
+        throw new Error('There are no approved withdrawals to pay out');
+      }
+
+      const totalAmount = withdrawals.reduce((sum, withdrawal) => sum.plus(withdrawal.amount), new Prisma.Decimal(0));
+
+      const created = await tx.payoutBatch.create({
+        data: {
+          reference: this.generateReference(),
+          totalAmount,
+          withdrawalCount: withdrawals.length,
+          createdBy: adminId,
+          remarks: remarks || null,
+        },
+      });
+
+      await withdrawalService.transitionMany(tx, withdrawals, 'PROCESSING', { adminId, payoutBatchId: created.id });
+
+      await auditService.record(tx, {
+        adminId,
+        action: ADMIN_AUDIT_ACTIONS.PAYOUT_BATCH_CREATED,
+        targetType: 'PayoutBatch',
+        targetId: created.id,
+        after: {
+          reference: created.reference,
+          totalAmount,
+          withdrawalIds: withdrawals.map(withdrawal => withdrawal.id),
+        },
+      }, auditContext);
+
+      return created;
+    });
+
+    logger.info(`Payout batch ${batch.reference} of ${batch.withdrawalCount} withdrawals created by admin: ${adminId}`);
+
+    return batch;
+  }
+
+  /**
+   * Get payout batches, newest first
+   */
+  async getBatches(page = 1, limit = 10, status = null) {
+    const skip = (page - 1) * limit;
+
+    const where = {};
+    if (status) {
+      where.status = status;
+    }
+
+    const [batches, total] = await Promise.all([
+      prisma.payoutBatch.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { createdAt: 'desc' },
+      }),
+      prisma.payoutBatch.count({ where }),
+    ]);
+
+    return { batches, total, page, limit };
+  }
+
+  /**
+   * Get a payout batch with its withdrawals
+   */
+  async getBatch(batchId) {
+    const batch = await prisma.payoutBatch.findUnique({
+      where: { id: batchId },
+      include: {
+        withdrawals: {
+          orderBy: { createdAt: 'asc' },
+          include: { user: USER_SUMMARY },
+        },
+      },
+    });
+
+    if (!batch) {
+      throw new Error('Payout batch not found');
+    }
+
+    return {
+      ...batch,
+      withdrawals: batch.withdrawals.map(withdrawal => payoutMethodService.presentWithdrawal(withdrawal)),
+    };
+  }
+
+  /**
+   * Bank-upload CSV of the withdrawals being paid by a batch
+   * (holds full account numbers, so every export is audited)
+   * @returns {Promise<Object>} { reference, csv }
+   */
+  async exportCsv(batchId, adminId, auditContext = {}) {
+    const batch = await prisma.payoutBatch.findUnique({
+      where: { id: batchId },
+      include: {
+        withdrawals: {
+          where: { status: { in: ['PROCESSING', 'COMPLETED'] } },
+          orderBy: { createdAt: 'asc' },
+        },
+      },
+    });
+
+    if (!batch) {
+      throw new Error('Payout batch not found');
+    }
+
+    if (batch.status === 'CANCELLED') {
+      throw new Error('A cancelled payout batch cannot be exported');
+    }
+
+    const rows = batch.withdrawals.map(withdrawal => ({
+      paymentMode: withdrawal.bankDetails?.type === 'UPI' ? 'UPI' : 'BANK',
+      accountHolder: withdrawal.bankDetails?.accountHolder,
+      accountNumber: decrypt(withdrawal.bankDetails?.accountNumber),
+      ifscCode: withdrawal.bankDetails?.ifscCode,
+      bankName: withdrawal.bankDetails?.bankName,
+      vpa: withdrawal.bankDetails?.vpa,
+      amount: new Prisma.Decimal(withdrawal.amount).toFixed(2),
+      paymentReference: withdrawal.id,
+      batchReference: batch.reference,
+    }));
+
+    await prisma.$transaction(async (tx) => {
+      await auditService.record(tx, {
+        adminId,
+        action: ADMIN_AUDIT_ACTIONS.PAYOUT_BATCH_EXPORTED,
+        targetType: 'PayoutBatch',
+        targetId: batchId,
+        after: { reference: batch.reference, withdrawalCount: rows.length },
+      }, auditContext);
+    });
+
+    return { reference: batch.reference, csv: toCsv(rows, CSV_COLUMNS) };
+  }
+
+  /**
+   * Record that the bank paid a batch, completing every withdrawal still in it
+   * @param {Object} payment - { bankReference, remarks }
+   */
+  async markPaid(batchId, { bankReference, remarks }, adminId, auditContext = {}) {
+    const result = await prisma.$transaction(async (tx) => {
+      const batch = await this.getOpenBatch(tx, batchId);
+
+      const withdrawals = await tx.withdrawal.findMany({
+        where: { payoutBatchId: batchId, status: 'PROCESSING' },
+        select: { id: true, userId: true, amount: true, status: true },
+      });
+
+      if (withdrawals.length === 0) {
+        throw new Error('No withdrawals in this batch are waiting for payment, cancel it instead');
+      }
+
+      await this.closeBatch(tx, batchId, {
+        status: 'PAID',
+        paidBy: adminId,
+        paidAt: new Date(),
+        bankReference: bankReference || null,
+        remarks: remarks || batch.remarks,
+      });
+
+      await withdrawalService.transitionMany(tx, withdrawals, 'COMPLETED', { adminId, referenceId: batchId });
+
+      const paidAmount = withdrawals.reduce((sum, withdrawal) => sum.plus(withdrawal.amount), new Prisma.Decimal(0));
+
+      await auditService.record(tx, {
+        adminId,
+        action: ADMIN_AUDIT_ACTIONS.PAYOUT_BATCH_PAID,
+        targetType: 'PayoutBatch',
+        targetId: batchId,
+        before: { status: batch.status },
+        after: {
+          status: 'PAID',
+          bankReference: bankReference || null,
+          paidAmount,
+          withdrawalIds: withdrawals.map(withdrawal => withdrawal.id),
+        },
+      }, auditContext);
+
+      return { reference: batch.reference, paid: withdrawals.length };
+    });
+
+    logger.info(`Payout batch ${result.reference} marked paid (${result.paid} withdrawals) by admin: ${adminId}`);
+
+    return this.getBatch(batchId);
+  }
+
+  /**
+   * Cancel a batch that was not paid, returning its withdrawals to APPROVED
+   */
+  async cancelBatch(batchId, remarks, adminId, auditContext = {}) {
+    const reference = await prisma.$transaction(async (tx) => {
+      const batch = await this.getOpenBatch(tx, batchId);
+
+      const withdrawals = await tx.withdrawal.findMany({
+        where: { payoutBatchId: batchId, status: 'PROCESSING' },
+        select: { id: true, userId: true, amount: true, status: true },
+      });
+
+      await this.closeBatch(tx, batchId, { status: 'CANCELLED', remarks: remarks || batch.remarks });
+
+      await withdrawalService.transitionMany(tx, withdrawals, 'APPROVED', { adminId });
+
+      await auditService.record(tx, {
+        adminId,
+        action: ADMIN_AUDIT_ACTIONS.PAYOUT_BATCH_CANCELLED,
+        targetType: 'PayoutBatch',
+        targetId: batchId,
+        before: { status: batch.status },
+        after: {
+          status: 'CANCELLED',
+          remarks: remarks || null,
+          withdrawalIds: withdrawals.map(withdrawal => withdrawal.id),
+        },
+      }, auditContext);
+
+      return batch.reference;
+    });
+
+    logger.info(`Payout batch ${reference} cancelled by admin: ${adminId}`);
+
+    return this.getBatch(batchId);
+  }
+
+  /**
+   * Load a batch that can still be paid or cancelled
+   */
+  async getOpenBatch(tx, batchId) {
+    const batch = await tx.payoutBatch.findUnique({
+      where: { id: batchId },
+    });
+
+    if (!batch) {
+      throw new Error('Payout batch not found');
+    }
+
+    if (batch.status !== 'PROCESSING') {
+      throw new Error(`This payout batch is already ${batch.status.toLowerCase()}`);
+    }
+
+    return batch;
+  }
+
+  /**
+   * Close an open batch, guarded so it can only be closed once
+   */
+  async closeBatch(tx, batchId, data) {
+    const { count } = await tx.payoutBatch.updateMany({
+      where: { id: batchId, status: 'PROCESSING' },
+      data,
+    });
+
+    if (count === 0) {
+      throw new Error('Payout batch was changed by another request, please retry');
+    }
+  }
+}
+
+module.exports = new PayoutBatchService();
@@ -0,0 +1,474 @@
+const prisma = require('../config/database');
+const { PAYOUT_METHODS, ERROR_CODES, ADMIN_AUDIT_ACTIONS } = require('../config/constants');
+const otpService = require('./otp.service');
+const otpDeliveryService = require('./otpDelivery.service');
+const settingService = require('./setting.service');
+const auditService = require('./audit.service');
+const { encrypt, decrypt, rewrap, maskLast4 } = require('../utils/encryption');
+const logger = require('../utils/logger');
+const { codedError } = require('../utils/errors');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Indian bank account numbers are 9 to 18 digits
+const ACCOUNT_NUMBER_PATTERN = /^[0-9]{9,18}$/;
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const VPA_PATTERN = /^[a-zA-Z0-9.\-_]{2,256}@[a-zA-Z][a-zA-Z0-9]{1,63}$/;
+
+/**
+ * Payout Method Service - Bank accounts and UPI VPAs withdrawals are paid to
+ *
+ * Adding or removing a method needs an OTP sent to the account's mobile
+ * number, so a stolen session alone cannot redirect payouts, and the owner
+ * gets an SMS alert either way. A new method only receives withdrawals once
+ * its cooling-off period has passed.
+ *
+ * Account numbers are stored encrypted, both on the method and in the
+ * snapshot copied onto each withdrawal. Everything returned to clients goes
+ * through present()/presentWithdrawal(), which mask them; only the payout
+ * file and an audited admin reveal decrypt them.
+ */
+class PayoutMethodService {
+  /**
+   * Normalise and check the details of a new method
+   * @returns {Object} Fields to store
+   */
+  normalize({ type, label, accountHolder, accountNumber, ifscCode, bankName, branchName, vpa }) {
+    if (type === 'UPI') {
+      const normalizedVpa = String(vpa || '').trim().toLowerCase();
+
+      if (!VPA_PATTERN.test(normalizedVpa)) {
+        throw new Error('Please provide a valid UPI ID, e.g. name@bank');
+      }
+
+      return { type, label: label || null, vpa: normalizedVpa };
+    }
+
+    if (type !== 'BANK_ACCOUNT') {
+      throw new Error('Payout method type must be BANK_ACCOUNT or UPI');
+    }
+
+    const number = String(accountNumber || '').replace(/\s/g, '');
+    const ifsc = String(ifscCode || '').trim().toUpperCase();
+
+    if (!ACCOUNT_NUMBER_PATTERN.test(number)) {
+      throw new Error('Account number must be 9 to 18 digits');
+    }
+
+    if (!IFSC_PATTERN.test(ifsc)) {
+      throw new Error('Please provide a valid IFSC code');
+    }
+
+    if (!accountHolder || !bankName) {
+      throw new Error('Account holder and bank name are required');
+    }
+
+    return {
+      type,
+      label: label || null,
+      accountHolder,
+      accountNumber: number,
+      accountLast4: number.slice(-4),
+      ifscCode: ifsc,
+      bankName,
+      branchName: branchName || null,
+    };
+  }
+
+  /**
+   * Short description of a method for messages, e.g. "HDFC Bank account ending 1234"
+   */
+  describe(method) {
+    return method.type === 'UPI'
+      ? `UPI ID ${method.vpa}`
+      : `${method.bankName} account ending ${this.last4(method)}`;
+  }
+
+  /**
+   * Last four digits of the account number of a method or withdrawal snapshot
+   */
+  last4(details) {
+    if (details.accountLast4) {
+      return details.accountLast4;
+    }
+
+    // Snapshots taken before accountLast4 existed
+    const number = decrypt(details.accountNumber);
+    return number ? number.slice(-4) : null;
+  }
+
+  /**
+   * A method as returned to clients, with the account number masked
+   */
+  present(method) {
+    if (!method || method.type === 'UPI') {
+      return method;
+    }
+
+    const { accountLast4, ...rest } = method;
+    return { ...rest, accountNumber: maskLast4(this.last4(method)) };
+  }
+
+  /**
+   * A withdrawal as returned to clients, with the snapshot's account number masked
+   */
+  presentWithdrawal(withdrawal) {
+    if (!withdrawal || !withdrawal.bankDetails || !withdrawal.bankDetails.accountNumber) {
+      return withdrawal;
+    }
+
+    return { ...withdrawal, bankDetails: this.present(withdrawal.bankDetails) };
+  }
+
+  /**
+   * Details copied onto a withdrawal, so later edits do not change where it was paid
+   */
+  snapshot(method) {
+    if (method.type === 'UPI') {
+      return { type: method.type, vpa: method.vpa };
+    }
+
+    return {
+      type: method.type,
+      accountHolder: method.accountHolder,
+      accountNumber: encrypt(method.accountNumber),
+      accountLast4: this.last4(method),
+      ifscCode: method.ifscCode,
+      bankName: method.bankName,
+      branchName: method.branchName,
+    };
+  }
+
+  /**
+   * Get a user's payout methods, default first
+   */
+  async getMethods(userId) {
+    const methods = await prisma.payoutMethod.findMany({
+      where: { userId },
+      orderBy: [{ isDefault: 'desc' }, { createdAt: 'asc' }],
+    });
+
+    const now = new Date();
+
+    return methods.map(method => ({ ...this.present(method), usable: method.usableFrom <= now }));
+  }
+
+  /**
+   * Send the OTP that authorises adding or removing a payout method
+   */
+  async sendChangeOtp(userId) {
+    const user = await this.getUser(userId);
+    return otpService.issueOtp(user.mobileNumber, 'PAYOUT_METHOD_CHANGE');
+  }
+
+  /**
+   * Add a payout method (the first one becomes the default)
+   * @param {Object} details - { type, label, accountHolder, accountNumber, ifscCode, bankName, branchName, vpa }
+   */
+  async addMethod(userId, details, otp) {
+    const data = this.normalize(details);
+    const user = await this.getUser(userId);
+
+    await otpService.verifyOtp(user.mobileNumber, otp, 'PAYOUT_METHOD_CHANGE');
+
+    const coolingOffHours = await settingService.getNumber('PAYOUT_METHOD_COOLING_OFF_HOURS', PAYOUT_METHODS.COOLING_OFF_HOURS);
+
+    const method = await prisma.$transaction(async (tx) => {
+      // Serialise changes per user so the count and default cannot be raced
+      await tx.$queryRaw`SELECT "id" FROM "users" WHERE "id" = ${userId} FOR UPDATE`;
+
+      const existing = await tx.payoutMethod.findMany({
+        where: { userId },
+      });
+
+      if (existing.length >= PAYOUT_METHODS.MAX_PER_USER) {
+        throw new Error(`You can save at most ${PAYOUT_METHODS.MAX_PER_USER} payout methods`);
+      }
+
+      const duplicate = existing.some(method => (data.type === 'UPI'
+        ? method.vpa === data.vpa
+        : decrypt(method.accountNumber) === data.accountNumber && method.ifscCode === data.ifscCode));
+
+      if (duplicate) {
+        throw new Error('This payout method is already saved');
+      }
+
+      return tx.payoutMethod.create({
+        data: {
+          ...data,
+          accountNumber: encrypt(data.accountNumber),
+          userId,
+          isDefault: existing.length === 0,
+          usableFrom: new Date(Date.now() + coolingOffHours * HOUR_MS),
+        },
+      });
+    });
+
+    logger.info(`Payout method ${method.id} (${method.type}) added for user: ${userId}`);
+
+    this.alert(user.mobileNumber, `${this.describe(method)} was added as a payout method on your account. It can receive withdrawals from ${method.usableFrom.toISOString()}. If this was not you, contact support immediately.`);
+
+    return { ...this.present(method), usable: method.usableFrom <= new Date() };
+  }
+
+  /**
+   * Remove a payout method (the oldest remaining one becomes the default if needed)
+   */
+  async removeMethod(userId, methodId, otp) {
+    const user = await this.getUser(userId);
+
+    await otpService.verifyOtp(user.mobileNumber, otp, 'PAYOUT_METHOD_CHANGE');
+
+    const method = await prisma.$transaction(async (tx) => {
+      await tx.$queryRaw`SELECT "id" FROM "users" WHERE "id" = ${userId} FOR UPDATE`;
+
+      const existing = await this.getOwnMethod(tx, userId, methodId);
+
+      await tx.payoutMethod.delete({
+        where: { id: methodId },
+      });
+
+      if (existing.isDefault) {
+        const next = await tx.payoutMethod.findFirst({
+          where: { userId },
+          orderBy: { createdAt: 'asc' },
+        });
+
+        if (next) {
+          await tx.payoutMethod.update({
+            where: { id: next.id },
+            data: { isDefault: true },
+          });
+        }
+      }
+
+      return existing;
+    });
+
+    logger.info(`Payout method ${methodId} removed for user: ${userId}`);
+
+    this.alert(user.mobileNumber, `${this.describe(method)} was removed from the payout methods on your account. If this was not you, contact support immediately.`);
+
+    return this.getMethods(userId);
+  }
+
+  /**
+   * Make a saved method the default for withdrawals
+   */
+  async setDefault(userId, methodId) {
+    await prisma.$transaction(async (tx) => {
+      await tx.$queryRaw`SELECT "id" FROM "users" WHERE "id" = ${userId} FOR UPDATE`;
+
+      await this.getOwnMethod(tx, userId, methodId);
+
+      await tx.payoutMethod.updateMany({
+        where: { userId, isDefault: true },
+        data: { isDefault: false },
+      });
+
+      await tx.payoutMethod.update({
+        where: { id: methodId },
+        data: { isDefault: true },
+      });
+    });
+
+    return this.getMethods(userId);
+  }
+
+  /**
+   * Method a withdrawal is paid to: the chosen one or the default, past its cooling-off
+   * @param {Object} client - Prisma client or transaction client
+   */
+  async resolveForWithdrawal(client, userId, methodId = null) {
+    const method = methodId
+      ? await client.payoutMethod.findFirst({ where: { id: methodId, userId } })
+      : await client.payoutMethod.findFirst({ where: { userId, isDefault: true } });
+
+    if (!method) {
+      throw new Error(methodId
+        ? 'Payout method not found'
+        : 'Please add a bank account or UPI ID before requesting a withdrawal');
+    }
+
+    if (method.usableFrom > new Date()) {
+      throw codedError(ERROR_CODES.PAYOUT_METHOD_COOLING_OFF, `${this.describe(method)} was added recently and can receive withdrawals from ${method.usableFrom.toISOString()}`);
+    }
+
+    return method;
+  }
+
+  /**
+   * Full account number of a saved method, for an admin (audited)
+   */
+  async revealMethod(methodId, adminId, auditContext = {}) {
+    const method = await prisma.payoutMethod.findUnique({
+      where: { id: methodId },
+    });
+
+    if (!method) {
+      throw new Error('Payout method not found');
+    }
+
+    if (method.type !== 'BANK_ACCOUNT' || !method.accountNumber) {
+      throw new Error('This payout method has no account number');
+    }
+
+    await this.recordReveal('PayoutMethod', methodId, method.userId, adminId, auditContext);
+
+    return { id: methodId, accountNumber: decrypt(method.accountNumber) };
+  }
+
+  /**
+   * Full account number a withdrawal was paid to, for an admin (audited)
+   */
+  async revealWithdrawal(withdrawalId, adminId, auditContext = {}) {
+    const withdrawal = await prisma.withdrawal.findUnique({
+      where: { id: withdrawalId },
+    });
+
+    if (!withdrawal) {
+      throw new Error('Withdrawal not found');
+    }
+
+    const accountNumber = withdrawal.bankDetails && withdrawal.bankDetails.accountNumber;
+
+    if (!accountNumber) {
+      throw new Error('This withdrawal has no account number');
+    }
+
+    await this.recordReveal('Withdrawal', withdrawalId, withdrawal.userId, adminId, auditContext);
+
+    return { id: withdrawalId, accountNumber: decrypt(accountNumber) };
+  }
+
+  /**
+   * Audit entry for a reveal - who saw which record, never the number itself
+   */
+  async recordReveal(targetType, targetId, userId, adminId, auditContext) {
+    await prisma.$transaction(async (tx) => {
+      await auditService.record(tx, {
+        adminId,
+        action: ADMIN_AUDIT_ACTIONS.BANK_DETAILS_REVEALED,
+        targetType,
+        targetId,
+        after: { userId },
+      }, auditContext);
+    });
+
+    logger.info(`Account number of ${targetType} ${targetId} revealed to admin: ${adminId}`);
+  }
+
+  /**
+   * Bring every stored account number under the active data key: plaintext
+   * rows are encrypted, rows under an older key are re-wrapped
+   * @returns {Promise<Object>} { payoutMethods, withdrawals } - rows updated
+   */
+  async rotateKeys(batchSize = 500) {
+    const result = { payoutMethods: 0, withdrawals: 0 };
+
+    let cursor = null;
+    for (;;) {
+      const methods = await prisma.payoutMethod.findMany({
+        where: { accountNumber: { not: null } },
+        orderBy: { id: 'asc' },
+        take: batchSize,
+        ...(cursor ? { skip: 1, cursor: { id: cursor } } : {}),
+      });
+
+      for (const method of methods) {
+        const accountNumber = rewrap(method.accountNumber);
+        const accountLast4 = this.last4(method);
+
+        if (accountNumber !== method.accountNumber || accountLast4 !== method.accountLast4) {
+          await prisma.payoutMethod.update({
+            where: { id: method.id },
+            data: { accountNumber, accountLast4 },
+          });
+          result.payoutMethods++;
+        }
+      }
+
+      if (methods.length < batchSize) break;
+      cursor = methods[methods.length - 1].id;
+    }
+
+    cursor = null;
+    for (;;) {
+      const withdrawals = await prisma.withdrawal.findMany({
+        select: { id: true, bankDetails: true },
+        orderBy: { id: 'asc' },
+        take: batchSize,
+        ...(cursor ? { skip: 1, cursor: { id: cursor } } : {}),
+      });
+
+      for (const withdrawal of withdrawals) {
+        const details = withdrawal.bankDetails;
+
+        // UPI payouts have no account number
+        if (!details || !details.accountNumber) continue;
+
+        const accountNumber = rewrap(details.accountNumber);
+        const accountLast4 = this.last4(details);
+
+        if (accountNumber !== details.accountNumber || accountLast4 !== details.accountLast4) {
+          await prisma.withdrawal.update({
+            where: { id: withdrawal.id },
+            data: { bankDetails: { ...details, accountNumber, accountLast4 } },
+          });
+          result.withdrawals++;
+        }
+      }
+
+      if (withdrawals.length < batchSize) break;
+      cursor = withdrawals[withdrawals.length - 1].id;
+    }
+
+    logger.info(`Data keys rotated: ${result.payoutMethods} payout methods, ${result.withdrawals} withdrawals updated`);
+
+    return result;
+  }
+
+  /**
+   * Load one of a user's methods
+   */
+  async getOwnMethod(client, userId, methodId) {
+    const method = await client.payoutMethod.findFirst({
+      where: { id: methodId, userId },
+    });
+
+    if (!method) {
+      throw new Error('Payout method not found');
+    }
+
+    return method;
+  }
+
+  /**
+   * Load the user a change is made for
+   */
+  async getUser(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, mobileNumber: true },
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return user;
+  }
+
+  /**
+   * Text the account's mobile number about a change (never throws)
+   */
+  alert(mobileNumber, message) {
+    try {
+      otpDeliveryService.sendAlert({ mobileNumber, message });
+    } catch (err) {
+      logger.error('Error sending payout method alert:', err);
+    }
+  }
+}
+
+module.exports = new PayoutMethodService();
@@ -0,0 +1,163 @@
+const prisma = require('../config/database');
+const { ADMIN_PERMISSIONS, ROLE_PERMISSIONS, ADMIN_AUDIT_ACTIONS } = require('../config/constants');
+const auditService = require('./audit.service');
+const logger = require('../utils/logger');
+
+const ALL_PERMISSIONS = Object.values(ADMIN_PERMISSIONS);
+
+/**
+ * Permission Service - Resolves what each admin may do
+ *
+ * An admin's permissions are those of their role (ROLE_PERMISSIONS), plus
+ * any granted to them individually, minus any revoked from them.
+ */
+class PermissionService {
+  /**
+   * Permissions a role has before overrides
+   */
+  getRolePermissions(role) {
+    return ROLE_PERMISSIONS[role] || [];
+  }
+
+  /**
+   * Effective permissions of an admin record
+   * @param {Object} admin - { role, grantedPermissions, revokedPermissions }
+   * @returns {string[]} Sorted permission list
+   */
+  resolve(admin) {
+    const revoked = new Set(admin.revokedPermissions || []);
+    const permissions = new Set([
+      ...this.getRolePermissions(admin.role),
+      ...(admin.grantedPermissions || []),
+    ]);
+
+    return [...permissions].filter(permission => !revoked.has(permission)).sort();
+  }
+
+  /**
+   * Effective permissions of an admin, read from the database
+   */
+  async getAdminPermissions(adminId) {
+    const admin = await prisma.admin.findUnique({
+      where: { id: adminId },
+      select: { role: true, isActive: true, grantedPermissions: true, revokedPermissions: true },
+    });
+
+    if (!admin || !admin.isActive) {
+      return [];
+    }
+
+    return this.resolve(admin);
+  }
+
+  /**
+   * Whether an admin currently has a permission
+   */
+  async hasPermission(adminId, permission) {
+    const permissions = await this.getAdminPermissions(adminId);
+    return permissions.includes(permission);
+  }
+
+  /**
+   * The permission matrix - every permission and the roles that have it
+   */
+  getMatrix() {
+    return {
+      permissions: ALL_PERMISSIONS,
+      roles: Object.fromEntries(
+        Object.keys(ROLE_PERMISSIONS).map(role => [role, this.getRolePermissions(role)])
+      ),
+    };
+  }
+
+  /**
+   * Reject unknown permission names
+   */
+  assertKnown(permissions) {
+    const unknown = permissions.filter(permission => !ALL_PERMISSIONS.includes(permission));
+
+    if (unknown.length > 0) {
+      throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+    }
+  }
+
+  /**
+   * An admin can only hand out permissions they hold themselves
+   * @param {string[]} actorPermissions - Effective permissions of the acting admin
+   * @param {string[]} permissions - Permissions being handed out
+   */
+  assertCanDelegate(actorPermissions, permissions) {
+    const missing = permissions.filter(permission => !actorPermissions.includes(permission));
+
+    if (missing.length > 0) {
+      throw new Error(`You cannot grant permissions you do not have: ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Replace the per-admin overrides of an admin
+   * @param {Object} overrides - { grant: string[], revoke: string[] }
+   */
+  async updateOverrides(targetAdminId, { grant = [], revoke = [] }, adminId, auditContext = {}) {
+    if (!Array.isArray(grant) || !Array.isArray(revoke)) {
+      throw new Error('grant and revoke must be arrays of permissions');
+    }
+
+    if (targetAdminId === adminId) {
+      throw new Error('You cannot change your own permissions');
+    }
+
+    const grantedPermissions = [...new Set(grant)].sort();
+    const revokedPermissions = [...new Set(revoke)].sort();
+
+    this.assertKnown([...grantedPermissions, ...revokedPermissions]);
+
+    const overlap = grantedPermissions.filter(permission => revokedPermissions.includes(permission));
+    if (overlap.length > 0) {
+      throw new Error(`Permissions cannot be both granted and revoked: ${overlap.join(', ')}`);
+    }
+
+    this.assertCanDelegate(await this.getAdminPermissions(adminId), grantedPermissions);
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const existing = await tx.admin.findUnique({
+        where: { id: targetAdminId },
+        select: { role: true, grantedPermissions: true, revokedPermissions: true },
+      });
+
+      if (!existing) {
+        throw new Error('Admin not found');
+      }
+
+      const admin = await tx.admin.update({
+        where: { id: targetAdminId },
+        data: { grantedPermissions, revokedPermissions },
+        select: {
+          id: true,
+          mobileNumber: true,
+          name: true,
+          role: true,
+          grantedPermissions: true,
+          revokedPermissions: true,
+        },
+      });
+
+      await auditService.record(tx, {
+        adminId,
+        action: ADMIN_AUDIT_ACTIONS.ADMIN_PERMISSIONS_UPDATED,
+        targetType: 'Admin',
+        targetId: targetAdminId,
+        before: { grantedPermissions: existing.grantedPermissions, revokedPermissions: existing.revokedPermissions },
+        after: { grantedPermissions, revokedPermissions },
+      }, auditContext);
+
+      return admin;
+    });
+
+    logger.info(`Permissions of admin ${targetAdminId} updated by admin: ${adminId}`);
+
+    return { ...updated, permissions: this.resolve(updated) };
+  }
+}
+
+module.exports = new PermissionService();
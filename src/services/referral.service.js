@@ -1,8 +1,12 @@
 const prisma = require('../config/database');
+const bonusService = require('./bonus.service');
 const logger = require('../utils/logger');
 
 /**
  * Referral Service - Handles referral bonus logic
+ *
+ * Referral bonuses are paid into the referrer's bonus balance, so they have
+ * to be wagered before they can be withdrawn (see bonus.service).
  */
 class ReferralService {
   /**
@@ -60,14 +64,13 @@ class ReferralService {
 
       // Process bonus in transaction
       const result = await prisma.$transaction(async (tx) => {
-        // Add bonus to referrer wallet
-        await tx.wallet.update({
-          where: { userId: referrer.id },
-          data: {
-            balance: {
-              increment: bonusAmount,
-            },
-          },
+        // Grant the bonus to the referrer's bonus balance
+        const bonus = await bonusService.grant(tx, {
+          userId: referrer.id,
+          amount: bonusAmount,
+          source: 'REFERRAL',
+          referenceId: depositId,
+          description: `Referral bonus from ${user.mobileNumber}'s deposit`,
         });
 
         // Create bonus transaction record
@@ -78,12 +81,14 @@ class ReferralService {
             amount: bonusAmount,
             status: 'COMPLETED',
             referenceId: depositId,
-            description: `Referral bonus from ${user.mobileNumber}'s deposit of ₹${depositAmount}`,
+            description: `Referral bonus from ${user.mobileNumber}'s deposit of ₹${depositAmount}, added to your bonus balance`,
             metadata: {
               referredUserId: user.id,
               referredUserMobile: user.mobileNumber,
               depositAmount: depositAmount,
               bonusPercentage: 10,
+              bonusId: bonus.id,
+              wageringRequired: bonus.wageringRequired,
             },
           },
         });
@@ -99,6 +104,11 @@ class ReferralService {
 
       logger.info(`Referral bonus of ₹${bonusAmount} given to ${referrer.mobileNumber} for ${user.mobileNumber}'s deposit`);
 
+      const gameSocket = require('../app').get('gameSocket');
+      if (gameSocket) {
+        await gameSocket.notifyWalletUpdated(referrer.id);
+      }
+
       return {
         bonusAmount,
         referrerId: referrer.id,
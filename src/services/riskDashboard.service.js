@@ -1,6 +1,7 @@
 const prisma = require('../config/database');
-const { PAYOUTS, NUMBER_COLORS, NUMBER_SIZES } = require('../config/constants');
+const { DUAL_COLORS } = require('../config/constants');
 const logger = require('../utils/logger');
+const settlementService = require('./settlement.service');
 
 /**
  * Risk Dashboard Service - Calculates real-time risk metrics for admin dashboard
@@ -13,6 +14,9 @@ class RiskDashboardService {
     const round = await prisma.gameRound.findUnique({
       where: { id: gameRoundId },
       include: {
+        table: {
+          select: { code: true, name: true },
+        },
         bets: {
           include: {
             user: {
@@ -35,7 +39,11 @@ class RiskDashboardService {
     const betDistribution = this.calculateBetDistribution(round.bets);
 
     // Calculate payout for each possible result (0-9)
-    const resultAnalysis = this.calculateResultAnalysis(round.bets, betDistribution.totalAmount);
+    const resultAnalysis = this.calculateResultAnalysis(
+      round.bets,
+      betDistribution.totalAmount,
+      settlementService.resolvePayouts(round.payouts)
+    );
 
     // Determine risk levels
     const riskIndicators = this.calculateRiskIndicators(resultAnalysis);
@@ -47,6 +55,7 @@ class RiskDashboardService {
       round: {
         id: round.id,
         period: round.period,
+        table: round.table,
         status: round.status,
         resultStatus: round.resultStatus,
         startTime: round.startTime,
@@ -107,12 +116,12 @@ class RiskDashboardService {
   /**
    * Calculate payout and profit for each possible result (0-9)
    */
-  calculateResultAnalysis(bets, totalCollection) {
+  calculateResultAnalysis(bets, totalCollection, payouts) {
     const results = [];
 
     for (let number = 0; number <= 9; number++) {
-      const color = NUMBER_COLORS[number];
-      const size = NUMBER_SIZES[number];
+      const outcome = settlementService.getOutcome(number);
+      const { color, size } = outcome;
 
       let colorPayout = 0;
       let sizePayout = 0;
@@ -121,40 +130,17 @@ class RiskDashboardService {
       const winningBets = [];
 
       for (const bet of bets) {
-        let isWin = false;
-        let winAmount = 0;
+        const winAmount = settlementService.calculateWinAmount(bet, outcome, payouts);
 
         if (bet.betType === 'COLOR') {
-          if (bet.selection === color) {
-            isWin = true;
-            // Special case: if winning number is 0 or 5 (dual-color), use reduced payout for GREEN/RED
-            if ((number === 0 && bet.selection === 'GREEN') || (number === 5 && bet.selection === 'RED')) {
-              winAmount = parseFloat(bet.amount) * 1.45; // 45% return
-            } else {
-              const multiplier = color === 'VIOLET' ? PAYOUTS.COLOR.VIOLET : PAYOUTS.COLOR[color];
-              winAmount = parseFloat(bet.amount) * multiplier;
-            }
-            colorPayout += winAmount;
-          } else if (bet.selection === 'VIOLET' && (number === 0 || number === 5)) {
-            isWin = true;
-            winAmount = parseFloat(bet.amount) * PAYOUTS.COLOR.VIOLET;
-            colorPayout += winAmount;
-          }
+          colorPayout += winAmount;
         } else if (bet.betType === 'SIZE') {
-          if (bet.selection === size) {
-            isWin = true;
-            winAmount = parseFloat(bet.amount) * PAYOUTS.SIZE[size];
-            sizePayout += winAmount;
-          }
+          sizePayout += winAmount;
         } else if (bet.betType === 'NUMBER') {
-          if (parseInt(bet.selection) === number) {
-            isWin = true;
-            winAmount = parseFloat(bet.amount) * PAYOUTS.NUMBER;
-            numberPayout += winAmount;
-          }
+          numberPayout += winAmount;
         }
 
-        if (isWin) {
+        if (winAmount > 0) {
           winningBets.push({
             betId: bet.id,
             userId: bet.userId,
@@ -181,12 +167,12 @@ class RiskDashboardService {
       }
 
       // Check if this is a dual-color number
-      const isDualColor = (number === 0 || number === 5);
+      const isDualColor = Boolean(DUAL_COLORS[number]);
       const dualColorInfo = isDualColor ? {
         number,
-        dualColors: number === 0 ? ['GREEN', 'VIOLET'] : ['RED', 'VIOLET'],
+        dualColors: outcome.colors,
         specialPayoutRule: true,
-        affectedColors: number === 0 ? ['GREEN'] : ['RED'],
+        affectedColors: [DUAL_COLORS[number]],
       } : null;
 
       results.push({
@@ -266,13 +252,14 @@ class RiskDashboardService {
   }
 
   /**
-   * Get real-time summary for dashboard
+   * Get real-time summary for dashboard (latest active round, optionally of one table)
    */
-  async getRealtimeSummary() {
+  async getRealtimeSummary(tableCode = null) {
     const currentRound = await prisma.gameRound.findFirst({
       where: {
         status: { in: ['OPEN', 'PAUSED'] },
         resultStatus: 'PENDING',
+        ...(tableCode && { table: { code: tableCode.toUpperCase() } }),
       },
       orderBy: { createdAt: 'desc' },
     });
@@ -0,0 +1,145 @@
+const prisma = require('../config/database');
+const { SELF_EXCLUSION_PERIODS, ERROR_CODES } = require('../config/constants');
+const logger = require('../utils/logger');
+const { codedError } = require('../utils/errors');
+
+/**
+ * Self-Exclusion Service - Player-initiated time-outs from betting and deposits
+ *
+ * Exclusions can only be added or extended. While one is active the player
+ * cannot bet or deposit but can still withdraw the remaining balance.
+ */
+class SelfExclusionService {
+  /**
+   * End of an exclusion starting at a given time (null = permanent)
+   */
+  calculateEndsAt(period, from = new Date()) {
+    const duration = SELF_EXCLUSION_PERIODS[period];
+
+    if (duration === null) {
+      return null;
+    }
+
+    const endsAt = new Date(from);
+
+    if (duration.hours) endsAt.setHours(endsAt.getHours() + duration.hours);
+    if (duration.days) endsAt.setDate(endsAt.getDate() + duration.days);
+    if (duration.months) endsAt.setMonth(endsAt.getMonth() + duration.months);
+
+    return endsAt;
+  }
+
+  /**
+   * Public view of an exclusion
+   */
+  describe(exclusion) {
+    return {
+      period: exclusion.period,
+      startsAt: exclusion.startsAt,
+      endsAt: exclusion.endsAt,
+      permanent: exclusion.endsAt === null,
+    };
+  }
+
+  /**
+   * Get the exclusion currently in force (the longest one if several overlap)
+   * @param {Object} client - Prisma client or transaction client
+   */
+  async getActiveExclusion(client, userId, now = new Date()) {
+    const exclusions = await client.selfExclusion.findMany({
+      where: {
+        userId,
+        startsAt: { lte: now },
+        OR: [
+          { endsAt: null },
+          { endsAt: { gt: now } },
+        ],
+      },
+    });
+
+    if (exclusions.length === 0) {
+      return null;
+    }
+
+    return exclusions.find(exclusion => exclusion.endsAt === null)
+      || exclusions.reduce((longest, exclusion) => (exclusion.endsAt > longest.endsAt ? exclusion : longest));
+  }
+
+  /**
+   * Reject an action while the user is self-excluded
+   * @param {Object} client - Prisma client or transaction client
+   */
+  async assertNotExcluded(client, userId) {
+    const exclusion = await this.getActiveExclusion(client, userId);
+
+    if (exclusion) {
+      throw codedError(
+        ERROR_CODES.SELF_EXCLUDED,
+        exclusion.endsAt
+          ? `You are self-excluded until ${exclusion.endsAt.toISOString()}`
+          : 'You are permanently self-excluded'
+      );
+    }
+  }
+
+  /**
+   * Self-exclude a user - an existing exclusion can be extended but never shortened
+   */
+  async exclude(userId, period) {
+    if (!Object.hasOwn(SELF_EXCLUSION_PERIODS, period)) {
+      throw new Error(`Invalid period. Must be one of: ${Object.keys(SELF_EXCLUSION_PERIODS).join(', ')}`);
+    }
+
+    const now = new Date();
+    const endsAt = this.calculateEndsAt(period, now);
+
+    const exclusion = await prisma.$transaction(async (tx) => {
+      // Serialise exclusion requests per user
+      await tx.$queryRaw`SELECT "id" FROM "users" WHERE "id" = ${userId} FOR UPDATE`;
+
+      const active = await this.getActiveExclusion(tx, userId, now);
+
+      if (active && (active.endsAt === null || (endsAt !== null && endsAt <= active.endsAt))) {
+        throw codedError(
+          ERROR_CODES.SELF_EXCLUDED,
+          active.endsAt
+            ? `You are already self-excluded until ${active.endsAt.toISOString()}`
+            : 'You are already permanently self-excluded'
+        );
+      }
+
+      return tx.selfExclusion.create({
+        data: {
+          userId,
+          period,
+          startsAt: now,
+          endsAt,
+        },
+      });
+    });
+
+    logger.info(`User ${userId} self-excluded (${period})`);
+
+    return this.describe(exclusion);
+  }
+
+  /**
+   * Active exclusion and full history of a user (admin view)
+   */
+  async getUserExclusions(userId) {
+    const [active, history] = await Promise.all([
+      this.getActiveExclusion(prisma, userId),
+      prisma.selfExclusion.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'desc' },
+      }),
+    ]);
+
+    return {
+      active: active ? this.describe(active) : null,
+      history: history.map(exclusion => this.describe(exclusion)),
+    };
+  }
+}
+
+module.exports = new SelfExclusionService();
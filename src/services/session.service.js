@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const { ERROR_CODES } = require('../config/constants');
+const { generateToken, generateRefreshToken, getTokenExpiry, hashToken } = require('../utils/auth');
+const logger = require('../utils/logger');
+const { codedError } = require('../utils/errors');
+
+const MAX_DEVICE_FIELD_LENGTH = 200;
+
+const trimField = (value) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+  return value.trim().slice(0, MAX_DEVICE_FIELD_LENGTH);
+};
+
+/**
+ * Session Service - Tracks signed-in devices
+ *
+ * Every login opens a session per device, and its id travels in the access
+ * token so a revoked session stops working at once. A user's refresh token
+ * rotates on every use; only the hash of the latest one is kept, so
+ * presenting an older token means it leaked and the whole session (every
+ * token it ever issued) is revoked. Admin sessions have no refresh token and
+ * last as long as their access token.
+ */
+class SessionService {
+  /**
+   * Device details of a login request (`x-device-id` header or `deviceId` in the body)
+   */
+  contextFromRequest(req) {
+    return {
+      deviceId: trimField(req.get('x-device-id') || req.body?.deviceId) || crypto.randomUUID(),
+      deviceName: trimField(req.body?.deviceName || req.get('user-agent')),
+      ipAddress: req.ip || null,
+    };
+  }
+
+  /**
+   * Open a session and issue its tokens, replacing any session of the same device
+   * @param {Object} owner - { userId } or { adminId }
+   * @param {Object} accessPayload - Claims of the access token
+   * @param {Object} context - { deviceId, deviceName, ipAddress }
+   * @returns {Promise<Object>} { session, accessToken, refreshToken } (refreshToken is null for admins)
+   */
+  async startSession(owner, accessPayload, context = {}) {
+    const deviceId = context.deviceId || crypto.randomUUID();
+
+    const session = await prisma.$transaction(async (tx) => {
+      await tx.session.updateMany({
+        where: { ...owner, deviceId, revokedAt: null },
+        data: { revokedAt: new Date(), revokedReason: 'REPLACED' },
+      });
+
+      return tx.session.create({
+        data: {
+          ...owner,
+          deviceId,
+          deviceName: context.deviceName || null,
+          ipAddress: context.ipAddress || null,
+          expiresAt: new Date(),
+        },
+      });
+    });
+
+    const accessToken = generateToken({ ...accessPayload, sessionId: session.id });
+    const refreshToken = owner.userId
+      ? generateRefreshToken({ userId: owner.userId, sessionId: session.id, jti: crypto.randomUUID() })
+      : null;
+
+    const started = await prisma.session.update({
+      where: { id: session.id },
+      data: {
+        refreshTokenHash: refreshToken ? hashToken(refreshToken) : null,
+        expiresAt: getTokenExpiry(refreshToken || accessToken),
+      },
+    });
+
+    return { session: started, accessToken, refreshToken };
+  }
+
+  /**
+   * Exchange a refresh token for a new pair, revoking the session if the token was already used
+   * @param {Object} decoded - Verified refresh token payload
+   * @param {string} refreshToken - The token as presented
+   * @param {Object} accessPayload - Claims of the new access token
+   */
+  async rotate(decoded, refreshToken, accessPayload) {
+    const endedError = () => codedError(ERROR_CODES.SESSION_REVOKED, 'Session has ended. Please login again');
+    const reuseError = () => codedError(ERROR_CODES.REFRESH_TOKEN_REUSED, 'Refresh token was already used. Please login again');
+
+    // Tokens issued before sessions existed carry no session and cannot be rotated
+    if (!decoded.sessionId) {
+      throw endedError();
+    }
+
+    const session = await prisma.session.findUnique({
+      where: { id: decoded.sessionId },
+    });
+
+    if (!session || session.userId !== decoded.userId || session.revokedAt || session.expiresAt <= new Date()) {
+      throw endedError();
+    }
+
+    const presentedHash = hashToken(refreshToken);
+
+    if (presentedHash !== session.refreshTokenHash) {
+      await this.revokeReused(session.id);
+      throw reuseError();
+    }
+
+    const nextRefreshToken = generateRefreshToken({
+      userId: decoded.userId,
+      sessionId: session.id,
+      jti: crypto.randomUUID(),
+    });
+
+    // Guarded on the presented hash so two parallel uses of one token cannot both rotate
+    const { count } = await prisma.session.updateMany({
+      where: { id: session.id, refreshTokenHash: presentedHash, revokedAt: null },
+      data: {
+        refreshTokenHash: hashToken(nextRefreshToken),
+        rotations: { increment: 1 },
+        lastUsedAt: new Date(),
+        expiresAt: getTokenExpiry(nextRefreshToken),
+      },
+    });
+
+    if (count === 0) {
+      await this.revokeReused(session.id);
+      throw reuseError();
+    }
+
+    return {
+      accessToken: generateToken({ ...accessPayload, sessionId: session.id }),
+      refreshToken: nextRefreshToken,
+    };
+  }
+
+  /**
+   * Revoke a session whose refresh token was presented twice
+   */
+  async revokeReused(sessionId) {
+    const { count } = await prisma.session.updateMany({
+      where: { id: sessionId, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: 'REUSE_DETECTED' },
+    });
+
+    if (count > 0) {
+      logger.warn(`Refresh token reuse detected, session ${sessionId} revoked`);
+    }
+  }
+
+  /**
+   * Ensure the session of a verified access token is still active
+   * @param {Object} decoded - Verified access token payload
+   */
+  async assertActive(decoded) {
+    if (!decoded.sessionId) {
+      throw codedError(ERROR_CODES.SESSION_REVOKED, 'Session has ended. Please login again');
+    }
+
+    const session = await prisma.session.findUnique({
+      where: { id: decoded.sessionId },
+      select: { id: true, userId: true, adminId: true, revokedAt: true },
+    });
+
+    const ownsSession = session && (decoded.adminId
+      ? session.adminId === decoded.adminId
+      : session.userId === decoded.userId);
+
+    if (!ownsSession || session.revokedAt) {
+      throw codedError(ERROR_CODES.SESSION_REVOKED, 'Session has been revoked. Please login again');
+    }
+
+    return session;
+  }
+
+  /**
+   * Active sessions of an owner, newest first
+   * @param {Object} owner - { userId } or { adminId }
+   * @param {string|null} currentSessionId - Session making the request (flagged as current)
+   */
+  async getActiveSessions(owner, currentSessionId = null) {
+    const sessions = await prisma.session.findMany({
+      where: { ...owner, revokedAt: null, expiresAt: { gt: new Date() } },
+      select: {
+        id: true,
+        deviceId: true,
+        deviceName: true,
+        ipAddress: true,
+        lastUsedAt: true,
+        expiresAt: true,
+        createdAt: true,
+      },
+      orderBy: { lastUsedAt: 'desc' },
+    });
+
+    return sessions.map(session => ({
+      ...session,
+      isCurrent: session.id === currentSessionId,
+    }));
+  }
+
+  /**
+   * Revoke one session of an owner
+   */
+  async revokeSession(owner, sessionId, reason) {
+    const { count } = await prisma.session.updateMany({
+      where: { id: sessionId, ...owner, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: reason },
+    });
+
+    if (count === 0) {
+      throw new Error('Session not found');
+    }
+  }
+
+  /**
+   * Revoke every active session of an owner
+   * @param {Object} db - Prisma client or transaction
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAll(db, owner, reason) {
+    const { count } = await db.session.updateMany({
+      where: { ...owner, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: reason },
+    });
+
+    return count;
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,27 @@
+const prisma = require('../config/database');
+
+/**
+ * Setting Service - Typed access to the admin-managed settings table
+ */
+class SettingService {
+  /**
+   * Get a raw setting value
+   */
+  async get(key, defaultValue = null) {
+    const setting = await prisma.setting.findUnique({
+      where: { key },
+    });
+
+    return setting ? setting.value : defaultValue;
+  }
+
+  /**
+   * Get a numeric setting, falling back when missing or malformed
+   */
+  async getNumber(key, defaultValue) {
+    const value = parseFloat(await this.get(key));
+    return isNaN(value) ? defaultValue : value;
+  }
+}
+
+module.exports = new SettingService();
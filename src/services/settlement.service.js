@@ -0,0 +1,120 @@
+const { PAYOUTS, NUMBER_COLORS, DUAL_COLORS, NUMBER_SIZES, BET_CATEGORIES } = require('../config/constants');
+
+/**
+ * Settlement Service - The single source of truth for bet payouts
+ *
+ * Pure functions only. Every result path (admin declare, system auto-result,
+ * round cancellation) and every liability preview maps (bet, outcome) through
+ * here, so a bet is paid the same no matter how its round was settled.
+ */
+class SettlementService {
+  /**
+   * Describe the outcome of a winning number
+   * @param {number} number - Winning number (0-9)
+   * @returns {Object} { number, color, size, colors }
+   */
+  getOutcome(number) {
+    const winningNumber = parseInt(number, 10);
+
+    if (!BET_CATEGORIES.NUMBER.includes(winningNumber)) {
+      throw new Error(`Invalid winning number: ${number}`);
+    }
+
+    return {
+      number: winningNumber,
+      color: NUMBER_COLORS[winningNumber],
+      size: NUMBER_SIZES[winningNumber],
+      colors: [NUMBER_COLORS[winningNumber], DUAL_COLORS[winningNumber]].filter(Boolean),
+    };
+  }
+
+  /**
+   * Payout table of a game table - its overrides layered over the defaults
+   * @param {Object|null} overrides - Partial PAYOUTS (GameTable.payouts)
+   */
+  resolvePayouts(overrides) {
+    if (!overrides) {
+      return PAYOUTS;
+    }
+
+    return {
+      COLOR: { ...PAYOUTS.COLOR, ...overrides.COLOR },
+      NUMBER: overrides.NUMBER ?? PAYOUTS.NUMBER,
+      SIZE: { ...PAYOUTS.SIZE, ...overrides.SIZE },
+      DUAL_COLOR: overrides.DUAL_COLOR ?? PAYOUTS.DUAL_COLOR,
+    };
+  }
+
+  /**
+   * Payout multiplier for a bet against an outcome (0 when the bet loses)
+   * @param {Object} payouts - Resolved payout table (defaults to PAYOUTS)
+   */
+  getMultiplier(bet, outcome, payouts = PAYOUTS) {
+    const selection = String(bet.selection).toUpperCase();
+
+    switch (bet.betType) {
+      case 'NUMBER':
+        return parseInt(selection, 10) === outcome.number ? payouts.NUMBER : 0;
+
+      case 'SIZE':
+        return selection === outcome.size ? payouts.SIZE[selection] : 0;
+
+      case 'COLOR':
+        if (!outcome.colors.includes(selection)) {
+          return 0;
+        }
+        // GREEN/RED share a dual-colour number with VIOLET and pay the reduced rate
+        if (selection !== 'VIOLET' && outcome.colors.includes('VIOLET')) {
+          return payouts.DUAL_COLOR;
+        }
+        return payouts.COLOR[selection];
+
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Amount paid out for a bet against an outcome (stake included)
+   */
+  calculateWinAmount(bet, outcome, payouts = PAYOUTS) {
+    const winAmount = parseFloat(bet.amount) * this.getMultiplier(bet, outcome, payouts);
+    return Math.round(winAmount * 100) / 100;
+  }
+
+  /**
+   * Settle a bet against a declared outcome
+   * @returns {Object} { result: 'WON' | 'LOST', winAmount }
+   */
+  settleBet(bet, outcome, payouts = PAYOUTS) {
+    const winAmount = this.calculateWinAmount(bet, outcome, payouts);
+
+    return {
+      result: winAmount > 0 ? 'WON' : 'LOST',
+      winAmount,
+    };
+  }
+
+  /**
+   * Settle a bet on a cancelled round - the stake is refunded in full
+   * @returns {Object} { result: 'CANCELLED', winAmount, refundAmount }
+   */
+  cancelBet(bet) {
+    return {
+      result: 'CANCELLED',
+      winAmount: 0,
+      refundAmount: parseFloat(bet.amount),
+    };
+  }
+
+  /**
+   * Best-case payout for a bet across all outcomes
+   */
+  calculateMaxWin(bet, payouts = PAYOUTS) {
+    return Math.max(
+      ...BET_CATEGORIES.NUMBER.map(number => this.calculateWinAmount(bet, this.getOutcome(number), payouts))
+    );
+  }
+}
+
+module.exports = new SettlementService();
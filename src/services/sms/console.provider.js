@@ -0,0 +1,37 @@
+const fs = require('fs');
+const SmsProvider = require('./smsProvider');
+const logger = require('../../utils/logger');
+const env = require('../../config/env');
+
+/**
+ * Console SMS Provider - Development adapter
+ *
+ * Prints each message (and appends it to SMS_OUTBOX_FILE when set) instead of
+ * sending it. Outside development it refuses to deliver, so OTPs never reach
+ * the logs of a deployed server.
+ */
+class ConsoleSmsProvider extends SmsProvider {
+  constructor() {
+    super('console');
+    this.outboxFile = env.SMS_OUTBOX_FILE;
+  }
+
+  async send({ to, message }) {
+    if (env.NODE_ENV !== 'development') {
+      throw new Error('The console SMS provider only delivers in development');
+    }
+
+    logger.info(`[SMS] To: ${to}, Message: ${message}`);
+
+    if (this.outboxFile) {
+      await fs.promises.appendFile(
+        this.outboxFile,
+        `${JSON.stringify({ to, message, sentAt: new Date().toISOString() })}\n`
+      );
+    }
+
+    return { providerMessageId: null };
+  }
+}
+
+module.exports = ConsoleSmsProvider;
@@ -0,0 +1,83 @@
+const SmsProvider = require('./smsProvider');
+const env = require('../../config/env');
+
+/**
+ * Substitute {{to}} and {{message}} in a template
+ * @param {Function} escape - Encoding applied to each value
+ */
+const render = (template, values, escape) => {
+  return template.replace(/\{\{(to|message)\}\}/g, (match, key) => escape(values[key]));
+};
+
+// Values land inside JSON string literals in the body template
+const escapeJson = value => JSON.stringify(String(value)).slice(1, -1);
+
+/**
+ * HTTP SMS Provider - Talks to any HTTP gateway described by a template
+ *
+ * SMS_HTTP_URL and SMS_HTTP_BODY may contain {{to}} and {{message}}; values
+ * are URL-encoded in the URL and JSON-escaped in the body. A non-2xx
+ * response counts as a failed attempt.
+ */
+class HttpSmsProvider extends SmsProvider {
+  constructor() {
+    super('http');
+
+    if (!env.SMS_HTTP_URL) {
+      throw new Error('SMS_HTTP_URL is required for the HTTP SMS provider');
+    }
+
+    this.url = env.SMS_HTTP_URL;
+    this.method = env.SMS_HTTP_METHOD;
+    this.bodyTemplate = env.SMS_HTTP_BODY;
+    this.timeoutMs = env.SMS_HTTP_TIMEOUT_MS;
+
+    try {
+      this.headers = env.SMS_HTTP_HEADERS ? JSON.parse(env.SMS_HTTP_HEADERS) : {};
+    } catch (err) {
+      throw new Error('SMS_HTTP_HEADERS must be a JSON object');
+    }
+  }
+
+  async send({ to, message }) {
+    const values = { to, message };
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    let response;
+    try {
+      response = await fetch(render(this.url, values, encodeURIComponent), {
+        method: this.method,
+        headers: this.headers,
+        body: this.bodyTemplate && this.method !== 'GET'
+          ? render(this.bodyTemplate, values, escapeJson)
+          : undefined,
+        signal: controller.signal,
+      });
+    } catch (err) {
+      // Network errors carry the URL at most, never the message
+      throw new Error(err.name === 'AbortError'
+        ? `SMS gateway timed out after ${this.timeoutMs}ms`
+        : `SMS gateway unreachable: ${err.message}`);
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    if (!response.ok) {
+      throw new Error(`SMS gateway responded with HTTP ${response.status}`);
+    }
+
+    // Gateways that answer with JSON usually include a message id
+    let providerMessageId = null;
+    try {
+      const body = await response.json();
+      providerMessageId = body.id || body.messageId || body.message_id || null;
+    } catch (err) {
+      // Non-JSON response - nothing to record
+    }
+
+    return { providerMessageId: providerMessageId && String(providerMessageId) };
+  }
+}
+
+module.exports = HttpSmsProvider;
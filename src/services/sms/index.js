@@ -0,0 +1,33 @@
+const SmsProvider = require('./smsProvider');
+const ConsoleSmsProvider = require('./console.provider');
+const HttpSmsProvider = require('./http.provider');
+const MemorySmsProvider = require('./memory.provider');
+const env = require('../../config/env');
+
+const PROVIDERS = {
+  CONSOLE: ConsoleSmsProvider,
+  MOCK: ConsoleSmsProvider, // Former name of the console provider
+  HTTP: HttpSmsProvider,
+  MEMORY: MemorySmsProvider,
+};
+
+/**
+ * Create the SMS provider selected by SMS_PROVIDER
+ */
+const createSmsProvider = (name = env.SMS_PROVIDER) => {
+  const Provider = PROVIDERS[String(name).toUpperCase()];
+
+  if (!Provider) {
+    throw new Error(`Unknown SMS_PROVIDER: ${name}. Must be one of: CONSOLE, HTTP, MEMORY`);
+  }
+
+  return new Provider();
+};
+
+module.exports = {
+  SmsProvider,
+  ConsoleSmsProvider,
+  HttpSmsProvider,
+  MemorySmsProvider,
+  createSmsProvider,
+};
@@ -0,0 +1,51 @@
+const SmsProvider = require('./smsProvider');
+
+/**
+ * Memory SMS Provider - Fake adapter for tests
+ *
+ * Keeps every delivered message in `sent` and can be told to fail the next
+ * attempts to exercise the retry path.
+ */
+class MemorySmsProvider extends SmsProvider {
+  constructor() {
+    super('memory');
+    this.sent = [];
+    this.failuresLeft = 0;
+  }
+
+  async send({ to, message }) {
+    if (this.failuresLeft > 0) {
+      this.failuresLeft--;
+      throw new Error('Simulated SMS failure');
+    }
+
+    const providerMessageId = `memory-${this.sent.length + 1}`;
+    this.sent.push({ to, message, providerMessageId, sentAt: new Date() });
+
+    return { providerMessageId };
+  }
+
+  /**
+   * Fail the next `count` attempts
+   */
+  failNext(count = 1) {
+    this.failuresLeft = count;
+  }
+
+  /**
+   * Last message sent to a number
+   */
+  lastMessageTo(to) {
+    return [...this.sent].reverse().find(sms => sms.to === to) || null;
+  }
+
+  /**
+   * Forget every sent message and pending failure
+   */
+  reset() {
+    this.sent = [];
+    this.failuresLeft = 0;
+  }
+}
+
+module.exports = MemorySmsProvider;
@@ -0,0 +1,23 @@
+/**
+ * SMS Provider - Interface every SMS adapter implements
+ *
+ * Adapters only deliver; queueing, retries and delivery records live in the
+ * OTP delivery service. An adapter signals a failed attempt by throwing, and
+ * its error messages must never contain the message text.
+ */
+class SmsProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Deliver one message
+   * @param {Object} sms - { to, message }
+   * @returns {Promise<Object>} { providerMessageId } (null if the provider returns none)
+   */
+  async send(sms) {
+    throw new Error(`SMS provider ${this.name} does not implement send()`);
+  }
+}
+
+module.exports = SmsProvider;
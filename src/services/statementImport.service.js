@@ -0,0 +1,459 @@
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const { STATEMENT_IMPORT, ADMIN_AUDIT_ACTIONS } = require('../config/constants');
+const adminService = require('./admin.service');
+const auditService = require('./audit.service');
+const settingService = require('./setting.service');
+const { parseCsv, toCsv } = require('../utils/csv');
+const logger = require('../utils/logger');
+
+// Row statuses that need an admin to look at them
+const FLAGGED_STATUSES = ['AMOUNT_MISMATCH', 'OUTSIDE_WINDOW', 'UTR_UNKNOWN', 'DUPLICATE', 'ALREADY_PROCESSED', 'INVALID', 'FAILED'];
+
+const REPORT_COLUMNS = [
+  { key: 'rowNumber', header: 'Row' },
+  { key: 'transactedAt', header: 'Statement Time' },
+  { key: 'utr', header: 'UTR' },
+  { key: 'amount', header: 'Amount' },
+  { key: 'status', header: 'Status' },
+  { key: 'depositId', header: 'Deposit ID' },
+  { key: 'note', header: 'Note' },
+  { key: 'description', header: 'Description' },
+];
+
+/**
+ * UTRs are compared without case or whitespace
+ */
+const normalizeUtr = (value) => String(value || '').replace(/\s/g, '').toUpperCase();
+
+/**
+ * Statement Import Service - Verifies deposits against bank/UPI statements
+ *
+ * An admin uploads a statement as CSV; each credit row is matched to a
+ * pending deposit by UTR, then checked for the same amount and a statement
+ * time within the match window of the deposit request. Exact matches are
+ * approved through the normal deposit flow (ledger, referral bonus, audit);
+ * everything else is stored with the reason it was flagged, so the import
+ * doubles as a reconciliation report.
+ */
+class StatementImportService {
+  /**
+   * Read a statement amount ("1,000.00", "Rs. 500", "250.00 CR"); debits come out negative
+   * @returns {Prisma.Decimal|null} Amount, or null if the cell is empty or unreadable
+   */
+  parseAmount(value) {
+    const text = String(value || '').trim().toUpperCase();
+    if (!text) {
+      return null;
+    }
+
+    const isDebit = /\bDR\b/.test(text) || /^\(.*\)$/.test(text) || text.startsWith('-');
+    const digits = text.replace(/\b(RS|INR)\.?/g, '').replace(/[^0-9.]/g, '');
+
+    if (!/^\d+(\.\d+)?$/.test(digits)) {
+      return null;
+    }
+
+    const amount = new Prisma.Decimal(digits).toDecimalPlaces(2);
+    return isDebit ? amount.negated() : amount;
+  }
+
+  /**
+   * Read a statement time: ISO 8601, or day-first D/M/Y with an optional time.
+   * Times without a zone are taken as local to the bank (UTC_OFFSET_MINUTES).
+   * @returns {Date|null}
+   */
+  parseStatementDate(value) {
+    const text = String(value || '').trim();
+    if (!text) {
+      return null;
+    }
+
+    if (/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+      const date = new Date(text);
+      return isNaN(date.getTime()) ? null : date;
+    }
+
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    const dayFirst = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})(?:[ ,]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?)?$/i);
+
+    let parts;
+    if (iso) {
+      parts = { year: +iso[1], month: +iso[2], day: +iso[3], hour: +(iso[4] || 0), minute: +(iso[5] || 0), second: +(iso[6] || 0) };
+    } else if (dayFirst) {
+      const year = +dayFirst[3] < 100 ? 2000 + +dayFirst[3] : +dayFirst[3];
+      let hour = +(dayFirst[4] || 0);
+      const meridiem = (dayFirst[7] || '').toUpperCase();
+
+      if (meridiem === 'PM' && hour < 12) {
+        hour += 12;
+      } else if (meridiem === 'AM' && hour === 12) {
+        hour = 0;
+      }
+
+      parts = { year, month: +dayFirst[2], day: +dayFirst[1], hour, minute: +(dayFirst[5] || 0), second: +(dayFirst[6] || 0) };
+    } else {
+      return null;
+    }
+
+    if (parts.month < 1 || parts.month > 12 || parts.day < 1 || parts.day > 31 || parts.hour > 23 || parts.minute > 59) {
+      return null;
+    }
+
+    const utc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return new Date(utc - STATEMENT_IMPORT.UTC_OFFSET_MINUTES * 60 * 1000);
+  }
+
+  /**
+   * Work out which column holds each field
+   * @param {string[]} headers - Header row of the statement
+   * @param {Object} mapping - Field to header overrides, e.g. { utr: 'Ref No.' }
+   * @returns {Object} { columns: field -> index, mapping: field -> header }
+   */
+  resolveColumns(headers, mapping = {}) {
+    const unknown = Object.keys(mapping || {}).filter(field => !(field in STATEMENT_IMPORT.DEFAULT_COLUMNS));
+
+    if (unknown.length > 0) {
+      throw new Error(`Unknown mapping fields: ${unknown.join(', ')}`);
+    }
+
+    const wanted = { ...STATEMENT_IMPORT.DEFAULT_COLUMNS, ...mapping };
+    const normalized = headers.map(header => header.trim().toLowerCase());
+    const columns = {};
+
+    for (const [field, header] of Object.entries(wanted)) {
+      if (!header) {
+        continue;
+      }
+
+      const index = normalized.indexOf(String(header).trim().toLowerCase());
+
+      if (index === -1) {
+        // Description is optional; the other fields are needed to match
+        if (field === 'description') {
+          continue;
+        }
+        throw new Error(`Column "${header}" (${field}) was not found in the statement`);
+      }
+
+      columns[field] = index;
+    }
+
+    for (const field of ['utr', 'amount', 'date']) {
+      if (columns[field] === undefined) {
+        throw new Error(`A column for ${field} is required`);
+      }
+    }
+
+    return {
+      columns,
+      mapping: Object.fromEntries(Object.keys(columns).map(field => [field, headers[columns[field]].trim()])),
+    };
+  }
+
+  /**
+   * Import a statement and approve the deposits it proves
+   * @param {Object} statement - { csv, mapping, source, fileName }
+   * @returns {Promise<Object>} The reconciliation report
+   */
+  async importStatement({ csv, mapping, source, fileName }, adminId, auditContext = {}) {
+    const [headers, ...lines] = parseCsv(csv);
+
+    if (!headers || lines.length === 0) {
+      throw new Error('The statement has no rows');
+    }
+
+    if (lines.length > STATEMENT_IMPORT.MAX_ROWS) {
+      throw new Error(`A statement can have at most ${STATEMENT_IMPORT.MAX_ROWS} rows`);
+    }
+
+    const { columns, mapping: columnMapping } = this.resolveColumns(headers, mapping);
+    const windowHours = await settingService.getNumber('DEPOSIT_MATCH_WINDOW_HOURS', STATEMENT_IMPORT.MATCH_WINDOW_HOURS);
+
+    const rows = lines.map((cells, index) => {
+      const amount = this.parseAmount(cells[columns.amount]);
+
+      return {
+        rowNumber: index + 2,
+        utr: normalizeUtr(cells[columns.utr]) || null,
+        amount,
+        transactedAt: this.parseStatementDate(cells[columns.date]),
+        description: columns.description !== undefined ? (cells[columns.description] || '').trim() || null : null,
+        raw: Object.fromEntries(headers.map((header, i) => [header.trim(), cells[i] ?? null])),
+      };
+    });
+
+    const utrs = [...new Set(rows.map(row => row.utr).filter(Boolean))];
+
+    const deposits = utrs.length > 0
+      ? await prisma.deposit.findMany({
+        where: { transactionId: { in: utrs, mode: 'insensitive' } },
+        select: { id: true, amount: true, status: true, transactionId: true, createdAt: true },
+      })
+      : [];
+
+    const depositsByUtr = new Map();
+    for (const deposit of deposits) {
+      const key = normalizeUtr(deposit.transactionId);
+      depositsByUtr.set(key, [...(depositsByUtr.get(key) || []), deposit]);
+    }
+
+    const seenUtrs = new Set();
+    const claimedDeposits = new Set();
+
+    for (const row of rows) {
+      Object.assign(row, this.classify(row, depositsByUtr, seenUtrs, claimedDeposits, windowHours));
+    }
+
+    const importId = crypto.randomUUID();
+    const times = rows.map(row => row.transactedAt).filter(Boolean).map(date => date.getTime());
+
+    // Store the rows first so every automatic approval can point at its import
+    await prisma.$transaction(async (tx) => {
+      await tx.statementImport.create({
+        data: {
+          id: importId,
+          source: source || null,
+          fileName: fileName || null,
+          columnMapping,
+          uploadedBy: adminId,
+          rowCount: rows.length,
+          matchedCount: 0,
+          flaggedCount: rows.filter(row => FLAGGED_STATUSES.includes(row.status)).length,
+          skippedCount: rows.filter(row => row.status === 'SKIPPED').length,
+          periodStart: times.length > 0 ? new Date(Math.min(...times)) : null,
+          periodEnd: times.length > 0 ? new Date(Math.max(...times)) : null,
+        },
+      });
+
+      await tx.statementRow.createMany({
+        data: rows.map(row => ({ ...row, importId })),
+      });
+
+      await auditService.record(tx, {
+        adminId,
+        action: ADMIN_AUDIT_ACTIONS.STATEMENT_IMPORTED,
+        targetType: 'StatementImport',
+        targetId: importId,
+        after: { source: source || null, fileName: fileName || null, rowCount: rows.length, columnMapping },
+      }, auditContext);
+    });
+
+    const matched = await this.approveMatches(importId, rows.filter(row => row.status === 'MATCHED'), adminId, auditContext);
+
+    logger.info(`Statement import ${importId}: ${rows.length} rows, ${matched} deposits approved automatically (admin: ${adminId})`);
+
+    return this.getReport(importId);
+  }
+
+  /**
+   * Decide what a statement row proves
+   * @returns {Object} { status, depositId, note }
+   */
+  classify(row, depositsByUtr, seenUtrs, claimedDeposits, windowHours) {
+    if (row.amount !== null && row.amount.lte(0)) {
+      return { status: 'SKIPPED', depositId: null, note: 'Not a credit' };
+    }
+
+    if (row.amount === null) {
+      return row.utr
+        ? { status: 'INVALID', depositId: null, note: 'Amount could not be read' }
+        : { status: 'SKIPPED', depositId: null, note: 'No amount' };
+    }
+
+    if (!row.utr) {
+      return { status: 'INVALID', depositId: null, note: 'UTR is missing' };
+    }
+
+    if (!row.transactedAt) {
+      return { status: 'INVALID', depositId: null, note: 'Date could not be read' };
+    }
+
+    if (seenUtrs.has(row.utr)) {
+      return { status: 'DUPLICATE', depositId: null, note: 'UTR appears more than once in the statement' };
+    }
+    seenUtrs.add(row.utr);
+
+    const candidates = depositsByUtr.get(row.utr) || [];
+
+    if (candidates.length === 0) {
+      return { status: 'UTR_UNKNOWN', depositId: null, note: 'No deposit request has this UTR' };
+    }
+
+    const pending = candidates.filter(deposit => deposit.status === 'PENDING');
+
+    if (pending.length === 0) {
+      return {
+        status: 'ALREADY_PROCESSED',
+        depositId: candidates[0].id,
+        note: `Deposit is already ${candidates[0].status.toLowerCase()}`,
+      };
+    }
+
+    if (pending.length > 1) {
+      return { status: 'DUPLICATE', depositId: null, note: `${pending.length} pending deposits claim this UTR` };
+    }
+
+    const [deposit] = pending;
+
+    if (claimedDeposits.has(deposit.id)) {
+      return { status: 'DUPLICATE', depositId: deposit.id, note: 'Deposit already matched by another row' };
+    }
+
+    if (!row.amount.equals(deposit.amount)) {
+      return {
+        status: 'AMOUNT_MISMATCH',
+        depositId: deposit.id,
+        note: `Statement shows ${row.amount.toFixed(2)}, deposit request is ${new Prisma.Decimal(deposit.amount).toFixed(2)}`,
+      };
+    }
+
+    const hoursApart = Math.abs(row.transactedAt.getTime() - deposit.createdAt.getTime()) / (60 * 60 * 1000);
+
+    if (hoursApart > windowHours) {
+      return {
+        status: 'OUTSIDE_WINDOW',
+        depositId: deposit.id,
+        note: `Statement time is ${Math.round(hoursApart)} hours from the deposit request (window ${windowHours}h)`,
+      };
+    }
+
+    claimedDeposits.add(deposit.id);
+
+    return { status: 'MATCHED', depositId: deposit.id, note: null };
+  }
+
+  /**
+   * Approve the deposits of matched rows, flagging any that can no longer be approved
+   * @returns {Promise<number>} Number of deposits approved
+   */
+  async approveMatches(importId, rows, adminId, auditContext = {}) {
+    let approved = 0;
+
+    for (const row of rows) {
+      try {
+        await adminService.processDeposit(
+          row.depositId,
+          'APPROVED',
+          `Matched to statement import ${importId} (row ${row.rowNumber})`,
+          adminId,
+          auditContext
+        );
+        approved++;
+      } catch (err) {
+        logger.warn(`Statement import ${importId} row ${row.rowNumber}: deposit ${row.depositId} not approved: ${err.message}`);
+
+        await prisma.statementRow.updateMany({
+          where: { importId, rowNumber: row.rowNumber },
+          data: { status: 'FAILED', note: err.message },
+        });
+      }
+    }
+
+    await prisma.statementImport.update({
+      where: { id: importId },
+      data: {
+        matchedCount: approved,
+        flaggedCount: { increment: rows.length - approved },
+      },
+    });
+
+    return approved;
+  }
+
+  /**
+   * Get statement imports, newest first
+   */
+  async getImports(page = 1, limit = 10) {
+    const skip = (page - 1) * limit;
+
+    const [imports, total] = await Promise.all([
+      prisma.statementImport.findMany({
+        skip,
+        take: limit,
+        orderBy: { createdAt: 'desc' },
+      }),
+      prisma.statementImport.count(),
+    ]);
+
+    return { imports, total, page, limit };
+  }
+
+  /**
+   * Reconciliation report of an import: totals per status, the flagged rows,
+   * and deposits from the statement period that are still waiting
+   */
+  async getReport(importId) {
+    const statementImport = await prisma.statementImport.findUnique({
+      where: { id: importId },
+    });
+
+    if (!statementImport) {
+      throw new Error('Statement import not found');
+    }
+
+    const [byStatus, flaggedRows] = await Promise.all([
+      prisma.statementRow.groupBy({
+        by: ['status'],
+        where: { importId },
+        _count: { _all: true },
+        _sum: { amount: true },
+      }),
+      prisma.statementRow.findMany({
+        where: { importId, status: { in: FLAGGED_STATUSES } },
+        orderBy: { rowNumber: 'asc' },
+      }),
+    ]);
+
+    let unmatchedDeposits = [];
+
+    if (statementImport.periodStart && statementImport.periodEnd) {
+      const windowHours = await settingService.getNumber('DEPOSIT_MATCH_WINDOW_HOURS', STATEMENT_IMPORT.MATCH_WINDOW_HOURS);
+      const windowMs = windowHours * 60 * 60 * 1000;
+
+      unmatchedDeposits = await prisma.deposit.findMany({
+        where: {
+          status: 'PENDING',
+          createdAt: {
+            gte: new Date(statementImport.periodStart.getTime() - windowMs),
+            lte: new Date(statementImport.periodEnd.getTime() + windowMs),
+          },
+        },
+        orderBy: { createdAt: 'asc' },
+        include: {
+          user: { select: { id: true, mobileNumber: true, name: true } },
+        },
+      });
+    }
+
+    return {
+      import: statementImport,
+      summary: Object.fromEntries(byStatus.map(group => [group.status, {
+        rows: group._count._all,
+        amount: group._sum.amount || 0,
+      }])),
+      flaggedRows,
+      unmatchedDeposits,
+    };
+  }
+
+  /**
+   * Every row of an import as CSV
+   * @returns {Promise<string>} CSV text
+   */
+  async exportReportCsv(importId) {
+    const rows = await prisma.statementRow.findMany({
+      where: { importId },
+      orderBy: { rowNumber: 'asc' },
+    });
+
+    if (rows.length === 0) {
+      throw new Error('Statement import not found');
+    }
+
+    return toCsv(rows, REPORT_COLUMNS);
+  }
+}
+
+module.exports = new StatementImportService();
@@ -0,0 +1,347 @@
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const { TWO_FACTOR, ERROR_CODES, ADMIN_AUDIT_ACTIONS } = require('../config/constants');
+const { hashToken } = require('../utils/auth');
+const totp = require('../utils/totp');
+const auditService = require('./audit.service');
+const logger = require('../utils/logger');
+const { codedError } = require('../utils/errors');
+
+// Backup codes avoid look-alike characters (0/O, 1/I)
+const BACKUP_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const TOTP_OPTIONS = {
+  digits: TWO_FACTOR.DIGITS,
+  stepSeconds: TWO_FACTOR.STEP_SECONDS,
+  window: TWO_FACTOR.WINDOW_STEPS,
+};
+
+/**
+ * Backup codes are compared case-insensitively and without separators
+ */
+const normalizeBackupCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Two-Factor Service - TOTP (RFC 6238) for admin accounts
+ *
+ * Enrollment stores a pending secret that only takes effect once the admin
+ * proves their authenticator produces matching codes; that is when backup
+ * codes are issued. Each code works once (the last accepted time step is
+ * kept), and too many wrong codes in a row lock 2FA for a while. Sensitive
+ * actions need a "step-up": a code verified on the same session within the
+ * last few minutes. All times come from `clock`, so verification can run
+ * offline against a fixed test clock.
+ */
+class TwoFactorService {
+  constructor() {
+    this.clock = () => Date.now();
+  }
+
+  /**
+   * Replace the clock (tests pin it to a known moment)
+   * @param {Function} clock - Returns milliseconds since epoch
+   */
+  setClock(clock) {
+    this.clock = clock;
+  }
+
+  /**
+   * Whether an admin role must use 2FA
+   */
+  isRequired(role) {
+    return TWO_FACTOR.REQUIRED_ROLES.includes(role);
+  }
+
+  /**
+   * 2FA status of an admin
+   */
+  async getStatus(adminId) {
+    const admin = await prisma.admin.findUnique({
+      where: { id: adminId },
+      select: {
+        role: true,
+        totpEnabledAt: true,
+        totpLockedUntil: true,
+        _count: { select: { backupCodes: { where: { usedAt: null } } } },
+      },
+    });
+
+    if (!admin) {
+      throw new Error('Admin not found');
+    }
+
+    return {
+      enabled: !!admin.totpEnabledAt,
+      enabledAt: admin.totpEnabledAt,
+      required: this.isRequired(admin.role),
+      lockedUntil: admin.totpLockedUntil > new Date(this.clock()) ? admin.totpLockedUntil : null,
+      backupCodesRemaining: admin._count.backupCodes,
+    };
+  }
+
+  /**
+   * Start enrollment - store a new pending secret and return it for the authenticator app
+   */
+  async beginEnrollment(adminId) {
+    const admin = await prisma.admin.findUnique({
+      where: { id: adminId },
+      select: { mobileNumber: true, totpEnabledAt: true },
+    });
+
+    if (!admin) {
+      throw new Error('Admin not found');
+    }
+
+    if (admin.totpEnabledAt) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = totp.generateSecret();
+
+    await prisma.admin.update({
+      where: { id: adminId },
+      data: { totpSecret: secret, totpLastStep: null, totpFailedAttempts: 0, totpLockedUntil: null },
+    });
+
+    return {
+      secret,
+      otpauthUri: totp.buildOtpauthUri(secret, admin.mobileNumber, TWO_FACTOR.ISSUER, TOTP_OPTIONS),
+    };
+  }
+
+  /**
+   * Finish enrollment with a code from the authenticator app
+   * @returns {Promise<Object>} { backupCodes } - shown once, only hashes are kept
+   */
+  async confirmEnrollment(adminId, code, sessionId, auditContext = {}) {
+    const admin = await prisma.admin.findUnique({
+      where: { id: adminId },
+      select: { totpSecret: true, totpEnabledAt: true },
+    });
+
+    if (!admin) {
+      throw new Error('Admin not found');
+    }
+
+    if (admin.totpEnabledAt) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    if (!admin.totpSecret) {
+      throw new Error('Start two-factor setup first');
+    }
+
+    const step = totp.verifyCode(admin.totpSecret, code, { ...TOTP_OPTIONS, now: this.clock() });
+
+    if (step === null) {
+      throw codedError(ERROR_CODES.TWO_FACTOR_INVALID, 'Invalid authentication code');
+    }
+
+    const backupCodes = this.generateBackupCodes();
+
+    await prisma.$transaction(async (tx) => {
+      await tx.admin.update({
+        where: { id: adminId },
+        data: { totpEnabledAt: new Date(this.clock()), totpLastStep: step },
+      });
+
+      await this.replaceBackupCodes(tx, adminId, backupCodes);
+
+      await auditService.record(tx, {
+        adminId,
+        action: ADMIN_AUDIT_ACTIONS.TWO_FACTOR_ENABLED,
+        targetType: 'Admin',
+        targetId: adminId,
+        after: { enabled: true },
+      }, auditContext);
+    });
+
+    // Proving the authenticator also counts as a step-up on this session
+    await this.markStepUp(sessionId);
+
+    logger.info(`Two-factor authentication enabled for admin ${adminId}`);
+
+    return { backupCodes };
+  }
+
+  /**
+   * Issue a fresh set of backup codes, invalidating the old ones
+   */
+  async regenerateBackupCodes(adminId, auditContext = {}) {
+    const backupCodes = this.generateBackupCodes();
+
+    await prisma.$transaction(async (tx) => {
+      await this.replaceBackupCodes(tx, adminId, backupCodes);
+
+      await auditService.record(tx, {
+        adminId,
+        action: ADMIN_AUDIT_ACTIONS.BACKUP_CODES_REGENERATED,
+        targetType: 'Admin',
+        targetId: adminId,
+      }, auditContext);
+    });
+
+    return { backupCodes };
+  }
+
+  /**
+   * Random backup codes formatted as XXXXX-XXXXX
+   */
+  generateBackupCodes() {
+    return Array.from({ length: TWO_FACTOR.BACKUP_CODE_COUNT }, () => {
+      let code = '';
+      for (let i = 0; i < 10; i++) {
+        code += BACKUP_CODE_ALPHABET[crypto.randomInt(BACKUP_CODE_ALPHABET.length)];
+      }
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  /**
+   * Store the hashes of new backup codes in place of the old ones
+   */
+  async replaceBackupCodes(tx, adminId, backupCodes) {
+    await tx.adminBackupCode.deleteMany({ where: { adminId } });
+    await tx.adminBackupCode.createMany({
+      data: backupCodes.map(code => ({ adminId, codeHash: hashToken(normalizeBackupCode(code)) })),
+    });
+  }
+
+  /**
+   * Check a TOTP or backup code of an enrolled admin
+   * @param {Object} credentials - { code } or { backupCode }
+   */
+  async verify(adminId, { code, backupCode } = {}) {
+    const admin = await prisma.admin.findUnique({
+      where: { id: adminId },
+      select: { totpSecret: true, totpEnabledAt: true, totpLastStep: true, totpLockedUntil: true },
+    });
+
+    if (!admin || !admin.totpEnabledAt) {
+      throw codedError(ERROR_CODES.TWO_FACTOR_ENROLLMENT_REQUIRED, 'Two-factor authentication is not set up');
+    }
+
+    const now = new Date(this.clock());
+
+    if (admin.totpLockedUntil && admin.totpLockedUntil > now) {
+      throw codedError(ERROR_CODES.TWO_FACTOR_LOCKED, 'Too many incorrect codes. Please try again later');
+    }
+
+    if (!code && !backupCode) {
+      throw codedError(ERROR_CODES.TWO_FACTOR_REQUIRED, 'Authentication code is required');
+    }
+
+    const accepted = code
+      ? await this.acceptTotp(adminId, admin, code, now)
+      : await this.acceptBackupCode(adminId, backupCode, now);
+
+    if (!accepted) {
+      await this.recordFailure(adminId, now);
+      throw codedError(ERROR_CODES.TWO_FACTOR_INVALID, 'Invalid authentication code');
+    }
+
+    await prisma.admin.update({
+      where: { id: adminId },
+      data: { totpFailedAttempts: 0, totpLockedUntil: null },
+    });
+  }
+
+  /**
+   * Accept a TOTP code once - a code from an already used time step is rejected
+   */
+  async acceptTotp(adminId, admin, code, now) {
+    const step = totp.verifyCode(admin.totpSecret, code, { ...TOTP_OPTIONS, now: now.getTime() });
+
+    if (step === null || (admin.totpLastStep !== null && step <= admin.totpLastStep)) {
+      return false;
+    }
+
+    // Guarded so two requests racing with the same code cannot both pass
+    const { count } = await prisma.admin.updateMany({
+      where: {
+        id: adminId,
+        OR: [{ totpLastStep: null }, { totpLastStep: { lt: step } }],
+      },
+      data: { totpLastStep: step },
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Accept an unused backup code, spending it
+   */
+  async acceptBackupCode(adminId, backupCode, now) {
+    const { count } = await prisma.adminBackupCode.updateMany({
+      where: {
+        adminId,
+        codeHash: hashToken(normalizeBackupCode(backupCode)),
+        usedAt: null,
+      },
+      data: { usedAt: now },
+    });
+
+    if (count > 0) {
+      logger.warn(`Admin ${adminId} used a 2FA backup code`);
+    }
+
+    return count > 0;
+  }
+
+  /**
+   * Count a wrong code, locking 2FA once the limit is reached
+   */
+  async recordFailure(adminId, now) {
+    const { totpFailedAttempts } = await prisma.admin.update({
+      where: { id: adminId },
+      data: { totpFailedAttempts: { increment: 1 } },
+      select: { totpFailedAttempts: true },
+    });
+
+    if (totpFailedAttempts >= TWO_FACTOR.MAX_FAILED_ATTEMPTS) {
+      await prisma.admin.update({
+        where: { id: adminId },
+        data: {
+          totpFailedAttempts: 0,
+          totpLockedUntil: new Date(now.getTime() + TWO_FACTOR.LOCK_MINUTES * 60 * 1000),
+        },
+      });
+
+      logger.warn(`Two-factor authentication locked for admin ${adminId} after ${totpFailedAttempts} incorrect codes`);
+    }
+  }
+
+  /**
+   * Remember that a session just passed a 2FA check
+   */
+  async markStepUp(sessionId) {
+    if (!sessionId) {
+      return;
+    }
+
+    await prisma.session.update({
+      where: { id: sessionId },
+      data: { stepUpAt: new Date(this.clock()) },
+    });
+  }
+
+  /**
+   * Whether a session passed a 2FA check within the step-up window
+   */
+  async hasRecentStepUp(sessionId) {
+    if (!sessionId) {
+      return false;
+    }
+
+    const session = await prisma.session.findUnique({
+      where: { id: sessionId },
+      select: { stepUpAt: true },
+    });
+
+    const windowStart = this.clock() - TWO_FACTOR.STEP_UP_MINUTES * 60 * 1000;
+
+    return !!session?.stepUpAt && session.stepUpAt.getTime() >= windowStart;
+  }
+}
+
+module.exports = new TwoFactorService();
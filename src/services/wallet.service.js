@@ -1,6 +1,18 @@
 const prisma = require('../config/database');
+const { LEDGER_ACCOUNTS, LEDGER_ENTRY_TYPES } = require('../config/constants');
+const ledgerService = require('./ledger.service');
+const limitService = require('./limit.service');
+const kycService = require('./kyc.service');
+const payoutMethodService = require('./payoutMethod.service');
+const bonusService = require('./bonus.service');
+const referralService = require('./referral.service');
+const selfExclusionService = require('./selfExclusion.service');
 const logger = require('../utils/logger');
 
+// Withdrawal statuses that still hold funds
+const OPEN_WITHDRAWAL_STATUSES = ['PENDING', 'APPROVED', 'PROCESSING'];
+const PENDING_WITHDRAWAL_MESSAGE = 'You already have a pending withdrawal request';
+
 /**
  * Wallet Service - Handles wallet, deposit, and withdrawal logic
  */
@@ -23,7 +35,11 @@ class WalletService {
       throw new Error('Wallet not found');
     }
 
-    return wallet;
+    // Bonus funds are shown apart - they are not withdrawable until wagered
+    return {
+      ...wallet,
+      bonusBalance: await bonusService.getBonusBalance(userId),
+    };
   }
 
   /**
@@ -79,32 +95,152 @@ class WalletService {
       throw new Error('Transaction ID already used');
     }
 
-    // Create deposit request
-    const deposit = await prisma.deposit.create({
-      data: {
-        userId,
-        amount: depositAmount,
-        upiId: admin.upiId,
-        transactionId,
-        status: 'PENDING',
-      },
+    const deposit = await this.openDeposit(userId, depositAmount, {
+      upiId: admin.upiId,
+      transactionId,
+    }, `Deposit request via UPI: ${admin.upiId}`);
+
+    logger.info(`Deposit request created: ${deposit.id} for user: ${userId}`);
+
+    return { deposit, adminUpiId: admin.upiId };
+  }
+
+  /**
+   * Create an online deposit and start its payment with the gateway
+   * @returns {Promise<Object>} { deposit, payment } - payment is what the user completes
+   */
+  async createGatewayDeposit(userId, amount) {
+    const paymentService = require('./payment.service');
+    const provider = paymentService.getDefaultProvider();
+    const depositAmount = parseFloat(amount);
+
+    const deposit = await this.openDeposit(userId, depositAmount, {
+      provider: provider.name,
+    }, `Online deposit via ${provider.name}`);
+
+    const payment = await paymentService.startPayment(deposit);
+
+    logger.info(`Online deposit created: ${deposit.id} for user: ${userId} (${provider.name})`);
+
+    return { deposit: { ...deposit, providerReference: payment.providerReference }, payment };
+  }
+
+  /**
+   * Create a PENDING deposit and its transaction after the limit checks
+   * @param {Object} fields - Method-specific deposit fields (upiId/transactionId or provider)
+   */
+  async openDeposit(userId, depositAmount, fields, description) {
+    return prisma.$transaction(async (tx) => {
+      // Serialise deposit requests per user so limits cannot be raced
+      await tx.$queryRaw`SELECT "id" FROM "wallets" WHERE "userId" = ${userId} FOR UPDATE`;
+
+      await selfExclusionService.assertNotExcluded(tx, userId);
+
+      // Player-set deposit limits
+      await limitService.assertDepositAllowed(tx, userId, depositAmount);
+
+      // Create deposit request
+      const newDeposit = await tx.deposit.create({
+        data: {
+          userId,
+          amount: depositAmount,
+          ...fields,
+          status: 'PENDING',
+        },
+      });
+
+      // Create transaction record
+      await tx.transaction.create({
+        data: {
+          userId,
+          type: 'DEPOSIT',
+          amount: depositAmount,
+          status: 'PENDING',
+          referenceId: newDeposit.id,
+          description,
+        },
+      });
+
+      return newDeposit;
     });
+  }
 
-    // Create transaction record
-    await prisma.transaction.create({
-      data: {
-        userId,
+  /**
+   * Approve (crediting the wallet) or reject a pending deposit inside a transaction
+   * @param {Object} decision - { status, remarks, verifiedBy, transactionId }
+   * @returns {Promise<Object|null>} The updated deposit, or null if it was no longer pending
+   */
+  async settleDeposit(tx, depositId, { status, remarks = null, verifiedBy = null, transactionId }) {
+    const data = {
+      status,
+      remarks,
+      verifiedBy,
+      verifiedAt: new Date(),
+    };
+
+    if (transactionId) {
+      data.transactionId = transactionId;
+    }
+
+    // Guarded so an admin and a gateway webhook cannot both settle it
+    const { count } = await tx.deposit.updateMany({
+      where: { id: depositId, status: 'PENDING' },
+      data,
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    const deposit = await tx.deposit.findUnique({
+      where: { id: depositId },
+    });
+
+    // Update transaction status
+    await tx.transaction.updateMany({
+      where: {
+        referenceId: depositId,
         type: 'DEPOSIT',
-        amount: depositAmount,
-        status: 'PENDING',
-        referenceId: deposit.id,
-        description: `Deposit request via UPI: ${admin.upiId}`,
+      },
+      data: {
+        status: status === 'APPROVED' ? 'COMPLETED' : 'CANCELLED',
       },
     });
 
-    logger.info(`Deposit request created: ${deposit.id} for user: ${userId}`);
+    // If approved, credit the received funds to the wallet
+    if (status === 'APPROVED') {
+      await ledgerService.transfer(tx, {
+        from: LEDGER_ACCOUNTS.EXTERNAL,
+        to: { userId: deposit.userId },
+        amount: deposit.amount,
+        type: LEDGER_ENTRY_TYPES.DEPOSIT,
+        referenceId: depositId,
+        description: deposit.provider ? `Deposit via ${deposit.provider}` : `Deposit via UPI: ${deposit.upiId}`,
+      });
+    }
 
-    return { deposit, adminUpiId: admin.upiId };
+    return deposit;
+  }
+
+  /**
+   * Follow-up once an approved deposit is committed: referral bonus and live balance
+   */
+  async onDepositApproved(deposit) {
+    try {
+      await referralService.processReferralBonus(
+        deposit.id,
+        deposit.userId,
+        deposit.amount
+      );
+    } catch (bonusErr) {
+      logger.error('Error processing referral bonus:', bonusErr);
+      // Don't fail the deposit if bonus processing fails
+    }
+
+    const gameSocket = require('../app').get('gameSocket');
+    if (gameSocket) {
+      await gameSocket.notifyWalletUpdated(deposit.userId);
+    }
   }
 
   /**
@@ -129,18 +265,9 @@ class WalletService {
   /**
    * Create withdrawal request
    */
-  async createWithdrawal(userId, amount) {
+  async createWithdrawal(userId, amount, payoutMethodId = null) {
     const withdrawalAmount = parseFloat(amount);
 
-    // Check if user has bank details
-    const bankDetails = await prisma.bankDetails.findUnique({
-      where: { userId },
-    });
-
-    if (!bankDetails) {
-      throw new Error('Please add your bank details before requesting a withdrawal');
-    }
-
     // Check wallet balance
     const wallet = await prisma.wallet.findUnique({
       where: { userId },
@@ -150,59 +277,81 @@ class WalletService {
       throw new Error('Insufficient balance');
     }
 
-    // Check for pending withdrawals
-    const pendingWithdrawal = await prisma.withdrawal.findFirst({
-      where: {
-        userId,
-        status: { in: ['PENDING', 'PROCESSING'] },
-      },
-    });
-
-    if (pendingWithdrawal) {
-      throw new Error('You already have a pending withdrawal request');
+    let withdrawal;
+
+    try {
+      withdrawal = await prisma.$transaction(async (tx) => {
+        // Only one withdrawal may be open at a time
+        const openWithdrawal = await tx.withdrawal.findFirst({
+          where: {
+            userId,
+            status: { in: OPEN_WITHDRAWAL_STATUSES },
+          },
+          select: { id: true },
+        });
+
+        if (openWithdrawal) {
+          throw new Error(PENDING_WITHDRAWAL_MESSAGE);
+        }
+
+        // Unverified users may only withdraw up to their KYC level's cap
+        await kycService.assertWithdrawalAllowed(tx, userId, withdrawalAmount);
+
+        // The chosen (or default) payout method, past its cooling-off period
+        const payoutMethod = await payoutMethodService.resolveForWithdrawal(tx, userId, payoutMethodId);
+        const destination = payoutMethodService.describe(payoutMethod);
+
+        // Create withdrawal request
+        const newWithdrawal = await tx.withdrawal.create({
+          data: {
+            userId,
+            amount: withdrawalAmount,
+            status: 'PENDING',
+            bankDetails: payoutMethodService.snapshot(payoutMethod),
+            payoutMethodId: payoutMethod.id,
+          },
+        });
+
+        // Hold the amount until the withdrawal is processed
+        await ledgerService.transfer(tx, {
+          from: { userId },
+          to: LEDGER_ACCOUNTS.PENDING_WITHDRAWAL,
+          amount: withdrawalAmount,
+          type: LEDGER_ENTRY_TYPES.WITHDRAWAL_REQUESTED,
+          referenceId: newWithdrawal.id,
+          description: `Withdrawal request to ${destination}`,
+        });
+
+        // Create transaction record
+        await tx.transaction.create({
+          data: {
+            userId,
+            type: 'WITHDRAWAL',
+            amount: withdrawalAmount,
+            status: 'PENDING',
+            referenceId: newWithdrawal.id,
+            description: `Withdrawal request to ${destination}`,
+          },
+        });
+
+        return newWithdrawal;
+      });
+    } catch (err) {
+      // The partial unique index catches two requests racing past the check
+      if (err.code === 'P2002') {
+        throw new Error(PENDING_WITHDRAWAL_MESSAGE);
+      }
+      throw err;
     }
 
-    // Create withdrawal request
-    const withdrawal = await prisma.withdrawal.create({
-      data: {
-        userId,
-        amount: withdrawalAmount,
-        status: 'PENDING',
-        bankDetails: {
-          accountHolder: bankDetails.accountHolder,
-          accountNumber: bankDetails.accountNumber,
-          ifscCode: bankDetails.ifscCode,
-          bankName: bankDetails.bankName,
-          branchName: bankDetails.branchName,
-        },
-      },
-    });
-
-    // Create transaction record
-    await prisma.transaction.create({
-      data: {
-        userId,
-        type: 'WITHDRAWAL',
-        amount: withdrawalAmount,
-        status: 'PENDING',
-        referenceId: withdrawal.id,
-        description: `Withdrawal request to bank account: ${bankDetails.bankName}`,
-      },
-    });
-
-    // Deduct amount from wallet
-    await prisma.wallet.update({
-      where: { userId },
-      data: {
-        balance: {
-          decrement: withdrawalAmount,
-        },
-      },
-    });
-
     logger.info(`Withdrawal request created: ${withdrawal.id} for user: ${userId}`);
 
-    return withdrawal;
+    const gameSocket = require('../app').get('gameSocket');
+    if (gameSocket) {
+      await gameSocket.notifyWalletUpdated(userId);
+    }
+
+    return payoutMethodService.presentWithdrawal(withdrawal);
   }
 
   /**
@@ -221,50 +370,12 @@ class WalletService {
       prisma.withdrawal.count({ where: { userId } }),
     ]);
 
-    return { withdrawals, total, page, limit };
-  }
-
-  /**
-   * Save or update bank details
-   */
-  async saveBankDetails(userId, bankData) {
-    const { accountHolder, accountNumber, ifscCode, bankName, branchName } = bankData;
-
-    const bankDetails = await prisma.bankDetails.upsert({
-      where: { userId },
-      update: {
-        accountHolder,
-        accountNumber,
-        ifscCode,
-        bankName,
-        branchName,
-      },
-      create: {
-        userId,
-        accountHolder,
-        accountNumber,
-        ifscCode,
-        bankName,
-        branchName,
-      },
-    });
-
-    return bankDetails;
-  }
-
-  /**
-   * Get bank details
-   */
-  async getBankDetails(userId) {
-    const bankDetails = await prisma.bankDetails.findUnique({
-      where: { userId },
-    });
-
-    if (!bankDetails) {
-      throw new Error('Bank details not found');
-    }
-
-    return bankDetails;
+    return {
+      withdrawals: withdrawals.map(withdrawal => payoutMethodService.presentWithdrawal(withdrawal)),
+      total,
+      page,
+      limit,
+    };
   }
 
   /**
@@ -0,0 +1,167 @@
+const { Prisma } = require('@prisma/client');
+const { LEDGER_ACCOUNTS, LEDGER_ENTRY_TYPES, ADMIN_AUDIT_ACTIONS, WITHDRAWAL_TRANSITIONS } = require('../config/constants');
+const ledgerService = require('./ledger.service');
+const auditService = require('./audit.service');
+
+// Status of the linked WITHDRAWAL transaction once a withdrawal reaches a final status
+const TRANSACTION_STATUS_FOR = {
+  COMPLETED: 'COMPLETED',
+  REJECTED: 'FAILED',
+  FAILED: 'FAILED',
+};
+
+// Final statuses that return the held amount to the wallet
+const REFUND_DESCRIPTIONS = {
+  REJECTED: 'Withdrawal rejected, funds returned',
+  FAILED: 'Withdrawal payout failed, funds returned',
+};
+
+/**
+ * Withdrawal Service - Withdrawal lifecycle state machine
+ *
+ * The amount is held in PENDING_WITHDRAWAL from the moment a withdrawal is
+ * requested. Only the moves in WITHDRAWAL_TRANSITIONS are allowed; reaching
+ * COMPLETED pays the held amount out, REJECTED or FAILED refunds it to the
+ * wallet, and the linked WITHDRAWAL transaction follows along. Every move is
+ * guarded on the status it starts from, so two admins acting on the same
+ * withdrawal cannot both succeed.
+ */
+class WithdrawalService {
+  /**
+   * Whether a withdrawal may move from one status to another
+   */
+  canTransition(from, to) {
+    return (WITHDRAWAL_TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Reject an illegal status change
+   */
+  assertTransition(from, to) {
+    if (!this.canTransition(from, to)) {
+      throw new Error(`A ${from.toLowerCase()} withdrawal cannot be moved to ${to.toLowerCase()}`);
+    }
+  }
+
+  /**
+   * Whether reaching a status refunds the held amount
+   */
+  isRefund(status) {
+    return !!REFUND_DESCRIPTIONS[status];
+  }
+
+  /**
+   * Move one withdrawal to a new status inside a transaction, with its audit record
+   * @param {Object} options - { remarks, adminId }
+   * @returns {Promise<Object>} The updated withdrawal
+   */
+  async transition(tx, withdrawalId, to, { remarks, adminId }, auditContext = {}) {
+    const withdrawal = await tx.withdrawal.findUnique({
+      where: { id: withdrawalId },
+    });
+
+    if (!withdrawal) {
+      throw new Error('Withdrawal not found');
+    }
+
+    await this.transitionMany(tx, [withdrawal], to, { remarks, adminId, referenceId: withdrawalId });
+
+    const updated = await tx.withdrawal.findUnique({
+      where: { id: withdrawalId },
+    });
+
+    await auditService.record(tx, {
+      adminId,
+      action: ADMIN_AUDIT_ACTIONS.WITHDRAWAL_PROCESSED,
+      targetType: 'Withdrawal',
+      targetId: withdrawalId,
+      before: { status: withdrawal.status, amount: withdrawal.amount },
+      after: { status: updated.status, amount: updated.amount, remarks: updated.remarks },
+    }, auditContext);
+
+    return updated;
+  }
+
+  /**
+   * Move withdrawals that share a status to a new one inside a transaction
+   * (the caller writes the audit record)
+   * @param {Array<Object>} withdrawals - { id, userId, amount, status }
+   * @param {Object} options - { adminId, remarks, payoutBatchId, referenceId }
+   *   referenceId labels the single payout journal entry when moving to COMPLETED
+   * @returns {Promise<number>} Number of withdrawals moved
+   */
+  async transitionMany(tx, withdrawals, to, { adminId, remarks, payoutBatchId = null, referenceId = null }) {
+    if (withdrawals.length === 0) {
+      return 0;
+    }
+
+    const from = withdrawals[0].status;
+
+    if (withdrawals.some(withdrawal => withdrawal.status !== from)) {
+      throw new Error('Withdrawals moved together must share a status');
+    }
+
+    this.assertTransition(from, to);
+
+    const ids = withdrawals.map(withdrawal => withdrawal.id);
+    const data = { status: to, processedBy: adminId, processedAt: new Date() };
+
+    if (remarks !== undefined) {
+      data.remarks = remarks;
+    }
+
+    if (to === 'PROCESSING') {
+      data.payoutBatchId = payoutBatchId;
+    } else if (from === 'PROCESSING' && to === 'APPROVED') {
+      data.payoutBatchId = null;
+    }
+
+    const { count } = await tx.withdrawal.updateMany({
+      where: { id: { in: ids }, status: from },
+      data,
+    });
+
+    if (count !== ids.length) {
+      throw new Error('Withdrawal was changed by another request, please retry');
+    }
+
+    if (TRANSACTION_STATUS_FOR[to]) {
+      await tx.transaction.updateMany({
+        where: {
+          referenceId: { in: ids },
+          type: 'WITHDRAWAL',
+        },
+        data: { status: TRANSACTION_STATUS_FOR[to] },
+      });
+    }
+
+    // Pay the held amounts out in one entry, or hand each back to its wallet
+    if (to === 'COMPLETED') {
+      const total = withdrawals.reduce((sum, withdrawal) => sum.plus(withdrawal.amount), new Prisma.Decimal(0));
+
+      await ledgerService.transfer(tx, {
+        from: LEDGER_ACCOUNTS.PENDING_WITHDRAWAL,
+        to: LEDGER_ACCOUNTS.EXTERNAL,
+        amount: total,
+        type: LEDGER_ENTRY_TYPES.WITHDRAWAL_PAID,
+        referenceId: referenceId || ids[0],
+        description: ids.length === 1 ? 'Withdrawal paid out' : `${ids.length} withdrawals paid out`,
+      });
+    } else if (this.isRefund(to)) {
+      for (const withdrawal of withdrawals) {
+        await ledgerService.transfer(tx, {
+          from: LEDGER_ACCOUNTS.PENDING_WITHDRAWAL,
+          to: { userId: withdrawal.userId },
+          amount: withdrawal.amount,
+          type: LEDGER_ENTRY_TYPES.WITHDRAWAL_REFUNDED,
+          referenceId: withdrawal.id,
+          description: REFUND_DESCRIPTIONS[to],
+        });
+      }
+    }
+
+    return count;
+  }
+}
+
+module.exports = new WithdrawalService();
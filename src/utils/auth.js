@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 
@@ -43,6 +44,15 @@ const verifyRefreshToken = (token) => {
   return jwt.verify(token, JWT_REFRESH_SECRET);
 };
 
+/**
+ * Expiry of a signed token (signature is not checked)
+ * @param {string} token - JWT token
+ * @returns {Date} Expiry date
+ */
+const getTokenExpiry = (token) => {
+  return new Date(jwt.decode(token).exp * 1000);
+};
+
 /**
  * Hash password using bcrypt
  * @param {string} password - Plain text password
@@ -63,6 +73,35 @@ const comparePassword = async (password, hash) => {
   return bcrypt.compare(password, hash);
 };
 
+/**
+ * Hash an OTP with its own salt (fewer rounds than passwords - OTPs live minutes)
+ * @param {string} otp - Plain OTP
+ * @returns {Promise<string>} Hashed OTP
+ */
+const hashOtp = async (otp) => {
+  const saltRounds = 10;
+  return bcrypt.hash(String(otp), saltRounds);
+};
+
+/**
+ * Compare an OTP with its hash
+ * @param {string} otp - Plain OTP
+ * @param {string} hash - Hashed OTP
+ * @returns {Promise<boolean>} Match result
+ */
+const compareOtp = async (otp, hash) => {
+  return bcrypt.compare(String(otp), hash);
+};
+
+/**
+ * SHA-256 of a high-entropy secret (refresh tokens, backup codes) - no salt needed
+ * @param {string} value - Secret to hash
+ * @returns {string} Hex digest
+ */
+const hashToken = (value) => {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+};
+
 /**
  * Generate a random token
  * @param {number} length - Token length
@@ -82,7 +121,11 @@ module.exports = {
   generateRefreshToken,
   verifyToken,
   verifyRefreshToken,
+  getTokenExpiry,
   hashPassword,
   comparePassword,
+  hashOtp,
+  compareOtp,
+  hashToken,
   generateRandomToken,
 };
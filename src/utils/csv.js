@@ -0,0 +1,113 @@
+/**
+ * CSV Utility
+ * Serializes rows for spreadsheet exports and parses uploaded statements
+ */
+
+// Leading characters a spreadsheet would evaluate as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Escape a single CSV cell
+ * @param {*} value - Cell value (objects are written as JSON)
+ * @returns {string} Escaped cell
+ */
+const escapeCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+/**
+ * Build a CSV document
+ * @param {Array<Object>} rows - Rows to serialize
+ * @param {Array<{ key: string, header: string }>} columns - Column order and headers
+ * @returns {string} CSV text
+ */
+const toCsv = (rows, columns) => {
+  const lines = [columns.map(column => escapeCell(column.header)).join(',')];
+
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCell(row[column.key])).join(','));
+  }
+
+  return lines.join('\r\n');
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted cells, doubled quotes, CRLF or LF)
+ * @param {string} text - CSV document
+ * @returns {Array<string[]>} Rows of cells, blank lines skipped
+ */
+const parseCsv = (text) => {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Malformed CSV: unterminated quoted cell');
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+module.exports = {
+  escapeCell,
+  toCsv,
+  parseCsv,
+};
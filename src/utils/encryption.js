@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const env = require('../config/env');
+const logger = require('./logger');
+
+// Marks an encrypted value: enc:v1:<key id>:<wrapped data key>:<payload>
+const PREFIX = 'enc:v1';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// A fixed key keeps development and test databases readable without configuration
+const DEVELOPMENT_KEY = `dev:${crypto.createHash('sha256').update('color-prediction-development-data-key').digest('base64')}`;
+const DEVELOPMENT_KEY_ENVS = ['development', 'test'];
+
+let keyring = null;
+
+/**
+ * Master keys from DATA_ENCRYPTION_KEYS (`id:base64,...`); the first one encrypts
+ * @returns {Object} { activeId, keys: Map<id, Buffer> }
+ */
+const getKeyring = () => {
+  if (keyring) {
+    return keyring;
+  }
+
+  let config = env.DATA_ENCRYPTION_KEYS;
+
+  if (!config) {
+    // Read raw: env.NODE_ENV defaults to development, and an unset NODE_ENV must not fall back
+    if (!DEVELOPMENT_KEY_ENVS.includes(process.env.NODE_ENV)) {
+      throw new Error('DATA_ENCRYPTION_KEYS is not configured');
+    }
+
+    logger.warn(`DATA_ENCRYPTION_KEYS is not set - encrypting with the PUBLIC development key (NODE_ENV=${process.env.NODE_ENV}). Never use this with real data.`);
+    config = DEVELOPMENT_KEY;
+  }
+
+  const keys = new Map();
+
+  for (const entry of config.split(',').map(part => part.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    const id = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator < 1 || key.length !== 32) {
+      throw new Error(`DATA_ENCRYPTION_KEYS entry "${id || entry}" must be <id>:<32-byte key, base64>`);
+    }
+
+    if (keys.has(id)) {
+      throw new Error(`DATA_ENCRYPTION_KEYS lists key "${id}" twice`);
+    }
+
+    keys.set(id, key);
+  }
+
+  keyring = { activeId: keys.keys().next().value, keys };
+  return keyring;
+};
+
+/**
+ * AES-256-GCM encrypt, returning iv | tag | ciphertext as base64
+ */
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+};
+
+/**
+ * Reverse of seal(); throws if the data was tampered with
+ */
+const open = (key, sealed) => {
+  const data = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_BYTES));
+  decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+
+  return Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+};
+
+/**
+ * Master key by id
+ */
+const getKey = (id) => {
+  const key = getKeyring().keys.get(id);
+
+  if (!key) {
+    throw new Error(`Data encryption key "${id}" is not configured`);
+  }
+
+  return key;
+};
+
+/**
+ * Whether a stored value is encrypted (older rows may still be plaintext)
+ */
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+
+/**
+ * Split an encrypted value into its parts
+ */
+const parse = (value) => {
+  const [keyId, wrappedKey, payload] = value.slice(PREFIX.length + 1).split(':');
+  return { keyId, wrappedKey, payload };
+};
+
+/**
+ * Envelope-encrypt a value: a fresh data key encrypts it, the active master key wraps the data key
+ */
+const encrypt = (plaintext) => {
+  if (plaintext === null || plaintext === undefined || isEncrypted(plaintext)) {
+    return plaintext;
+  }
+
+  const { activeId, keys } = getKeyring();
+  const dataKey = crypto.randomBytes(32);
+
+  return `${PREFIX}:${activeId}:${seal(keys.get(activeId), dataKey)}:${seal(dataKey, String(plaintext))}`;
+};
+
+/**
+ * Decrypt a value (plaintext left from before encryption is returned as is)
+ */
+const decrypt = (value) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const { keyId, wrappedKey, payload } = parse(value);
+  const dataKey = open(getKey(keyId), wrappedKey);
+
+  return open(dataKey, payload).toString('utf8');
+};
+
+/**
+ * Bring a stored value under the active master key: plaintext is encrypted and
+ * a data key wrapped by an older master key is re-wrapped (the payload is untouched)
+ * @returns {string} The value to store (unchanged if it already uses the active key)
+ */
+const rewrap = (value) => {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  if (!isEncrypted(value)) {
+    return encrypt(value);
+  }
+
+  const { activeId, keys } = getKeyring();
+  const { keyId, wrappedKey, payload } = parse(value);
+
+  if (keyId === activeId) {
+    return value;
+  }
+
+  const dataKey = open(getKey(keyId), wrappedKey);
+  return `${PREFIX}:${activeId}:${seal(keys.get(activeId), dataKey)}:${payload}`;
+};
+
+/**
+ * Show only the last four characters, e.g. XXXXXX1234
+ */
+const maskLast4 = (last4) => (last4 ? `XXXXXX${last4}` : null);
+
+module.exports = {
+  isEncrypted,
+  encrypt,
+  decrypt,
+  rewrap,
+  maskLast4,
+};
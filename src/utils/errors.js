@@ -0,0 +1,20 @@
+/**
+ * Errors Utility
+ * Errors the API reports with a machine-readable errorCode next to the message
+ */
+
+/**
+ * Build an error carrying a machine-readable code
+ * @param {string} errorCode - One of ERROR_CODES
+ * @param {string} message - Human-readable message
+ * @returns {Error}
+ */
+const codedError = (errorCode, message) => {
+  const err = new Error(message);
+  err.errorCode = errorCode;
+  return err;
+};
+
+module.exports = {
+  codedError,
+};
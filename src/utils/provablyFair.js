@@ -0,0 +1,89 @@
+/**
+ * Provably Fair Utility
+ * Commit-reveal helpers used to derive and verify round results
+ */
+
+const crypto = require('crypto');
+
+// Largest multiple of 10 below 2^32 - values at or above it are rejected to avoid modulo bias
+const UNBIASED_LIMIT = Math.floor(0x100000000 / 10) * 10;
+
+// Published with every verification so players can recompute results independently
+const ALGORITHM = 'HMAC-SHA256(key=serverSeed, message=clientSeed:nonce); first 4-byte window below 4294967290, mod 10';
+
+/**
+ * Generate a random server seed
+ * @returns {string} 64-character hex seed
+ */
+const generateServerSeed = () => {
+  return crypto.randomBytes(32).toString('hex');
+};
+
+/**
+ * Hash a server seed into its public commitment
+ * @param {string} serverSeed - Server seed
+ * @returns {string} SHA-256 hex digest
+ */
+const hashServerSeed = (serverSeed) => {
+  return crypto.createHash('sha256').update(serverSeed).digest('hex');
+};
+
+/**
+ * Derive the winning number (0-9) from the seeds
+ * @param {string} serverSeed - Revealed server seed
+ * @param {string} clientSeed - Public client seed
+ * @param {number} nonce - Public nonce
+ * @returns {number} Winning number
+ */
+const computeResult = (serverSeed, clientSeed, nonce = 0) => {
+  const digest = crypto
+    .createHmac('sha256', serverSeed)
+    .update(`${clientSeed}:${nonce}`)
+    .digest('hex');
+
+  for (let i = 0; i + 8 <= digest.length; i += 8) {
+    const value = parseInt(digest.slice(i, i + 8), 16);
+    if (value < UNBIASED_LIMIT) {
+      return value % 10;
+    }
+  }
+
+  // Every window rejected (practically impossible) - fall back to the last one
+  return parseInt(digest.slice(-8), 16) % 10;
+};
+
+/**
+ * Create the seed material for a new round
+ * @param {string} clientSeed - Public client seed
+ * @param {number} nonce - Public nonce
+ * @returns {Object} serverSeed, serverSeedHash, clientSeed, nonce
+ */
+const createCommitment = (clientSeed, nonce = 0) => {
+  const serverSeed = generateServerSeed();
+  return {
+    serverSeed,
+    serverSeedHash: hashServerSeed(serverSeed),
+    clientSeed,
+    nonce,
+  };
+};
+
+/**
+ * A round as it may be shown before settlement: the server seed stays hidden
+ * until it is revealed, or anyone reading it could compute the result early
+ * @param {Object} round - GameRound record
+ * @returns {Object} The round, serverSeed null until seedRevealedAt is set
+ */
+const hideUnrevealedSeed = (round) => ({
+  ...round,
+  serverSeed: round.seedRevealedAt ? round.serverSeed : null,
+});
+
+module.exports = {
+  ALGORITHM,
+  generateServerSeed,
+  hashServerSeed,
+  computeResult,
+  createCommitment,
+  hideUnrevealedSeed,
+};
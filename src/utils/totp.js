@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+
+// RFC 4648 base32 alphabet (what authenticator apps expect for secrets)
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULTS = {
+  digits: 6,
+  stepSeconds: 30,
+  window: 1,
+};
+
+/**
+ * Encode bytes as base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string (case, spaces and padding are ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 secret (160 bits, as RFC 4226 recommends)
+ * @returns {string} Base32 secret
+ */
+const generateSecret = (bytes = 20) => {
+  return base32Encode(crypto.randomBytes(bytes));
+};
+
+/**
+ * Time step of a moment
+ * @param {number} now - Milliseconds since epoch
+ * @returns {number} Step counter
+ */
+const timeStep = (now = Date.now(), stepSeconds = DEFAULTS.stepSeconds) => {
+  return Math.floor(now / 1000 / stepSeconds);
+};
+
+/**
+ * HOTP code of a counter (RFC 4226, HMAC-SHA1)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Counter (the time step for TOTP)
+ * @returns {string} Zero-padded code
+ */
+const generateCode = (secret, counter, digits = DEFAULTS.digits) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Check a TOTP code (RFC 6238), allowing `window` steps of clock drift either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { now, digits, stepSeconds, window }
+ * @returns {number|null} The matching time step, or null if the code is wrong
+ */
+const verifyCode = (secret, code, options = {}) => {
+  const { now = Date.now(), digits, stepSeconds, window } = { ...DEFAULTS, ...options };
+  const candidate = String(code || '').replace(/\s/g, '');
+
+  if (!new RegExp(`^[0-9]{${digits}}$`).test(candidate)) {
+    return null;
+  }
+
+  const current = timeStep(now, stepSeconds);
+
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = generateCode(secret, step, digits);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Key URI for authenticator apps (usually shown as a QR code)
+ * @param {string} secret - Base32 secret
+ * @param {string} account - Account label (e.g. mobile number)
+ * @param {string} issuer - Service name
+ * @returns {string} otpauth:// URI
+ */
+const buildOtpauthUri = (secret, account, issuer, options = {}) => {
+  const { digits, stepSeconds } = { ...DEFAULTS, ...options };
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(digits),
+    period: String(stepSeconds),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+};
@@ -0,0 +1,243 @@
+const prisma = require('../config/database');
+const { verifyToken } = require('../utils/auth');
+const selfExclusionService = require('../services/selfExclusion.service');
+const sessionService = require('../services/session.service');
+const logger = require('../utils/logger');
+
+/**
+ * Game WebSocket Handler
+ * Pushes round lifecycle events to players and private bet/wallet events to each user
+ */
+class GameSocket {
+  constructor(io) {
+    this.io = io;
+    this.gameNamespace = io.of('/game');
+
+    this.setupNamespace();
+  }
+
+  /**
+   * Private room of a user (all of their connected devices)
+   */
+  userRoom(userId) {
+    return `user-${userId}`;
+  }
+
+  /**
+   * Setup player namespace with authentication
+   */
+  setupNamespace() {
+    this.gameNamespace.use(async (socket, next) => {
+      try {
+        // Get token from query or auth header
+        const token = socket.handshake.auth.token || socket.handshake.query.token;
+
+        if (!token) {
+          return next(new Error('Authentication required'));
+        }
+
+        const decoded = verifyToken(token);
+
+        if (!decoded.userId) {
+          return next(new Error('User access required'));
+        }
+
+        await sessionService.assertActive(decoded);
+
+        // Check if user exists and is active
+        const user = await prisma.user.findUnique({
+          where: { id: decoded.userId },
+          select: { id: true, isActive: true },
+        });
+
+        if (!user || !user.isActive) {
+          return next(new Error('Invalid or inactive user'));
+        }
+
+        if (await selfExclusionService.getActiveExclusion(prisma, user.id)) {
+          return next(new Error('Self-excluded users cannot join the game'));
+        }
+
+        socket.userId = user.id;
+        next();
+      } catch (err) {
+        logger.error('Game socket authentication error:', err);
+        next(new Error('Authentication failed'));
+      }
+    });
+
+    this.gameNamespace.on('connection', (socket) => {
+      logger.info(`User connected to game socket: ${socket.userId}`);
+
+      socket.join(this.userRoom(socket.userId));
+
+      // Send current state so clients never have to poll for it
+      this.sendInitialData(socket);
+
+      socket.on('disconnect', () => {
+        logger.info(`User disconnected from game socket: ${socket.userId}`);
+      });
+    });
+  }
+
+  /**
+   * Send the active round of every table and the wallet balance to a newly connected player
+   */
+  async sendInitialData(socket) {
+    try {
+      const [rounds, wallet] = await Promise.all([
+        prisma.gameRound.findMany({
+          where: {
+            status: { in: ['OPEN', 'PAUSED'] },
+            resultStatus: 'PENDING',
+            table: { isActive: true },
+          },
+          include: { table: true },
+          orderBy: { startTime: 'desc' },
+        }),
+        prisma.wallet.findUnique({
+          where: { userId: socket.userId },
+          select: { balance: true },
+        }),
+      ]);
+
+      for (const round of rounds) {
+        socket.emit('round-opened', this.roundOpenedPayload(round));
+        socket.emit('countdown', this.countdownPayload(round));
+      }
+
+      if (wallet) {
+        socket.emit('wallet-updated', { balance: parseFloat(wallet.balance) });
+      }
+    } catch (err) {
+      logger.error('Error sending initial game data:', err);
+      socket.emit('error', { message: 'Failed to load initial data' });
+    }
+  }
+
+  /**
+   * Public payload of a newly opened round (round includes its table)
+   */
+  roundOpenedPayload(round) {
+    return {
+      gameRoundId: round.id,
+      table: round.table.code,
+      period: round.period,
+      startTime: round.startTime,
+      duration: round.duration,
+      serverSeedHash: round.serverSeedHash,
+    };
+  }
+
+  /**
+   * Seconds left before betting closes on a round (round includes its table)
+   */
+  countdownPayload(round) {
+    const elapsed = Math.floor((Date.now() - new Date(round.startTime).getTime()) / 1000);
+
+    return {
+      gameRoundId: round.id,
+      table: round.table.code,
+      period: round.period,
+      status: round.status,
+      remaining: Math.max(0, round.duration - elapsed),
+    };
+  }
+
+  /**
+   * Broadcast a newly opened round
+   */
+  notifyRoundOpened(round) {
+    this.gameNamespace.emit('round-opened', this.roundOpenedPayload(round));
+  }
+
+  /**
+   * Broadcast the countdown of a table's active round
+   */
+  notifyCountdown(round) {
+    this.gameNamespace.emit('countdown', this.countdownPayload(round));
+  }
+
+  /**
+   * Broadcast that a round stopped accepting bets (round includes its table)
+   */
+  notifyBettingClosed(round) {
+    this.gameNamespace.emit('betting-closed', {
+      gameRoundId: round.id,
+      table: round.table.code,
+      period: round.period,
+    });
+  }
+
+  /**
+   * Broadcast a declared result, revealing the server seed (round includes its table)
+   */
+  notifyResultDeclared(round) {
+    this.gameNamespace.emit('result-declared', {
+      gameRoundId: round.id,
+      table: round.table.code,
+      period: round.period,
+      number: round.number,
+      color: round.winningColor,
+      size: round.winningSize,
+      serverSeed: round.serverSeed,
+      declaredAt: round.declaredAt,
+    });
+  }
+
+  /**
+   * Broadcast a cancelled round (round includes its table)
+   */
+  notifyRoundCancelled(round) {
+    this.gameNamespace.emit('round-cancelled', {
+      gameRoundId: round.id,
+      table: round.table.code,
+      period: round.period,
+    });
+  }
+
+  /**
+   * Tell a user one of their bets has been settled
+   */
+  notifyBetSettled(bet) {
+    this.gameNamespace.to(this.userRoom(bet.userId)).emit('bet-settled', {
+      betId: bet.id,
+      slipId: bet.slipId,
+      gameRoundId: bet.gameRoundId,
+      betType: bet.betType,
+      selection: bet.selection,
+      amount: parseFloat(bet.amount),
+      result: bet.result,
+      winAmount: parseFloat(bet.winAmount),
+    });
+  }
+
+  /**
+   * Push the current wallet balance to each user (never throws)
+   */
+  async notifyWalletUpdated(userIds) {
+    try {
+      const wallets = await prisma.wallet.findMany({
+        where: { userId: { in: [...new Set([].concat(userIds))] } },
+        select: { userId: true, balance: true },
+      });
+
+      for (const wallet of wallets) {
+        this.gameNamespace.to(this.userRoom(wallet.userId)).emit('wallet-updated', {
+          balance: parseFloat(wallet.balance),
+        });
+      }
+    } catch (err) {
+      logger.error('Error notifying wallet update:', err);
+    }
+  }
+
+  /**
+   * Drop every live connection of a user (after their sessions are revoked)
+   */
+  disconnectUser(userId) {
+    this.gameNamespace.in(this.userRoom(userId)).disconnectSockets(true);
+  }
+}
+
+module.exports = GameSocket;
@@ -1,5 +1,8 @@
 const riskDashboardService = require('../services/riskDashboard.service');
 const gameAdminService = require('../services/gameAdmin.service');
+const auditService = require('../services/audit.service');
+const permissionService = require('../services/permission.service');
+const { ADMIN_PERMISSIONS } = require('../config/constants');
 const logger = require('../utils/logger');
 
 /**
@@ -37,17 +40,37 @@ class RiskDashboardSocket {
           return next(new Error('Admin access required'));
         }
 
+        const sessionService = require('../services/session.service');
+        const twoFactorService = require('../services/twoFactor.service');
+        await sessionService.assertActive(decoded);
+
         // Check if admin exists and is active
         const prisma = require('../config/database');
         const admin = await prisma.admin.findUnique({
           where: { id: decoded.adminId },
-          select: { id: true, mobileNumber: true, role: true, isActive: true },
+          select: {
+            id: true,
+            mobileNumber: true,
+            role: true,
+            isActive: true,
+            totpEnabledAt: true,
+            grantedPermissions: true,
+            revokedPermissions: true,
+          },
         });
 
         if (!admin || !admin.isActive) {
           return next(new Error('Invalid or inactive admin'));
         }
 
+        if (!admin.totpEnabledAt && twoFactorService.isRequired(admin.role)) {
+          return next(new Error('Two-factor authentication setup required'));
+        }
+
+        if (!permissionService.resolve(admin).includes(ADMIN_PERMISSIONS.RISK_VIEW)) {
+          return next(new Error(`Permission required: ${ADMIN_PERMISSIONS.RISK_VIEW}`));
+        }
+
         socket.adminId = admin.id;
         socket.adminRole = admin.role;
         next();
@@ -64,9 +87,9 @@ class RiskDashboardSocket {
       this.sendInitialData(socket);
 
       // Handle subscription to specific round
-      socket.on('subscribe-round', (gameRoundId) => {
-        this.subscribeToRound(socket, gameRoundId);
-      });
+      socket.on('subscribe-round', this.guard(socket, ADMIN_PERMISSIONS.RISK_VIEW, 'subscribe-round', (gameRoundId) => {
+        return this.subscribeToRound(socket, gameRoundId);
+      }));
 
       // Handle unsubscribe
       socket.on('unsubscribe-round', (gameRoundId) => {
@@ -74,25 +97,21 @@ class RiskDashboardSocket {
       });
 
       // Handle admin actions
-      socket.on('force-result', async (data) => {
-        await this.handleForceResult(socket, data);
-      });
+      socket.on('auto-result', this.guard(socket, ADMIN_PERMISSIONS.ROUNDS_DECLARE, 'auto-result', (data) => {
+        return this.handleAutoResult(socket, data);
+      }));
 
-      socket.on('auto-result', async (data) => {
-        await this.handleAutoResult(socket, data);
-      });
+      socket.on('cancel-round', this.guard(socket, ADMIN_PERMISSIONS.ROUNDS_CANCEL, 'cancel-round', (data) => {
+        return this.handleCancelRound(socket, data);
+      }));
 
-      socket.on('cancel-round', async (data) => {
-        await this.handleCancelRound(socket, data);
-      });
+      socket.on('pause-betting', this.guard(socket, ADMIN_PERMISSIONS.ROUNDS_CONTROL, 'pause-betting', (data) => {
+        return this.handlePauseBetting(socket, data);
+      }));
 
-      socket.on('pause-betting', async (data) => {
-        await this.handlePauseBetting(socket, data);
-      });
-
-      socket.on('resume-betting', async (data) => {
-        await this.handleResumeBetting(socket, data);
-      });
+      socket.on('resume-betting', this.guard(socket, ADMIN_PERMISSIONS.ROUNDS_CONTROL, 'resume-betting', (data) => {
+        return this.handleResumeBetting(socket, data);
+      }));
 
       // Handle disconnection
       socket.on('disconnect', () => {
@@ -101,6 +120,26 @@ class RiskDashboardSocket {
     });
   }
 
+  /**
+   * Wrap an event handler so it only runs if the admin (still) has a permission.
+   * Permissions are re-read on every event so a revoked grant takes effect at once.
+   */
+  guard(socket, permission, action, handler) {
+    return async (data) => {
+      try {
+        if (!(await permissionService.hasPermission(socket.adminId, permission))) {
+          socket.emit('action-error', { action, message: `Permission required: ${permission}` });
+          return;
+        }
+
+        await handler(data);
+      } catch (err) {
+        logger.error(`Error handling ${action}:`, err);
+        socket.emit('action-error', { action, message: err.message });
+      }
+    };
+  }
+
   /**
    * Send initial data to connected admin
    */
@@ -202,46 +241,21 @@ class RiskDashboardSocket {
     }
   }
 
-  /**
-   * Handle force result action
-   */
-  async handleForceResult(socket, { gameRoundId, winningOption }) {
-    try {
-      const result = await gameAdminService.declareResult(
-        gameRoundId,
-        winningOption,
-        socket.adminId
-      );
-
-      // Broadcast result to all subscribers
-      this.adminNamespace.to(`round-${gameRoundId}`).emit('result-declared', {
-        gameRoundId,
-        declaredBy: 'ADMIN',
-        adminId: socket.adminId,
-        result,
-      });
-
-      // Stop updates for this round
-      this.stopRealtimeUpdates(gameRoundId);
-
-      socket.emit('action-success', { action: 'force-result', result });
-    } catch (err) {
-      logger.error('Error forcing result:', err);
-      socket.emit('action-error', { action: 'force-result', message: err.message });
-    }
-  }
-
   /**
    * Handle auto result action
    */
   async handleAutoResult(socket, { gameRoundId }) {
     try {
-      const result = await gameAdminService.autoCalculateResult(gameRoundId);
+      const result = await gameAdminService.autoCalculateResult(
+        gameRoundId,
+        socket.adminId,
+        auditService.contextFromSocket(socket)
+      );
 
       // Broadcast result to all subscribers
       this.adminNamespace.to(`round-${gameRoundId}`).emit('result-declared', {
         gameRoundId,
-        declaredBy: 'SYSTEM',
+        declaredBy: socket.adminId,
         result,
       });
 
@@ -260,7 +274,11 @@ class RiskDashboardSocket {
    */
   async handleCancelRound(socket, { gameRoundId }) {
     try {
-      const result = await gameAdminService.cancelRound(gameRoundId, socket.adminId);
+      const result = await gameAdminService.cancelRound(
+        gameRoundId,
+        socket.adminId,
+        auditService.contextFromSocket(socket)
+      );
 
       // Broadcast cancellation to all subscribers
       this.adminNamespace.to(`round-${gameRoundId}`).emit('round-cancelled', {
@@ -284,7 +302,12 @@ class RiskDashboardSocket {
    */
   async handlePauseBetting(socket, { gameRoundId }) {
     try {
-      const result = await gameAdminService.updateRoundStatus(gameRoundId, 'PAUSED');
+      const result = await gameAdminService.updateRoundStatus(
+        gameRoundId,
+        'PAUSED',
+        socket.adminId,
+        auditService.contextFromSocket(socket)
+      );
 
       // Broadcast to all subscribers
       this.adminNamespace.to(`round-${gameRoundId}`).emit('status-changed', {
@@ -305,7 +328,12 @@ class RiskDashboardSocket {
    */
   async handleResumeBetting(socket, { gameRoundId }) {
     try {
-      const result = await gameAdminService.updateRoundStatus(gameRoundId, 'OPEN');
+      const result = await gameAdminService.updateRoundStatus(
+        gameRoundId,
+        'OPEN',
+        socket.adminId,
+        auditService.contextFromSocket(socket)
+      );
 
       // Broadcast to all subscribers
       this.adminNamespace.to(`round-${gameRoundId}`).emit('status-changed', {
@@ -352,6 +380,19 @@ class RiskDashboardSocket {
     }
   }
 
+  /**
+   * Alert all connected admins to an OTP lockout
+   */
+  notifyOtpLockout(lockout) {
+    this.adminNamespace.emit('otp-lockout', {
+      id: lockout.id,
+      mobileNumber: lockout.mobileNumber,
+      purpose: lockout.purpose,
+      reason: lockout.reason,
+      createdAt: lockout.createdAt,
+    });
+  }
+
   /**
    * Broadcast global updates to all connected admins
    */
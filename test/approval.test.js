@@ -0,0 +1,88 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useFakePrisma } = require('./helpers/fakePrisma');
+
+const prisma = useFakePrisma();
+
+const approvalService = require('../src/services/approval.service');
+const { FOUR_EYES, ADMIN_AUDIT_ACTIONS } = require('../src/config/constants');
+
+const MAKER = 'admin-1';
+const OTHER_ADMIN = 'admin-2';
+const USER = 'user-1';
+const OTHER_USER = 'user-2';
+const HOUR = 60 * 60 * 1000;
+
+const adjusted = (amount, { adminId = MAKER, userId = USER, ago = HOUR } = {}) => prisma.adminAuditLog.create({
+  data: {
+    adminId,
+    action: ADMIN_AUDIT_ACTIONS.BALANCE_ADJUSTED,
+    targetType: 'User',
+    targetId: userId,
+    after: { amount },
+    createdAt: new Date(Date.now() - ago),
+  },
+});
+
+const approvedWithdrawal = async (amount, { adminId = MAKER, userId = USER, ago = HOUR } = {}) => {
+  const withdrawal = await prisma.withdrawal.create({ data: { userId, amount, status: 'APPROVED' } });
+
+  await prisma.adminAuditLog.create({
+    data: {
+      adminId,
+      action: ADMIN_AUDIT_ACTIONS.WITHDRAWAL_PROCESSED,
+      targetType: 'Withdrawal',
+      targetId: withdrawal.id,
+      after: { status: 'APPROVED', amount },
+      createdAt: new Date(Date.now() - ago),
+    },
+  });
+};
+
+describe('approval.service', () => {
+  beforeEach(async () => {
+    await prisma.adminAuditLog.deleteMany();
+    await prisma.withdrawal.deleteMany();
+    await prisma.setting.deleteMany();
+  });
+
+  describe('requiresAdjustmentApproval', () => {
+    const threshold = FOUR_EYES.ADJUSTMENT_THRESHOLD;
+
+    it('compares a single adjustment with the threshold', async () => {
+      assert.equal(await approvalService.requiresAdjustmentApproval(threshold, MAKER, USER), false);
+      assert.equal(await approvalService.requiresAdjustmentApproval(-(threshold + 1), MAKER, USER), true);
+    });
+
+    it('adds what the same admin posted to the same user in the window', async () => {
+      await adjusted(threshold / 2);
+      await adjusted(-threshold / 4);
+
+      assert.equal(await approvalService.requiresAdjustmentApproval(threshold / 4, MAKER, USER), false);
+      assert.equal(await approvalService.requiresAdjustmentApproval(threshold / 4 + 1, MAKER, USER), true);
+    });
+
+    it('ignores other admins, other users and adjustments before the window', async () => {
+      await adjusted(threshold, { adminId: OTHER_ADMIN });
+      await adjusted(threshold, { userId: OTHER_USER });
+      await adjusted(threshold, { ago: (FOUR_EYES.WINDOW_HOURS + 1) * HOUR });
+
+      assert.equal(await approvalService.requiresAdjustmentApproval(threshold, MAKER, USER), false);
+    });
+  });
+
+  describe('requiresWithdrawalApproval', () => {
+    const threshold = FOUR_EYES.WITHDRAWAL_THRESHOLD;
+
+    it('adds the withdrawals the same admin approved for the same user in the window', async () => {
+      await approvedWithdrawal(threshold / 2);
+      await approvedWithdrawal(threshold / 2, { adminId: OTHER_ADMIN });
+      await approvedWithdrawal(threshold / 2, { userId: OTHER_USER });
+      await approvedWithdrawal(threshold / 2, { ago: (FOUR_EYES.WINDOW_HOURS + 1) * HOUR });
+
+      assert.equal(await approvalService.requiresWithdrawalApproval(threshold / 2, MAKER, USER), false);
+      assert.equal(await approvalService.requiresWithdrawalApproval(threshold / 2 + 1, MAKER, USER), true);
+    });
+  });
+});
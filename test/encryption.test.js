@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const env = require('../src/config/env');
+
+const ACCOUNT_NUMBER = '123456789012';
+const OLD_KEY = `old:${crypto.randomBytes(32).toString('base64')}`;
+const NEW_KEY = `new:${crypto.randomBytes(32).toString('base64')}`;
+
+/**
+ * Load the module against a DATA_ENCRYPTION_KEYS value (the keyring is cached per load)
+ */
+const loadWithKeys = (keys) => {
+  env.DATA_ENCRYPTION_KEYS = keys;
+  delete require.cache[require.resolve('../src/utils/encryption')];
+  return require('../src/utils/encryption');
+};
+
+const keyIdOf = (value) => value.split(':')[2];
+const payloadOf = (value) => value.split(':')[4];
+
+describe('utils/encryption', () => {
+  it('decrypts what it encrypts', () => {
+    const encryption = loadWithKeys(OLD_KEY);
+    const encrypted = encryption.encrypt(ACCOUNT_NUMBER);
+
+    assert.ok(encryption.isEncrypted(encrypted));
+    assert.ok(!encrypted.includes(ACCOUNT_NUMBER));
+    assert.equal(keyIdOf(encrypted), 'old');
+    assert.equal(encryption.decrypt(encrypted), ACCOUNT_NUMBER);
+    assert.notEqual(encryption.encrypt(ACCOUNT_NUMBER), encrypted);
+  });
+
+  it('passes null and plaintext left from before encryption through', () => {
+    const encryption = loadWithKeys(OLD_KEY);
+
+    assert.equal(encryption.encrypt(null), null);
+    assert.equal(encryption.encrypt(undefined), undefined);
+    assert.equal(encryption.decrypt(null), null);
+    assert.equal(encryption.decrypt(ACCOUNT_NUMBER), ACCOUNT_NUMBER);
+  });
+
+  it('does not wrap an encrypted value a second time', () => {
+    const encryption = loadWithKeys(OLD_KEY);
+    const encrypted = encryption.encrypt(ACCOUNT_NUMBER);
+
+    assert.equal(encryption.encrypt(encrypted), encrypted);
+    assert.equal(encryption.decrypt(encryption.encrypt(encrypted)), ACCOUNT_NUMBER);
+  });
+
+  it('rejects a tampered value', () => {
+    const encryption = loadWithKeys(OLD_KEY);
+    const encrypted = encryption.encrypt(ACCOUNT_NUMBER);
+    const payload = Buffer.from(payloadOf(encrypted), 'base64');
+    payload[payload.length - 1] ^= 1;
+
+    assert.throws(() => encryption.decrypt(encrypted.replace(payloadOf(encrypted), payload.toString('base64'))));
+  });
+
+  it('still decrypts after a rotation and re-wraps under the new key', () => {
+    const encrypted = loadWithKeys(OLD_KEY).encrypt(ACCOUNT_NUMBER);
+
+    const rotated = loadWithKeys(`${NEW_KEY},${OLD_KEY}`);
+    assert.equal(rotated.decrypt(encrypted), ACCOUNT_NUMBER);
+    assert.equal(keyIdOf(rotated.encrypt(ACCOUNT_NUMBER)), 'new');
+
+    const rewrapped = rotated.rewrap(encrypted);
+    assert.equal(keyIdOf(rewrapped), 'new');
+    assert.equal(payloadOf(rewrapped), payloadOf(encrypted));
+    assert.equal(rotated.decrypt(rewrapped), ACCOUNT_NUMBER);
+    assert.equal(rotated.rewrap(rewrapped), rewrapped);
+
+    const retired = loadWithKeys(NEW_KEY);
+    assert.equal(retired.decrypt(rewrapped), ACCOUNT_NUMBER);
+    assert.throws(() => retired.decrypt(encrypted), /"old" is not configured/);
+  });
+
+  it('encrypts plaintext when re-wrapping', () => {
+    const encryption = loadWithKeys(NEW_KEY);
+    const rewrapped = encryption.rewrap(ACCOUNT_NUMBER);
+
+    assert.equal(keyIdOf(rewrapped), 'new');
+    assert.equal(encryption.decrypt(rewrapped), ACCOUNT_NUMBER);
+    assert.equal(encryption.rewrap(null), null);
+  });
+
+  it('rejects a malformed key list', () => {
+    assert.throws(() => loadWithKeys('short:AAAA').encrypt(ACCOUNT_NUMBER), /must be <id>:<32-byte key, base64>/);
+    assert.throws(() => loadWithKeys(`${OLD_KEY},${OLD_KEY}`).encrypt(ACCOUNT_NUMBER), /lists key "old" twice/);
+  });
+});
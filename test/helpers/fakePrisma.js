@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const path = require('path');
+
+/**
+ * In-memory stand-in for the Prisma client
+ *
+ * Covers the subset of the query API the services under test use: plain
+ * equality, null, the comparison operators and OR/AND/NOT in `where`, and
+ * `increment` in update data. `select` and `include` are ignored - whole
+ * records are returned. Transactions run against the same tables (there is
+ * no rollback), which is enough for single-request tests.
+ */
+
+const isPlainObject = (value) => value !== null && typeof value === 'object'
+  && !(value instanceof Date) && !Array.isArray(value);
+
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+const matchesValue = (actual, condition) => {
+  if (!isPlainObject(condition)) {
+    return comparable(actual ?? null) === comparable(condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    const value = comparable(actual ?? null);
+
+    switch (operator) {
+      case 'equals':
+        return value === comparable(operand);
+      case 'not':
+        return !matchesValue(actual, operand);
+      case 'in':
+        return operand.map(comparable).includes(value);
+      case 'notIn':
+        return !operand.map(comparable).includes(value);
+      case 'lt':
+        return value !== null && value < comparable(operand);
+      case 'lte':
+        return value !== null && value <= comparable(operand);
+      case 'gt':
+        return value !== null && value > comparable(operand);
+      case 'gte':
+        return value !== null && value >= comparable(operand);
+      default:
+        throw new Error(`fakePrisma: unsupported operator "${operator}"`);
+    }
+  });
+};
+
+const matches = (record, where = {}) => Object.entries(where).every(([key, condition]) => {
+  if (key === 'OR') {
+    return condition.some(part => matches(record, part));
+  }
+  if (key === 'AND') {
+    return condition.every(part => matches(record, part));
+  }
+  if (key === 'NOT') {
+    return !matches(record, condition);
+  }
+  return matchesValue(record[key], condition);
+});
+
+const applyData = (record, data) => {
+  for (const [key, value] of Object.entries(data)) {
+    record[key] = isPlainObject(value) && 'increment' in value
+      ? (record[key] || 0) + value.increment
+      : value;
+  }
+  return record;
+};
+
+const createModel = (rows) => ({
+  rows,
+
+  async findUnique({ where }) {
+    const found = rows.find(row => matches(row, where));
+    return found ? { ...found } : null;
+  },
+
+  async findFirst({ where } = {}) {
+    return this.findUnique({ where });
+  },
+
+  async findMany({ where } = {}) {
+    return rows.filter(row => matches(row, where)).map(row => ({ ...row }));
+  },
+
+  async count({ where } = {}) {
+    return rows.filter(row => matches(row, where)).length;
+  },
+
+  async create({ data }) {
+    const row = { id: crypto.randomUUID(), createdAt: new Date(), ...data };
+    rows.push(row);
+    return { ...row };
+  },
+
+  async createMany({ data }) {
+    for (const item of data) {
+      await this.create({ data: item });
+    }
+    return { count: data.length };
+  },
+
+  async update({ where, data }) {
+    const row = rows.find(candidate => matches(candidate, where));
+
+    if (!row) {
+      const err = new Error('Record to update not found.');
+      err.code = 'P2025';
+      throw err;
+    }
+
+    return { ...applyData(row, data) };
+  },
+
+  async updateMany({ where, data }) {
+    const found = rows.filter(row => matches(row, where));
+    found.forEach(row => applyData(row, data));
+    return { count: found.length };
+  },
+
+  async deleteMany({ where } = {}) {
+    const kept = rows.filter(row => !matches(row, where));
+    const count = rows.length - kept.length;
+    rows.splice(0, rows.length, ...kept);
+    return { count };
+  },
+});
+
+/**
+ * Create a fake client; any model is created on first use
+ * @param {Object} seed - { modelName: [rows] }
+ */
+const createFakePrisma = (seed = {}) => {
+  const models = {};
+
+  const client = new Proxy({}, {
+    get(target, name) {
+      if (name === '$transaction') {
+        return async (work) => (typeof work === 'function' ? work(client) : Promise.all(work));
+      }
+      if (typeof name !== 'string' || name.startsWith('$') || name === 'then') {
+        return undefined;
+      }
+      if (!models[name]) {
+        models[name] = createModel((seed[name] || []).map(row => ({ ...row })));
+      }
+      return models[name];
+    },
+  });
+
+  return client;
+};
+
+/**
+ * Make `require('../config/database')` return a fake client
+ * (call before requiring any service)
+ */
+const useFakePrisma = (seed = {}) => {
+  const client = createFakePrisma(seed);
+  const databasePath = path.resolve(__dirname, '../../src/config/database.js');
+
+  require.cache[databasePath] = {
+    id: databasePath,
+    filename: databasePath,
+    loaded: true,
+    exports: client,
+  };
+
+  return client;
+};
+
+module.exports = {
+  createFakePrisma,
+  useFakePrisma,
+};
@@ -0,0 +1,108 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Fast retries; must be set before the config is loaded
+process.env.SMS_MAX_ATTEMPTS = '3';
+process.env.SMS_RETRY_BASE_MS = '1';
+
+const { useFakePrisma } = require('./helpers/fakePrisma');
+
+const prisma = useFakePrisma();
+
+const otpDeliveryService = require('../src/services/otpDelivery.service');
+const { MemorySmsProvider, createSmsProvider } = require('../src/services/sms');
+
+const MOBILE = '9876543210';
+
+const provider = new MemorySmsProvider();
+
+/**
+ * Wait until a delivery is SENT or FAILED (retries included)
+ */
+const waitForDelivery = async (deliveryId) => {
+  for (let i = 0; i < 200; i++) {
+    const delivery = await prisma.otpDelivery.findUnique({ where: { id: deliveryId } });
+
+    if (delivery.status === 'SENT' || delivery.status === 'FAILED') {
+      return delivery;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+
+  throw new Error(`OTP delivery ${deliveryId} never settled`);
+};
+
+const enqueue = () => otpDeliveryService.enqueue({
+  otpId: 'otp-1',
+  mobileNumber: MOBILE,
+  purpose: 'LOGIN',
+  message: 'Your OTP is 123456',
+});
+
+describe('otpDelivery.service', () => {
+  beforeEach(() => {
+    provider.reset();
+    otpDeliveryService.setProvider(provider);
+  });
+
+  it('records a queued delivery and sends it', async () => {
+    const queued = await enqueue();
+
+    assert.equal(queued.provider, 'memory');
+
+    const delivery = await waitForDelivery(queued.id);
+
+    assert.equal(delivery.status, 'SENT');
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.providerMessageId, 'memory-1');
+    assert.ok(delivery.sentAt instanceof Date);
+    assert.equal(provider.lastMessageTo(MOBILE).message, 'Your OTP is 123456');
+  });
+
+  it('retries a failed attempt', async () => {
+    provider.failNext(2);
+
+    const delivery = await waitForDelivery((await enqueue()).id);
+
+    assert.equal(delivery.status, 'SENT');
+    assert.equal(delivery.attempts, 3);
+    assert.equal(delivery.lastError, null);
+    assert.equal(provider.sent.length, 1);
+  });
+
+  it('fails once SMS_MAX_ATTEMPTS is used up', async () => {
+    provider.failNext(3);
+
+    const delivery = await waitForDelivery((await enqueue()).id);
+
+    assert.equal(delivery.status, 'FAILED');
+    assert.equal(delivery.attempts, 3);
+    assert.equal(delivery.lastError, 'Simulated SMS failure');
+    assert.equal(provider.sent.length, 0);
+  });
+
+  it('never stores the message text', async () => {
+    const delivery = await waitForDelivery((await enqueue()).id);
+
+    assert.ok(!JSON.stringify(delivery).includes('123456'));
+  });
+
+  it('retries security alerts too', async () => {
+    provider.failNext(1);
+
+    otpDeliveryService.sendAlert({ mobileNumber: MOBILE, message: 'New login to your account' });
+
+    for (let i = 0; i < 200 && provider.sent.length === 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    assert.equal(provider.lastMessageTo(MOBILE).message, 'New login to your account');
+  });
+
+  it('creates the provider named by SMS_PROVIDER', () => {
+    assert.equal(createSmsProvider('memory').name, 'memory');
+    assert.equal(createSmsProvider('MOCK').name, 'console');
+    assert.throws(() => createSmsProvider('carrier-pigeon'), /Unknown SMS_PROVIDER/);
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PaymentProvider = require('../src/services/payments/paymentProvider');
+const { PAYMENTS, ERROR_CODES } = require('../src/config/constants');
+
+const SECRET = 'test-webhook-secret';
+const BODY = '{"id":"evt_1","reference":"ref_1","status":"SUCCEEDED","amount":500}';
+const START = Date.UTC(2026, 0, 1, 12, 0, 0);
+
+const provider = new PaymentProvider('test');
+
+let now = START;
+
+const rejectsWith = (verify, message) => assert.throws(verify, err => (
+  err.errorCode === ERROR_CODES.WEBHOOK_SIGNATURE_INVALID && message.test(err.message)
+));
+
+describe('payments/paymentProvider', () => {
+  beforeEach(() => {
+    now = START;
+    provider.setClock(() => now);
+  });
+
+  describe('verifySignature', () => {
+    it('accepts a signature made with the secret', () => {
+      const header = provider.sign(SECRET, BODY);
+
+      assert.match(header, /^t=\d+,v1=[0-9a-f]{64}$/);
+      provider.verifySignature(SECRET, header, BODY);
+      provider.verifySignature(SECRET, header, Buffer.from(BODY));
+    });
+
+    it('rejects a tampered body, signature or secret', () => {
+      const header = provider.sign(SECRET, BODY);
+      const tampered = header.replace(/.$/, char => (char === '0' ? '1' : '0'));
+
+      rejectsWith(() => provider.verifySignature(SECRET, header, BODY.replace('500', '5000')), /invalid/);
+      rejectsWith(() => provider.verifySignature(SECRET, tampered, BODY), /invalid/);
+      rejectsWith(() => provider.verifySignature('other-secret', header, BODY), /invalid/);
+      rejectsWith(() => provider.verifySignature(SECRET, `${header}00`, BODY), /invalid/);
+    });
+
+    it('rejects a missing or malformed header', () => {
+      const digest = provider.sign(SECRET, BODY).split(',')[1];
+
+      rejectsWith(() => provider.verifySignature(SECRET, undefined, BODY), /missing/);
+      rejectsWith(() => provider.verifySignature(SECRET, '', BODY), /missing/);
+      rejectsWith(() => provider.verifySignature(SECRET, digest, BODY), /missing/);
+      rejectsWith(() => provider.verifySignature(SECRET, `t=${START / 1000}`, BODY), /missing/);
+    });
+
+    it('accepts a signature only within the replay window', () => {
+      const header = provider.sign(SECRET, BODY);
+
+      now = START + PAYMENTS.WEBHOOK_TOLERANCE_SECONDS * 1000;
+      provider.verifySignature(SECRET, header, BODY);
+
+      now += 1000;
+      rejectsWith(() => provider.verifySignature(SECRET, header, BODY), /replay window/);
+
+      now = START - (PAYMENTS.WEBHOOK_TOLERANCE_SECONDS + 1) * 1000;
+      rejectsWith(() => provider.verifySignature(SECRET, header, BODY), /replay window/);
+    });
+
+    it('checks the signature before the timestamp', () => {
+      const stale = provider.sign(SECRET, BODY, START / 1000 - PAYMENTS.WEBHOOK_TOLERANCE_SECONDS - 1);
+
+      rejectsWith(() => provider.verifySignature(SECRET, stale, BODY.replace('500', '5000')), /invalid/);
+    });
+  });
+});
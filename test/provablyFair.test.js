@@ -0,0 +1,33 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const provablyFair = require('../src/utils/provablyFair');
+
+describe('utils/provablyFair', () => {
+  it('commits to the server seed by its hash', () => {
+    const commitment = provablyFair.createCommitment('20260101A0001');
+
+    assert.match(commitment.serverSeed, /^[0-9a-f]{64}$/);
+    assert.equal(commitment.serverSeedHash, provablyFair.hashServerSeed(commitment.serverSeed));
+    assert.equal(commitment.clientSeed, '20260101A0001');
+  });
+
+  it('derives the same number from the same seeds', () => {
+    const { serverSeed } = provablyFair.createCommitment('period');
+    const number = provablyFair.computeResult(serverSeed, 'period', 0);
+
+    assert.ok(Number.isInteger(number) && number >= 0 && number <= 9);
+    assert.equal(provablyFair.computeResult(serverSeed, 'period', 0), number);
+  });
+
+  it('hides the server seed until it is revealed', () => {
+    const round = { id: 'round-1', status: 'OPEN', serverSeed: 'secret', serverSeedHash: 'hash', seedRevealedAt: null };
+
+    assert.equal(provablyFair.hideUnrevealedSeed(round).serverSeed, null);
+    assert.equal(provablyFair.hideUnrevealedSeed(round).serverSeedHash, 'hash');
+    assert.equal(round.serverSeed, 'secret');
+
+    const revealed = { ...round, status: 'RESULT_DECLARED', seedRevealedAt: new Date() };
+    assert.equal(provablyFair.hideUnrevealedSeed(revealed).serverSeed, 'secret');
+  });
+});
@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const settlementService = require('../src/services/settlement.service');
+
+// Expected multiplier of every selection for each winning number 0-9, written out by hand
+// so the table checks the rules rather than re-deriving them from the constants
+const EXPECTED = {
+  COLOR: {
+    GREEN: [0, 1.95, 0, 1.95, 0, 1.45, 0, 1.95, 0, 1.95],
+    RED: [1.45, 0, 1.95, 0, 1.95, 0, 1.95, 0, 1.95, 0],
+    VIOLET: [4.5, 0, 0, 0, 0, 4.5, 0, 0, 0, 0],
+  },
+  SIZE: {
+    SMALL: [1.95, 1.95, 1.95, 1.95, 1.95, 0, 0, 0, 0, 0],
+    BIG: [0, 0, 0, 0, 0, 1.95, 1.95, 1.95, 1.95, 1.95],
+  },
+  NUMBER: Object.fromEntries(
+    Array.from({ length: 10 }, (_, selection) => [
+      selection,
+      Array.from({ length: 10 }, (_, number) => (number === selection ? 8.5 : 0)),
+    ])
+  ),
+};
+
+const STAKE = 100;
+
+const cases = Object.entries(EXPECTED).flatMap(([betType, selections]) =>
+  Object.entries(selections).flatMap(([selection, multipliers]) =>
+    multipliers.map((multiplier, number) => ({ betType, selection: String(selection), number, multiplier }))
+  )
+);
+
+describe('settlement.service', () => {
+  it('covers every outcome against every selection', () => {
+    // 10 outcomes x (3 colours + 10 numbers + 2 sizes)
+    assert.equal(cases.length, 150);
+  });
+
+  describe('getMultiplier', () => {
+    for (const { betType, selection, number, multiplier } of cases) {
+      it(`${betType} ${selection} on ${number} pays x${multiplier}`, () => {
+        const outcome = settlementService.getOutcome(number);
+        assert.equal(settlementService.getMultiplier({ betType, selection }, outcome), multiplier);
+      });
+    }
+
+    it('accepts lower-case selections', () => {
+      const outcome = settlementService.getOutcome(5);
+      assert.equal(settlementService.getMultiplier({ betType: 'COLOR', selection: 'green' }, outcome), 1.45);
+      assert.equal(settlementService.getMultiplier({ betType: 'SIZE', selection: 'big' }, outcome), 1.95);
+    });
+
+    it('uses the round payout overrides', () => {
+      const payouts = settlementService.resolvePayouts({ DUAL_COLOR: 1.5, NUMBER: 9 });
+      assert.equal(settlementService.getMultiplier({ betType: 'COLOR', selection: 'RED' }, settlementService.getOutcome(0), payouts), 1.5);
+      assert.equal(settlementService.getMultiplier({ betType: 'COLOR', selection: 'RED' }, settlementService.getOutcome(2), payouts), 1.95);
+      assert.equal(settlementService.getMultiplier({ betType: 'NUMBER', selection: '3' }, settlementService.getOutcome(3), payouts), 9);
+    });
+  });
+
+  describe('settleBet', () => {
+    for (const { betType, selection, number, multiplier } of cases) {
+      const expected = multiplier > 0
+        ? { result: 'WON', winAmount: Math.round(STAKE * multiplier * 100) / 100 }
+        : { result: 'LOST', winAmount: 0 };
+
+      it(`${betType} ${selection} on ${number} is ${expected.result}`, () => {
+        const bet = { betType, selection, amount: String(STAKE) };
+        assert.deepEqual(settlementService.settleBet(bet, settlementService.getOutcome(number)), expected);
+      });
+    }
+
+    it('rounds the win amount to paise', () => {
+      const bet = { betType: 'COLOR', selection: 'RED', amount: '10.33' };
+      assert.deepEqual(settlementService.settleBet(bet, settlementService.getOutcome(0)), { result: 'WON', winAmount: 14.98 });
+    });
+  });
+
+  describe('cancelBet', () => {
+    it('refunds the full stake', () => {
+      assert.deepEqual(settlementService.cancelBet({ amount: '55.50' }), {
+        result: 'CANCELLED',
+        winAmount: 0,
+        refundAmount: 55.5,
+      });
+    });
+  });
+
+  describe('getOutcome', () => {
+    it('rejects numbers outside 0-9', () => {
+      assert.throws(() => settlementService.getOutcome(10), /Invalid winning number/);
+      assert.throws(() => settlementService.getOutcome('x'), /Invalid winning number/);
+    });
+  });
+});
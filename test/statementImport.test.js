@@ -0,0 +1,115 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useFakePrisma } = require('./helpers/fakePrisma');
+
+useFakePrisma();
+
+const { Prisma } = require('@prisma/client');
+const statementImportService = require('../src/services/statementImport.service');
+
+// Statement times without a zone are IST (UTC+05:30)
+const AMOUNTS = [
+  { cell: '1,000.00', amount: '1000.00' },
+  { cell: 'Rs. 500', amount: '500.00' },
+  { cell: 'INR 1,250.5', amount: '1250.50' },
+  { cell: '250.00 CR', amount: '250.00' },
+  { cell: '250.00 DR', amount: '-250.00' },
+  { cell: '(300.00)', amount: '-300.00' },
+  { cell: '-75', amount: '-75.00' },
+  { cell: '99.999', amount: '100.00' },
+  { cell: '', amount: null },
+  { cell: 'n/a', amount: null },
+  { cell: '1.2.3', amount: null },
+];
+
+const DATES = [
+  { cell: '2026-01-15T10:30:00Z', date: '2026-01-15T10:30:00.000Z' },
+  { cell: '2026-01-15T10:30:00+05:30', date: '2026-01-15T05:00:00.000Z' },
+  { cell: '2026-01-15 10:30', date: '2026-01-15T05:00:00.000Z' },
+  { cell: '2026-01-15', date: '2026-01-14T18:30:00.000Z' },
+  { cell: '15/01/2026', date: '2026-01-14T18:30:00.000Z' },
+  { cell: '15/01/2026 02:30 PM', date: '2026-01-15T09:00:00.000Z' },
+  { cell: '15-01-26 12:05 am', date: '2026-01-14T18:35:00.000Z' },
+  { cell: '15.01.2026, 12:00 PM', date: '2026-01-15T06:30:00.000Z' },
+  { cell: '15/01/2026 23:59:59', date: '2026-01-15T18:29:59.000Z' },
+  { cell: '13/13/2026', date: null },
+  { cell: '2026-01-15 24:00', date: null },
+  { cell: 'yesterday', date: null },
+  { cell: '', date: null },
+];
+
+// Decimal comes from the generated client (npm run prisma:generate)
+const NEEDS_CLIENT = !Prisma.Decimal && 'needs the generated Prisma client';
+
+const REQUESTED_AT = new Date('2026-01-15T05:00:00.000Z');
+const HOUR = 60 * 60 * 1000;
+const WINDOW_HOURS = 48;
+
+const deposit = (id, status = 'PENDING', amount = 500) => ({ id, amount, status, transactionId: 'UTR1', createdAt: REQUESTED_AT });
+
+const row = (overrides = {}) => ({
+  utr: 'UTR1',
+  amount: '500',
+  transactedAt: new Date(REQUESTED_AT.getTime() + HOUR),
+  ...overrides,
+});
+
+// FAILED is not decided here: it is set when approving a MATCHED row fails
+const CLASSIFICATIONS = [
+  { name: 'a debit', row: row({ amount: '-500' }), status: 'SKIPPED', note: /Not a credit/ },
+  { name: 'a row without amount or UTR', row: row({ amount: null, utr: null }), status: 'SKIPPED', note: /No amount/ },
+  { name: 'an unreadable amount', row: row({ amount: null }), status: 'INVALID', note: /Amount could not be read/ },
+  { name: 'a missing UTR', row: row({ utr: null }), status: 'INVALID', note: /UTR is missing/ },
+  { name: 'an unreadable date', row: row({ transactedAt: null }), status: 'INVALID', note: /Date could not be read/ },
+  { name: 'a UTR seen earlier in the statement', row: row(), seen: ['UTR1'], deposits: [deposit('d1')], status: 'DUPLICATE', note: /more than once/ },
+  { name: 'a UTR claimed by two pending deposits', row: row(), deposits: [deposit('d1'), deposit('d2')], status: 'DUPLICATE', note: /2 pending deposits/ },
+  { name: 'a deposit matched by another row', row: row(), claimed: ['d1'], deposits: [deposit('d1')], status: 'DUPLICATE', depositId: 'd1' },
+  { name: 'an unknown UTR', row: row(), status: 'UTR_UNKNOWN', note: /No deposit request/ },
+  { name: 'a processed deposit', row: row(), deposits: [deposit('d1', 'APPROVED')], status: 'ALREADY_PROCESSED', depositId: 'd1', note: /already approved/ },
+  { name: 'a different amount', row: row({ amount: '499.99' }), deposits: [deposit('d1')], status: 'AMOUNT_MISMATCH', depositId: 'd1', note: /499\.99.*500\.00/ },
+  { name: 'a time outside the window', row: row({ transactedAt: new Date(REQUESTED_AT.getTime() - (WINDOW_HOURS + 1) * HOUR) }), deposits: [deposit('d1')], status: 'OUTSIDE_WINDOW', depositId: 'd1', note: /49 hours/ },
+  { name: 'an exact match', row: row(), deposits: [deposit('d1'), deposit('d0', 'REJECTED')], status: 'MATCHED', depositId: 'd1', note: null },
+];
+
+describe('statementImport.service', { skip: NEEDS_CLIENT }, () => {
+  describe('parseAmount', () => {
+    for (const { cell, amount } of AMOUNTS) {
+      it(`reads "${cell}" as ${amount}`, () => {
+        const parsed = statementImportService.parseAmount(cell);
+        assert.equal(parsed === null ? null : parsed.toFixed(2), amount);
+      });
+    }
+  });
+
+  describe('parseStatementDate', () => {
+    for (const { cell, date } of DATES) {
+      it(`reads "${cell}" as ${date}`, () => {
+        const parsed = statementImportService.parseStatementDate(cell);
+        assert.equal(parsed === null ? null : parsed.toISOString(), date);
+      });
+    }
+  });
+
+  describe('classify', () => {
+    for (const { name, row: statementRow, deposits = [], seen = [], claimed = [], status, depositId = null, note } of CLASSIFICATIONS) {
+      it(`flags ${name} as ${status}`, () => {
+        const depositsByUtr = new Map(deposits.length > 0 ? [['UTR1', deposits]] : []);
+        const claimedDeposits = new Set(claimed);
+
+        const amount = statementRow.amount === null ? null : new Prisma.Decimal(statementRow.amount);
+
+        const result = statementImportService.classify({ ...statementRow, amount }, depositsByUtr, new Set(seen), claimedDeposits, WINDOW_HOURS);
+
+        assert.equal(result.status, status);
+        assert.equal(result.depositId, depositId);
+        if (note === null) {
+          assert.equal(result.note, null);
+        } else if (note) {
+          assert.match(result.note, note);
+        }
+        assert.equal(claimedDeposits.has(depositId), status === 'MATCHED' || claimed.includes(depositId));
+      });
+    }
+  });
+});
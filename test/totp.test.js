@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const totp = require('../src/utils/totp');
+
+// RFC 6238 appendix B, HMAC-SHA1: ASCII secret "12345678901234567890", 8 digits, 30s steps
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+  { time: 59, code: '94287082' },
+  { time: 1111111109, code: '07081804' },
+  { time: 1111111111, code: '14050471' },
+  { time: 1234567890, code: '89005924' },
+  { time: 2000000000, code: '69279037' },
+  { time: 20000000000, code: '65353130' },
+];
+
+describe('utils/totp', () => {
+  it('base32-encodes the RFC secret', () => {
+    assert.equal(totp.base32Encode(Buffer.from('12345678901234567890')), RFC_SECRET);
+    assert.equal(totp.base32Decode(RFC_SECRET.toLowerCase()).toString(), '12345678901234567890');
+  });
+
+  it('rejects invalid base32', () => {
+    assert.throws(() => totp.base32Decode('ABC1'), /Invalid base32 character/);
+  });
+
+  for (const { time, code } of RFC_VECTORS) {
+    it(`generates the RFC 6238 code at T=${time}`, () => {
+      assert.equal(totp.generateCode(RFC_SECRET, totp.timeStep(time * 1000), 8), code);
+    });
+
+    it(`verifies the RFC 6238 code at T=${time}`, () => {
+      assert.equal(totp.verifyCode(RFC_SECRET, code, { now: time * 1000, digits: 8 }), Math.floor(time / 30));
+    });
+  }
+
+  it('accepts one step of drift either way and no more', () => {
+    const now = 1111111111 * 1000;
+    const step = totp.timeStep(now);
+    const codeAt = (offset) => totp.generateCode(RFC_SECRET, step + offset);
+
+    assert.equal(totp.verifyCode(RFC_SECRET, codeAt(-1), { now }), step - 1);
+    assert.equal(totp.verifyCode(RFC_SECRET, codeAt(1), { now }), step + 1);
+    assert.equal(totp.verifyCode(RFC_SECRET, codeAt(-2), { now }), null);
+    assert.equal(totp.verifyCode(RFC_SECRET, codeAt(2), { now }), null);
+  });
+
+  it('rejects malformed codes', () => {
+    const now = 59 * 1000;
+    assert.equal(totp.verifyCode(RFC_SECRET, '', { now }), null);
+    assert.equal(totp.verifyCode(RFC_SECRET, '12345', { now }), null);
+    assert.equal(totp.verifyCode(RFC_SECRET, 'abcdef', { now }), null);
+  });
+
+  it('builds an otpauth URI for authenticator apps', () => {
+    const uri = new URL(totp.buildOtpauthUri(RFC_SECRET, '9876543210', 'Color Prediction'));
+
+    assert.equal(uri.protocol, 'otpauth:');
+    assert.equal(uri.host, 'totp');
+    assert.equal(decodeURIComponent(uri.pathname), '/Color Prediction:9876543210');
+    assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+    assert.equal(uri.searchParams.get('algorithm'), 'SHA1');
+    assert.equal(uri.searchParams.get('digits'), '6');
+    assert.equal(uri.searchParams.get('period'), '30');
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useFakePrisma } = require('./helpers/fakePrisma');
+
+const prisma = useFakePrisma();
+
+const twoFactorService = require('../src/services/twoFactor.service');
+const totp = require('../src/utils/totp');
+const { TWO_FACTOR, ERROR_CODES } = require('../src/config/constants');
+
+const ADMIN_ID = 'admin-1';
+const SESSION_ID = 'session-1';
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const START = Date.UTC(2026, 0, 1, 12, 0, 0);
+
+let now = START;
+
+const codeAt = (time) => totp.generateCode(SECRET, totp.timeStep(time));
+
+const rejectsWith = (promise, errorCode) => assert.rejects(promise, err => err.errorCode === errorCode);
+
+describe('twoFactor.service', () => {
+  beforeEach(async () => {
+    now = START;
+    twoFactorService.setClock(() => now);
+
+    await prisma.admin.deleteMany();
+    await prisma.adminBackupCode.deleteMany();
+    await prisma.session.deleteMany();
+
+    await prisma.admin.create({
+      data: {
+        id: ADMIN_ID,
+        totpSecret: SECRET,
+        totpEnabledAt: new Date(START - 60 * 1000),
+        totpLastStep: null,
+        totpFailedAttempts: 0,
+        totpLockedUntil: null,
+      },
+    });
+    await prisma.session.create({ data: { id: SESSION_ID, stepUpAt: null } });
+  });
+
+  describe('verify', () => {
+    it('accepts the current TOTP code once', async () => {
+      const code = codeAt(now);
+
+      await twoFactorService.verify(ADMIN_ID, { code });
+      await rejectsWith(twoFactorService.verify(ADMIN_ID, { code }), ERROR_CODES.TWO_FACTOR_INVALID);
+    });
+
+    it('rejects a code from a step before the last accepted one', async () => {
+      const earlier = codeAt(now - TWO_FACTOR.STEP_SECONDS * 1000);
+
+      await twoFactorService.verify(ADMIN_ID, { code: codeAt(now) });
+      await rejectsWith(twoFactorService.verify(ADMIN_ID, { code: earlier }), ERROR_CODES.TWO_FACTOR_INVALID);
+    });
+
+    it('accepts the next step once the clock moves on', async () => {
+      await twoFactorService.verify(ADMIN_ID, { code: codeAt(now) });
+
+      now += TWO_FACTOR.STEP_SECONDS * 1000;
+      await twoFactorService.verify(ADMIN_ID, { code: codeAt(now) });
+    });
+
+    it('locks after too many wrong codes', async () => {
+      const wrong = String((Number(codeAt(now)) + 1) % 1e6).padStart(6, '0');
+
+      for (let i = 0; i < TWO_FACTOR.MAX_FAILED_ATTEMPTS; i++) {
+        await rejectsWith(twoFactorService.verify(ADMIN_ID, { code: wrong }), ERROR_CODES.TWO_FACTOR_INVALID);
+      }
+
+      await rejectsWith(twoFactorService.verify(ADMIN_ID, { code: codeAt(now) }), ERROR_CODES.TWO_FACTOR_LOCKED);
+
+      now += TWO_FACTOR.LOCK_MINUTES * 60 * 1000 + 1;
+      await twoFactorService.verify(ADMIN_ID, { code: codeAt(now) });
+    });
+
+    it('requires a code', async () => {
+      await rejectsWith(twoFactorService.verify(ADMIN_ID, {}), ERROR_CODES.TWO_FACTOR_REQUIRED);
+    });
+  });
+
+  describe('backup codes', () => {
+    it('spend each code once, ignoring case and separators', async () => {
+      const backupCodes = twoFactorService.generateBackupCodes();
+      await twoFactorService.replaceBackupCodes(prisma, ADMIN_ID, backupCodes);
+
+      await twoFactorService.verify(ADMIN_ID, { backupCode: backupCodes[0].toLowerCase().replace('-', '') });
+      await rejectsWith(twoFactorService.verify(ADMIN_ID, { backupCode: backupCodes[0] }), ERROR_CODES.TWO_FACTOR_INVALID);
+
+      await twoFactorService.verify(ADMIN_ID, { backupCode: backupCodes[1] });
+    });
+
+    it('stop working once regenerated', async () => {
+      const oldCodes = twoFactorService.generateBackupCodes();
+      await twoFactorService.replaceBackupCodes(prisma, ADMIN_ID, oldCodes);
+
+      const { backupCodes } = await twoFactorService.regenerateBackupCodes(ADMIN_ID);
+
+      await rejectsWith(twoFactorService.verify(ADMIN_ID, { backupCode: oldCodes[0] }), ERROR_CODES.TWO_FACTOR_INVALID);
+      await twoFactorService.verify(ADMIN_ID, { backupCode: backupCodes[0] });
+    });
+
+    it('are generated as XXXXX-XXXXX without look-alike characters', () => {
+      const backupCodes = twoFactorService.generateBackupCodes();
+
+      assert.equal(backupCodes.length, TWO_FACTOR.BACKUP_CODE_COUNT);
+      for (const code of backupCodes) {
+        assert.match(code, /^[A-HJ-NP-Z2-9]{5}-[A-HJ-NP-Z2-9]{5}$/);
+      }
+    });
+  });
+
+  describe('step-up', () => {
+    it('covers the session for STEP_UP_MINUTES', async () => {
+      assert.equal(await twoFactorService.hasRecentStepUp(SESSION_ID), false);
+
+      await twoFactorService.markStepUp(SESSION_ID);
+
+      now += TWO_FACTOR.STEP_UP_MINUTES * 60 * 1000;
+      assert.equal(await twoFactorService.hasRecentStepUp(SESSION_ID), true);
+
+      now += 1;
+      assert.equal(await twoFactorService.hasRecentStepUp(SESSION_ID), false);
+    });
+
+    it('never covers a request without a session', async () => {
+      await twoFactorService.markStepUp(null);
+      assert.equal(await twoFactorService.hasRecentStepUp(null), false);
+    });
+  });
+});